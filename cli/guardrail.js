@@ -8,8 +8,9 @@
  * to stdout.
  *
  * Usage:
- *   node guardrail.js --input params.json [--enhanced] [--pretty]
- *   cat params.json | node guardrail.js [--enhanced] [--pretty]
+ *   node guardrail.js --input params.json [--enhanced] [--historical] [--dynamic] [--adaptive] [--roth-conversions] [--claiming] [--sensitivity] [--workers <n>] [--pretty]
+ *   cat params.json | node guardrail.js [--enhanced] [--historical] [--dynamic] [--adaptive] [--roth-conversions] [--claiming] [--sensitivity] [--workers <n>] [--pretty]
+ *   node guardrail.js sweep --input params.json [--step <n>] [--format json|csv] [--pretty]
  *   node guardrail.js --schema input
  *   node guardrail.js --schema output
  *   node guardrail.js --help
@@ -18,26 +19,38 @@
 import { parseArgs } from 'node:util';
 import { readFile } from 'node:fs/promises';
 import { createRequire } from 'node:module';
+import { availableParallelism } from 'node:os';
 import { fileURLToPath } from 'node:url';
 import { dirname, resolve } from 'node:path';
 
-import { GuardrailCalculator } from '../docs/js/logic/GuardrailCalculator.js';
+import { formatAllocationSweepCsv, sweepAllocations } from '../docs/js/logic/allocationSweep.js';
+import { runCalculations, runCalculationsInPool } from '../docs/js/logic/runCalculations.js';
+import { createShardWorkerPool } from './shard-worker.js';
 import { validate } from './validate.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 // ─── Argument parsing ────────────────────────────────────────────────
-const { values: args } = parseArgs({
+const { values: args, positionals } = parseArgs({
     options: {
         input:    { type: 'string',  short: 'i' },
         enhanced: { type: 'boolean', short: 'e', default: false },
+        historical: { type: 'boolean', default: false },
+        dynamic:  { type: 'boolean', short: 'd', default: false },
+        adaptive: { type: 'boolean', default: false },
+        'roth-conversions': { type: 'boolean', default: false },
+        claiming: { type: 'boolean', default: false },
+        sensitivity: { type: 'boolean', default: false },
+        workers:  { type: 'string',  short: 'w' },
+        step:     { type: 'string' },
+        format:   { type: 'string',  short: 'f' },
         pretty:   { type: 'boolean', short: 'p', default: false },
         schema:   { type: 'string',  short: 's' },
         help:     { type: 'boolean', short: 'h', default: false },
     },
     strict: true,
-    allowPositionals: false,
+    allowPositionals: true,
 });
 
 // ─── --help ──────────────────────────────────────────────────────────
@@ -46,12 +59,37 @@ if (args.help) {
 Risk-Based Guardrail Withdrawal Calculator CLI
 
 USAGE
-  node guardrail.js --input <file> [--enhanced] [--pretty]
-  cat params.json | node guardrail.js [--enhanced] [--pretty]
+  node guardrail.js --input <file> [--enhanced] [--historical] [--dynamic] [--adaptive] [--roth-conversions] [--claiming] [--sensitivity] [--workers <n>] [--pretty]
+  cat params.json | node guardrail.js [--enhanced] [--historical] [--dynamic] [--adaptive] [--roth-conversions] [--claiming] [--sensitivity] [--workers <n>] [--pretty]
+  node guardrail.js sweep --input <file> [--step <n>] [--format json|csv] [--pretty]
+
+COMMANDS
+  sweep                Evaluate the plan across stock/bond mixes (cash held at
+                       cash_allocation) and print PoS at the desired spending
+                       and the recommended spending for each mix
 
 OPTIONS
   -i, --input <file>   Read JSON input from a file (default: stdin)
   -e, --enhanced       Also run enhanced Monte Carlo (mean-reverting returns)
+      --historical     Also run historical simulation (resampled 1928–2023 returns)
+  -d, --dynamic        Also run the multi-year dynamic guardrail simulation
+                       (adds results.dynamic_guardrails)
+      --adaptive       Add iterations until the PoS confidence interval clears
+                       the nearest guardrail (up to max_iterations)
+      --roth-conversions
+                       Also compare Roth conversion strategies (needs a pre-tax
+                       balance; adds rothConversionResults)
+      --claiming       Also rank Social Security claiming ages (needs an income
+                       source with a pia; adds claimingResults)
+      --sensitivity    Also move each key input down and up and rank the
+                       inputs by their impact on PoS and recommended
+                       spending (adds sensitivityResults)
+  -w, --workers <n>    Split the Monte Carlo iterations across n worker
+                       threads ("auto" = one per CPU). Results are identical
+                       to a single-threaded run with the same seed
+      --step <n>       sweep: stock percentage points between mixes (1–50,
+                       default 10)
+  -f, --format <type>  sweep: "json" (default) or "csv"
   -p, --pretty         Pretty-print JSON output
   -s, --schema <type>  Print JSON Schema and exit. <type> is "input" or "output"
   -h, --help           Show this help message
@@ -63,12 +101,25 @@ EXAMPLES
   # Pipe from stdin
   cat params.json | node guardrail.js --enhanced --pretty
 
+  # Rank the inputs that matter most to the plan
+  node guardrail.js --input params.json --sensitivity --pretty
+
+  # Compare stock allocations in 5-point steps as a spreadsheet
+  node guardrail.js sweep --input params.json --step 5 --format csv
+
   # View the input schema
   node guardrail.js --schema input
 
 OUTPUT
-  JSON object with "results" (always) and "enhancedResults" (when --enhanced
-  or enhanced_mc_enabled is true). Use --schema output to see the full shape.
+  JSON object with "results" (always), "enhancedResults" (when --enhanced
+  or enhanced_mc_enabled is true) and "historicalResults" (when --historical
+  or historical_mc_enabled is true), "rothConversionResults" (when
+  --roth-conversions or roth_conversion_explorer_enabled is true) and
+  "claimingResults" (when --claiming or claiming_optimizer_enabled is true),
+  "allocationSweepResults" (when allocation_sweep_enabled is true) and
+  "sensitivityResults" (when --sensitivity or sensitivity_enabled is true). Use
+  --schema output to see the full shape. The sweep command prints only the
+  sweep, in the shape of allocationSweepResults or as CSV.
 
   Calculator warnings (e.g. unusual planning horizon) are emitted to stderr.
   Exit code 0 on success, 1 on validation or runtime error.
@@ -91,6 +142,28 @@ if (args.schema) {
     process.exit(0);
 }
 
+// ─── Command ─────────────────────────────────────────────────────────
+const [command = null, ...extra] = positionals;
+if ((command !== null && command !== 'sweep') || extra.length > 0) {
+    process.stderr.write(`Error: Unknown command "${positionals.join(' ')}". Run with --help for usage.\n`);
+    process.exit(1);
+}
+const format = args.format?.toLowerCase() ?? 'json';
+if (format !== 'json' && format !== 'csv') {
+    process.stderr.write('Error: --format must be "json" or "csv"\n');
+    process.exit(1);
+}
+
+// ─── --workers ───────────────────────────────────────────────────────
+let workerCount = 1;
+if (args.workers !== undefined) {
+    workerCount = args.workers === 'auto' ? availableParallelism() : Number(args.workers);
+    if (!Number.isInteger(workerCount) || workerCount < 1) {
+        process.stderr.write('Error: --workers must be a positive integer or "auto"\n');
+        process.exit(1);
+    }
+}
+
 // ─── Read input ──────────────────────────────────────────────────────
 let rawInput;
 
@@ -124,24 +197,50 @@ try {
 }
 
 // ─── Validate ────────────────────────────────────────────────────────
+// Feature flags go in first so their input rules are checked too
+if (args.step !== undefined) params.allocation_sweep_step = Number(args.step);
+if (args.enhanced) params.enhanced_mc_enabled = true;
+if (args.historical) params.historical_mc_enabled = true;
+if (args.dynamic) params.dynamic_guardrails_enabled = true;
+if (args.adaptive) params.adaptive_iterations = true;
+if (args['roth-conversions']) params.roth_conversion_explorer_enabled = true;
+if (args.claiming) params.claiming_optimizer_enabled = true;
+if (args.sensitivity) params.sensitivity_enabled = true;
 const validation = validate(params);
 if (!validation.valid) {
     process.stderr.write(JSON.stringify({ error: validation.message }) + '\n');
     process.exit(1);
 }
 
+// ─── Run allocation sweep ────────────────────────────────────────────
+if (command === 'sweep') {
+    try {
+        const sweep = sweepAllocations(params);
+        if (format === 'csv') {
+            process.stdout.write(formatAllocationSweepCsv(sweep));
+        } else {
+            process.stdout.write((args.pretty ? JSON.stringify(sweep, null, 2) : JSON.stringify(sweep)) + '\n');
+        }
+        process.exit(0);
+    } catch (err) {
+        process.stderr.write(JSON.stringify({ error: err.message, stack: err.stack }) + '\n');
+        process.exit(1);
+    }
+}
+
 // ─── Run calculation ─────────────────────────────────────────────────
 try {
-    const calculator = new GuardrailCalculator();
-    const results = calculator.calculate(params);
-
-    let enhancedResults = null;
-    const runEnhanced = args.enhanced || params.enhanced_mc_enabled;
-    if (runEnhanced) {
-        enhancedResults = calculator.calculateEnhanced(params);
+    let output;
+    if (workerCount > 1) {
+        const pool = createShardWorkerPool(workerCount);
+        try {
+            output = await runCalculationsInPool(params, pool);
+        } finally {
+            pool.terminate();
+        }
+    } else {
+        output = runCalculations(params);
     }
-
-    const output = { results, enhancedResults };
     const json = args.pretty
         ? JSON.stringify(output, null, 2)
         : JSON.stringify(output);
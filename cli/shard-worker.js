@@ -0,0 +1,36 @@
+/**
+ * worker_threads side of `guardrail.js --workers`: each thread simulates
+ * shards of the headline Monte Carlo runs (see runCalculationsInPool()).
+ * Imported from the main thread for createShardWorkerPool().
+ */
+
+import { Worker, isMainThread, parentPort } from 'node:worker_threads';
+
+import { runShardTask } from '../docs/js/logic/runCalculations.js';
+import { WorkerPool } from '../docs/js/logic/WorkerPool.js';
+
+/**
+ * @param {number} size Number of worker threads
+ * @returns {WorkerPool} Call terminate() when done; running workers keep the process alive
+ */
+export function createShardWorkerPool(size) {
+    return new WorkerPool(size, (onMessage, onError) => {
+        const worker = new Worker(new URL(import.meta.url));
+        worker.on('message', onMessage);
+        worker.on('error', onError);
+        return worker;
+    });
+}
+
+if (!isMainThread && parentPort) {
+    parentPort.on('message', (task) => {
+        try {
+            const { shard, transfer } = runShardTask(task, (completed, successful) => {
+                parentPort.postMessage({ status: 'progress', completed, successful });
+            });
+            parentPort.postMessage({ status: 'success', shard }, transfer);
+        } catch (error) {
+            parentPort.postMessage({ status: 'error', message: error.message, stack: error.stack });
+        }
+    });
+}
@@ -55,8 +55,77 @@ function showError(message) {
     setTimeout(() => errorDiv.remove(), 5000);
 }
 
+// Glide path presets as [age offset from retirement, stock, bond, cash],
+// mirroring GLIDE_PATH_PRESETS in logic/glidePath.js
+const GLIDE_PATH_PREVIEWS = {
+    rising_equity: [[0, 30, 60, 10], [15, 60, 35, 5]],
+    target_date: [[-25, 90, 10, 0], [0, 50, 45, 5], [7, 30, 60, 10]],
+};
+
+const ALLOCATION_COLORS = { stock: '#3b82f6', bond: '#10b981', cash: '#f59e0b' };
+
+// Allocation at an age, interpolated between the preset's waypoints
+function getPreviewAllocation(preset, retirementAge, age) {
+    const waypoints = preset.map(([offset, stock, bond, cash]) => ({ age: retirementAge + offset, stock, bond, cash }));
+    const next = waypoints.findIndex(waypoint => waypoint.age > age);
+    if (next === 0) return waypoints[0];
+    if (next === -1) return waypoints[waypoints.length - 1];
+
+    const from = waypoints[next - 1];
+    const to = waypoints[next];
+    const t = (age - from.age) / (to.age - from.age);
+    return {
+        stock: from.stock + (to.stock - from.stock) * t,
+        bond: from.bond + (to.bond - from.bond) * t,
+        cash: from.cash + (to.cash - from.cash) * t,
+    };
+}
+
+// Preview a glide path as one stacked column per plan year
+function updateGlidePathPreview(name) {
+    const currentAge = parseInt(document.getElementById('spouse1Age').value) || 65;
+    const retirementAge = parseInt(document.getElementById('retirementAge').value) || currentAge;
+    const years = Math.max(1, parseInt(document.getElementById('planningHorizon').value) || 30);
+    const preset = GLIDE_PATH_PREVIEWS[name];
+
+    const bar = document.getElementById('allocationBar');
+    bar.innerHTML = '';
+    for (let year = 0; year < years; year++) {
+        const age = currentAge + year;
+        const allocation = getPreviewAllocation(preset, retirementAge, age);
+        const column = document.createElement('div');
+        column.style.flex = '1';
+        column.style.display = 'flex';
+        column.style.flexDirection = 'column';
+        column.title = `Age ${age}: ${Math.round(allocation.stock)}% stocks, ` +
+            `${Math.round(allocation.bond)}% bonds, ${Math.round(allocation.cash)}% cash`;
+        for (const asset of ['stock', 'bond', 'cash']) {
+            const segment = document.createElement('div');
+            segment.style.height = allocation[asset] + '%';
+            segment.style.backgroundColor = ALLOCATION_COLORS[asset];
+            column.appendChild(segment);
+        }
+        bar.appendChild(column);
+    }
+
+    const lastAge = currentAge + years - 1;
+    const start = getPreviewAllocation(preset, retirementAge, currentAge);
+    const end = getPreviewAllocation(preset, retirementAge, lastAge);
+    document.getElementById('glidePathSummary').textContent =
+        `Stocks ${Math.round(start.stock)}% at age ${currentAge} → ${Math.round(end.stock)}% at age ${lastAge}`;
+}
+
 // Update allocation bar display
 function updateAllocationBar() {
+    const glidePath = document.getElementById('glidePath')?.value;
+    document.getElementById('fixedAllocationFields').hidden = Boolean(glidePath);
+    document.getElementById('allocationTotalRow').hidden = Boolean(glidePath);
+    document.getElementById('glidePathSummary').hidden = !glidePath;
+    if (glidePath) {
+        updateGlidePathPreview(glidePath);
+        return;
+    }
+
     const stock = parseFloat(document.getElementById('stockAllocation').value) || 0;
     const bond = parseFloat(document.getElementById('bondAllocation').value) || 0;
     const cash = parseFloat(document.getElementById('cashAllocation').value) || 0;
@@ -71,7 +140,7 @@ function updateAllocationBar() {
         if (stock > 0) {
             const stockDiv = document.createElement('div');
             stockDiv.style.width = (stock / total * 100) + '%';
-            stockDiv.style.backgroundColor = '#3b82f6';
+            stockDiv.style.backgroundColor = ALLOCATION_COLORS.stock;
             stockDiv.title = `Stocks: ${stock}%`;
             bar.appendChild(stockDiv);
         }
@@ -79,7 +148,7 @@ function updateAllocationBar() {
         if (bond > 0) {
             const bondDiv = document.createElement('div');
             bondDiv.style.width = (bond / total * 100) + '%';
-            bondDiv.style.backgroundColor = '#10b981';
+            bondDiv.style.backgroundColor = ALLOCATION_COLORS.bond;
             bondDiv.title = `Bonds: ${bond}%`;
             bar.appendChild(bondDiv);
         }
@@ -87,7 +156,7 @@ function updateAllocationBar() {
         if (cash > 0) {
             const cashDiv = document.createElement('div');
             cashDiv.style.width = (cash / total * 100) + '%';
-            cashDiv.style.backgroundColor = '#f59e0b';
+            cashDiv.style.backgroundColor = ALLOCATION_COLORS.cash;
             cashDiv.title = `Cash: ${cash}%`;
             bar.appendChild(cashDiv);
         }
@@ -122,6 +191,8 @@ function addIncomeSource(savedData = null) {
     const endAge = savedData?.end_age || '';
     // Convert SQLite integer (0/1) or boolean to proper boolean, defaulting to true
     const inflationAdjusted = savedData?.inflation_adjusted ?? savedData?.is_inflation_adjusted ?? true;
+    const type = savedData?.type || 'other';
+    const survivorPercentage = savedData?.survivor_percentage ?? '';
     
     sourceDiv.innerHTML = `
         <div class="income-source-header">
@@ -166,6 +237,22 @@ function addIncomeSource(savedData = null) {
                 <input type="number" name="income_sources[${incomeSourceCounter}][end_age]" min="0" max="120" placeholder="" value="${endAge}">
             </div>
         </div>
+        <div class="form-row">
+            <div class="form-group">
+                <label>Type</label>
+                <select name="income_sources[${incomeSourceCounter}][type]">
+                    <option value="other" ${type === 'other' ? 'selected' : ''}>Other</option>
+                    <option value="social_security" ${type === 'social_security' ? 'selected' : ''}>Social Security</option>
+                    <option value="pension" ${type === 'pension' ? 'selected' : ''}>Pension</option>
+                </select>
+                <small>Used by survivor modeling</small>
+            </div>
+            <div class="form-group">
+                <label>Survivor Benefit (%)</label>
+                <input type="number" name="income_sources[${incomeSourceCounter}][survivor_percentage]" min="0" max="100" step="1" placeholder="0" value="${survivorPercentage}">
+                <small>Pensions only: share paid to the surviving spouse</small>
+            </div>
+        </div>
     `;
     
     container.appendChild(sourceDiv);
@@ -261,9 +348,10 @@ function removeExpenseItem(id) {
 }
 
 // Display results
-function displayResults(results, enhancedResults) {
+function displayResults(results, enhancedResults, historicalResults, allocationSweepResults = null, sensitivityResults = null) {
     app.currentResults = results;
     app.enhancedResults = enhancedResults || null;
+    app.historicalResults = historicalResults || null;
 
     const primaryResults = enhancedResults || results;
     
@@ -272,6 +360,18 @@ function displayResults(results, enhancedResults) {
     
     // Probability of Success
     document.getElementById('posValue').textContent = formatPercentage(primaryResults.probability_of_success, 1);
+    const posInterval = primaryResults.probability_of_success_interval;
+    document.getElementById('posInterval').textContent = posInterval
+        ? `95% CI ${formatPercentage(posInterval.lower, 1)} \u2013 ${formatPercentage(posInterval.upper, 1)}`
+        : '';
+    
+    const posMortality = document.getElementById('posMortality');
+    const longevity = primaryResults.longevity;
+    posMortality.style.display = longevity ? 'block' : 'none';
+    posMortality.textContent = longevity
+        ? `Mortality-adjusted: ${formatPercentage(longevity.mortality_adjusted_pos, 1)} ` +
+          `(${formatPercentage(longevity.probability_alive_at_horizon, 0)} chance someone is alive at the end of the plan)`
+        : '';
     
     // Guardrail Status
     const statusBadge = document.getElementById('statusBadge');
@@ -284,6 +384,13 @@ function displayResults(results, enhancedResults) {
     const status = statusMap[primaryResults.guardrail_status] || { text: 'Unknown', class: '' };
     statusBadge.textContent = status.text;
     statusBadge.className = 'status-badge ' + status.class;
+
+    const statusConfidence = document.getElementById('statusConfidence');
+    const straddled = primaryResults.guardrail_status_confidence?.straddled_guardrail;
+    statusConfidence.style.display = straddled ? 'block' : 'none';
+    statusConfidence.textContent = straddled
+        ? `Uncertain: the ${straddled} guardrail is within the confidence interval. More iterations (or adaptive mode) can settle it.`
+        : '';
     
     // Spending values
     document.getElementById('desiredSpendingResult').textContent = formatCurrency(primaryResults.desired_spending);
@@ -308,9 +415,20 @@ function displayResults(results, enhancedResults) {
     
     // Statistics
     const mc = results.monte_carlo;
-    document.getElementById('statIterations').textContent = mc.iterations.toLocaleString();
+    document.getElementById('statIterations').textContent = mc.iterations.toLocaleString() +
+        (mc.adaptive && mc.iterations !== mc.adaptive.initial_iterations ? ` (adaptive, from ${mc.adaptive.initial_iterations.toLocaleString()})` : '');
     document.getElementById('statSuccessful').textContent = mc.successful.toLocaleString();
     document.getElementById('statFailed').textContent = mc.failed.toLocaleString();
+    const failure = mc.failure_analysis;
+    const formatShortfall = (years, amount) => `${years.toFixed(1)} yrs / ${formatCurrency(amount)}`;
+    document.getElementById('statDepletionAge').textContent = failure.failures
+        ? `${failure.depletion_age_p50.toFixed(0)} / ${failure.depletion_age_p10.toFixed(0)}`
+        : 'n/a (no failures)';
+    document.getElementById('statShortfallIfFailed').textContent = failure.failures
+        ? formatShortfall(failure.shortfall.mean_unfunded_years, failure.shortfall.mean_unfunded_amount)
+        : 'n/a (no failures)';
+    document.getElementById('statExpectedShortfall').textContent =
+        formatShortfall(failure.shortfall.expected_unfunded_years, failure.shortfall.expected_unfunded_amount);
     document.getElementById('statMedian').textContent = formatCurrency(mc.percentiles.p50);
     document.getElementById('statP10').textContent = formatCurrency(mc.percentiles.p10);
     document.getElementById('statP90').textContent = formatCurrency(mc.percentiles.p90);
@@ -319,14 +437,45 @@ function displayResults(results, enhancedResults) {
     document.getElementById('statYear0Income').textContent = formatCurrency(results.income_impact.year0_income);
     document.getElementById('statYear0Expenses').textContent = formatCurrency(results.income_impact.year0_expenses);
     document.getElementById('statYear0NetWithdrawal').textContent = formatCurrency(results.income_impact.year0_net_withdrawal);
+    document.getElementById('statYear0TaxesItem').style.display = results.income_impact.year0_taxes > 0 ? '' : 'none';
+    document.getElementById('statYear0Taxes').textContent = formatCurrency(results.income_impact.year0_taxes);
+    const survivor = results.survivor;
+    document.getElementById('statSurvivorItem').style.display = survivor ? '' : 'none';
+    if (survivor) {
+        const deceased = survivor.deceased === 'spouse1' ? 'Spouse 1' : 'Spouse 2';
+        document.getElementById('statSurvivor').textContent = survivor.within_horizon
+            ? `${deceased} at ${survivor.first_death_age} (year ${survivor.plan_year}): ` +
+              `${formatCurrency(survivor.household_income_before)} \u2192 ${formatCurrency(survivor.household_income_after)}`
+            : `${deceased} at ${survivor.first_death_age} (after the plan ends)`;
+    }
     document.getElementById('statDuration').textContent = mc.duration_ms + ' ms (MC simulation)';
+    document.getElementById('statRandomSeed').textContent = results.random_seed;
+    const solverInterval = results.spending_solver?.confidence_interval;
+    document.getElementById('statSolverInterval').textContent = solverInterval && solverInterval.lower !== null && solverInterval.upper !== null
+        ? `${formatCurrency(solverInterval.lower)} \u2013 ${formatCurrency(solverInterval.upper)}`
+        : 'n/a (no adjustment)';
     
+    // Guardrail trigger portfolio values
+    displayGuardrailTriggers(results.guardrail_triggers);
+
     // Enhanced MC comparison display
     displayEnhancedResults(enhancedResults);
+
+    // Historical simulation comparison display
+    displayHistoricalResults(historicalResults);
     
+    // Dynamic guardrail path simulation
+    displayDynamicResults(results.dynamic_guardrails);
+
     // Create charts
-    createProjectionChart(results, enhancedResults);
+    createProjectionChart(results, enhancedResults, historicalResults);
     createCashflowChart(results);
+    createSpendingPosChart(results);
+    createDynamicSpendingChart(results.dynamic_guardrails);
+    createAllocationSweepChart(allocationSweepResults, results);
+    createSensitivityChart(sensitivityResults);
+    createFailureChart(results);
+    createSamplePathsChart(results);
     
     // Scroll only in single-column layout
     const resultsSection = document.getElementById('resultsSection');
@@ -342,6 +491,10 @@ document.addEventListener('DOMContentLoaded', async function() {
     ['stockAllocation', 'bondAllocation', 'cashAllocation'].forEach(id => {
         document.getElementById(id).addEventListener('input', updateAllocationBar);
     });
+    // The glide path preview depends on the ages and horizon
+    ['glidePath', 'spouse1Age', 'retirementAge', 'planningHorizon'].forEach(id => {
+        document.getElementById(id).addEventListener('input', updateAllocationBar);
+    });
     
     // Initial allocation bar update
     updateAllocationBar();
@@ -383,6 +536,69 @@ document.addEventListener('DOMContentLoaded', async function() {
         });
     }
 
+    // Historical simulation checkbox toggle
+    const historicalCheckbox = document.getElementById('historicalMcEnabled');
+    if (historicalCheckbox) {
+        historicalCheckbox.addEventListener('change', () => {
+            const optionsDiv = document.getElementById('historicalMcOptions');
+            if (optionsDiv) {
+                optionsDiv.style.display = historicalCheckbox.checked ? 'block' : 'none';
+            }
+            updateCalculateButtonLabel();
+        });
+    }
+
+    // Tax accounts checkbox toggle
+    const accountsCheckbox = document.getElementById('accountsEnabled');
+    if (accountsCheckbox) {
+        accountsCheckbox.addEventListener('change', () => {
+            const optionsDiv = document.getElementById('accountsOptions');
+            if (optionsDiv) {
+                optionsDiv.style.display = accountsCheckbox.checked ? 'block' : 'none';
+            }
+        });
+    }
+
+    // Survivor modeling checkbox toggle
+    const survivorCheckbox = document.getElementById('survivorModeling');
+    if (survivorCheckbox) {
+        survivorCheckbox.addEventListener('change', () => {
+            const optionsDiv = document.getElementById('survivorOptions');
+            if (optionsDiv) {
+                optionsDiv.style.display = survivorCheckbox.checked ? 'grid' : 'none';
+            }
+        });
+    }
+
+    // Longevity mode checkbox toggle
+    const longevityCheckbox = document.getElementById('longevityMode');
+    if (longevityCheckbox) {
+        longevityCheckbox.addEventListener('change', () => {
+            const optionsDiv = document.getElementById('longevityOptions');
+            if (optionsDiv) {
+                optionsDiv.style.display = longevityCheckbox.checked ? 'grid' : 'none';
+            }
+        });
+    }
+
+    // Dynamic guardrails checkbox toggle
+    const dynamicCheckbox = document.getElementById('dynamicGuardrailsEnabled');
+    if (dynamicCheckbox) {
+        dynamicCheckbox.addEventListener('change', () => {
+            const optionsDiv = document.getElementById('dynamicGuardrailsOptions');
+            if (optionsDiv) {
+                optionsDiv.style.display = dynamicCheckbox.checked ? 'block' : 'none';
+            }
+        });
+    }
+
+    // Block length only applies to the block bootstrap
+    const historicalModeSelect = document.getElementById('historicalMode');
+    if (historicalModeSelect) {
+        historicalModeSelect.addEventListener('change', updateHistoricalBlockLengthState);
+        updateHistoricalBlockLengthState();
+    }
+
     // Autocorrelation slider value display
     const acSlider = document.getElementById('enhancedMcAutocorrelation');
     const acSliderValue = document.getElementById('autocorrelationValue');
@@ -403,20 +619,32 @@ window.removeIncomeSource = removeIncomeSource;
 window.addIncomeSource = addIncomeSource;
 window.removeExpenseItem = removeExpenseItem;
 window.addExpenseItem = addExpenseItem;
+window.displaySamplePath = displaySamplePath;
 window.app = app;
 
-// Update the calculate button label based on enhanced MC toggle
+// Update the calculate button label based on the comparison toggles
 function updateCalculateButtonLabel() {
     const btn = document.getElementById('calculateBtn');
     const enhanced = document.getElementById('enhancedMcEnabled')?.checked;
+    const historical = document.getElementById('historicalMcEnabled')?.checked;
+    const runs = 1 + (enhanced ? 1 : 0) + (historical ? 1 : 0);
     if (btn) {
-        btn.textContent = enhanced
-            ? '\ud83d\udd2c Run Simulations (2\u00d7 10,000 iterations)'
+        btn.textContent = runs > 1
+            ? `\ud83d\udd2c Run Simulations (${runs}\u00d7 10,000 iterations)`
             : '\ud83d\udd2c Run Simulations (10,000 iterations)';
     }
 }
 window.updateCalculateButtonLabel = updateCalculateButtonLabel;
 
+function updateHistoricalBlockLengthState() {
+    const mode = document.getElementById('historicalMode');
+    const blockLength = document.getElementById('historicalBlockLength');
+    if (mode && blockLength) {
+        blockLength.disabled = mode.value === 'rolling';
+    }
+}
+window.updateHistoricalBlockLengthState = updateHistoricalBlockLengthState;
+
 // Display enhanced MC comparison results
 function displayEnhancedResults(enhancedResults) {
     const banner = document.getElementById('enhancedComparisonBanner');
@@ -498,6 +726,138 @@ function displayEnhancedResults(enhancedResults) {
     }
 }
 
+// Display historical simulation comparison results
+function displayHistoricalResults(historicalResults) {
+    const grid = document.getElementById('historicalResultsGrid');
+    if (!grid) return;
+
+    if (!historicalResults) {
+        grid.style.display = 'none';
+        return;
+    }
+
+    grid.style.display = 'grid';
+
+    const period = historicalResults.historical_period;
+    const title = document.getElementById('historicalGridTitle');
+    if (title && period) {
+        title.textContent = `Historical Simulation (${period.start_year}\u2013${period.end_year})`;
+    }
+
+    document.getElementById('historicalPosResult').textContent = formatPercentage(historicalResults.probability_of_success, 1);
+    document.getElementById('historicalRecommendedResult').textContent = formatCurrency(historicalResults.recommended_spending);
+
+    const adjustmentMap = {
+        'increase': '\u2191 Increase',
+        'maintain': '\u2192 Maintain',
+        'decrease': '\u2193 Decrease'
+    };
+    const adjText = adjustmentMap[historicalResults.spending_adjustment_needed] || '--';
+    const changeAmount = historicalResults.spending_change_amount;
+    const changeText = changeAmount !== 0 ? ` (${changeAmount > 0 ? '+' : ''}${formatCurrency(changeAmount)})` : '';
+    document.getElementById('historicalAdjustmentResult').textContent = adjText + changeText;
+
+    document.getElementById('historicalMethodResult').textContent = historicalResults.historical_mode === 'rolling'
+        ? 'Rolling periods'
+        : `Block bootstrap (${historicalResults.historical_block_length}-yr)`;
+}
+
+// Display the portfolio values at which today's spending hits each guardrail
+function displayGuardrailTriggers(triggers) {
+    const grid = document.getElementById('triggersResultsGrid');
+    if (!grid) return;
+
+    if (!triggers) {
+        grid.style.display = 'none';
+        return;
+    }
+
+    grid.style.display = 'grid';
+
+    const formatChange = (percentage) => ` (${percentage > 0 ? '+' : ''}${formatPercentage(percentage, 1)})`;
+    const show = (trigger, valueId, spendingId) => {
+        document.getElementById(valueId).textContent = trigger
+            ? formatCurrency(trigger.portfolio_value) + formatChange(trigger.portfolio_change_percentage)
+            : 'Not reached';
+        document.getElementById(spendingId).textContent = trigger
+            ? formatCurrency(trigger.adjusted_spending) + formatChange(trigger.spending_change_percentage)
+            : '--';
+    };
+
+    show(triggers.lower, 'lowerTriggerResult', 'lowerTriggerSpendingResult');
+    show(triggers.upper, 'upperTriggerResult', 'upperTriggerSpendingResult');
+}
+
+// Display dynamic guardrail path simulation results
+function displayDynamicResults(dynamic) {
+    const grid = document.getElementById('dynamicResultsGrid');
+    if (!grid) return;
+
+    if (!dynamic) {
+        grid.style.display = 'none';
+        return;
+    }
+
+    grid.style.display = 'grid';
+
+    const title = document.getElementById('dynamicGridTitle');
+    if (title) {
+        title.textContent = `Dynamic Guardrails (${dynamic.paths} paths)`;
+    }
+
+    document.getElementById('dynamicPosResult').textContent = formatPercentage(dynamic.probability_of_success, 1);
+    document.getElementById('dynamicCutsResult').textContent =
+        `${dynamic.cuts.mean_per_path.toFixed(1)} per path (${formatPercentage(dynamic.cuts.paths_with_adjustment_pct, 0)} of paths)`;
+    document.getElementById('dynamicCutSizeResult').textContent = formatPercentage(dynamic.cuts.median_size_pct, 1);
+    document.getElementById('dynamicDrawdownResult').textContent =
+        `${formatPercentage(dynamic.max_spending_drawdown.p50, 1)} / ${formatPercentage(dynamic.max_spending_drawdown.worst, 1)}`;
+}
+
+// Show one sample path year by year (null resets the panel)
+function displaySamplePath(path) {
+    const detail = document.getElementById('samplePathDetail');
+    if (!detail) return;
+
+    if (!path) {
+        detail.innerHTML = '<p class="sample-path-hint">Click a path to see it year by year.</p>';
+        return;
+    }
+
+    const outcome = path.success
+        ? `survived with ${formatCurrency(path.final_portfolio_value)}`
+        : `depleted at age ${path.yearly_values[path.depletion_year].age}`;
+    const label = { median: 'Median outcome', success: 'Success', failure: 'Failure' }[path.outcome];
+    const showTaxes = path.yearly_values.some(entry => entry.taxes > 0);
+
+    const rows = path.yearly_values.map(entry => `
+        <tr class="${entry.portfolio_value === 0 ? 'depleted' : ''}">
+            <td>${entry.age}</td>
+            <td>${formatPercentage(entry.annual_return * 100, 1)}</td>
+            <td>${formatCurrency(entry.spending + entry.extra_expenses)}</td>
+            <td>${formatCurrency(entry.income)}</td>
+            <td>${formatCurrency(entry.net_withdrawal)}</td>
+            ${showTaxes ? `<td>${formatCurrency(entry.taxes)}</td>` : ''}
+            <td>${formatCurrency(entry.portfolio_value)}</td>
+        </tr>`).join('');
+
+    detail.innerHTML = `
+        <h4>${label} \u2013 path #${path.iteration}, ${outcome}</h4>
+        <table class="sample-path-table">
+            <thead>
+                <tr>
+                    <th>Age</th>
+                    <th>Return</th>
+                    <th>Spending</th>
+                    <th>Income</th>
+                    <th>Net Withdrawal</th>
+                    ${showTaxes ? '<th>Taxes</th>' : ''}
+                    <th>Portfolio (End of Year)</th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>`;
+}
+
 // Copy shareable link
 function copyShareableLink() {
     const url = window.location.href;
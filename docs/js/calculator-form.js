@@ -18,13 +18,31 @@ const STORAGE_KEY = 'guardrail_calculator_data';
 const QUERY_PARAM_MAP = {
     spouse1_age: 's1',
     spouse2_age: 's2',
+    longevity_mode: 'lm',
+    spouse1_sex: 'g1',
+    spouse2_sex: 'g2',
+    survivor_modeling: 'sm',
+    first_death_spouse: 'fd',
+    first_death_age: 'fa',
+    survivor_spending_multiplier: 'sv',
+    accounts_enabled: 'ae',
+    account_pre_tax: 'apt',
+    account_roth: 'aro',
+    account_taxable: 'ata',
+    account_taxable_basis: 'atb',
+    withdrawal_order: 'wo',
+    rmd_start_age: 'rmd',
     retirement_age: 'ra',
     planning_horizon_years: 'ph',
     current_portfolio_value: 'cp',
     desired_spending: 'ds',
+    annual_contribution: 'ac',
+    contribution_growth: 'cg',
+    wage_growth_rate: 'wg',
     stock_allocation: 'sa',
     bond_allocation: 'ba',
     cash_allocation: 'ca',
+    glide_path: 'gp',
     annual_fee_percentage: 'af',
     inflation_rate: 'ir',
     spending_profile_type: 'sp',
@@ -32,7 +50,26 @@ const QUERY_PARAM_MAP = {
     upper_guardrail: 'ug',
     target_guardrail: 'tg',
     enhanced_mc_enabled: 'em',
-    enhanced_mc_autocorrelation: 'ea'
+    enhanced_mc_autocorrelation: 'ea',
+    historical_mc_enabled: 'hm',
+    historical_mode: 'hmo',
+    historical_block_length: 'hb',
+    cma_stocks_mean: 'cms',
+    cma_stocks_std_dev: 'css',
+    cma_bonds_mean: 'cmb',
+    cma_bonds_std_dev: 'csb',
+    cma_cash_mean: 'cmc',
+    cma_cash_std_dev: 'csc',
+    cma_corr_stocks_bonds: 'rsb',
+    cma_corr_stocks_cash: 'rsc',
+    cma_corr_bonds_cash: 'rbc',
+    dynamic_guardrails_enabled: 'dg',
+    dynamic_guardrails_paths: 'dp',
+    adaptive_iterations: 'ai',
+    allocation_sweep_enabled: 'as',
+    sensitivity_enabled: 'se',
+    sample_paths: 'pc',
+    random_seed: 'rs'
 };
 
 const INCOME_PARAM_MAP = {
@@ -41,7 +78,9 @@ const INCOME_PARAM_MAP = {
     annual_amount: 'a',
     start_age: 's',
     end_age: 'e',
-    inflation_adjusted: 'i'
+    inflation_adjusted: 'i',
+    type: 't',
+    survivor_percentage: 'v'
 };
 
 const EXPENSE_PARAM_MAP = {
@@ -55,6 +94,19 @@ const EXPENSE_PARAM_MAP = {
 
 const STATE_PARAM_KEY = 'state';
 
+// Capital market assumption inputs: [form field name, path in capital_market_assumptions, is percentage]
+const CMA_FIELDS = [
+    ['cma_stocks_mean', ['stocks', 'mean'], true],
+    ['cma_stocks_std_dev', ['stocks', 'std_dev'], true],
+    ['cma_bonds_mean', ['bonds', 'mean'], true],
+    ['cma_bonds_std_dev', ['bonds', 'std_dev'], true],
+    ['cma_cash_mean', ['cash', 'mean'], true],
+    ['cma_cash_std_dev', ['cash', 'std_dev'], true],
+    ['cma_corr_stocks_bonds', ['correlations', 'stocks_bonds'], false],
+    ['cma_corr_stocks_cash', ['correlations', 'stocks_cash'], false],
+    ['cma_corr_bonds_cash', ['correlations', 'bonds_cash'], false],
+];
+
 // Load saved data on page load
 document.addEventListener('DOMContentLoaded', () => {
     const loadedFromQueryParams = loadFromQueryParams();
@@ -95,10 +147,20 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 });
 
+// Id of the calculation in progress; worker messages for any other id are stale
+let activeCalculationId = 0;
+
+function finishCalculation() {
+    activeCalculationId = 0;
+    document.getElementById('loadingIndicator').style.display = 'none';
+    document.getElementById('calculateBtn').disabled = false;
+}
+
 document.getElementById('calculatorForm').addEventListener('submit', async function(e) {
     e.preventDefault();
     
     // Show loading indicator
+    updateLoadingProgress(null);
     document.getElementById('loadingIndicator').style.display = 'block';
     document.getElementById('calculateBtn').disabled = true;
     
@@ -113,49 +175,108 @@ document.getElementById('calculatorForm').addEventListener('submit', async funct
         const validation = validateFormData(formData);
         if (!validation.valid) {
             showError(validation.message);
-            document.getElementById('loadingIndicator').style.display = 'none';
-            document.getElementById('calculateBtn').disabled = false;
+            finishCalculation();
             return;
         }
 
         if (calculatorWorker) {
+            const id = Date.now();
+            activeCalculationId = id;
+
             calculatorWorker.onmessage = function(e) {
                 const response = e.data;
-                
-                if (response.status === 'success') {
-                    displayResults(response.results, response.enhancedResults);
-                } else {
-                    console.error('Calculation error:', response.message);
-                    showError('Error: ' + response.message);
+                if (response.id !== activeCalculationId) return;
+
+                switch (response.status) {
+                    case 'progress':
+                        updateLoadingProgress(response);
+                        return;
+                    case 'partial':
+                        updatePartialEstimate(response);
+                        return;
+                    case 'success':
+                        displayResults(
+                            response.results,
+                            response.enhancedResults,
+                            response.historicalResults,
+                            response.allocationSweepResults,
+                            response.sensitivityResults
+                        );
+                        break;
+                    case 'cancelled':
+                        break;
+                    default:
+                        console.error('Calculation error:', response.message);
+                        showError('Error: ' + response.message);
                 }
-                
-                // Hide loading indicator
-                document.getElementById('loadingIndicator').style.display = 'none';
-                document.getElementById('calculateBtn').disabled = false;
+
+                finishCalculation();
             };
             
             calculatorWorker.onerror = function(error) {
                 console.error('Worker error:', error);
                 showError('Calculation failed due to a script error.');
-                document.getElementById('loadingIndicator').style.display = 'none';
-                document.getElementById('calculateBtn').disabled = false;
+                finishCalculation();
             };
 
-            calculatorWorker.postMessage(formData);
+            calculatorWorker.postMessage({ type: 'start', id, params: formData });
         } else {
             showError("Web Workers are not supported in this browser.");
-            document.getElementById('loadingIndicator').style.display = 'none';
-            document.getElementById('calculateBtn').disabled = false;
+            finishCalculation();
         }
         
     } catch (error) {
         console.error('Calculation error:', error);
         showError('Error: ' + error.message);
-        document.getElementById('loadingIndicator').style.display = 'none';
-        document.getElementById('calculateBtn').disabled = false;
+        finishCalculation();
     }
 });
 
+document.getElementById('cancelBtn').addEventListener('click', function() {
+    if (!activeCalculationId || !calculatorWorker) return;
+
+    // The worker stops at its next step; its 'cancelled' reply and any
+    // messages still in flight are ignored from here on
+    calculatorWorker.postMessage({ type: 'cancel', id: activeCalculationId });
+    finishCalculation();
+});
+
+/**
+ * Show calculation progress reported by the worker.
+ * @param {?{phase: string, percent: number}} progress null resets the indicator
+ */
+function updateLoadingProgress(progress) {
+    const stage = document.getElementById('loadingStage');
+    const bar = document.getElementById('loadingProgress');
+    if (!stage || !bar) return;
+
+    if (progress && progress.phase === 'simulating') {
+        bar.value = progress.percent / 100;
+        stage.textContent = `Running Monte Carlo simulation... ${Math.floor(progress.percent)}%`;
+    } else if (progress && progress.phase === 'analyzing') {
+        // Solving has no iteration count; an indeterminate bar
+        bar.removeAttribute('value');
+        stage.textContent = 'Solving spending and guardrail triggers...';
+    } else {
+        bar.value = 0;
+        stage.textContent = 'Running Monte Carlo simulation...';
+        document.getElementById('loadingEstimate').textContent = '';
+    }
+}
+
+/**
+ * Show the running PoS estimate of the simulation in progress.
+ * @param {{model: string, probability_of_success: number, iterations: number}} partial
+ */
+function updatePartialEstimate(partial) {
+    const estimate = document.getElementById('loadingEstimate');
+    if (!estimate) return;
+
+    const labels = { standard: 'Standard', enhanced: 'Enhanced', historical: 'Historical' };
+    estimate.textContent = `${labels[partial.model] || partial.model} estimate: ` +
+        `${partial.probability_of_success.toFixed(1)}% PoS after ${partial.iterations.toLocaleString()} iterations`;
+}
+
 function debounce(func, wait) {
     let timeout;
     return function executedFunction(...args) {
@@ -306,7 +427,7 @@ function loadFromLocalStorage() {
             if (key === 'income_sources' || key === 'future_expenses') continue;
             
             // Handle percentages that were divided by 100 in collectFormData
-            if (['annual_fee_percentage', 'inflation_rate'].includes(key)) {
+            if (['annual_fee_percentage', 'inflation_rate', 'survivor_spending_multiplier', 'wage_growth_rate'].includes(key)) {
                 const input = form.querySelector(`[name="${key}"]`);
                 if (input) input.value = value * 100;
                 continue;
@@ -324,6 +445,93 @@ function loadFromLocalStorage() {
                 continue;
             }
 
+            // Handle nested capital market assumptions
+            if (key === 'capital_market_assumptions') {
+                applyCapitalMarketAssumptionsToForm(form, value);
+                continue;
+            }
+
+            // Handle historical simulation checkbox
+            if (key === 'historical_mc_enabled') {
+                const checkbox = document.getElementById('historicalMcEnabled');
+                if (checkbox) {
+                    checkbox.checked = Boolean(value);
+                    const optionsDiv = document.getElementById('historicalMcOptions');
+                    if (optionsDiv) optionsDiv.style.display = value ? 'block' : 'none';
+                    updateCalculateButtonLabel();
+                }
+                continue;
+            }
+
+            // Handle longevity mode checkbox
+            if (key === 'longevity_mode') {
+                const checkbox = document.getElementById('longevityMode');
+                if (checkbox) {
+                    checkbox.checked = Boolean(value);
+                    const optionsDiv = document.getElementById('longevityOptions');
+                    if (optionsDiv) optionsDiv.style.display = value ? 'grid' : 'none';
+                }
+                continue;
+            }
+
+            // Handle tax accounts (nested in collectFormData)
+            if (key === 'accounts') {
+                const checkbox = document.getElementById('accountsEnabled');
+                if (checkbox) {
+                    checkbox.checked = Boolean(value);
+                    const optionsDiv = document.getElementById('accountsOptions');
+                    if (optionsDiv) optionsDiv.style.display = value ? 'block' : 'none';
+                }
+                for (const field of ['pre_tax', 'roth', 'taxable', 'taxable_basis']) {
+                    const input = form.querySelector(`[name="account_${field}"]`);
+                    if (input && value && value[field] != null) input.value = value[field];
+                }
+                continue;
+            }
+
+            // Handle survivor modeling checkbox
+            if (key === 'survivor_modeling') {
+                const checkbox = document.getElementById('survivorModeling');
+                if (checkbox) {
+                    checkbox.checked = Boolean(value);
+                    const optionsDiv = document.getElementById('survivorOptions');
+                    if (optionsDiv) optionsDiv.style.display = value ? 'grid' : 'none';
+                }
+                continue;
+            }
+
+            // Handle dynamic guardrails checkbox
+            if (key === 'dynamic_guardrails_enabled') {
+                const checkbox = document.getElementById('dynamicGuardrailsEnabled');
+                if (checkbox) {
+                    checkbox.checked = Boolean(value);
+                    const optionsDiv = document.getElementById('dynamicGuardrailsOptions');
+                    if (optionsDiv) optionsDiv.style.display = value ? 'block' : 'none';
+                }
+                continue;
+            }
+
+            // Handle adaptive iterations checkbox
+            if (key === 'adaptive_iterations') {
+                const checkbox = document.getElementById('adaptiveIterations');
+                if (checkbox) checkbox.checked = Boolean(value);
+                continue;
+            }
+
+            // Handle allocation sweep checkbox
+            if (key === 'allocation_sweep_enabled') {
+                const checkbox = document.getElementById('allocationSweepEnabled');
+                if (checkbox) checkbox.checked = Boolean(value);
+                continue;
+            }
+
+            // Handle sensitivity analysis checkbox
+            if (key === 'sensitivity_enabled') {
+                const checkbox = document.getElementById('sensitivityEnabled');
+                if (checkbox) checkbox.checked = Boolean(value);
+                continue;
+            }
+
             // Handle enhanced MC autocorrelation
             if (key === 'enhanced_mc_autocorrelation') {
                 const slider = document.getElementById('enhancedMcAutocorrelation');
@@ -379,6 +587,9 @@ function loadFromLocalStorage() {
         if (typeof updateAllocationBar === 'function') {
             updateAllocationBar();
         }
+        if (typeof updateHistoricalBlockLengthState === 'function') {
+            updateHistoricalBlockLengthState();
+        }
 
     } catch (e) {
         console.error("Error loading from local storage", e);
@@ -514,6 +725,107 @@ function loadFromQueryParams() {
             continue;
         }
 
+        // Handle checkbox for historical simulation
+        if (key === 'historical_mc_enabled') {
+            const checkbox = document.getElementById('historicalMcEnabled');
+            if (checkbox) {
+                checkbox.checked = value === 'true' || value === true;
+                const optionsDiv = document.getElementById('historicalMcOptions');
+                if (optionsDiv) optionsDiv.style.display = checkbox.checked ? 'block' : 'none';
+                if (checkbox.checked) {
+                    const advContent = document.getElementById('advancedContent');
+                    const advToggle = document.getElementById('advancedToggle');
+                    if (advContent) advContent.style.display = 'block';
+                    if (advToggle) {
+                        advToggle.setAttribute('aria-expanded', 'true');
+                        advToggle.textContent = 'Advanced Simulation Options \u25be';
+                    }
+                }
+                updateCalculateButtonLabel();
+            }
+            continue;
+        }
+
+        // Handle checkbox for longevity mode
+        if (key === 'longevity_mode') {
+            const checkbox = document.getElementById('longevityMode');
+            if (checkbox) {
+                checkbox.checked = value === 'true' || value === true;
+                const optionsDiv = document.getElementById('longevityOptions');
+                if (optionsDiv) optionsDiv.style.display = checkbox.checked ? 'grid' : 'none';
+            }
+            continue;
+        }
+
+        // Handle checkbox for tax accounts
+        if (key === 'accounts_enabled') {
+            const checkbox = document.getElementById('accountsEnabled');
+            if (checkbox) {
+                checkbox.checked = value === 'true' || value === true;
+                const optionsDiv = document.getElementById('accountsOptions');
+                if (optionsDiv) optionsDiv.style.display = checkbox.checked ? 'block' : 'none';
+            }
+            continue;
+        }
+
+        // Handle checkbox for survivor modeling
+        if (key === 'survivor_modeling') {
+            const checkbox = document.getElementById('survivorModeling');
+            if (checkbox) {
+                checkbox.checked = value === 'true' || value === true;
+                const optionsDiv = document.getElementById('survivorOptions');
+                if (optionsDiv) optionsDiv.style.display = checkbox.checked ? 'grid' : 'none';
+            }
+            continue;
+        }
+
+        // Handle checkbox for dynamic guardrails
+        if (key === 'dynamic_guardrails_enabled') {
+            const checkbox = document.getElementById('dynamicGuardrailsEnabled');
+            if (checkbox) {
+                checkbox.checked = value === 'true' || value === true;
+                const optionsDiv = document.getElementById('dynamicGuardrailsOptions');
+                if (optionsDiv) optionsDiv.style.display = checkbox.checked ? 'block' : 'none';
+            }
+            continue;
+        }
+
+        // Handle checkbox for adaptive iterations
+        if (key === 'adaptive_iterations') {
+            const checkbox = document.getElementById('adaptiveIterations');
+            if (checkbox) {
+                checkbox.checked = value === 'true' || value === true;
+                if (checkbox.checked) {
+                    const advContent = document.getElementById('advancedContent');
+                    const advToggle = document.getElementById('advancedToggle');
+                    if (advContent) advContent.style.display = 'block';
+                    if (advToggle) {
+                        advToggle.setAttribute('aria-expanded', 'true');
+                        advToggle.textContent = 'Advanced Simulation Options \u25be';
+                    }
+                }
+            }
+            continue;
+        }
+
+        // Handle checkboxes for the allocation sweep and the sensitivity analysis
+        if (key === 'allocation_sweep_enabled' || key === 'sensitivity_enabled') {
+            const checkbox = document.getElementById(key === 'allocation_sweep_enabled' ? 'allocationSweepEnabled' : 'sensitivityEnabled');
+            if (checkbox) {
+                checkbox.checked = value === 'true' || value === true;
+                if (checkbox.checked) {
+                    const advContent = document.getElementById('advancedContent');
+                    const advToggle = document.getElementById('advancedToggle');
+                    if (advContent) advContent.style.display = 'block';
+                    if (advToggle) {
+                        advToggle.setAttribute('aria-expanded', 'true');
+                        advToggle.textContent = 'Advanced Simulation Options \u25be';
+                    }
+                }
+            }
+            continue;
+        }
+
         const input = form.querySelector(`[name="${CSS.escape(key)}"]`);
         if (input) {
             input.value = value;
@@ -548,10 +860,59 @@ function loadFromQueryParams() {
     if (typeof updateAllocationBar === 'function') {
         updateAllocationBar();
     }
+    if (typeof updateHistoricalBlockLengthState === 'function') {
+        updateHistoricalBlockLengthState();
+    }
 
     return true;
 }
 
+// Build capital_market_assumptions from the CMA inputs the user changed
+// (null when all are at their defaults, so the engine keeps its own defaults)
+function collectCapitalMarketAssumptions(form) {
+    let cma = null;
+
+    for (const [name, [group, field], isPercentage] of CMA_FIELDS) {
+        const input = form.querySelector(`[name="${name}"]`);
+        if (!input || input.value === '' || input.value === input.defaultValue) continue;
+
+        const value = parseFloat(input.value);
+        if (Number.isNaN(value)) continue;
+
+        cma = cma || {};
+        cma[group] = cma[group] || {};
+        cma[group][field] = isPercentage ? value / 100 : value;
+    }
+
+    return cma;
+}
+
+function applyCapitalMarketAssumptionsToForm(form, cma) {
+    if (!cma || typeof cma !== 'object') return;
+
+    for (const [name, [group, field], isPercentage] of CMA_FIELDS) {
+        const value = cma[group]?.[field];
+        const input = form.querySelector(`[name="${name}"]`);
+        if (input && typeof value === 'number') {
+            input.value = isPercentage ? parseFloat((value * 100).toFixed(4)) : value;
+        }
+    }
+}
+
+// Tax account balances, or null when taxes are not modelled
+function collectAccounts(formData) {
+    if (!document.getElementById('accountsEnabled')?.checked) return null;
+
+    const accounts = {
+        pre_tax: parseFloat(formData.get('account_pre_tax')) || 0,
+        roth: parseFloat(formData.get('account_roth')) || 0,
+        taxable: parseFloat(formData.get('account_taxable')) || 0,
+    };
+    const basis = parseFloat(formData.get('account_taxable_basis'));
+    if (Number.isFinite(basis)) accounts.taxable_basis = basis;
+    return accounts;
+}
+
 // Collect form data
 function collectFormData() {
     const form = document.getElementById('calculatorForm');
@@ -564,19 +925,53 @@ function collectFormData() {
         planning_horizon_years: parseInt(formData.get('planning_horizon_years')),
         current_portfolio_value: parseFloat(formData.get('current_portfolio_value')),
         desired_spending: parseFloat(formData.get('desired_spending')),
+        annual_contribution: parseFloat(formData.get('annual_contribution')) || 0,
+        contribution_growth: formData.get('contribution_growth') || 'inflation',
+        wage_growth_rate: (parseFloat(formData.get('wage_growth_rate')) || 3.5) / 100,
         stock_allocation: parseFloat(formData.get('stock_allocation')),
         bond_allocation: parseFloat(formData.get('bond_allocation')),
         cash_allocation: parseFloat(formData.get('cash_allocation')),
+        glide_path: formData.get('glide_path') || null,
         annual_fee_percentage: parseFloat(formData.get('annual_fee_percentage')) / 100, // Convert to decimal
         inflation_rate: parseFloat(formData.get('inflation_rate')) / 100, // Convert to decimal
         spending_profile_type: formData.get('spending_profile_type'),
         lower_guardrail: parseFloat(formData.get('lower_guardrail')),
         upper_guardrail: parseFloat(formData.get('upper_guardrail')),
         target_guardrail: parseFloat(formData.get('target_guardrail')),
+        longevity_mode: document.getElementById('longevityMode')?.checked || false,
+        spouse1_sex: formData.get('spouse1_sex') || 'unisex',
+        spouse2_sex: formData.get('spouse2_sex') || 'unisex',
+        survivor_modeling: document.getElementById('survivorModeling')?.checked || false,
+        first_death_spouse: formData.get('first_death_spouse') || null,
+        first_death_age: parseInt(formData.get('first_death_age'), 10) || null,
+        survivor_spending_multiplier: (parseFloat(formData.get('survivor_spending_multiplier')) || 75) / 100,
+        dynamic_guardrails_enabled: document.getElementById('dynamicGuardrailsEnabled')?.checked || false,
+        dynamic_guardrails_paths: parseInt(document.getElementById('dynamicGuardrailsPaths')?.value, 10) || 1000,
         monte_carlo_iterations: 10000,
+        adaptive_iterations: document.getElementById('adaptiveIterations')?.checked || false,
+        allocation_sweep_enabled: document.getElementById('allocationSweepEnabled')?.checked || false,
+        sensitivity_enabled: document.getElementById('sensitivityEnabled')?.checked || false,
+        sample_paths: parseInt(document.getElementById('samplePaths')?.value, 10) || 0,
         enhanced_mc_enabled: document.getElementById('enhancedMcEnabled')?.checked || false,
         enhanced_mc_autocorrelation: parseFloat(document.getElementById('enhancedMcAutocorrelation')?.value) || -0.10,
+        historical_mc_enabled: document.getElementById('historicalMcEnabled')?.checked || false,
+        historical_mode: document.getElementById('historicalMode')?.value || 'bootstrap',
+        historical_block_length: parseInt(document.getElementById('historicalBlockLength')?.value, 10) || 5,
+        random_seed: parseInt(formData.get('random_seed'), 10),
+        capital_market_assumptions: collectCapitalMarketAssumptions(form),
+        accounts: collectAccounts(formData),
+        withdrawal_order: formData.get('withdrawal_order') || 'taxable_first',
+        rmd_start_age: parseInt(formData.get('rmd_start_age'), 10) || 73,
     };
+    if (!Number.isInteger(data.random_seed)) {
+        data.random_seed = null;
+    }
+    // A glide path replaces the fixed allocation
+    if (data.glide_path) {
+        delete data.stock_allocation;
+        delete data.bond_allocation;
+        delete data.cash_allocation;
+    }
     
     // Collect income sources
     data.income_sources = [];
@@ -593,7 +988,9 @@ function collectFormData() {
                 start_age: parseInt(formData.get(`income_sources[${sourceId}][start_age]`)) || 0,
                 end_age: formData.get(`income_sources[${sourceId}][end_age]`) ? 
                     parseInt(formData.get(`income_sources[${sourceId}][end_age]`)) : null,
-                inflation_adjusted: formData.get(`income_sources[${sourceId}][inflation_adjusted]`) === 'true'
+                inflation_adjusted: formData.get(`income_sources[${sourceId}][inflation_adjusted]`) === 'true',
+                type: formData.get(`income_sources[${sourceId}][type]`) || 'other',
+                survivor_percentage: parseFloat(formData.get(`income_sources[${sourceId}][survivor_percentage]`)) || 0
             };
             
             data.income_sources.push(incomeSource);
@@ -639,9 +1036,9 @@ function validateFormData(data) {
     clearFieldErrors();
     let firstInvalidFieldId = null;
 
-    // Check allocation totals 100%
+    // Check allocation totals 100% (a glide path's presets always do)
     const totalAllocation = data.stock_allocation + data.bond_allocation + data.cash_allocation;
-    if (Math.abs(totalAllocation - 100) > 0.01) {
+    if (!data.glide_path && Math.abs(totalAllocation - 100) > 0.01) {
         ['stockAllocation', 'bondAllocation', 'cashAllocation'].forEach((fieldId) => {
             showFieldError(fieldId, 'Allocations must total 100%');
             if (!firstInvalidFieldId) {
@@ -655,17 +1052,17 @@ function validateFormData(data) {
         };
     }
     
-    // Check spouse1 age >= age at retirement
-    if (data.spouse1_age < data.retirement_age) {
-        showFieldError('spouse1Age', 'Must be greater than or equal to retirement age');
-        showFieldError('retirementAge', 'Must be less than or equal to current age');
+    // Check retirement falls within the plan (it may still be ahead)
+    if (data.spouse1_age + data.planning_horizon_years <= data.retirement_age) {
+        showFieldError('retirementAge', 'Must be within the planning horizon');
+        showFieldError('planningHorizon', 'Must reach past the age at retirement');
         if (!firstInvalidFieldId) {
-            firstInvalidFieldId = 'spouse1Age';
+            firstInvalidFieldId = 'retirementAge';
         }
         scrollToField(firstInvalidFieldId);
         return {
             valid: false,
-            message: 'Current age must be greater than or equal to age at retirement'
+            message: 'Age at retirement must fall within the planning horizon'
         };
     }
     
@@ -709,6 +1106,31 @@ function validateFormData(data) {
         };
     }
 
+    // Tax accounts split the portfolio, so they must add up to it
+    if (data.accounts) {
+        const accountsTotal = data.accounts.pre_tax + data.accounts.roth + data.accounts.taxable;
+        if (Math.abs(accountsTotal - data.current_portfolio_value) > 0.01 * data.current_portfolio_value) {
+            ['accountPreTax', 'accountRoth', 'accountTaxable'].forEach((fieldId) => {
+                showFieldError(fieldId, 'Accounts must add up to the portfolio value');
+            });
+            scrollToField('accountPreTax');
+            return {
+                valid: false,
+                message: 'Account balances must add up to the current portfolio value. Current total: $' + accountsTotal.toLocaleString()
+            };
+        }
+    }
+
+    // Survivor modeling needs a second spouse
+    if (data.survivor_modeling && !data.spouse2_age) {
+        showFieldError('spouse2Age', 'Required for survivor modeling');
+        scrollToField('spouse2Age');
+        return {
+            valid: false,
+            message: 'Survivor modeling requires Spouse 2 age'
+        };
+    }
+
     if (data.target_guardrail <= data.lower_guardrail || data.target_guardrail >= data.upper_guardrail) {
         showFieldError('targetGuardrail', 'Must be between lower and upper guardrails');
         if (!firstInvalidFieldId) {
@@ -14,7 +14,7 @@ function updateChartDefaults() {
 }
 
 // Create projection chart (Monte Carlo fan chart)
-function createProjectionChart(results, enhancedResults) {
+function createProjectionChart(results, enhancedResults, historicalResults) {
     updateChartDefaults();
     const ctx = document.getElementById('projectionChart');
     
@@ -116,9 +116,64 @@ function createProjectionChart(results, enhancedResults) {
             }
         );
     }
+
+    // Add historical simulation overlay if available
+    if (historicalResults && historicalResults.monte_carlo && historicalResults.monte_carlo.yearly_percentiles) {
+        const historicalData = historicalResults.monte_carlo.yearly_percentiles;
+        datasets.push(
+            {
+                label: 'Historical Median (50th)',
+                data: historicalData.map(d => d.p50),
+                borderColor: 'rgba(168, 85, 247, 1)',
+                backgroundColor: 'transparent',
+                borderWidth: 3,
+                borderDash: [2, 3],
+                pointRadius: 0,
+                tension: 0.4
+            },
+            {
+                label: 'Historical 10th Percentile',
+                data: historicalData.map(d => d.p10),
+                borderColor: 'rgba(168, 85, 247, 0.6)',
+                backgroundColor: 'transparent',
+                borderWidth: 2,
+                borderDash: [2, 3],
+                pointRadius: 0,
+                tension: 0.4
+            }
+        );
+    }
     
+    // Shade the accumulation phase and mark the retirement age; the last
+    // accumulation year ends with the portfolio at retirement
+    const accumulationYears = results.accumulation ? results.accumulation.years : 0;
+    const phasePlugin = {
+        id: 'accumulationPhase',
+        beforeDatasetsDraw(chart) {
+            if (accumulationYears === 0) return;
+            const { ctx: canvas, chartArea, scales } = chart;
+            const retirementX = scales.x.getPixelForValue(accumulationYears - 1);
+
+            canvas.save();
+            canvas.fillStyle = 'rgba(148, 163, 184, 0.12)';
+            canvas.fillRect(chartArea.left, chartArea.top, retirementX - chartArea.left, chartArea.bottom - chartArea.top);
+            canvas.strokeStyle = 'rgba(148, 163, 184, 0.8)';
+            canvas.setLineDash([4, 4]);
+            canvas.beginPath();
+            canvas.moveTo(retirementX, chartArea.top);
+            canvas.lineTo(retirementX, chartArea.bottom);
+            canvas.stroke();
+            canvas.fillStyle = Chart.defaults.color;
+            canvas.font = '11px sans-serif';
+            canvas.fillText('Accumulation', chartArea.left + 6, chartArea.top + 14);
+            canvas.fillText(`Retirement (age ${results.accumulation.retirement_age})`, retirementX + 6, chartArea.top + 14);
+            canvas.restore();
+        }
+    };
+
     app.charts.projection = new Chart(ctx, {
         type: 'line',
+        plugins: [phasePlugin],
         data: {
             labels: labels,
             datasets: datasets
@@ -234,7 +289,36 @@ function createCashflowChart(results) {
                     borderWidth: 2,
                     pointRadius: 0,
                     tension: 0.3
-                }
+                },
+                ...(timeline.some(entry => entry.taxes > 0) ? [{
+                    label: 'Taxes',
+                    data: timeline.map(entry => entry.taxes),
+                    borderColor: 'rgba(245, 158, 11, 0.9)',
+                    backgroundColor: 'rgba(245, 158, 11, 0.1)',
+                    borderWidth: 2,
+                    borderDash: [4, 3],
+                    pointRadius: 0,
+                    tension: 0.3
+                }] : []),
+                ...(timeline.some(entry => entry.contribution > 0) ? [{
+                    label: 'Contributions',
+                    data: timeline.map(entry => entry.contribution),
+                    borderColor: 'rgba(20, 184, 166, 0.9)',
+                    backgroundColor: 'rgba(20, 184, 166, 0.1)',
+                    borderWidth: 2,
+                    pointRadius: 0,
+                    tension: 0.3
+                }] : []),
+                ...(timeline.some(entry => entry.rmd > 0) ? [{
+                    label: 'Required Minimum Distribution',
+                    data: timeline.map(entry => entry.rmd),
+                    borderColor: 'rgba(139, 92, 246, 0.9)',
+                    backgroundColor: 'rgba(139, 92, 246, 0.1)',
+                    borderWidth: 2,
+                    borderDash: [2, 2],
+                    pointRadius: 0,
+                    tension: 0.3
+                }] : [])
             ]
         },
         options: {
@@ -247,7 +331,9 @@ function createCashflowChart(results) {
             plugins: {
                 title: {
                     display: true,
-                    text: 'Income, Expenses, and Net Withdrawals',
+                    text: timeline.some(entry => entry.taxes > 0)
+                        ? 'Income, Expenses, Net Withdrawals and Taxes'
+                        : 'Income, Expenses, and Net Withdrawals',
                     font: {
                         size: 14,
                         weight: 'bold'
@@ -304,6 +390,877 @@ function createCashflowChart(results) {
     });
 }
 
+// Create spending vs PoS chart (PoS curve with the guardrail bands)
+function createSpendingPosChart(results) {
+    const box = document.getElementById('spendingPosChartBox');
+
+    if (app.charts.spendingPos) {
+        app.charts.spendingPos.destroy();
+        app.charts.spendingPos = null;
+    }
+
+    const curve = results.spending_pos_curve;
+    if (!curve) {
+        if (box) box.style.display = 'none';
+        return;
+    }
+
+    if (box) box.style.display = 'block';
+    updateChartDefaults();
+    const ctx = document.getElementById('spendingPosChart');
+
+    const { lower, target, upper } = curve.guardrails;
+    // Shade the PoS bands the guardrails divide the curve into and mark
+    // the target PoS
+    const bandsPlugin = {
+        id: 'guardrailBands',
+        beforeDatasetsDraw(chart) {
+            const { ctx: canvas, chartArea, scales } = chart;
+            const band = (from, to, color) => {
+                const top = scales.y.getPixelForValue(to);
+                canvas.fillStyle = color;
+                canvas.fillRect(chartArea.left, top, chartArea.right - chartArea.left, scales.y.getPixelForValue(from) - top);
+            };
+
+            canvas.save();
+            band(upper.probability_of_success, 100, 'rgba(59, 130, 246, 0.08)');
+            band(lower.probability_of_success, upper.probability_of_success, 'rgba(34, 197, 94, 0.1)');
+            band(0, lower.probability_of_success, 'rgba(239, 68, 68, 0.08)');
+
+            const targetY = scales.y.getPixelForValue(target.probability_of_success);
+            canvas.strokeStyle = 'rgba(34, 197, 94, 0.8)';
+            canvas.setLineDash([4, 4]);
+            canvas.beginPath();
+            canvas.moveTo(chartArea.left, targetY);
+            canvas.lineTo(chartArea.right, targetY);
+            canvas.stroke();
+            canvas.fillStyle = Chart.defaults.color;
+            canvas.font = '11px sans-serif';
+            canvas.fillText(`Target ${target.probability_of_success}% at ${formatCurrency(target.spending)}`,
+                chartArea.left + 6, targetY - 6);
+            canvas.restore();
+        }
+    };
+
+    app.charts.spendingPos = new Chart(ctx, {
+        type: 'line',
+        plugins: [bandsPlugin],
+        data: {
+            datasets: [
+                {
+                    label: 'Probability of Success',
+                    data: curve.points.map(point => ({ x: point.spending, y: point.probability_of_success })),
+                    borderColor: 'rgba(99, 102, 241, 1)',
+                    backgroundColor: 'rgba(99, 102, 241, 1)',
+                    borderWidth: 2,
+                    pointRadius: 0
+                },
+                {
+                    label: 'Desired Spending',
+                    data: [{ x: curve.desired.spending, y: curve.desired.probability_of_success }],
+                    borderColor: 'rgba(249, 115, 22, 1)',
+                    backgroundColor: 'rgba(249, 115, 22, 1)',
+                    pointRadius: 6,
+                    pointHoverRadius: 8,
+                    showLine: false
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            interaction: {
+                mode: 'nearest',
+                axis: 'x',
+                intersect: false,
+            },
+            plugins: {
+                title: {
+                    display: true,
+                    text: `${formatPercentage(curve.desired.probability_of_success, 1)} PoS at ` +
+                        `${formatCurrency(curve.desired.spending)} Desired Spending`,
+                    font: {
+                        size: 14,
+                        weight: 'bold'
+                    }
+                },
+                subtitle: {
+                    display: true,
+                    text: `Guardrails: ${formatCurrency(upper.spending)} at ${upper.probability_of_success}% \u00b7 ` +
+                        `${formatCurrency(lower.spending)} at ${lower.probability_of_success}%; ` +
+                        'every level uses the same market paths'
+                },
+                legend: {
+                    display: true,
+                    position: 'bottom',
+                    labels: {
+                        boxWidth: 12,
+                        font: {
+                            size: 11
+                        }
+                    }
+                },
+                tooltip: {
+                    callbacks: {
+                        title: function(context) {
+                            return `${formatCurrency(context[0].parsed.x)} per year`;
+                        },
+                        label: function(context) {
+                            return `${context.dataset.label}: ${formatPercentage(context.parsed.y, 1)} PoS`;
+                        }
+                    }
+                }
+            },
+            scales: {
+                y: {
+                    min: 0,
+                    max: 100,
+                    ticks: {
+                        callback: function(value) {
+                            return value + '%';
+                        }
+                    },
+                    title: {
+                        display: true,
+                        text: 'Probability of Success'
+                    }
+                },
+                x: {
+                    type: 'linear',
+                    min: 0,
+                    max: curve.points[curve.points.length - 1].spending,
+                    ticks: {
+                        callback: function(value) {
+                            return '$' + (value / 1000).toFixed(0) + 'k';
+                        }
+                    },
+                    title: {
+                        display: true,
+                        text: 'Annual Spending'
+                    }
+                }
+            }
+        }
+    });
+}
+
+// Create dynamic guardrail spending chart (spending level by age across paths)
+function createDynamicSpendingChart(dynamic) {
+    const box = document.getElementById('dynamicSpendingChartBox');
+
+    if (app.charts.dynamicSpending) {
+        app.charts.dynamicSpending.destroy();
+        app.charts.dynamicSpending = null;
+    }
+
+    if (!dynamic) {
+        if (box) box.style.display = 'none';
+        return;
+    }
+
+    if (box) box.style.display = 'block';
+    updateChartDefaults();
+    const ctx = document.getElementById('dynamicSpendingChart');
+
+    const bands = dynamic.spending_percentiles;
+    const labels = bands.map(entry => entry.age);
+
+    app.charts.dynamicSpending = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels,
+            datasets: [
+                {
+                    label: '90th Percentile',
+                    data: bands.map(entry => entry.p90),
+                    borderColor: 'rgba(34, 197, 94, 0.8)',
+                    backgroundColor: 'rgba(34, 197, 94, 0.1)',
+                    fill: '+1',
+                    borderWidth: 2,
+                    pointRadius: 0,
+                    stepped: true
+                },
+                {
+                    label: '75th Percentile',
+                    data: bands.map(entry => entry.p75),
+                    borderColor: 'rgba(59, 130, 246, 0.6)',
+                    backgroundColor: 'rgba(59, 130, 246, 0.1)',
+                    fill: '+1',
+                    borderWidth: 1,
+                    pointRadius: 0,
+                    stepped: true
+                },
+                {
+                    label: 'Median (50th)',
+                    data: bands.map(entry => entry.p50),
+                    borderColor: 'rgba(99, 102, 241, 1)',
+                    backgroundColor: 'transparent',
+                    borderWidth: 3,
+                    pointRadius: 0,
+                    stepped: true
+                },
+                {
+                    label: '25th Percentile',
+                    data: bands.map(entry => entry.p25),
+                    borderColor: 'rgba(59, 130, 246, 0.6)',
+                    backgroundColor: 'rgba(59, 130, 246, 0.1)',
+                    fill: '+1',
+                    borderWidth: 1,
+                    pointRadius: 0,
+                    stepped: true
+                },
+                {
+                    label: '10th Percentile',
+                    data: bands.map(entry => entry.p10),
+                    borderColor: 'rgba(239, 68, 68, 0.8)',
+                    backgroundColor: 'rgba(239, 68, 68, 0.1)',
+                    fill: false,
+                    borderWidth: 2,
+                    pointRadius: 0,
+                    stepped: true
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            interaction: {
+                mode: 'index',
+                intersect: false,
+            },
+            plugins: {
+                title: {
+                    display: true,
+                    text: 'Guardrail Spending Over Time (Today\'s Dollars)',
+                    font: {
+                        size: 14,
+                        weight: 'bold'
+                    }
+                },
+                legend: {
+                    display: true,
+                    position: 'bottom',
+                    labels: {
+                        boxWidth: 12,
+                        font: {
+                            size: 11
+                        }
+                    }
+                },
+                tooltip: {
+                    callbacks: {
+                        title: function(context) {
+                            return `Age ${labels[context[0].dataIndex]}`;
+                        },
+                        label: function(context) {
+                            return `${context.dataset.label}: ${formatCurrency(context.parsed.y)}`;
+                        }
+                    }
+                }
+            },
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    ticks: {
+                        callback: function(value) {
+                            return '$' + (value / 1000).toFixed(0) + 'k';
+                        }
+                    },
+                    title: {
+                        display: true,
+                        text: 'Annual Spending'
+                    }
+                },
+                x: {
+                    title: {
+                        display: true,
+                        text: 'Age'
+                    }
+                }
+            }
+        }
+    });
+}
+
+// Create allocation sweep chart (PoS and recommended spending by stock allocation)
+function createAllocationSweepChart(sweep, results) {
+    const box = document.getElementById('allocationSweepChartBox');
+
+    if (app.charts.allocationSweep) {
+        app.charts.allocationSweep.destroy();
+        app.charts.allocationSweep = null;
+    }
+
+    if (!sweep) {
+        if (box) box.style.display = 'none';
+        return;
+    }
+
+    if (box) box.style.display = 'block';
+    updateChartDefaults();
+    const ctx = document.getElementById('allocationSweepChart');
+
+    const mixes = sweep.mixes;
+    const labels = mixes.map(mix => mix.stock);
+    // Highlight the plan's own (starting) stock allocation when it is on the grid
+    const currentStock = results.portfolio_metrics.allocation_path?.[0]?.stock;
+    const pointRadius = mixes.map(mix => (mix.stock === currentStock ? 6 : 3));
+
+    app.charts.allocationSweep = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels,
+            datasets: [
+                {
+                    label: 'PoS at Desired Spending',
+                    data: mixes.map(mix => mix.probability_of_success),
+                    borderColor: 'rgba(99, 102, 241, 1)',
+                    backgroundColor: 'rgba(99, 102, 241, 1)',
+                    borderWidth: 2,
+                    pointRadius,
+                    yAxisID: 'y'
+                },
+                {
+                    label: 'Recommended Spending',
+                    data: mixes.map(mix => mix.recommended_spending),
+                    borderColor: 'rgba(34, 197, 94, 0.9)',
+                    backgroundColor: 'rgba(34, 197, 94, 0.9)',
+                    borderWidth: 2,
+                    pointRadius,
+                    yAxisID: 'y1'
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            interaction: {
+                mode: 'index',
+                intersect: false,
+            },
+            plugins: {
+                title: {
+                    display: true,
+                    text: `Highest PoS at ${sweep.best.probability_of_success.stock}% Stocks \u00b7 ` +
+                        `Highest Spending at ${sweep.best.recommended_spending.stock}% Stocks`,
+                    font: {
+                        size: 14,
+                        weight: 'bold'
+                    }
+                },
+                subtitle: {
+                    display: true,
+                    text: `Cash held at ${sweep.cash_allocation}%; every mix uses the same market paths`
+                },
+                legend: {
+                    display: true,
+                    position: 'bottom',
+                    labels: {
+                        boxWidth: 12,
+                        font: {
+                            size: 11
+                        }
+                    }
+                },
+                tooltip: {
+                    callbacks: {
+                        title: function(context) {
+                            const mix = mixes[context[0].dataIndex];
+                            return `${mix.stock}/${mix.bond}/${mix.cash} (stocks/bonds/cash)`;
+                        },
+                        label: function(context) {
+                            return context.dataset.yAxisID === 'y'
+                                ? `${context.dataset.label}: ${formatPercentage(context.parsed.y, 1)}`
+                                : `${context.dataset.label}: ${formatCurrency(context.parsed.y)}`;
+                        },
+                        footer: function(context) {
+                            const mix = mixes[context[0].dataIndex];
+                            return `Expected return ${formatPercentage(mix.expected_return)}, ` +
+                                `volatility ${formatPercentage(mix.portfolio_volatility)}`;
+                        }
+                    }
+                }
+            },
+            scales: {
+                y: {
+                    min: 0,
+                    max: 100,
+                    ticks: {
+                        callback: function(value) {
+                            return value + '%';
+                        }
+                    },
+                    title: {
+                        display: true,
+                        text: 'Probability of Success'
+                    }
+                },
+                y1: {
+                    beginAtZero: true,
+                    position: 'right',
+                    grid: {
+                        drawOnChartArea: false
+                    },
+                    ticks: {
+                        callback: function(value) {
+                            return '$' + (value / 1000).toFixed(0) + 'k';
+                        }
+                    },
+                    title: {
+                        display: true,
+                        text: 'Recommended Spending'
+                    }
+                },
+                x: {
+                    title: {
+                        display: true,
+                        text: 'Stocks (%)'
+                    }
+                }
+            }
+        }
+    });
+}
+
+// Create sensitivity tornado chart (swing of each input, widest first)
+function createSensitivityChart(sensitivity) {
+    const box = document.getElementById('sensitivityChartBox');
+
+    if (app.charts.sensitivity) {
+        app.charts.sensitivity.destroy();
+        app.charts.sensitivity = null;
+    }
+
+    if (!sensitivity || sensitivity.inputs.length === 0) {
+        if (box) box.style.display = 'none';
+        return;
+    }
+
+    if (box) box.style.display = 'block';
+    updateChartDefaults();
+    const ctx = document.getElementById('sensitivityChart');
+
+    // Chart PoS unless no input moves it (e.g. every variant succeeds on
+    // every path); then chart recommended spending
+    const byPos = sensitivity.inputs.some(input => input.pos_swing > 0);
+    const metric = byPos ? 'probability_of_success' : 'recommended_spending';
+    const formatMetric = byPos ? (value) => formatPercentage(value, 1) : (value) => formatCurrency(value);
+    const inputs = sensitivity.rankings[metric].map(key => sensitivity.inputs.find(input => input.key === key));
+    const baseValue = sensitivity.base[metric];
+
+    const formatInput = (input, value) => {
+        if (/mean$|^inflation_rate$|^annual_fee_percentage$/.test(input.key)) return formatPercentage(value * 100, 2);
+        if (input.key === 'planning_horizon_years') return `${value} years`;
+        if (/age$/.test(input.key)) return `age ${value}`;
+        return formatCurrency(value);
+    };
+
+    app.charts.sensitivity = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: inputs.map(input => input.label),
+            datasets: [
+                {
+                    label: 'Input Lowered',
+                    data: inputs.map(input => [baseValue, input.low[metric]]),
+                    backgroundColor: 'rgba(239, 68, 68, 0.7)',
+                    borderColor: 'rgba(239, 68, 68, 1)',
+                    borderWidth: 1,
+                    grouped: false
+                },
+                {
+                    label: 'Input Raised',
+                    data: inputs.map(input => [baseValue, input.high[metric]]),
+                    backgroundColor: 'rgba(34, 197, 94, 0.7)',
+                    borderColor: 'rgba(34, 197, 94, 1)',
+                    borderWidth: 1,
+                    grouped: false
+                }
+            ]
+        },
+        options: {
+            indexAxis: 'y',
+            responsive: true,
+            maintainAspectRatio: true,
+            interaction: {
+                mode: 'index',
+                intersect: false,
+            },
+            plugins: {
+                title: {
+                    display: true,
+                    text: byPos
+                        ? `PoS Swing Around ${formatMetric(baseValue)}`
+                        : `Recommended Spending Swing Around ${formatMetric(baseValue)}`,
+                    font: {
+                        size: 14,
+                        weight: 'bold'
+                    }
+                },
+                subtitle: {
+                    display: true,
+                    text: 'Each input moved on its own; every variant uses the same market paths'
+                },
+                legend: {
+                    display: true,
+                    position: 'bottom',
+                    labels: {
+                        boxWidth: 12,
+                        font: {
+                            size: 11
+                        }
+                    }
+                },
+                tooltip: {
+                    callbacks: {
+                        label: function(context) {
+                            const input = inputs[context.dataIndex];
+                            const variant = context.datasetIndex === 0 ? input.low : input.high;
+                            return `${formatInput(input, input.base_value)} \u2192 ${formatInput(input, variant.value)}: ` +
+                                `${formatPercentage(variant.probability_of_success, 1)} PoS, ` +
+                                `${formatCurrency(variant.recommended_spending)} recommended`;
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    ticks: {
+                        callback: function(value) {
+                            return byPos ? value + '%' : '$' + (value / 1000).toFixed(0) + 'k';
+                        }
+                    },
+                    title: {
+                        display: true,
+                        text: byPos ? 'Probability of Success' : 'Recommended Spending'
+                    }
+                }
+            }
+        }
+    });
+}
+
+// Create failure chart (depletion ages of failed paths)
+function createFailureChart(results) {
+    const box = document.getElementById('failureChartBox');
+
+    if (app.charts.failure) {
+        app.charts.failure.destroy();
+        app.charts.failure = null;
+    }
+
+    const mc = results.monte_carlo;
+    const failure = mc.failure_analysis;
+    if (!failure || failure.failures === 0) {
+        if (box) box.style.display = 'none';
+        return;
+    }
+
+    if (box) box.style.display = 'block';
+    updateChartDefaults();
+    const ctx = document.getElementById('failureChart');
+
+    const histogram = failure.depletion_age_histogram;
+    const labels = histogram.map(entry => entry.age);
+    let cumulative = 0;
+    const cumulativeShare = histogram.map(entry => {
+        cumulative += entry.count;
+        return (cumulative / mc.iterations) * 100;
+    });
+
+    app.charts.failure = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels,
+            datasets: [
+                {
+                    label: 'Paths Running Out at This Age',
+                    data: histogram.map(entry => (entry.count / mc.iterations) * 100),
+                    backgroundColor: 'rgba(239, 68, 68, 0.6)',
+                    borderColor: 'rgba(239, 68, 68, 0.9)',
+                    borderWidth: 1,
+                    yAxisID: 'y'
+                },
+                {
+                    type: 'line',
+                    label: 'Failed by This Age (Cumulative)',
+                    data: cumulativeShare,
+                    borderColor: 'rgba(99, 102, 241, 1)',
+                    backgroundColor: 'transparent',
+                    borderWidth: 2,
+                    pointRadius: 0,
+                    stepped: true,
+                    yAxisID: 'y1'
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            interaction: {
+                mode: 'index',
+                intersect: false,
+            },
+            plugins: {
+                title: {
+                    display: true,
+                    text: `Median Depletion Age ${failure.depletion_age_p50.toFixed(0)} \u00b7 10% of Failures by ${failure.depletion_age_p10.toFixed(0)}`,
+                    font: {
+                        size: 14,
+                        weight: 'bold'
+                    }
+                },
+                subtitle: {
+                    display: true,
+                    text: `Shortfall if failed: ${failure.shortfall.mean_unfunded_years.toFixed(1)} years, ` +
+                        `${formatCurrency(failure.shortfall.mean_unfunded_amount)} unfunded (today's dollars)`
+                },
+                legend: {
+                    display: true,
+                    position: 'bottom',
+                    labels: {
+                        boxWidth: 12,
+                        font: {
+                            size: 11
+                        }
+                    }
+                },
+                tooltip: {
+                    callbacks: {
+                        title: function(context) {
+                            return `Age ${labels[context[0].dataIndex]}`;
+                        },
+                        label: function(context) {
+                            return `${context.dataset.label}: ${formatPercentage(context.parsed.y, 1)} of all paths`;
+                        }
+                    }
+                }
+            },
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    ticks: {
+                        callback: function(value) {
+                            return value.toFixed(1) + '%';
+                        }
+                    },
+                    title: {
+                        display: true,
+                        text: 'Share of Paths'
+                    }
+                },
+                y1: {
+                    beginAtZero: true,
+                    position: 'right',
+                    grid: {
+                        drawOnChartArea: false
+                    },
+                    ticks: {
+                        callback: function(value) {
+                            return value.toFixed(0) + '%';
+                        }
+                    },
+                    title: {
+                        display: true,
+                        text: 'Cumulative'
+                    }
+                },
+                x: {
+                    title: {
+                        display: true,
+                        text: 'Age'
+                    }
+                }
+            }
+        }
+    });
+}
+
+// Create sample paths chart (individual paths over the fan chart)
+function createSamplePathsChart(results) {
+    const box = document.getElementById('samplePathsChartBox');
+
+    if (app.charts.samplePaths) {
+        app.charts.samplePaths.destroy();
+        app.charts.samplePaths = null;
+    }
+    displaySamplePath(null);
+
+    const paths = results.monte_carlo.sample_paths;
+    if (!paths || paths.length === 0) {
+        if (box) box.style.display = 'none';
+        return;
+    }
+
+    if (box) box.style.display = 'block';
+    updateChartDefaults();
+    const ctx = document.getElementById('samplePathsChart');
+
+    const yearlyData = results.monte_carlo.yearly_percentiles;
+    const labels = yearlyData.map(d => d.age);
+    const outcomeStyles = {
+        median: { label: 'Median outcome', color: 'rgba(99, 102, 241, 1)', width: 3 },
+        success: { label: 'Success', color: 'rgba(34, 197, 94, 0.7)', width: 1.5 },
+        failure: { label: 'Failure', color: 'rgba(239, 68, 68, 0.7)', width: 1.5 },
+    };
+
+    const pathDatasets = paths.map(path => {
+        const style = outcomeStyles[path.outcome];
+        return {
+            label: style.label,
+            path: path,
+            data: yearlyData.map((_, year) => path.yearly_values[year]?.portfolio_value ?? null),
+            borderColor: style.color,
+            backgroundColor: style.color,
+            borderWidth: style.width,
+            baseWidth: style.width,
+            pointRadius: 0,
+            pointHitRadius: 6,
+            tension: 0.2
+        };
+    });
+
+    app.charts.samplePaths = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels,
+            datasets: [
+                {
+                    label: '10th–90th Percentile',
+                    data: yearlyData.map(d => d.p90),
+                    borderColor: 'rgba(156, 163, 175, 0.4)',
+                    backgroundColor: 'rgba(156, 163, 175, 0.15)',
+                    fill: '+1',
+                    borderWidth: 1,
+                    pointRadius: 0,
+                    tension: 0.4
+                },
+                {
+                    label: '10th Percentile',
+                    data: yearlyData.map(d => d.p10),
+                    borderColor: 'rgba(156, 163, 175, 0.4)',
+                    backgroundColor: 'transparent',
+                    fill: false,
+                    borderWidth: 1,
+                    pointRadius: 0,
+                    tension: 0.4
+                },
+                ...pathDatasets
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            interaction: {
+                mode: 'nearest',
+                intersect: false,
+            },
+            // Select the visible path closest to the click at that age
+            onClick: function(event, elements, chart) {
+                const year = Math.round(chart.scales.x.getValueForPixel(event.x));
+                let selected = -1;
+                let closest = Infinity;
+                chart.data.datasets.forEach((dataset, index) => {
+                    const value = dataset.data[year];
+                    if (!dataset.path || value === null || value === undefined || !chart.isDatasetVisible(index)) return;
+                    const distance = Math.abs(chart.scales.y.getPixelForValue(value) - event.y);
+                    if (distance < closest) {
+                        closest = distance;
+                        selected = index;
+                    }
+                });
+                if (selected === -1) return;
+
+                chart.data.datasets.forEach((dataset, index) => {
+                    if (dataset.path) {
+                        dataset.borderWidth = index === selected ? dataset.baseWidth + 2 : dataset.baseWidth;
+                    }
+                });
+                chart.update('none');
+                displaySamplePath(chart.data.datasets[selected].path);
+            },
+            plugins: {
+                title: {
+                    display: true,
+                    text: 'Individual Paths Over the 10th–90th Percentile Band',
+                    font: {
+                        size: 14,
+                        weight: 'bold'
+                    }
+                },
+                legend: {
+                    display: true,
+                    position: 'bottom',
+                    labels: {
+                        boxWidth: 12,
+                        font: {
+                            size: 11
+                        },
+                        // One entry per outcome; the band's lower edge needs none
+                        filter: function(item, data) {
+                            const dataset = data.datasets[item.datasetIndex];
+                            if (!dataset.path) return item.datasetIndex === 0;
+                            return data.datasets.findIndex(other => other.path?.outcome === dataset.path.outcome) === item.datasetIndex;
+                        }
+                    },
+                    // Toggle every path of the clicked outcome together
+                    onClick: function(event, item, legend) {
+                        const chart = legend.chart;
+                        const clicked = chart.data.datasets[item.datasetIndex];
+                        const hidden = chart.isDatasetVisible(item.datasetIndex);
+                        chart.data.datasets.forEach((dataset, index) => {
+                            const sameGroup = clicked.path
+                                ? dataset.path?.outcome === clicked.path.outcome
+                                : !dataset.path;
+                            if (sameGroup) chart.setDatasetVisibility(index, !hidden);
+                        });
+                        chart.update();
+                    }
+                },
+                tooltip: {
+                    filter: function(item) {
+                        return Boolean(item.dataset.path);
+                    },
+                    callbacks: {
+                        title: function(context) {
+                            return context.length ? `Age ${labels[context[0].dataIndex]}` : '';
+                        },
+                        label: function(context) {
+                            return `${context.dataset.label} (path #${context.dataset.path.iteration}): ${formatCurrency(context.parsed.y)}`;
+                        }
+                    }
+                }
+            },
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    ticks: {
+                        callback: function(value) {
+                            return '$' + (value / 1000000).toFixed(1) + 'M';
+                        }
+                    },
+                    title: {
+                        display: true,
+                        text: 'Portfolio Value'
+                    }
+                },
+                x: {
+                    title: {
+                        display: true,
+                        text: 'Age'
+                    }
+                }
+            }
+        }
+    });
+}
+
 // Export for use in other modules
 window.createProjectionChart = createProjectionChart;
 window.createCashflowChart = createCashflowChart;
+window.createSpendingPosChart = createSpendingPosChart;
+window.createDynamicSpendingChart = createDynamicSpendingChart;
+window.createAllocationSweepChart = createAllocationSweepChart;
+window.createSensitivityChart = createSensitivityChart;
+window.createFailureChart = createFailureChart;
+window.createSamplePathsChart = createSamplePathsChart;
@@ -1,10 +1,61 @@
 import { Config } from './Config.js';
+import { SeededRandom, generateSeed } from './random.js';
+import { choleskyDecomposition } from './matrix.js';
+import { ASSETS, resolveCapitalMarketAssumptions } from './capitalMarketAssumptions.js';
 
 export class BaseReturnGenerator {
-    constructor() {
+    /**
+     * @param {object} [options]
+     * @param {{next: function(): number, setStream?: function(number): void}} [options.random]
+     *        Uniform PRNG shared by all draws. Defaults to a SeededRandom with a fresh seed.
+     * @param {object} [options.capitalMarketAssumptions] Partial CMAs overriding
+     *        Config.return_assumptions / Config.correlations (see capitalMarketAssumptions.js)
+     */
+    constructor({ random = null, capitalMarketAssumptions = null } = {}) {
         this.config = Config;
-        this.returnAssumptions = this.config.return_assumptions;
-        this.correlations = this.config.correlations;
+
+        const { correlations, ...returnAssumptions } = resolveCapitalMarketAssumptions(capitalMarketAssumptions);
+        this.returnAssumptions = returnAssumptions;
+        this.correlations = correlations;
+        this.capitalMarketOverrides = capitalMarketAssumptions;
+
+        this.random = random || new SeededRandom(generateSeed());
+    }
+
+    /**
+     * The return assumptions this generator actually uses, in the
+     * capital_market_assumptions input shape.
+     * @returns {object}
+     */
+    getCapitalMarketAssumptions() {
+        const cma = {};
+        for (const asset of ASSETS) {
+            cma[asset] = {
+                mean: this.returnAssumptions[asset].mean,
+                std_dev: this.returnAssumptions[asset].std_dev,
+            };
+        }
+        cma.correlations = { ...this.correlations };
+        return cma;
+    }
+
+    /**
+     * Start a new Monte Carlo iteration. Moves the PRNG onto the iteration's
+     * own sub-stream (when it supports one) so each path is reproducible.
+     * @param {number} [iteration] Zero-based iteration index
+     */
+    reset(iteration) {
+        if (Number.isInteger(iteration) && typeof this.random.setStream === 'function') {
+            this.random.setStream(iteration);
+        }
+    }
+
+    /**
+     * Number of distinct return paths the generator can produce.
+     * @returns {number}
+     */
+    getDistinctPaths() {
+        return Infinity;
     }
 
     validateAllocations(stockAllocation, bondAllocation, cashAllocation) {
@@ -16,11 +67,80 @@ export class BaseReturnGenerator {
 
     standardNormal() {
         let u1 = 0, u2 = 0;
-        while (u1 === 0) u1 = Math.random();
-        while (u2 === 0) u2 = Math.random();
+        while (u1 === 0) u1 = this.random.next();
+        while (u2 === 0) u2 = this.random.next();
         return Math.sqrt(-2.0 * Math.log(u1)) * Math.cos(2.0 * Math.PI * u2);
     }
 
+    /**
+     * Correlation matrix of the asset classes, in ASSETS order.
+     * @returns {number[][]}
+     */
+    getCorrelationMatrix() {
+        const c = this.correlations;
+        return [
+            [1, c.stocks_bonds, c.stocks_cash],
+            [c.stocks_bonds, 1, c.bonds_cash],
+            [c.stocks_cash, c.bonds_cash, 1],
+        ];
+    }
+
+    /**
+     * Covariance matrix of annual asset returns, in ASSETS order.
+     * @returns {number[][]}
+     */
+    getCovarianceMatrix() {
+        const sd = ASSETS.map(asset => this.returnAssumptions[asset].std_dev);
+        return this.getCorrelationMatrix().map((row, i) => row.map((rho, j) => rho * sd[i] * sd[j]));
+    }
+
+    /**
+     * Lower-triangular Cholesky factor of the covariance matrix. Computed once
+     * per generator, since the assumptions do not change during a run.
+     * @returns {number[][]}
+     */
+    getCholeskyFactor() {
+        if (!this.choleskyFactor) {
+            this.choleskyFactor = choleskyDecomposition(this.getCovarianceMatrix());
+        }
+        return this.choleskyFactor;
+    }
+
+    /**
+     * Draw one year of correlated asset-class return shocks (mean zero, with
+     * the configured covariance) as L·z for independent standard normals z.
+     * @returns {{stocks: number, bonds: number, cash: number}}
+     */
+    generateCorrelatedShocks() {
+        // Unrolled L·z for the 3×3 case: this runs once per simulated year
+        const L = this.getCholeskyFactor();
+        const z0 = this.standardNormal();
+        const z1 = this.standardNormal();
+        const z2 = this.standardNormal();
+        return {
+            stocks: L[0][0] * z0,
+            bonds: L[1][0] * z0 + L[1][1] * z1,
+            cash: L[2][0] * z0 + L[2][1] * z1 + L[2][2] * z2,
+        };
+    }
+
+    /**
+     * Portfolio return for one year from per-asset returns, assuming the
+     * portfolio is rebalanced to its target allocation every year.
+     * @param {{stocks: number, bonds: number, cash: number}} assetReturns
+     * @param {number} stockAllocation Stock allocation (0-100)
+     * @param {number} bondAllocation Bond allocation (0-100)
+     * @param {number} cashAllocation Cash allocation (0-100)
+     * @returns {number} Annual portfolio return (as decimal)
+     */
+    getPortfolioReturn(assetReturns, stockAllocation, bondAllocation, cashAllocation) {
+        return (
+            (stockAllocation / 100.0) * assetReturns.stocks +
+            (bondAllocation / 100.0) * assetReturns.bonds +
+            (cashAllocation / 100.0) * assetReturns.cash
+        );
+    }
+
     getExpectedReturn(stockAllocation, bondAllocation, cashAllocation) {
         const stockWeight = stockAllocation / 100.0;
         const bondWeight = bondAllocation / 100.0;
@@ -1,3 +1,8 @@
+import { Config } from './Config.js';
+
+/** How contributions grow from year to year: with inflation or with wages. */
+export const CONTRIBUTION_GROWTH_TYPES = ['inflation', 'wages'];
+
 export class CashFlowModel {
     /**
      * @param {SpendingProfile} spendingProfile 
@@ -8,15 +13,43 @@ export class CashFlowModel {
         this.inflationRate = inflationRate;
         this.incomeSources = [];
         this.expenseItems = [];
+        this.firstDeath = null;
+        this.contributions = null;
     }
 
-    addIncomeSource(name, annualAmount, startAge, endAge = null, inflationAdjusted = true) {
+    /**
+     * @param {string} name
+     * @param {number} annualAmount
+     * @param {number} startAge In spouse 1's age
+     * @param {?number} [endAge] In spouse 1's age
+     * @param {boolean} [inflationAdjusted]
+     * @param {object} [survivorTerms] How the source behaves after a first death (see setFirstDeath())
+     * @param {('household'|'spouse1'|'spouse2')} [survivorTerms.recipient]
+     * @param {('social_security'|'pension'|'other')} [survivorTerms.type]
+     * @param {number} [survivorTerms.survivorPercentage] Share of a pension that continues to the survivor (0-100)
+     * @param {boolean} [survivorTerms.spousal] A Social Security spousal benefit, which stops at the first death
+     * @param {?{annual_amount: number, start_age: number}} [survivorTerms.survivorBenefit] What the
+     *        survivor receives on this Social Security record, from start_age (in spouse 1's age);
+     *        default: this source's own amount and ages
+     */
+    addIncomeSource(name, annualAmount, startAge, endAge = null, inflationAdjusted = true, {
+        recipient = 'household',
+        type = 'other',
+        survivorPercentage = 0,
+        spousal = false,
+        survivorBenefit = null,
+    } = {}) {
         this.incomeSources.push({
             name,
             annual_amount: annualAmount,
             start_age: startAge,
             end_age: endAge,
-            inflation_adjusted: inflationAdjusted
+            inflation_adjusted: inflationAdjusted,
+            recipient,
+            type,
+            survivor_percentage: survivorPercentage,
+            spousal,
+            survivor_benefit: survivorBenefit
         });
     }
 
@@ -31,10 +64,105 @@ export class CashFlowModel {
         });
     }
 
+    /**
+     * Save into the portfolio every year until spouse 1 turns `endAge`.
+     * @param {number} annualAmount Contribution in the first plan year
+     * @param {number} growthRate Yearly growth of the contribution (inflation or wage growth)
+     * @param {number} endAge First year without a contribution (the retirement age), in spouse 1's age
+     */
+    setContributions(annualAmount, growthRate, endAge) {
+        this.contributions = { annual_amount: annualAmount, growth_rate: growthRate, end_age: endAge };
+    }
+
+    getContributionForYear(currentAge, yearNumber) {
+        if (!this.contributions || currentAge >= this.contributions.end_age) {
+            return 0;
+        }
+        return this.contributions.annual_amount * Math.pow(1 + this.contributions.growth_rate, yearNumber);
+    }
+
+    /**
+     * Model the death of one spouse from the year spouse 1 turns `age`. From
+     * then on the survivor keeps the larger of their own Social Security and
+     * the survivor benefit on the deceased's record, spousal benefits stop,
+     * the deceased's pensions pay the survivor percentage, their other
+     * income stops and spending uses the profile's survivor multiplier.
+     * Household Social Security counts as one more benefit in the
+     * larger-benefit comparison; other household income is unaffected.
+     * @param {number} age First survivor year, in spouse 1's age
+     * @param {('spouse1'|'spouse2')} deceased
+     */
+    setFirstDeath(age, deceased) {
+        this.firstDeath = { age, deceased };
+    }
+
+    isSurvivorYear(currentAge) {
+        return this.firstDeath !== null && currentAge >= this.firstDeath.age;
+    }
+
     getIncomeForYear(currentAge, yearNumber) {
+        const income = this.getIncomeComponents(currentAge, yearNumber);
+        return income.social_security + income.other;
+    }
+
+    /**
+     * Income that counts as ordinary taxable income: all of it except the
+     * untaxed part of Social Security.
+     */
+    getTaxableIncomeForYear(currentAge, yearNumber) {
+        const income = this.getIncomeComponents(currentAge, yearNumber);
+        return income.social_security * Config.taxes.social_security_taxable_share + income.other;
+    }
+
+    /**
+     * @returns {{social_security: number, other: number}} The year's income, after the
+     *          survivor rules once one spouse has died
+     */
+    getIncomeComponents(currentAge, yearNumber) {
+        const isSocialSecurity = source => source.type === 'social_security';
+
+        if (!this.isSurvivorYear(currentAge)) {
+            return {
+                social_security: this.sumIncome(this.incomeSources.filter(isSocialSecurity), currentAge, yearNumber),
+                other: this.sumIncome(this.incomeSources.filter(source => !isSocialSecurity(source)), currentAge, yearNumber),
+            };
+        }
+
+        const { deceased } = this.firstDeath;
+        const household = this.incomeSources.filter(source => source.recipient === 'household');
+        const own = this.incomeSources.filter(source => source.recipient !== 'household' && source.recipient !== deceased);
+        const deceasedSources = this.incomeSources.filter(source => source.recipient === deceased);
+        const isRetirementBenefit = source => isSocialSecurity(source) && !source.spousal;
+
+        // Survivor rule: only the larger of the two benefits continues. A
+        // household benefit could be either spouse's, so each one competes
+        // as a benefit of its own
+        let survivorBenefit = 0;
+        for (const source of deceasedSources.filter(isRetirementBenefit)) {
+            survivorBenefit += source.survivor_benefit
+                ? this.sumIncome([{ ...source, ...source.survivor_benefit, end_age: null }], currentAge, yearNumber)
+                : this.sumIncome([source], currentAge, yearNumber);
+        }
+        const socialSecurity = Math.max(
+            this.sumIncome(own.filter(isRetirementBenefit), currentAge, yearNumber),
+            survivorBenefit,
+            ...household.filter(isSocialSecurity).map(source => this.sumIncome([source], currentAge, yearNumber))
+        );
+
+        let other = this.sumIncome([...household, ...own].filter(source => !isSocialSecurity(source)), currentAge, yearNumber);
+        for (const source of deceasedSources) {
+            if (source.type === 'pension' && source.survivor_percentage > 0) {
+                other += this.sumIncome([source], currentAge, yearNumber) * (source.survivor_percentage / 100);
+            }
+        }
+
+        return { social_security: socialSecurity, other };
+    }
+
+    sumIncome(sources, currentAge, yearNumber) {
         let totalIncome = 0.0;
 
-        for (const source of this.incomeSources) {
+        for (const source of sources) {
             // Check if income source is active at this age
             if (currentAge < source.start_age) {
                 continue;
@@ -92,7 +220,8 @@ export class CashFlowModel {
             currentAge,
             retirementAge,
             this.inflationRate,
-            yearNumber
+            yearNumber,
+            this.isSurvivorYear(currentAge)
         );
     }
 }
@@ -3,6 +3,11 @@ export const Config = {
         default_iterations: 10000,
         min_iterations: 100,
         max_iterations: 100000,
+        max_sample_paths: 25,            // per outcome (successes, failures)
+    },
+
+    spending_pos_curve: {
+        max_points: 101,                 // spending levels from $0 to where PoS reaches 0
     },
     
     guardrails: {
@@ -34,11 +39,99 @@ export const Config = {
         bonds_cash: 0.2,      // Interest rate sensitivity
     },
 
+    // Bounds for user-supplied capital_market_assumptions
+    capital_market_assumptions: {
+        min_mean: -0.25,
+        max_mean: 0.30,
+        min_std_dev: 0.0,
+        max_std_dev: 0.60,
+    },
+
     enhanced_mc: {
         default_autocorrelation: -0.10,  // Conservative mean-reversion estimate (Poterba & Summers 1988)
         min_autocorrelation: -0.40,
         max_autocorrelation: 0.0,
     },
+
+    dynamic_guardrails: {
+        default_paths: 1000,             // simulated multi-year paths
+        min_paths: 10,
+        max_paths: 10000,
+    },
+
+    // PoS lookup tables used for year-by-year re-checks
+    pos_lookup: {
+        iterations: 1000,                // return paths behind every grid node
+        rate_points: 101,                // withdrawal-rate nodes per (year, portfolio value)
+        portfolio_nodes: 25,             // log-spaced; only needed with income or extra expenses
+        min_portfolio_ratio: 0.05,       // portfolio axis range relative to the current value
+        max_portfolio_ratio: 10,
+        cache_size: 4,                   // tables kept for reuse between calculations
+    },
+
+    contributions: {
+        default_growth: 'inflation',     // or 'wages'
+        default_wage_growth_rate: 0.035, // nominal: inflation plus about 1% real wage growth
+        min_wage_growth_rate: 0,
+        max_wage_growth_rate: 0.15,
+    },
+
+    survivor: {
+        default_spending_multiplier: 0.75,  // single survivor's share of household spending
+        min_spending_multiplier: 0.3,
+        max_spending_multiplier: 1.0,
+    },
+
+    taxes: {
+        default_withdrawal_order: 'taxable_first',
+        social_security_taxable_share: 0.85,  // maximum taxable share; assumed for every recipient
+        rmd_start_age: 73,               // SECURE 2.0: 73, or 75 for those born in 1960 or later
+        min_rmd_start_age: 72,
+        max_rmd_start_age: 75,
+    },
+
+    social_security: {
+        default_rank_by: 'sustainable_spending',  // or 'probability_of_success'
+    },
+
+    roth_conversions: {
+        // Pre-tax savings left at the end of the plan are valued after tax at
+        // this rate (e.g. heirs drawing them down in the 22% bracket)
+        terminal_pre_tax_rate: 0.22,
+        // Compared by the Roth conversion explorer when no strategies are given;
+        // until_age defaults to the RMD start age
+        default_strategies: [
+            { type: 'fill_bracket', bracket_rate: 0.12 },
+            { type: 'fill_bracket', bracket_rate: 0.22 },
+            { type: 'fill_bracket', bracket_rate: 0.24 },
+        ],
+    },
+
+    allocation_sweep: {
+        // Stock percentage points between the mixes compared; cash stays at cash_allocation
+        default_step: 10,
+        min_step: 1,
+        max_step: 50,
+    },
+
+    sensitivity: {
+        // How far each input is moved down and up
+        default_shifts: {
+            return: 0.01,       // mean return of each asset class (absolute)
+            inflation: 0.01,    // inflation_rate (absolute)
+            fee: 0.0025,        // annual_fee_percentage (absolute)
+            horizon: 5,         // planning_horizon_years
+            amount: 0.10,       // spending, income and expense amounts (relative)
+            age: 2,             // income start and claiming ages (years)
+        },
+    },
+
+    historical: {
+        default_mode: 'bootstrap',       // 'bootstrap' or 'rolling'
+        default_block_length: 5,         // years per bootstrap block
+        min_block_length: 1,
+        max_block_length: 30,
+    },
     
     defaults: {
         inflation_rate: 0.025,  // 2.5%
@@ -0,0 +1,269 @@
+import { getAllocationAtAge } from './glidePath.js';
+import { getPercentile } from './statistics.js';
+
+/**
+ * DynamicGuardrailSimulation follows the guardrail rule through time instead
+ * of making a single point-in-time recommendation.
+ *
+ * Each simulated path re-checks the plan at the start of every year: the
+ * probability of success of the remaining plan (current portfolio value,
+ * current spending, remaining horizon) is evaluated, and when it falls
+ * outside the guardrails spending is reset to the level that restores the
+ * target PoS. The new spending level is carried forward until the next
+ * breach — the Kitces ratchet/hatchet approach.
+ *
+ * How the remaining plan is evaluated and solved is delegated to callbacks,
+ * so the same path engine works with a nested Monte Carlo or a precomputed
+ * lookup table:
+ *
+ *   evaluate(state)            -> PoS (%) of the remaining plan
+ *   solve(state, direction)    -> spending that restores the target PoS
+ *
+ * where state = { year, age, portfolio_value, spending, remaining_years }.
+ * Spending is the guardrail spending level in today's (year-0) dollars,
+ * before inflation and the spending-profile multiplier.
+ */
+export class DynamicGuardrailSimulation {
+    /**
+     * Stream offset for the outer paths, so they never share random draws
+     * with the evaluation simulations (which use streams 0..n-1).
+     */
+    static PATH_STREAM_OFFSET = 0x80000000;
+
+    /**
+     * @param {object} options
+     * @param {import('./CashFlowModel.js').CashFlowModel} options.cashFlowModel
+     * @param {object} options.returnGenerator Generator for the outer paths
+     * @param {number} options.currentPortfolioValue
+     * @param {number} options.initialSpending
+     * @param {number} options.currentAge
+     * @param {number} options.retirementAge
+     * @param {number} options.planningHorizonYears
+     * @param {number} options.stockAllocation
+     * @param {number} options.bondAllocation
+     * @param {number} options.cashAllocation
+     * @param {number} options.annualFeePercentage
+     * @param {object[]} [options.glidePath] Waypoints from resolveGlidePath(); replaces
+     *        the fixed allocation, as in MonteCarloSimulation
+     * @param {number} options.paths Number of simulated paths
+     * @param {number} options.lowerGuardrail Lower PoS guardrail (%)
+     * @param {number} options.upperGuardrail Upper PoS guardrail (%)
+     * @param {function(object): number} options.evaluate
+     * @param {function(object, string): number} options.solve
+     */
+    constructor({
+        cashFlowModel,
+        returnGenerator,
+        currentPortfolioValue,
+        initialSpending,
+        currentAge,
+        retirementAge,
+        planningHorizonYears,
+        stockAllocation,
+        bondAllocation,
+        cashAllocation,
+        annualFeePercentage,
+        glidePath = null,
+        paths,
+        lowerGuardrail,
+        upperGuardrail,
+        evaluate,
+        solve,
+    }) {
+        this.cashFlowModel = cashFlowModel;
+        this.returnGenerator = returnGenerator;
+        this.currentPortfolioValue = currentPortfolioValue;
+        this.initialSpending = initialSpending;
+        this.currentAge = currentAge;
+        this.retirementAge = retirementAge;
+        this.planningHorizonYears = planningHorizonYears;
+        this.stockAllocation = stockAllocation;
+        this.bondAllocation = bondAllocation;
+        this.cashAllocation = cashAllocation;
+        this.annualFeePercentage = annualFeePercentage;
+        this.glidePath = glidePath;
+        this.paths = paths;
+        this.lowerGuardrail = lowerGuardrail;
+        this.upperGuardrail = upperGuardrail;
+        this.evaluate = evaluate;
+        this.solve = solve;
+    }
+
+    runSimulation() {
+        const startTime = performance.now();
+
+        // Every path starts from the same state, so the year-0 re-check is shared
+        this.initialCheck = this.recheck({
+            year: 0,
+            age: this.currentAge,
+            portfolio_value: this.currentPortfolioValue,
+            spending: this.initialSpending,
+            remaining_years: this.planningHorizonYears,
+        });
+
+        const pathResults = [];
+        for (let i = 0; i < this.paths; i++) {
+            pathResults.push(this.runSinglePath(i));
+        }
+
+        const durationMs = Math.round(performance.now() - startTime);
+        return this.summarize(pathResults, durationMs);
+    }
+
+    /**
+     * Apply the guardrail rule to one state.
+     * @param {object} state
+     * @returns {{pos: number, spending: number, adjustment: string}}
+     */
+    recheck(state) {
+        const pos = this.evaluate(state);
+
+        if (pos < this.lowerGuardrail) {
+            return { pos, spending: this.solve(state, 'decrease'), adjustment: 'decrease' };
+        }
+        if (pos > this.upperGuardrail) {
+            return { pos, spending: this.solve(state, 'increase'), adjustment: 'increase' };
+        }
+        return { pos, spending: state.spending, adjustment: 'maintain' };
+    }
+
+    runSinglePath(path) {
+        if (typeof this.returnGenerator.reset === 'function') {
+            this.returnGenerator.reset(DynamicGuardrailSimulation.PATH_STREAM_OFFSET + path);
+        }
+
+        let portfolioValue = this.currentPortfolioValue;
+        let spendingLevel = this.initialSpending;
+        let peakSpending = spendingLevel;
+        let maxDrawdown = 0;
+        const spendingPath = [];
+        const adjustments = [];
+        let depletionYear = null;
+
+        for (let year = 0; year < this.planningHorizonYears; year++) {
+            const age = this.currentAge + year;
+
+            const check = year === 0
+                ? this.initialCheck
+                : this.recheck({
+                    year,
+                    age,
+                    portfolio_value: portfolioValue,
+                    spending: spendingLevel,
+                    remaining_years: this.planningHorizonYears - year,
+                });
+
+            if (check.adjustment !== 'maintain' && check.spending !== spendingLevel) {
+                adjustments.push({
+                    year,
+                    age,
+                    type: check.adjustment,
+                    change_percentage: spendingLevel > 0 ? ((check.spending - spendingLevel) / spendingLevel) * 100 : 0,
+                });
+                spendingLevel = check.spending;
+            }
+
+            peakSpending = Math.max(peakSpending, spendingLevel);
+            if (peakSpending > 0) {
+                maxDrawdown = Math.max(maxDrawdown, (peakSpending - spendingLevel) / peakSpending);
+            }
+            spendingPath.push(spendingLevel);
+
+            const { stock, bond, cash } = this.glidePath
+                ? getAllocationAtAge(this.glidePath, age)
+                : { stock: this.stockAllocation, bond: this.bondAllocation, cash: this.cashAllocation };
+            const annualReturn = this.returnGenerator.generateReturn(stock, bond, cash);
+            portfolioValue *= (1 + annualReturn);
+            portfolioValue *= (1 - this.annualFeePercentage);
+
+            const spending = this.cashFlowModel.getSpendingForYear(spendingLevel, age, this.retirementAge, year);
+            const income = this.cashFlowModel.getIncomeForYear(age, year);
+            const extraExpenses = this.cashFlowModel.getExpensesForYear(age, year);
+            const contribution = this.cashFlowModel.getContributionForYear(age, year);
+            portfolioValue -= spending + extraExpenses - income - contribution;
+
+            if (portfolioValue <= 0) {
+                portfolioValue = 0;
+                depletionYear = year;
+                break;
+            }
+        }
+
+        return {
+            success: depletionYear === null,
+            depletion_year: depletionYear,
+            final_portfolio_value: portfolioValue,
+            spending_path: spendingPath,
+            adjustments,
+            max_spending_drawdown: maxDrawdown * 100,
+        };
+    }
+
+    summarize(pathResults, durationMs) {
+        const count = pathResults.length;
+        const successful = pathResults.filter(result => result.success).length;
+
+        // Spending level by year; depleted paths have nothing left to spend
+        const spendingPercentiles = [];
+        for (let year = 0; year < this.planningHorizonYears; year++) {
+            const values = pathResults
+                .map(result => result.spending_path[year] ?? 0)
+                .sort((a, b) => a - b);
+            spendingPercentiles.push({
+                year,
+                age: this.currentAge + year,
+                ...this.percentileSummary(values),
+            });
+        }
+
+        const cuts = pathResults.flatMap(result => result.adjustments.filter(a => a.type === 'decrease'));
+        const raises = pathResults.flatMap(result => result.adjustments.filter(a => a.type === 'increase'));
+        const drawdowns = pathResults.map(result => result.max_spending_drawdown).sort((a, b) => a - b);
+
+        return {
+            paths: count,
+            probability_of_success: Number(((successful / count) * 100).toFixed(2)),
+            initial_check: {
+                probability_of_success: Number(this.initialCheck.pos.toFixed(2)),
+                adjustment: this.initialCheck.adjustment,
+                spending: Math.round(this.initialCheck.spending),
+            },
+            spending_percentiles: spendingPercentiles,
+            cuts: this.adjustmentSummary(pathResults, cuts, 'decrease'),
+            raises: this.adjustmentSummary(pathResults, raises, 'increase'),
+            max_spending_drawdown: {
+                p50: getPercentile(drawdowns, 50),
+                p90: getPercentile(drawdowns, 90),
+                worst: drawdowns.length ? drawdowns[drawdowns.length - 1] : 0,
+            },
+            final_portfolio_percentiles: this.percentileSummary(
+                pathResults.map(result => result.final_portfolio_value).sort((a, b) => a - b)
+            ),
+            duration_ms: durationMs,
+        };
+    }
+
+    adjustmentSummary(pathResults, adjustments, type) {
+        const sizes = adjustments.map(a => Math.abs(a.change_percentage)).sort((a, b) => a - b);
+        const pathsWithAdjustment = pathResults.filter(result => result.adjustments.some(a => a.type === type)).length;
+        const count = pathResults.length;
+
+        return {
+            total: adjustments.length,
+            mean_per_path: Number((adjustments.length / count).toFixed(2)),
+            paths_with_adjustment_pct: Number(((pathsWithAdjustment / count) * 100).toFixed(2)),
+            median_size_pct: Number(getPercentile(sizes, 50).toFixed(2)),
+            max_size_pct: Number((sizes.length ? sizes[sizes.length - 1] : 0).toFixed(2)),
+        };
+    }
+
+    percentileSummary(sortedValues) {
+        return {
+            p10: getPercentile(sortedValues, 10),
+            p25: getPercentile(sortedValues, 25),
+            p50: getPercentile(sortedValues, 50),
+            p75: getPercentile(sortedValues, 75),
+            p90: getPercentile(sortedValues, 90),
+        };
+    }
+}
@@ -25,13 +25,16 @@ import { BaseReturnGenerator } from './BaseReturnGenerator.js';
  * The combined effect produces meaningfully lower PoS than standard MC for
  * equity-heavy portfolios, consistent with historical backtesting results.
  *
+ * Returns are modeled at the portfolio level (the AR(1) state is the portfolio's
+ * log return), so this generator does not provide per-asset returns.
+ *
  * Reference: Kitces.com — "Evaluating Retirement Spending Risk: Monte Carlo Vs Historical Simulations"
  * Calibration: Poterba & Summers (1988), Fama & French (1988) — annual equity autocorrelation
  *              estimates range from -0.05 to -0.20. Default φ = -0.10 is conservative.
  */
 export class EnhancedReturnGenerator extends BaseReturnGenerator {
-    constructor(autocorrelation = null) {
-        super();
+    constructor(autocorrelation = null, options = {}) {
+        super(options);
 
         this.autocorrelation = autocorrelation ??
             this.config.enhanced_mc?.default_autocorrelation ?? -0.10;
@@ -43,8 +46,10 @@ export class EnhancedReturnGenerator extends BaseReturnGenerator {
     /**
      * Reset AR(1) state at the start of each Monte Carlo iteration.
      * Each simulated retirement sequence should begin independently.
+     * @param {number} [iteration] Zero-based iteration index
      */
-    reset() {
+    reset(iteration) {
+        super.reset(iteration);
         this.previousLogReturn = null;
     }
 
@@ -2,12 +2,50 @@ import { Config } from './Config.js';
 import { SpendingProfile } from './SpendingProfile.js';
 import { CashFlowModel } from './CashFlowModel.js';
 import { MonteCarloSimulation } from './MonteCarloSimulation.js';
+import { ReturnGenerator } from './ReturnGenerator.js';
 import { EnhancedReturnGenerator } from './EnhancedReturnGenerator.js';
+import { HistoricalReturnGenerator } from './HistoricalReturnGenerator.js';
+import { DynamicGuardrailSimulation } from './DynamicGuardrailSimulation.js';
+import { TaxModel, ACCOUNT_TYPES } from './TaxModel.js';
+import { getPosLookupTable } from './PosLookupTable.js';
+import { SeededRandom, generateSeed, isValidSeed } from './random.js';
 import { formatCurrency } from './formatters.js';
 import { validateInput } from './validateInput.js';
+import { getQuantileConfidenceInterval } from './statistics.js';
+import { getHouseholdSurvival, getLifeExpectancy, getMortalityAdjustedPos } from './mortality.js';
+import { resolveSocialSecurity } from './socialSecurity.js';
+import { getAllocationAtAge, resolveGlidePath } from './glidePath.js';
+import { runSteps } from './steps.js';
+
+/**
+ * Highest spending, rounded down to $10, that keeps `targetPos`% of paths
+ * alive. PoS(s) is the share of paths whose limit exceeds s, so it lies
+ * just below the required-th largest limit.
+ * @param {Float64Array} limits Per-path spending limits, sorted ascending
+ * @param {number} targetPos
+ */
+function getSpendingAtPos(limits, targetPos) {
+    const iterations = limits.length;
+    const required = Math.min(iterations, Math.max(1, Math.ceil((targetPos / 100) * iterations - 1e-9)));
+    const boundary = limits[iterations - required];
+    return boundary > 0 ? Math.ceil(boundary / 10) * 10 - 10 : 0;
+}
+
+/**
+ * Lowest portfolio value, rounded up to $100, at which `targetPos`% of
+ * paths survive. PoS(v) is the share of paths whose limit lies below v.
+ * @param {Float64Array} limits Per-path portfolio limits, sorted ascending
+ * @param {number} targetPos
+ * @returns {?number} null when every positive value meets the PoS, or none does
+ */
+function getPortfolioValueAtPos(limits, targetPos) {
+    const iterations = limits.length;
+    const required = Math.min(iterations, Math.max(1, Math.ceil((targetPos / 100) * iterations - 1e-9)));
+    const boundary = limits[required - 1];
+    return boundary > 0 && Number.isFinite(boundary) ? Math.floor(boundary / 100) * 100 + 100 : null;
+}
 
 export class GuardrailCalculator {
-    static SEARCH_ITERATIONS = 1000;
 
     constructor() {
         this.config = Config;
@@ -37,65 +75,202 @@ export class GuardrailCalculator {
         }
     }
 
-    calculate(params) {
-        return this._calculate(params, {
-            returnGenerator: null,
+    /**
+     * @param {object} params Calculator input
+     * @param {object} [options]
+     * @param {object} [options.shard] Headline iterations already simulated, e.g. merged
+     *        from a worker pool (see simulateShard())
+     * @param {function(object): void} [options.onProgress] Receives the progress events
+     *        of calculateSteps()
+     * @param {boolean} [options.includeTriggers] Solve for the guardrail triggers (default true)
+     * @param {boolean} [options.includeSpendingCurve] Add spending_pos_curve (default true)
+     */
+    calculate(params, { shard = null, onProgress = null, includeTriggers = true, includeSpendingCurve = true } = {}) {
+        return runSteps(this.calculateSteps(params, { shard, includeTriggers, includeSpendingCurve }), onProgress);
+    }
+
+    calculateEnhanced(params, { shard = null, onProgress = null } = {}) {
+        return runSteps(this.calculateEnhancedSteps(params, { shard }), onProgress);
+    }
+
+    calculateHistorical(params, { shard = null, onProgress = null } = {}) {
+        return runSteps(this.calculateHistoricalSteps(params, { shard }), onProgress);
+    }
+
+    /**
+     * calculate() as a step generator (see steps.js). Yields
+     * `{phase: 'simulating', completed, total, successful}` during the headline
+     * simulation, then `{phase: 'analyzing'}` between the later steps.
+     */
+    *calculateSteps(params, { shard = null, includeTriggers = true, includeSpendingCurve = true } = {}) {
+        return yield* this._calculateSteps(params, {
+            generatorFactory: this.createGeneratorFactory(params, 'standard'),
             includeTimeline: true,
+            includeTriggers,
+            includeSpendingCurve,
+            includeDynamic: Boolean(params.dynamic_guardrails_enabled),
+            shard,
         });
     }
 
-    calculateEnhanced(params) {
-        const autocorrelation = params.enhanced_mc_autocorrelation ??
-            this.config.enhanced_mc?.default_autocorrelation ?? -0.10;
-        const enhancedGen = new EnhancedReturnGenerator(autocorrelation);
-
-        const result = this._calculate(params, {
-            returnGenerator: enhancedGen,
+    *calculateEnhancedSteps(params, { shard = null } = {}) {
+        const result = yield* this._calculateSteps(params, {
+            generatorFactory: this.createGeneratorFactory(params, 'enhanced'),
             includeTimeline: false,
+            shard,
         });
 
-        result.enhanced_mc_autocorrelation = autocorrelation;
+        result.enhanced_mc_autocorrelation = this.getEnhancedAutocorrelation(params);
         return result;
     }
 
-    _calculate(params, { returnGenerator = null, includeTimeline = true } = {}) {
-        const startTime = performance.now();
+    *calculateHistoricalSteps(params, { shard = null } = {}) {
+        const mode = params.historical_mode ?? this.config.historical.default_mode;
+        if (mode === 'rolling') {
+            // Each start year is one path: more iterations would only repeat
+            // paths and overstate the precision of the PoS interval, and
+            // adaptive iterations could only add repeats
+            params = {
+                ...params,
+                monte_carlo_iterations: this.getModelIterations(params, 'historical'),
+                adaptive_iterations: false,
+            };
+        }
+        const blockLength = params.historical_block_length ?? this.config.historical.default_block_length;
+        const createHistoricalGenerator = this.createGeneratorFactory(params, 'historical');
+        let period = null;
 
-        this.validateParams(params);
-        this.applyGuardrailsFromParams(params);
+        if (params.capital_market_assumptions?.correlations) {
+            console.warn('Historical simulation uses the correlations observed in history; capital_market_assumptions.correlations is ignored');
+        }
 
-        const spendingProfile = this.createSpendingProfile(params);
-        const cashFlowModel = new CashFlowModel(
-            spendingProfile,
-            params.inflation_rate
-        );
+        const result = yield* this._calculateSteps(params, {
+            generatorFactory: (options) => {
+                const generator = createHistoricalGenerator(options);
+                period = generator.getPeriod();
+                return generator;
+            },
+            includeTimeline: false,
+            shard,
+        });
 
-        if (params.income_sources && Array.isArray(params.income_sources)) {
-            for (const source of params.income_sources) {
-                const adjustedAges = this.getAdjustedIncomeAges(source, params);
-                cashFlowModel.addIncomeSource(
-                    source.name,
-                    parseFloat(source.annual_amount),
-                    adjustedAges.start_age,
-                    adjustedAges.end_age,
-                    source.inflation_adjusted ?? true
-                );
+        result.historical_mode = mode;
+        result.historical_block_length = mode === 'bootstrap' ? blockLength : null;
+        result.historical_period = period;
+        return result;
+    }
+
+    getEnhancedAutocorrelation(params) {
+        return params.enhanced_mc_autocorrelation ??
+            this.config.enhanced_mc?.default_autocorrelation ?? -0.10;
+    }
+
+    /**
+     * @param {object} params Calculator input
+     * @param {('standard'|'enhanced'|'historical')} model Return model
+     * @returns {function({random: SeededRandom, capitalMarketAssumptions: ?object}): object}
+     */
+    createGeneratorFactory(params, model) {
+        switch (model) {
+            case 'standard':
+                return (options) => new ReturnGenerator(options);
+            case 'enhanced': {
+                const autocorrelation = this.getEnhancedAutocorrelation(params);
+                return (options) => new EnhancedReturnGenerator(autocorrelation, options);
+            }
+            case 'historical': {
+                const mode = params.historical_mode ?? this.config.historical.default_mode;
+                const blockLength = params.historical_block_length ?? this.config.historical.default_block_length;
+                return (options) => new HistoricalReturnGenerator(mode, blockLength, options);
             }
+            default:
+                throw new Error(`Unknown return model: ${model}`);
         }
+    }
 
-        if (params.future_expenses && Array.isArray(params.future_expenses)) {
-            for (const item of params.future_expenses) {
-                const normalized = this.normalizeExpense(item);
-                cashFlowModel.addExpenseItem(
-                    normalized.name,
-                    normalized.annual_amount,
-                    normalized.start_age,
-                    normalized.end_age,
-                    normalized.inflation_adjusted,
-                    normalized.one_time
-                );
-            }
+    /**
+     * Headline iterations of a return model: monte_carlo_iterations, except
+     * that rolling historical periods stop at one path per start year.
+     * @param {object} params Calculator input
+     * @param {('standard'|'enhanced'|'historical')} model Return model
+     * @returns {number}
+     */
+    getModelIterations(params, model) {
+        const iterations = params.monte_carlo_iterations ?? this.config.monte_carlo.default_iterations;
+        const mode = params.historical_mode ?? this.config.historical.default_mode;
+        return model === 'historical' && mode === 'rolling'
+            ? Math.min(iterations, HistoricalReturnGenerator.START_YEARS)
+            : iterations;
+    }
+
+    /**
+     * Simulate headline iterations [start, end) of one return model, for
+     * splitting the headline simulation across workers. The merged shards
+     * are passed back in through the `shard` option of calculate(),
+     * calculateEnhanced() or calculateHistorical().
+     * @param {object} params Calculator input; must already carry its random_seed
+     * @param {('standard'|'enhanced'|'historical')} model
+     * @param {number} start
+     * @param {number} end
+     * @param {object} [options]
+     * @param {function(number, number): void} [options.onProgress] Called with the iterations
+     *        completed and how many of them succeeded
+     * @returns {object} Shard (see MonteCarloSimulation.runIterations())
+     */
+    simulateShard(params, model, start, end, { onProgress = null } = {}) {
+        if (!isValidSeed(params.random_seed)) {
+            throw new Error('Shards of one run must share its random_seed');
         }
+        this.validateParams(params);
+
+        const simulation = this.createSimulation(
+            params,
+            this.createCashFlowModel(params),
+            params.desired_spending,
+            params.spouse1_age ?? params.current_age,
+            this.getModelIterations(params, model),
+            this.createSeededGenerator(params, this.createGeneratorFactory(params, model))
+        );
+        return simulation.runIterations(start, end, { onProgress });
+    }
+
+    createSeededGenerator(params, generatorFactory) {
+        return generatorFactory({
+            random: new SeededRandom(params.random_seed),
+            capitalMarketAssumptions: params.capital_market_assumptions ?? null,
+        });
+    }
+
+    /**
+     * @param {object} params Calculator input
+     * @param {object} options
+     * @param {function({random: SeededRandom, capitalMarketAssumptions: ?object}): object} options.generatorFactory
+     *        Builds a return generator from BaseReturnGenerator options. Every simulation in one
+     *        calculation gets a fresh generator seeded from `params.random_seed`, so the
+     *        target-spending search replays the same return paths as the headline simulation.
+     * @param {boolean} [options.includeTimeline]
+     * @param {boolean} [options.includeTriggers] Also solve for the guardrail trigger portfolio values
+     * @param {boolean} [options.includeSpendingCurve] Also describe PoS against spending
+     * @param {boolean} [options.includeDynamic] Also run the multi-year dynamic guardrail simulation
+     * @param {object} [options.shard] Precomputed headline iterations
+     */
+    *_calculateSteps(params, {
+        generatorFactory,
+        includeTimeline = true,
+        includeTriggers = false,
+        includeSpendingCurve = false,
+        includeDynamic = false,
+        shard = null,
+    } = {}) {
+        const startTime = performance.now();
+
+        this.validateParams(params);
+        this.applyGuardrailsFromParams(params);
+
+        const randomSeed = params.random_seed;
+        const createGenerator = () => this.createSeededGenerator(params, generatorFactory);
+
+        const cashFlowModel = this.createCashFlowModel(params);
 
         const currentAge = params.spouse1_age ?? params.current_age;
         const simulation = this.createSimulation(
@@ -104,37 +279,65 @@ export class GuardrailCalculator {
             params.desired_spending,
             currentAge,
             null,
-            returnGenerator
+            createGenerator()
         );
-        const mcResults = simulation.runSimulation();
+        const mcResults = yield* simulation.simulate({
+            shard,
+            keepPaths: params.keep_raw_paths === true,
+            samplePaths: params.sample_paths ?? 0,
+            ...(params.adaptive_iterations && {
+                isSettled: (interval, pos) => this.findStraddledGuardrail(interval, pos) === null,
+                maxIterations: params.max_iterations ?? this.config.monte_carlo.max_iterations,
+            }),
+        });
+        yield { phase: 'analyzing' };
 
         const probabilityOfSuccess = mcResults.probability_of_success;
         const guardrailStatus = this.determineGuardrailStatus(probabilityOfSuccess);
+        const straddledGuardrail = this.findStraddledGuardrail(mcResults.confidence_interval);
         const spendingAdjustment = this.determineSpendingAdjustment(guardrailStatus);
 
-        const generatorFactory = returnGenerator
-            ? () => new EnhancedReturnGenerator(returnGenerator.autocorrelation)
-            : () => null;
+        // Per-path spending limits on the headline paths give both the
+        // spending solve and the whole spending-vs-PoS curve; they cost a
+        // second pass over the paths, so are only computed when needed
+        const spendingLimits = includeSpendingCurve || spendingAdjustment !== 'maintain'
+            ? this.createSimulation(
+                params,
+                cashFlowModel,
+                params.desired_spending,
+                currentAge,
+                mcResults.iterations,
+                createGenerator()
+            ).getSpendingLimits().sort()
+            : null;
 
-        let recommendedSpending;
-        if (spendingAdjustment === 'maintain') {
-            recommendedSpending = params.desired_spending;
-        } else {
-            recommendedSpending = this._findSpendingForTargetPos(
+        let recommendedSpending = params.desired_spending;
+        let spendingSolver = null;
+        if (spendingAdjustment !== 'maintain') {
+            spendingSolver = this._findSpendingForTargetPos(
                 params,
                 cashFlowModel,
                 spendingAdjustment,
                 currentAge,
-                generatorFactory
+                createGenerator,
+                { iterations: mcResults.iterations, limits: spendingLimits }
             );
+            recommendedSpending = spendingSolver.spending;
         }
 
+        const longevity = params.longevity_mode ? this.calculateLongevity(params, currentAge, mcResults) : null;
+
         const currentWithdrawalRate = (params.desired_spending / params.current_portfolio_value) * 100;
         const endTime = performance.now();
 
         const result = {
             probability_of_success: probabilityOfSuccess,
+            probability_of_success_interval: mcResults.confidence_interval,
             guardrail_status: guardrailStatus,
+            guardrail_status_confidence: {
+                confident: straddledGuardrail === null,
+                straddled_guardrail: straddledGuardrail,
+            },
             spending_adjustment_needed: spendingAdjustment,
             desired_spending: params.desired_spending,
             recommended_spending: recommendedSpending,
@@ -143,13 +346,16 @@ export class GuardrailCalculator {
                 params.desired_spending,
                 recommendedSpending
             ),
+            spending_solver: spendingSolver,
             current_withdrawal_rate: parseFloat(currentWithdrawalRate.toFixed(2)),
             interpretation: this.generateInterpretation({
                 probability_of_success: probabilityOfSuccess,
                 guardrail_status: guardrailStatus,
+                straddled_guardrail: straddledGuardrail,
                 desired_spending: params.desired_spending,
                 recommended_spending: recommendedSpending,
                 spending_change_amount: recommendedSpending - params.desired_spending,
+                longevity,
             }),
             guardrail_thresholds: {
                 lower: this.lowerGuardrailPos,
@@ -157,35 +363,229 @@ export class GuardrailCalculator {
                 target: this.targetPos,
             },
             monte_carlo: mcResults,
+            random_seed: randomSeed,
             portfolio_metrics: {
                 current_value: params.current_portfolio_value,
                 expected_return: parseFloat((simulation.getExpectedReturn() * 100).toFixed(2)),
                 portfolio_volatility: parseFloat((simulation.getPortfolioVolatility() * 100).toFixed(2)),
+                capital_market_assumptions: simulation.returnGenerator.getCapitalMarketAssumptions(),
+                allocation_path: this.describeAllocationPath(simulation),
             },
             calculation_duration_ms: Math.round(endTime - startTime),
         };
 
+        if (includeSpendingCurve) {
+            result.spending_pos_curve = this.describeSpendingPosCurve(spendingLimits, params.desired_spending);
+        }
+
+        if (longevity) {
+            result.longevity = longevity;
+        }
+
+        if (cashFlowModel.firstDeath) {
+            result.survivor = this.describeSurvivor(params, cashFlowModel, currentAge);
+        }
+
+        if (currentAge < params.retirement_age) {
+            result.accumulation = this.describeAccumulation(params, cashFlowModel, currentAge, mcResults);
+        }
+
         if (includeTimeline) {
             const year0Income = cashFlowModel.getIncomeForYear(currentAge, 0);
             const year0Expenses = cashFlowModel.getExpensesForYear(currentAge, 0);
+            const year0Contribution = cashFlowModel.getContributionForYear(currentAge, 0);
+            const year0Spending = currentAge < params.retirement_age ? 0 : params.desired_spending;
             result.income_impact = {
                 year0_income: year0Income,
                 year0_expenses: year0Expenses,
-                year0_net_withdrawal: params.desired_spending + year0Expenses - year0Income,
+                year0_contribution: year0Contribution,
+                year0_net_withdrawal: year0Spending + year0Expenses - year0Income - year0Contribution,
             };
             result.cashflow_timeline = this.buildCashflowTimeline(
                 cashFlowModel,
                 params.desired_spending,
                 currentAge,
                 params.retirement_age,
-                params.planning_horizon_years
+                params.planning_horizon_years,
+                simulation.getProjectedWithdrawals()
+            );
+            result.income_impact.year0_taxes = result.cashflow_timeline[0]?.taxes ?? 0;
+        }
+
+        if (includeTriggers) {
+            yield { phase: 'analyzing' };
+            result.guardrail_triggers = this.calculateGuardrailTriggers(
+                params,
+                cashFlowModel,
+                currentAge,
+                createGenerator,
+                mcResults.iterations
+            );
+        }
+
+        if (includeDynamic) {
+            yield { phase: 'analyzing' };
+            result.dynamic_guardrails = this.simulateDynamicGuardrails(
+                params,
+                cashFlowModel,
+                currentAge,
+                createGenerator
             );
         }
 
         return result;
     }
 
-    buildCashflowTimeline(cashFlowModel, desiredSpending, currentAge, retirementAge, planningHorizonYears) {
+    createCashFlowModel(params) {
+        const spendingProfile = this.createSpendingProfile(params);
+        const cashFlowModel = new CashFlowModel(
+            spendingProfile,
+            params.inflation_rate
+        );
+
+        const firstDeath = this.getFirstDeath(params);
+        if (params.income_sources && Array.isArray(params.income_sources)) {
+            const incomeSources = resolveSocialSecurity(params.income_sources, {
+                ages: { spouse1: params.spouse1_age ?? params.current_age, spouse2: params.spouse2_age },
+                firstDeath,
+            });
+            for (const source of incomeSources) {
+                const adjustedAges = this.getAdjustedIncomeAges(source, params);
+                cashFlowModel.addIncomeSource(
+                    source.name,
+                    parseFloat(source.annual_amount),
+                    adjustedAges.start_age,
+                    adjustedAges.end_age,
+                    source.inflation_adjusted ?? true,
+                    {
+                        recipient: source.recipient ?? 'household',
+                        type: source.type ?? 'other',
+                        survivorPercentage: parseFloat(source.survivor_percentage ?? 0),
+                        spousal: source.spousal ?? false,
+                        survivorBenefit: source.survivor_benefit ?? null,
+                    }
+                );
+            }
+        }
+
+        if (firstDeath) {
+            cashFlowModel.setFirstDeath(firstDeath.spouse1_age, firstDeath.deceased);
+        }
+
+        if (params.future_expenses && Array.isArray(params.future_expenses)) {
+            for (const item of params.future_expenses) {
+                const normalized = this.normalizeExpense(item);
+                cashFlowModel.addExpenseItem(
+                    normalized.name,
+                    normalized.annual_amount,
+                    normalized.start_age,
+                    normalized.end_age,
+                    normalized.inflation_adjusted,
+                    normalized.one_time
+                );
+            }
+        }
+
+        if (params.annual_contribution > 0) {
+            const growth = params.contribution_growth ?? this.config.contributions.default_growth;
+            const growthRate = growth === 'wages'
+                ? params.wage_growth_rate ?? this.config.contributions.default_wage_growth_rate
+                : params.inflation_rate;
+            cashFlowModel.setContributions(params.annual_contribution, growthRate, params.retirement_age);
+        }
+
+        return cashFlowModel;
+    }
+
+    /**
+     * The accumulation phase of a plan that starts before retirement: how
+     * long it lasts, what is contributed and the spread of portfolio values
+     * on reaching the retirement age.
+     * @returns {{retirement_age: number, years: number, total_contributions: number,
+     *            portfolio_at_retirement: {p10: number, p25: number, p50: number, p75: number, p90: number}}}
+     *          Contributions and portfolio values in nominal dollars
+     */
+    describeAccumulation(params, cashFlowModel, currentAge, mcResults) {
+        const years = Math.min(Math.ceil(params.retirement_age - currentAge), params.planning_horizon_years);
+        let contributions = 0;
+        for (let year = 0; year < years; year++) {
+            contributions += cashFlowModel.getContributionForYear(currentAge + year, year);
+        }
+
+        const { p10, p25, p50, p75, p90 } = mcResults.yearly_percentiles[years - 1];
+        return {
+            retirement_age: params.retirement_age,
+            years,
+            total_contributions: Math.round(contributions),
+            portfolio_at_retirement: { p10, p25, p50, p75, p90 },
+        };
+    }
+
+    /**
+     * Follow the guardrail rule through time: every simulated path re-checks
+     * PoS each year and re-targets spending whenever a guardrail is breached.
+     * Re-checks are answered from a PoS lookup table built on the
+     * calculation's random streams (and reused while the plan is unchanged).
+     * @returns {object} dynamic_guardrails result block
+     */
+    simulateDynamicGuardrails(params, cashFlowModel, currentAge, generatorFactory) {
+        if (this.createTaxModel(params)) {
+            console.warn('Dynamic guardrails do not model taxes, RMDs or Roth conversions; their paths withdraw untaxed');
+        }
+        const paths = params.dynamic_guardrails_paths ?? this.config.dynamic_guardrails.default_paths;
+        const returnGenerator = generatorFactory();
+
+        const { table, cached } = getPosLookupTable({
+            cashFlowModel,
+            returnGenerator: generatorFactory(),
+            currentAge,
+            retirementAge: params.retirement_age,
+            planningHorizonYears: params.planning_horizon_years,
+            stockAllocation: params.stock_allocation,
+            bondAllocation: params.bond_allocation,
+            cashAllocation: params.cash_allocation,
+            annualFeePercentage: params.annual_fee_percentage,
+            glidePath: this.getGlidePath(params),
+            referencePortfolioValue: params.current_portfolio_value,
+            returnModel: {
+                generator: returnGenerator.constructor.name,
+                random_seed: params.random_seed,
+                capital_market_assumptions: returnGenerator.getCapitalMarketAssumptions(),
+            },
+        });
+
+        const simulation = new DynamicGuardrailSimulation({
+            cashFlowModel,
+            returnGenerator,
+            currentPortfolioValue: params.current_portfolio_value,
+            initialSpending: params.desired_spending,
+            currentAge,
+            retirementAge: params.retirement_age,
+            planningHorizonYears: params.planning_horizon_years,
+            stockAllocation: params.stock_allocation,
+            bondAllocation: params.bond_allocation,
+            cashAllocation: params.cash_allocation,
+            annualFeePercentage: params.annual_fee_percentage,
+            glidePath: this.getGlidePath(params),
+            paths,
+            lowerGuardrail: this.lowerGuardrailPos,
+            upperGuardrail: this.upperGuardrailPos,
+            evaluate: (state) => table.getProbabilityOfSuccess(state.age, state.portfolio_value, state.spending),
+            solve: (state) => {
+                const spending = table.findSpendingForTargetPos(state.age, state.portfolio_value, this.targetPos);
+                return Math.round(spending / 10) * 10;
+            },
+        });
+
+        const result = simulation.runSimulation();
+        result.lookup_table = { ...table.describe(), cached };
+        return result;
+    }
+
+    /**
+     * @param {object[]} [projected] Tax, RMD and Roth conversion each year (see MonteCarloSimulation.getProjectedWithdrawals())
+     */
+    buildCashflowTimeline(cashFlowModel, desiredSpending, currentAge, retirementAge, planningHorizonYears, projected = []) {
         const timeline = [];
 
         for (let year = 0; year < planningHorizonYears; year += 1) {
@@ -193,7 +593,8 @@ export class GuardrailCalculator {
             const spending = cashFlowModel.getSpendingForYear(desiredSpending, age, retirementAge, year);
             const income = cashFlowModel.getIncomeForYear(age, year);
             const expenses = cashFlowModel.getExpensesForYear(age, year);
-            const netWithdrawal = spending + expenses - income;
+            const contribution = cashFlowModel.getContributionForYear(age, year);
+            const netWithdrawal = spending + expenses - income - contribution;
 
             timeline.push({
                 year,
@@ -201,83 +602,347 @@ export class GuardrailCalculator {
                 spending,
                 income,
                 expenses,
+                contribution,
                 net_withdrawal: netWithdrawal,
+                taxes: projected[year]?.taxes ?? 0,
+                rmd: projected[year]?.rmd ?? 0,
+                rmd_reinvested: projected[year]?.rmd_reinvested ?? 0,
+                roth_conversion: projected[year]?.roth_conversion ?? 0,
             });
         }
 
         return timeline;
     }
 
-    createSimulation(params, cashFlowModel, spending, currentAge, iterations = null, returnGenerator = null) {
+    /**
+     * @param {object} [plan] Overrides for simulating the remaining plan from a later state
+     * @param {number} [plan.portfolioValue] Starting portfolio value (default: current_portfolio_value)
+     * @param {number} [plan.planningHorizonYears] Years to simulate (default: planning_horizon_years)
+     * @param {number} [plan.yearOffset] Years elapsed since the plan started (default: 0)
+     */
+    createSimulation(params, cashFlowModel, spending, currentAge, iterations = null, returnGenerator = null, plan = {}) {
         return new MonteCarloSimulation(
             cashFlowModel,
-            params.current_portfolio_value,
+            plan.portfolioValue ?? params.current_portfolio_value,
             spending,
             currentAge,
             params.retirement_age,
-            params.planning_horizon_years,
+            plan.planningHorizonYears ?? params.planning_horizon_years,
             params.stock_allocation,
             params.bond_allocation,
             params.cash_allocation,
             params.annual_fee_percentage,
             iterations ?? params.monte_carlo_iterations,
-            returnGenerator
+            returnGenerator,
+            {
+                yearOffset: plan.yearOffset ?? 0,
+                taxModel: this.createTaxModel(params),
+                glidePath: this.getGlidePath(params),
+            }
         );
     }
 
-    _findSpendingForTargetPos(params, cashFlowModel, adjustmentDirection, currentAge, generatorFactory) {
+    /**
+     * Waypoints of `params.glide_path`, or null to hold the fixed allocation.
+     * @returns {?object[]}
+     */
+    getGlidePath(params) {
+        return params.glide_path ? resolveGlidePath(params.glide_path, params.retirement_age) : null;
+    }
+
+    /**
+     * Allocation in each year of the simulation (constant without a glide path).
+     * @returns {{year: number, age: number, stock: number, bond: number, cash: number}[]}
+     */
+    describeAllocationPath(simulation) {
+        const round = (value) => Math.round(value * 10) / 10;
+        return simulation.allocations.map(({ stock, bond, cash }, year) => ({
+            year,
+            age: simulation.currentAge + year,
+            stock: round(stock),
+            bond: round(bond),
+            cash: round(cash),
+        }));
+    }
+
+    /**
+     * Tax model for `params.accounts`, or null to leave withdrawals untaxed.
+     * Account balances are used as shares of the portfolio, so they follow
+     * the portfolio value a simulation starts from. `pre_tax_fraction` is a
+     * shorthand for a pre-tax account holding that share of the portfolio
+     * with the rest in a taxable account with no unrealized gains.
+     * @returns {?TaxModel}
+     */
+    createTaxModel(params) {
+        const accounts = params.accounts ?? (Number.isFinite(params.pre_tax_fraction)
+            ? { pre_tax: params.pre_tax_fraction, taxable: 1 - params.pre_tax_fraction }
+            : null);
+        if (!accounts) {
+            return null;
+        }
+
+        const balance = (account) => Math.max(0, Number(accounts[account]) || 0);
+        const total = ACCOUNT_TYPES.reduce((sum, account) => sum + balance(account), 0);
+        if (total <= 0) {
+            return null;
+        }
+
+        const taxable = balance('taxable');
+        const basis = accounts.taxable_basis ?? taxable;
+        const spouse1Age = params.spouse1_age ?? params.current_age;
+        return new TaxModel({
+            shares: Object.fromEntries(ACCOUNT_TYPES.map(account => [account, balance(account) / total])),
+            basisRatio: taxable > 0 ? Math.min(1, Math.max(0, basis / taxable)) : 1,
+            withdrawalOrder: params.withdrawal_order ?? this.config.taxes.default_withdrawal_order,
+            inflationRate: params.inflation_rate,
+            spouse2AgeOffset: Number.isFinite(params.spouse2_age) ? params.spouse2_age - spouse1Age : null,
+            rmdStartAge: params.rmd_start_age ?? this.config.taxes.rmd_start_age,
+            rothConversion: params.roth_conversion ?? null,
+        });
+    }
+
+    /**
+     * PoS at `desired_spending` and the highest spending that meets the
+     * target PoS, both read off one pass of per-path spending limits (see
+     * MonteCarloSimulation.getSpendingLimits()). Much cheaper than
+     * calculate() for comparing many variants of a plan on the same paths.
+     * @param {object} params Calculator input
+     * @returns {{probability_of_success: number, sustainable_spending: number}}
+     *          Sustainable spending rounded down to $10
+     */
+    evaluatePlan(params) {
+        this.validateParams(params);
+        this.applyGuardrailsFromParams(params);
+
+        const currentAge = params.spouse1_age ?? params.current_age;
+        const limits = this.createSimulation(
+            params,
+            this.createCashFlowModel(params),
+            params.desired_spending,
+            currentAge,
+            null,
+            this.createSeededGenerator(params, this.createGeneratorFactory(params, 'standard'))
+        ).getSpendingLimits().sort();
+
+        let surviving = 0;
+        for (let i = limits.length - 1; i >= 0 && limits[i] > params.desired_spending; i--) {
+            surviving++;
+        }
+
+        return {
+            probability_of_success: Number(((surviving / limits.length) * 100).toFixed(2)),
+            sustainable_spending: getSpendingAtPos(limits, this.targetPos),
+        };
+    }
+
+    /**
+     * recommended_spending as calculate() gives it for a plan evaluated with
+     * evaluatePlan(): the sustainable spending, held to the direction of the
+     * breached guardrail, or the desired spending within the guardrails.
+     * @param {{probability_of_success: number, sustainable_spending: number}} evaluation
+     * @param {number} desiredSpending
+     * @returns {number}
+     */
+    getRecommendedSpending(evaluation, desiredSpending) {
+        const status = this.determineGuardrailStatus(evaluation.probability_of_success);
+        switch (this.determineSpendingAdjustment(status)) {
+            case 'decrease':
+                return Math.min(evaluation.sustainable_spending, desiredSpending);
+            case 'increase':
+                return Math.max(evaluation.sustainable_spending, desiredSpending);
+            default:
+                return desiredSpending;
+        }
+    }
+
+    /**
+     * Common-random-numbers solve for the highest spending level whose PoS
+     * meets the target. Every candidate spending level is evaluated on the
+     * same return paths (by default the headline simulation's), so PoS is a
+     * monotone step function of spending; it is solved exactly from the
+     * per-path spending limits rather than searched.
+     * @param {object} [plan] createSimulation() overrides plus `spending` (the current
+     *        spending level, default desired_spending), `iterations`
+     *        (default monte_carlo_iterations) and `limits` (the plan's sorted per-path
+     *        spending limits, if already solved)
+     * @returns {{spending: number, target_pos: number, achieved_pos: number, iterations: number,
+     *            confidence_interval: {level: number, lower: ?number, upper: ?number}}}
+     *          Spending rounded down to $10; the interval covers the sampling error of
+     *          the spending level at the target PoS
+     */
+    _findSpendingForTargetPos(params, cashFlowModel, adjustmentDirection, currentAge, generatorFactory, plan = {}) {
         const targetPos = this.targetPos;
-        const tolerance = 0.5;
-        const maxIterations = 12;
+        const currentSpending = plan.spending ?? params.desired_spending;
+        const iterations = plan.iterations ?? params.monte_carlo_iterations;
 
-        const desiredSpending = params.desired_spending;
-        let low;
-        let high;
+        const limits = plan.limits ?? this.createSimulation(
+            params,
+            cashFlowModel,
+            currentSpending,
+            currentAge,
+            iterations,
+            generatorFactory(),
+            plan
+        ).getSpendingLimits().sort();
 
+        let spending = getSpendingAtPos(limits, targetPos);
+
+        // The rail that was breached fixes the direction of the change
         if (adjustmentDirection === 'decrease') {
-            low = 0;
-            high = desiredSpending;
-        } else {
-            low = desiredSpending;
-            high = Math.max(desiredSpending * 2, params.current_portfolio_value / 5);
+            spending = Math.min(spending, currentSpending);
+        } else if (adjustmentDirection === 'increase') {
+            spending = Math.max(spending, currentSpending);
+        }
+
+        let surviving = 0;
+        for (let i = iterations - 1; i >= 0 && limits[i] > spending; i--) {
+            surviving++;
+        }
+
+        const interval = getQuantileConfidenceInterval(limits, 1 - targetPos / 100);
+        const roundBound = (value) => (Number.isFinite(value) ? Math.max(0, Math.round(value / 10) * 10) : null);
+
+        return {
+            spending,
+            target_pos: targetPos,
+            achieved_pos: Number(((surviving / iterations) * 100).toFixed(2)),
+            iterations,
+            confidence_interval: {
+                level: 95,
+                lower: roundBound(interval.lower),
+                upper: roundBound(interval.upper),
+            },
+        };
+    }
+
+    /**
+     * PoS against spending, from $0 up to the spending at which no path
+     * survives, read off the per-path spending limits. Every level is
+     * evaluated on the same return paths, so the curve falls monotonically.
+     * Levels are evenly spaced in steps of whole $10s.
+     * @param {Float64Array} limits Per-path spending limits, sorted ascending
+     * @returns {object} spending_pos_curve result block
+     */
+    describeSpendingPosCurve(limits, desiredSpending) {
+        const iterations = limits.length;
+        // Share of paths whose limit lies above the spending level
+        const pos = (spending) => {
+            let low = 0;
+            let high = iterations;
+            while (low < high) {
+                const mid = (low + high) >> 1;
+                if (limits[mid] > spending) high = mid; else low = mid + 1;
+            }
+            return Number((((iterations - low) / iterations) * 100).toFixed(2));
+        };
+
+        const finite = limits.filter(Number.isFinite);
+        const maxSpending = Math.max(0, finite.length > 0 ? finite[finite.length - 1] : desiredSpending);
+        const maxPoints = this.config.spending_pos_curve.max_points;
+        const step = Math.max(10, Math.ceil(maxSpending / (maxPoints - 1) / 10) * 10);
+
+        const points = [];
+        for (let spending = 0; ; spending += step) {
+            const probabilityOfSuccess = pos(spending);
+            points.push({ spending, probability_of_success: probabilityOfSuccess });
+            if (probabilityOfSuccess === 0 || points.length >= maxPoints) break;
         }
 
-        let bestSpending = desiredSpending;
-        let closestPosDiff = 100.0;
+        const atGuardrail = (guardrailPos) => ({
+            probability_of_success: guardrailPos,
+            spending: getSpendingAtPos(limits, guardrailPos),
+        });
+        return {
+            iterations,
+            points,
+            desired: { spending: desiredSpending, probability_of_success: pos(desiredSpending) },
+            guardrails: {
+                lower: atGuardrail(this.lowerGuardrailPos),
+                target: atGuardrail(this.targetPos),
+                upper: atGuardrail(this.upperGuardrailPos),
+            },
+        };
+    }
 
-        for (let i = 0; i < maxIterations; i++) {
-            let midSpending = (low + high) / 2;
-            if (midSpending < 0) midSpending = 0;
+    /**
+     * Risk-based guardrail table: the portfolio values at which today's
+     * spending would breach the lower and upper guardrails, and the spending
+     * the target-seeking adjustment would set at each of them. Both are
+     * solved exactly on the headline return paths from per-path limits
+     * (see MonteCarloSimulation.getPortfolioLimits()).
+     * @param {number} iterations Headline iterations
+     * @returns {object} guardrail_triggers result block
+     */
+    calculateGuardrailTriggers(params, cashFlowModel, currentAge, generatorFactory, iterations) {
+        const portfolioLimits = this.createSimulation(
+            params,
+            cashFlowModel,
+            params.desired_spending,
+            currentAge,
+            iterations,
+            generatorFactory()
+        ).getPortfolioLimits().sort();
+
+        const trigger = (guardrailPos, adjustmentDirection) => {
+            const portfolioValue = getPortfolioValueAtPos(portfolioLimits, guardrailPos);
+            if (portfolioValue === null) {
+                return null;
+            }
 
-            const sim = this.createSimulation(
+            const adjustedSpending = this._findSpendingForTargetPos(
                 params,
                 cashFlowModel,
-                midSpending,
+                adjustmentDirection,
                 currentAge,
-                GuardrailCalculator.SEARCH_ITERATIONS,
-                generatorFactory()
-            );
-            const results = sim.runSimulation();
-            const pos = results.probability_of_success;
+                generatorFactory,
+                { portfolioValue, iterations }
+            ).spending;
+
+            return {
+                probability_of_success: guardrailPos,
+                portfolio_value: portfolioValue,
+                portfolio_change_percentage: this.calculatePercentageChange(
+                    params.current_portfolio_value,
+                    portfolioValue
+                ),
+                adjusted_spending: adjustedSpending,
+                spending_change_amount: adjustedSpending - params.desired_spending,
+                spending_change_percentage: this.calculatePercentageChange(
+                    params.desired_spending,
+                    adjustedSpending
+                ),
+            };
+        };
 
-            const diff = Math.abs(pos - targetPos);
-            if (diff < closestPosDiff) {
-                closestPosDiff = diff;
-                bestSpending = midSpending;
-            }
+        return {
+            spending: params.desired_spending,
+            lower: trigger(this.lowerGuardrailPos, 'decrease'),
+            upper: trigger(this.upperGuardrailPos, 'increase'),
+        };
+    }
 
-            if (diff <= tolerance) {
-                break;
-            }
+    /**
+     * The guardrail inside a PoS confidence interval, i.e. the rail whose side
+     * the true PoS could be on either way. With `pos` given, only the rail
+     * nearest to it is considered.
+     * @param {{lower: number, upper: number}} interval PoS interval (%)
+     * @param {number} [pos] PoS estimate (%)
+     * @returns {?('lower'|'upper')}
+     */
+    findStraddledGuardrail(interval, pos = null) {
+        const contains = (rail) => interval.lower <= rail && rail <= interval.upper;
+        let rails = ['lower', 'upper'];
+        if (pos !== null) {
+            const nearestLower = Math.abs(pos - this.lowerGuardrailPos) <= Math.abs(pos - this.upperGuardrailPos);
+            rails = [nearestLower ? 'lower' : 'upper'];
+        }
 
-            if (pos < targetPos) {
-                high = midSpending;
-            } else {
-                low = midSpending;
+        for (const rail of rails) {
+            if (contains(rail === 'lower' ? this.lowerGuardrailPos : this.upperGuardrailPos)) {
+                return rail;
             }
         }
-
-        return Math.round(bestSpending / 10) * 10;
+        return null;
     }
 
     determineGuardrailStatus(probabilityOfSuccess) {
@@ -342,7 +1007,48 @@ export class GuardrailCalculator {
                           `No adjustment is needed at this time.`
         };
 
-        return messages[status] || '';
+        let message = messages[status] || '';
+        if (message && results.straddled_guardrail) {
+            const rail = results.straddled_guardrail === 'lower' ? this.lowerGuardrailPos : this.upperGuardrailPos;
+            message += ` Note: the ${results.straddled_guardrail} guardrail (${rail}%) lies within the ` +
+                       `confidence interval of this estimate, so the guardrail status is not certain.`;
+        }
+        if (message && results.longevity) {
+            message += ` Allowing for mortality, the chance that your money lasts as long as you need it is ` +
+                       `${results.longevity.mortality_adjusted_pos}% (there is a ` +
+                       `${results.longevity.probability_alive_at_horizon}% chance that someone is still alive ` +
+                       `at the end of the plan).`;
+        }
+        return message;
+    }
+
+    /**
+     * Longevity mode: weight the headline simulation's failures by the chance
+     * that someone is still alive when the money runs out.
+     * @param {object} params Calculator input
+     * @param {number} currentAge Age of spouse 1
+     * @param {object} mcResults Headline runSimulation() results
+     */
+    calculateLongevity(params, currentAge, mcResults) {
+        const years = params.planning_horizon_years;
+        const lives = [{ age: currentAge, sex: params.spouse1_sex ?? 'unisex' }];
+        if (Number.isFinite(params.spouse2_age)) {
+            lives.push({ age: params.spouse2_age, sex: params.spouse2_sex ?? 'unisex' });
+        }
+
+        const survival = getHouseholdSurvival(lives, years);
+        const depletionCounts = mcResults.failure_analysis.depletion_age_histogram.map(entry => entry.count);
+        const adjustedPos = getMortalityAdjustedPos(depletionCounts, mcResults.iterations, survival);
+
+        return {
+            lives: lives.map(life => ({
+                ...life,
+                life_expectancy: Number(getLifeExpectancy(life.age, life.sex).toFixed(1)),
+            })),
+            fixed_horizon_pos: mcResults.probability_of_success,
+            mortality_adjusted_pos: Number(adjustedPos.toFixed(2)),
+            probability_alive_at_horizon: Number((survival[years] * 100).toFixed(2)),
+        };
     }
 
     calculatePercentageChange(original, isNew) {
@@ -354,7 +1060,60 @@ export class GuardrailCalculator {
 
     createSpendingProfile(params) {
         const profileType = params.spending_profile_type ?? 'smile';
-        return new SpendingProfile(profileType);
+        return new SpendingProfile(profileType, {
+            survivorMultiplier: params.survivor_spending_multiplier ?? this.config.survivor.default_spending_multiplier,
+        });
+    }
+
+    /**
+     * Survivor modeling: which spouse dies first and when. Defaults to the
+     * spouse with the shorter remaining life expectancy, dying at the end of
+     * it (see mortality.js).
+     * @param {object} params Calculator input
+     * @returns {?{deceased: ('spouse1'|'spouse2'), first_death_age: number, spouse1_age: number}}
+     *          null when survivor modeling is off or there is no spouse 2
+     */
+    getFirstDeath(params) {
+        const spouse1Age = params.spouse1_age ?? params.current_age;
+        if (!params.survivor_modeling || !Number.isFinite(spouse1Age) || !Number.isFinite(params.spouse2_age)) {
+            return null;
+        }
+
+        const ages = { spouse1: spouse1Age, spouse2: params.spouse2_age };
+        const lifeExpectancy = {
+            spouse1: getLifeExpectancy(spouse1Age, params.spouse1_sex ?? 'unisex'),
+            spouse2: getLifeExpectancy(params.spouse2_age, params.spouse2_sex ?? 'unisex'),
+        };
+
+        const deceased = params.first_death_spouse
+            ?? (lifeExpectancy.spouse2 < lifeExpectancy.spouse1 ? 'spouse2' : 'spouse1');
+        const firstDeathAge = params.first_death_age ?? ages[deceased] + Math.round(lifeExpectancy[deceased]);
+
+        return {
+            deceased,
+            first_death_age: firstDeathAge,
+            spouse1_age: firstDeathAge + (spouse1Age - ages[deceased]),
+        };
+    }
+
+    /**
+     * Result block describing the modeled first death and its effect on
+     * household income and spending in the first survivor year.
+     */
+    describeSurvivor(params, cashFlowModel, currentAge) {
+        const firstDeath = this.getFirstDeath(params);
+        const planYear = Math.max(0, firstDeath.spouse1_age - currentAge);
+        const age = currentAge + planYear;
+
+        return {
+            deceased: firstDeath.deceased,
+            first_death_age: firstDeath.first_death_age,
+            plan_year: planYear,
+            within_horizon: planYear < params.planning_horizon_years,
+            spending_multiplier: cashFlowModel.spendingProfile.survivorMultiplier,
+            household_income_before: cashFlowModel.sumIncome(cashFlowModel.incomeSources, age, planYear),
+            household_income_after: cashFlowModel.getIncomeForYear(age, planYear),
+        };
     }
 
     /**
@@ -444,14 +1203,19 @@ export class GuardrailCalculator {
 
     validateParams(params) {
         const errors = validateInput(params);
-        const criticalErrors = errors.filter(error => error.message.startsWith('Missing required field'));
+        // Missing fields, unusable return assumptions and glide paths cannot be simulated
+        const criticalErrors = errors.filter(error =>
+            error.message.startsWith('Missing required field') ||
+            error.field.startsWith('capital_market_assumptions') ||
+            error.field.startsWith('glide_path')
+        );
 
         if (criticalErrors.length > 0) {
             throw new Error(criticalErrors[0].message);
         }
 
         for (const error of errors) {
-            if (!error.message.startsWith('Missing required field')) {
+            if (!criticalErrors.includes(error)) {
                 console.warn(error.message);
             }
         }
@@ -459,5 +1223,15 @@ export class GuardrailCalculator {
         if (params.annual_fee_percentage === undefined) params.annual_fee_percentage = this.config.defaults.annual_fee;
         if (params.inflation_rate === undefined) params.inflation_rate = this.config.defaults.inflation_rate;
         if (params.monte_carlo_iterations === undefined) params.monte_carlo_iterations = this.config.monte_carlo.default_iterations;
+        // With a glide path the allocation fields are optional; they report its starting mix
+        if (params.glide_path) {
+            const start = getAllocationAtAge(this.getGlidePath(params), params.spouse1_age ?? params.current_age);
+            params.stock_allocation ??= start.stock;
+            params.bond_allocation ??= start.bond;
+            params.cash_allocation ??= start.cash;
+        }
+        // Fix the seed on the params so every run over the same params object
+        // (standard and enhanced) shares it, and so it can be echoed back.
+        if (!isValidSeed(params.random_seed)) params.random_seed = generateSeed();
     }
 }
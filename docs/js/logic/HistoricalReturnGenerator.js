@@ -0,0 +1,201 @@
+import { BaseReturnGenerator } from './BaseReturnGenerator.js';
+import { HISTORICAL_RETURNS } from './data/historicalReturns.js';
+import { ASSETS } from './capitalMarketAssumptions.js';
+
+/**
+ * HistoricalReturnGenerator draws annual returns from the bundled 1928–2023
+ * U.S. stock/bond/cash history instead of a parametric distribution. It is the
+ * "historical simulation" side of the Kitces/Fitzpatrick/Tharp comparison.
+ *
+ * Two resampling modes are supported:
+ *
+ * 1. Rolling historical periods ('rolling'): iteration i replays consecutive
+ *    calendar years starting at start year (i mod N), so every start year is
+ *    used equally often. Sequences that run past 2023 wrap around to 1928
+ *    (circular rolling periods), which keeps long horizons from discarding the
+ *    most recent start years. There are only START_YEARS distinct paths, so
+ *    the calculator runs at most that many iterations in this mode.
+ *
+ * 2. Block bootstrap ('bootstrap'): each path is stitched together from blocks
+ *    of `blockLength` consecutive years with random (circular) start years.
+ *    A block length of 1 is a plain i.i.d. resample of history; longer blocks
+ *    preserve multi-year sequences such as the mean reversion that i.i.d.
+ *    Monte Carlo misses.
+ *
+ * Stocks, bonds and cash always come from the same calendar year, so
+ * cross-asset correlation is taken directly from history. The sample mean,
+ * standard deviation and correlations of the dataset replace the Config
+ * assumptions for getExpectedReturn() and getPortfolioVolatility().
+ *
+ * User capital market assumptions are honored by rescaling each overridden
+ * asset's series to the requested mean and standard deviation. This keeps the
+ * historical sequencing and correlations; correlation overrides are ignored.
+ */
+export class HistoricalReturnGenerator extends BaseReturnGenerator {
+    static MODES = ['rolling', 'bootstrap'];
+    // Distinct paths in rolling mode: one per start year
+    static START_YEARS = HISTORICAL_RETURNS.length;
+
+    /**
+     * @param {string|null} mode 'rolling' or 'bootstrap' (default from Config)
+     * @param {number|null} blockLength Years per bootstrap block (default from Config)
+     * @param {object} [options] BaseReturnGenerator options
+     */
+    constructor(mode = null, blockLength = null, options = {}) {
+        super(options);
+
+        const defaults = this.config.historical;
+        this.mode = mode ?? defaults.default_mode;
+        if (!HistoricalReturnGenerator.MODES.includes(this.mode)) {
+            console.error("Invalid historical mode provided: " + this.mode + ", defaulting to '" + defaults.default_mode + "'");
+            this.mode = defaults.default_mode;
+        }
+
+        this.blockLength = Math.min(
+            defaults.max_block_length,
+            Math.max(defaults.min_block_length, Math.round(blockLength ?? defaults.default_block_length))
+        );
+
+        this.history = HISTORICAL_RETURNS;
+        this.applyHistoricalStatistics();
+        this.applyCapitalMarketOverrides(this.capitalMarketOverrides);
+
+        this.iteration = -1;
+        this.cursor = 0;
+        this.remainingInBlock = 0;
+    }
+
+    /**
+     * First and last calendar years of the dataset.
+     * @returns {{start_year: number, end_year: number}}
+     */
+    getPeriod() {
+        return {
+            start_year: this.history[0].year,
+            end_year: this.history[this.history.length - 1].year,
+        };
+    }
+
+    /**
+     * Rolling mode has one path per start year; bootstrap paths are unlimited.
+     * @returns {number}
+     */
+    getDistinctPaths() {
+        return this.mode === 'rolling' ? HistoricalReturnGenerator.START_YEARS : Infinity;
+    }
+
+    /**
+     * Start a new path: rolling mode moves to the next start year, bootstrap
+     * mode forces a fresh block on the first draw.
+     * @param {number} [iteration] Zero-based iteration index
+     */
+    reset(iteration) {
+        super.reset(iteration);
+
+        this.iteration = Number.isInteger(iteration) ? iteration : this.iteration + 1;
+        this.cursor = this.iteration % this.history.length;
+        this.remainingInBlock = 0;
+    }
+
+    /**
+     * Generate portfolio return for one year based on asset allocation
+     * @param {number} stockAllocation Stock allocation (0-100)
+     * @param {number} bondAllocation Bond allocation (0-100)
+     * @param {number} cashAllocation Cash allocation (0-100)
+     * @returns {number} Annual portfolio return (as decimal)
+     */
+    generateReturn(stockAllocation, bondAllocation, cashAllocation) {
+        this.validateAllocations(stockAllocation, bondAllocation, cashAllocation);
+
+        return this.getPortfolioReturn(this.generateAssetReturns(), stockAllocation, bondAllocation, cashAllocation);
+    }
+
+    /**
+     * Asset-class returns for the next year of the current path.
+     * @returns {{stocks: number, bonds: number, cash: number}} Annual returns (as decimals)
+     */
+    generateAssetReturns() {
+        const year = this.nextHistoricalYear();
+        return { stocks: year.stocks, bonds: year.bonds, cash: year.cash };
+    }
+
+    /**
+     * Advance the current path by one calendar year.
+     * @returns {{year: number, stocks: number, bonds: number, cash: number}}
+     */
+    nextHistoricalYear() {
+        const count = this.history.length;
+
+        if (this.mode === 'bootstrap') {
+            if (this.remainingInBlock === 0) {
+                this.cursor = Math.floor(this.random.next() * count);
+                this.remainingInBlock = this.blockLength;
+            }
+            this.remainingInBlock--;
+        }
+
+        const year = this.history[this.cursor];
+        this.cursor = (this.cursor + 1) % count;
+        return year;
+    }
+
+    applyHistoricalStatistics() {
+        const assets = ['stocks', 'bonds', 'cash'];
+        const count = this.history.length;
+        const stats = {};
+
+        for (const asset of assets) {
+            const mean = this.history.reduce((sum, row) => sum + row[asset], 0) / count;
+            const variance = this.history.reduce((sum, row) => sum + Math.pow(row[asset] - mean, 2), 0) / (count - 1);
+            stats[asset] = { mean, std_dev: Math.sqrt(variance) };
+        }
+
+        const correlation = (a, b) => {
+            const covariance = this.history.reduce(
+                (sum, row) => sum + (row[a] - stats[a].mean) * (row[b] - stats[b].mean),
+                0
+            ) / (count - 1);
+            return covariance / (stats[a].std_dev * stats[b].std_dev);
+        };
+
+        this.returnAssumptions = stats;
+        this.correlations = {
+            stocks_bonds: correlation('stocks', 'bonds'),
+            stocks_cash: correlation('stocks', 'cash'),
+            bonds_cash: correlation('bonds', 'cash'),
+        };
+    }
+
+    /**
+     * Shift and scale each asset series whose mean and/or std_dev was
+     * overridden so its sample statistics match the override.
+     * @param {object|null} overrides Partial capital market assumptions
+     */
+    applyCapitalMarketOverrides(overrides) {
+        const targets = {};
+        for (const asset of ASSETS) {
+            const override = overrides?.[asset];
+            if (override?.mean == null && override?.std_dev == null) continue;
+
+            const stats = this.returnAssumptions[asset];
+            targets[asset] = {
+                mean: override.mean ?? stats.mean,
+                std_dev: override.std_dev ?? stats.std_dev,
+            };
+        }
+
+        const assets = Object.keys(targets);
+        if (assets.length === 0) return;
+
+        const stats = this.returnAssumptions;
+        this.history = this.history.map(row => {
+            const rescaled = { ...row };
+            for (const asset of assets) {
+                const scale = stats[asset].std_dev > 0 ? targets[asset].std_dev / stats[asset].std_dev : 0;
+                rescaled[asset] = targets[asset].mean + (row[asset] - stats[asset].mean) * scale;
+            }
+            return rescaled;
+        });
+        this.returnAssumptions = { ...stats, ...targets };
+    }
+}
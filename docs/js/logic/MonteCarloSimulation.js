@@ -1,5 +1,12 @@
 import { Config } from './Config.js';
+import { getAllocationAtAge } from './glidePath.js';
 import { ReturnGenerator } from './ReturnGenerator.js';
+import { getPercentile, getWilsonInterval } from './statistics.js';
+import { accumulatePath, createPathTotals, drawGrowthFactors, getPortfolioLimit, getSpendingLimit, solvePathLimit } from './spendingLimits.js';
+import { runSteps } from './steps.js';
+
+/** Iterations between progress events. */
+const PROGRESS_INTERVAL = 500;
 
 export class MonteCarloSimulation {
     /**
@@ -14,6 +21,15 @@ export class MonteCarloSimulation {
      * @param {number} cashAllocation 
      * @param {number} annualFeePercentage 
      * @param {number} iterations 
+     * @param {object|null} returnGenerator
+     * @param {object} [options]
+     * @param {number} [options.yearOffset] Years already elapsed since the plan started. Cash flows
+     *        (inflation, spending profile) are evaluated at year `yearOffset + year`, so a
+     *        simulation can start part-way through the plan, e.g. at an annual guardrail re-check.
+     * @param {import('./TaxModel.js').TaxModel} [options.taxModel] Hold the portfolio in tax
+     *        accounts and gross withdrawals up for federal tax; without it withdrawals are untaxed
+     * @param {object[]} [options.glidePath] Waypoints from resolveGlidePath(): each year's
+     *        allocation follows the glide path at that year's age instead of the fixed allocation
      */
     constructor(
         cashFlowModel,
@@ -27,7 +43,8 @@ export class MonteCarloSimulation {
         cashAllocation,
         annualFeePercentage = 0.0075,
         iterations = 10000,
-        returnGenerator = null
+        returnGenerator = null,
+        { yearOffset = 0, taxModel = null, glidePath = null } = {}
     ) {
         this.returnGenerator = returnGenerator || new ReturnGenerator();
         this.cashFlowModel = cashFlowModel;
@@ -37,11 +54,15 @@ export class MonteCarloSimulation {
         this.currentAge = currentAge;
         this.retirementAge = retirementAge;
         this.planningHorizonYears = planningHorizonYears;
+        this.yearOffset = yearOffset;
+        this.taxModel = taxModel;
 
         this.stockAllocation = stockAllocation;
         this.bondAllocation = bondAllocation;
         this.cashAllocation = cashAllocation;
         this.annualFeePercentage = annualFeePercentage;
+        this.glidePath = glidePath;
+        this.allocations = this.getAllocationPath();
 
         this.validateIterations(iterations);
         this.iterations = iterations;
@@ -50,7 +71,10 @@ export class MonteCarloSimulation {
     }
 
     validateIterations(iterations) {
-        const min = Config.monte_carlo.min_iterations;
+        // Rolling historical periods run one iteration per distinct path,
+        // which may be fewer than the usual minimum
+        const distinctPaths = this.returnGenerator.getDistinctPaths?.() ?? Infinity;
+        const min = Math.min(Config.monte_carlo.min_iterations, distinctPaths);
         const max = Config.monte_carlo.max_iterations;
 
         if (iterations < min || iterations > max) {
@@ -65,124 +89,725 @@ export class MonteCarloSimulation {
         }
     }
 
-    runSimulation() {
+    /**
+     * Allocation in each year of the simulation, by the age at the start of the year.
+     * @returns {{stock: number, bond: number, cash: number}[]}
+     */
+    getAllocationPath() {
+        return Array.from({ length: this.planningHorizonYears }, (_, year) => (this.glidePath
+            ? getAllocationAtAge(this.glidePath, this.currentAge + year)
+            : { stock: this.stockAllocation, bond: this.bondAllocation, cash: this.cashAllocation }));
+    }
+
+    /**
+     * @param {object} [options]
+     * @param {function({lower: number, upper: number}, number): boolean} [options.isSettled]
+     *        Adaptive mode: called with the PoS confidence interval and PoS (%) after each
+     *        batch; while it returns false the iteration count keeps doubling
+     * @param {number} [options.maxIterations] Upper limit for adaptive mode
+     * @param {object} [options.shard] Iterations already simulated elsewhere (see
+     *        runIterations() and mergeShards()), starting at iteration 0. They are used
+     *        as-is; any further iterations are simulated here.
+     * @param {boolean} [options.keepPaths] Also return every iteration's full
+     *        runSingleIteration() result as `raw_paths` (memory grows with
+     *        iterations × years). Shard iterations are re-simulated for this.
+     * @param {number} [options.samplePaths] Return up to this many successful and this
+     *        many failed paths, plus the median-outcome path, as `sample_paths` (see
+     *        getSamplePaths())
+     */
+    runSimulation(options = {}) {
+        return runSteps(this.simulate(options));
+    }
+
+    /**
+     * runSimulation() as a step generator (see steps.js): yields
+     * `{phase: 'simulating', completed, total, successful}` every few hundred
+     * iterations and returns the results.
+     * @param {object} [options] As for runSimulation()
+     */
+    *simulate({ isSettled = null, maxIterations = this.iterations, shard = null, keepPaths = false, samplePaths = 0 } = {}) {
         const startTime = performance.now();
+        const initialIterations = this.iterations;
 
-        this.simulationResults = [];
+        // Percentiles only need the portfolio value of each path per year,
+        // so those go into typed buffers rather than per-iteration objects
+        this.simulationResults = keepPaths ? [] : null;
+        this.finalValues = new Float64Array(0);
+        this.yearlyValues = [];
         this.successfulIterations = 0;
         this.failedIterations = 0;
+        this.depletionCounts = new Uint32Array(this.planningHorizonYears);
+        this.shortfallYears = 0;
+        this.shortfallAmount = 0;
+        const portfolioValues = new Float64Array(this.planningHorizonYears);
+
+        // Run all iterations. Iteration i always uses random stream i, so
+        // extending a run adds new paths without changing earlier ones.
+        let completed = 0;
+        let target = this.iterations;
+        let settled = true;
+        for (;;) {
+            this.growBuffers(target);
+            for (let i = completed; i < target; i++) {
+                let iterationResult;
+                let values = portfolioValues;
+                if (keepPaths) {
+                    iterationResult = this.runSingleIteration(i);
+                    this.simulationResults.push(iterationResult);
+                    values.fill(0);
+                    iterationResult.yearly_values.forEach((entry, year) => {
+                        values[year] = entry.portfolio_value;
+                    });
+                } else if (shard && i < shard.end) {
+                    iterationResult = this.getShardIteration(shard, i);
+                    const k = i - shard.start;
+                    values = shard.yearly_values.subarray(k * shard.years, (k + 1) * shard.years);
+                } else {
+                    iterationResult = this.runSingleIteration(i, false, values);
+                }
 
-        // Run all iterations
-        for (let i = 0; i < this.iterations; i++) {
-            const iterationResult = this.runSingleIteration();
-            this.simulationResults.push(iterationResult);
+                this.finalValues[i] = iterationResult.final_portfolio_value;
+                for (let year = 0; year < values.length; year++) {
+                    this.yearlyValues[year][i] = values[year];
+                }
 
-            if (iterationResult.success) {
-                this.successfulIterations++;
-            } else {
-                this.failedIterations++;
+                if (iterationResult.success) {
+                    this.successfulIterations++;
+                } else {
+                    this.failedIterations++;
+                    this.depletionCounts[iterationResult.depletion_year]++;
+                    this.shortfallYears += iterationResult.shortfall.years;
+                    this.shortfallAmount += iterationResult.shortfall.amount;
+                }
+
+                if ((i + 1) % PROGRESS_INTERVAL === 0) {
+                    yield { phase: 'simulating', completed: i + 1, total: target, successful: this.successfulIterations };
+                }
             }
+            completed = target;
+            this.iterations = target;
+            yield { phase: 'simulating', completed: target, total: target, successful: this.successfulIterations };
+
+            if (!isSettled) break;
+            settled = isSettled(this.getConfidenceInterval(), this.getProbabilityOfSuccess());
+            if (settled || target >= maxIterations) break;
+            target = Math.min(maxIterations, target * 2);
         }
 
         const endTime = performance.now();
         const durationMs = Math.round(endTime - startTime);
 
-        // Calculate results
-        const probabilityOfSuccess = (this.successfulIterations / this.iterations) * 100;
-
-        return {
-            probability_of_success: Number(probabilityOfSuccess.toFixed(2)),
+        const results = {
+            probability_of_success: Number(this.getProbabilityOfSuccess().toFixed(2)),
+            confidence_interval: this.getConfidenceInterval(),
             iterations: this.iterations,
             successful: this.successfulIterations,
             failed: this.failedIterations,
             duration_ms: durationMs,
             percentiles: this.calculatePercentiles(),
             yearly_percentiles: this.calculateYearlyPercentiles(),
+            failure_analysis: this.calculateFailureAnalysis(),
         };
+
+        if (isSettled) {
+            results.adaptive = {
+                initial_iterations: initialIterations,
+                max_iterations: maxIterations,
+                settled,
+            };
+        }
+        if (keepPaths) {
+            results.raw_paths = this.simulationResults;
+        }
+        if (samplePaths > 0) {
+            results.sample_paths = this.getSamplePaths(samplePaths);
+        }
+
+        return results;
     }
 
-    runSingleIteration() {
-        // Reset return generator state (clears AR(1) memory for enhanced mode)
-        if (typeof this.returnGenerator.reset === 'function') {
-            this.returnGenerator.reset();
+    /**
+     * Resize the final-value and per-year buffers to hold `size` iterations,
+     * keeping the values recorded so far.
+     */
+    growBuffers(size) {
+        const grow = (buffer) => {
+            const grown = new Float64Array(size);
+            grown.set(buffer.subarray(0, Math.min(buffer.length, size)));
+            return grown;
+        };
+
+        this.finalValues = grow(this.finalValues);
+        for (let year = 0; year < this.planningHorizonYears; year++) {
+            this.yearlyValues[year] = grow(this.yearlyValues[year] ?? new Float64Array(0));
         }
+    }
 
-        let portfolioValue = this.currentPortfolioValue;
-        const yearlyValues = [];
-        let success = true;
-        let depletionYear = null;
+    /**
+     * Simulate iterations [start, end) into a compact, transferable shard so
+     * a run can be split across workers. Iteration i uses random stream i
+     * wherever it runs, so merged shards reproduce a single-threaded run.
+     * @param {number} start First iteration (inclusive)
+     * @param {number} end Last iteration (exclusive)
+     * @param {object} [options]
+     * @param {function(number, number): void} [options.onProgress] Called with the iterations
+     *        completed and how many of them succeeded
+     * @returns {{start: number, end: number, years: number, successful: number, failed: number,
+     *            success: Uint8Array, final_values: Float64Array, yearly_values: Float64Array,
+     *            depletion_years: Int16Array, shortfall_years: Uint16Array, shortfall_amounts: Float64Array}}
+     *          yearly_values holds `years` portfolio values per iteration, 0 after depletion;
+     *          depletion_years is -1 for successful iterations
+     */
+    runIterations(start, end, { onProgress = null } = {}) {
+        const count = end - start;
+        const years = this.planningHorizonYears;
+        const shard = {
+            start,
+            end,
+            years,
+            successful: 0,
+            failed: 0,
+            success: new Uint8Array(count),
+            final_values: new Float64Array(count),
+            yearly_values: new Float64Array(count * years),
+            depletion_years: new Int16Array(count),
+            shortfall_years: new Uint16Array(count),
+            shortfall_amounts: new Float64Array(count),
+        };
+
+        for (let k = 0; k < count; k++) {
+            const iterationResult = this.runSingleIteration(
+                start + k, false, shard.yearly_values.subarray(k * years, (k + 1) * years));
+            shard.success[k] = iterationResult.success ? 1 : 0;
+            shard.final_values[k] = iterationResult.final_portfolio_value;
+            shard.depletion_years[k] = iterationResult.depletion_year ?? -1;
+            shard.shortfall_years[k] = iterationResult.shortfall.years;
+            shard.shortfall_amounts[k] = iterationResult.shortfall.amount;
+
+            if (iterationResult.success) {
+                shard.successful++;
+            } else {
+                shard.failed++;
+            }
+
+            if (onProgress && (k + 1) % PROGRESS_INTERVAL === 0) {
+                onProgress(k + 1, shard.successful);
+            }
+        }
+        onProgress?.(count, shard.successful);
+
+        return shard;
+    }
+
+    /**
+     * Iteration i of a shard in the shape of runSingleIteration(), without
+     * the per-year values.
+     */
+    getShardIteration(shard, i) {
+        const k = i - shard.start;
+        return {
+            success: shard.success[k] === 1,
+            final_portfolio_value: shard.final_values[k],
+            depletion_year: shard.depletion_years[k] === -1 ? null : shard.depletion_years[k],
+            shortfall: { years: shard.shortfall_years[k], amount: shard.shortfall_amounts[k] },
+        };
+    }
+
+    /**
+     * Stratified sample of the last run's paths: the median-outcome path,
+     * then successes spread evenly across the final-value distribution, then
+     * failures spread evenly across depletion years. Chosen iterations are
+     * re-simulated (same random stream) to recover their year-by-year detail.
+     * @param {number} count Paths per outcome
+     * @returns {Array<{iteration: number, outcome: ('median'|'success'|'failure')}>}
+     *          Each entry also has the fields of runSingleIteration()
+     */
+    getSamplePaths(count) {
+        const byFinalValue = Array.from({ length: this.iterations }, (_, i) => i)
+            .sort((a, b) => this.finalValues[a] - this.finalValues[b] || a - b);
+        if (byFinalValue.length === 0) return [];
+
+        const median = byFinalValue[Math.floor((byFinalValue.length - 1) / 2)];
+        const successes = byFinalValue.filter(i => i !== median && this.finalValues[i] > 0);
+        const depletionYear = (i) => this.yearlyValues.findIndex(values => values[i] === 0);
+        const failures = byFinalValue.filter(i => i !== median && this.finalValues[i] === 0)
+            .map(i => ({ i, year: depletionYear(i) }))
+            .sort((a, b) => a.year - b.year || a.i - b.i)
+            .map(({ i }) => i);
+
+        // Midpoint of each of `count` equal strata
+        const stratify = (ordered) => ordered.length <= count
+            ? ordered
+            : Array.from({ length: count }, (_, k) => ordered[Math.floor(((k + 0.5) * ordered.length) / count)]);
+
+        const sample = (i, outcome) => ({ iteration: i, outcome, ...this.runSingleIteration(i) });
+        return [
+            sample(median, 'median'),
+            ...stratify(successes).map(i => sample(i, 'success')),
+            ...stratify(failures).map(i => sample(i, 'failure')),
+        ];
+    }
+
+    getProbabilityOfSuccess() {
+        return (this.successfulIterations / this.iterations) * 100;
+    }
+
+    /**
+     * 95% Wilson interval for the probability of success of the last run (%, 2dp).
+     * @returns {{level: number, lower: number, upper: number}}
+     */
+    getConfidenceInterval() {
+        const { lower, upper } = getWilsonInterval(this.successfulIterations, this.iterations);
+        return {
+            level: 95,
+            lower: Number((lower * 100).toFixed(2)),
+            upper: Number((upper * 100).toFixed(2)),
+        };
+    }
+
+    /**
+     * Probability of success only: runs every iteration but skips the
+     * percentile bookkeeping of runSimulation(). Used by spending searches
+     * that evaluate many candidate plans.
+     * @returns {number} Probability of success (%, 2dp as in runSimulation())
+     */
+    estimateProbabilityOfSuccess() {
+        let successful = 0;
+        for (let i = 0; i < this.iterations; i++) {
+            if (this.runSingleIteration(i, false).success) {
+                successful++;
+            }
+        }
+        return Number(((successful / this.iterations) * 100).toFixed(2));
+    }
+
+    /**
+     * Federal tax over the plan on every path of the run (the same random
+     * streams as runSimulation()), rather than on the expected-return path
+     * alone. Terminal wealth is valued after tax: pre-tax balances net of
+     * tax at `preTaxRate`, Roth and taxable balances in full (the taxable
+     * account's gains are assumed to get a stepped-up basis at death).
+     * @param {number} preTaxRate Rate the pre-tax balance left at the end is taxed at
+     * @returns {?{mean_lifetime_taxes: number, mean_lifetime_roth_conversions: number,
+     *            median_terminal_value_after_tax: number}} Nominal dollars; null without a
+     *          tax model
+     */
+    summarizeTaxes(preTaxRate) {
+        if (!this.taxModel) {
+            return null;
+        }
+
+        const afterTaxValues = new Float64Array(this.iterations);
+        let taxes = 0;
+        let conversions = 0;
+        for (let i = 0; i < this.iterations; i++) {
+            const totals = { taxes: 0, roth_conversions: 0, balances: null };
+            this.runSingleIteration(i, false, null, totals);
+            taxes += totals.taxes;
+            conversions += totals.roth_conversions;
+            const { balances } = totals;
+            afterTaxValues[i] = balances ? balances.pre_tax * (1 - preTaxRate) + balances.roth + balances.taxable : 0;
+        }
+
+        return {
+            mean_lifetime_taxes: taxes / this.iterations,
+            mean_lifetime_roth_conversions: conversions / this.iterations,
+            median_terminal_value_after_tax: getPercentile(afterTaxValues.sort(), 50),
+        };
+    }
+
+    /**
+     * Largest spending level each iteration's return path can sustain:
+     * iteration i succeeds for any desired spending strictly below limits[i].
+     *
+     * For a fixed return path the portfolio is linear in the spending level,
+     * so every path's limit is solved directly (see spendingLimits.js) — one
+     * pass over the same return paths as runSimulation(), with no search.
+     * @returns {Float64Array} One limit per iteration (−Infinity if the path fails
+     *          even with no spending)
+     */
+    getSpendingLimits() {
+        if (this.taxModel) {
+            return this.searchSpendingLimits();
+        }
+
+        const spendingFactors = this.getSpendingFactors();
+        const otherCashFlows = this.getOtherCashFlows();
+        const years = this.planningHorizonYears;
+        const growth = new Float64Array(years);
+        const totals = createPathTotals(years);
+        const limits = new Float64Array(this.iterations);
+
+        for (let i = 0; i < this.iterations; i++) {
+            this.drawGrowthFactors(i, growth);
+            accumulatePath(totals, growth, spendingFactors, otherCashFlows, { years });
+            limits[i] = getSpendingLimit(totals, this.currentPortfolioValue, years);
+        }
+
+        return limits;
+    }
+
+    /** Spending per unit of spending level in each year. */
+    getSpendingFactors() {
+        return this.getCashFlowSchedule().map((cashFlow, year) => this.cashFlowModel.getSpendingForYear(
+            1,
+            cashFlow.age,
+            this.retirementAge,
+            this.yearOffset + year
+        ));
+    }
+
+    /** The rest of each year's net withdrawal: extra expenses minus income and contributions. */
+    getOtherCashFlows() {
+        return this.getCashFlowSchedule().map(cashFlow => cashFlow.extra_expenses - cashFlow.income - cashFlow.contribution);
+    }
+
+    /**
+     * getSpendingLimits() for taxed plans. Tax makes the portfolio non-linear
+     * in spending, so each path's limit is searched for instead: tax only
+     * adds to withdrawals, so the untaxed limit brackets it from above, and
+     * the path's lowest balance falls steadily with spending. Limits are
+     * accurate to $1.
+     * @returns {Float64Array}
+     */
+    searchSpendingLimits() {
+        const spendingFactors = this.getSpendingFactors();
+        const otherCashFlows = this.getOtherCashFlows();
+        const totals = createPathTotals(this.planningHorizonYears);
+        const limits = new Float64Array(this.iterations);
+        const growth = new Float64Array(this.planningHorizonYears);
+
+        for (let i = 0; i < this.iterations; i++) {
+            this.drawGrowthFactors(i, growth);
+            const lowestBalance = (spending) => this.getTaxedLowestBalance(growth, spending, spendingFactors);
+
+            const low = 0;
+            const lowBalance = lowestBalance(low);
+            if (lowBalance <= 0) {
+                limits[i] = -Infinity;
+                continue;
+            }
+
+            accumulatePath(totals, growth, spendingFactors, otherCashFlows, { years: this.planningHorizonYears });
+            const high = Math.max(0, getSpendingLimit(totals, this.currentPortfolioValue, this.planningHorizonYears));
+            const highBalance = Number.isFinite(high) ? lowestBalance(high) : 1;
+            if (highBalance > 0) {
+                // No tax was due on the way, or no year has any spending
+                limits[i] = high;
+                continue;
+            }
 
+            limits[i] = solvePathLimit(lowestBalance, low, lowBalance, high, highBalance);
+        }
+
+        return limits;
+    }
+
+    /**
+     * Smallest starting portfolio each iteration's return path needs at the
+     * desired spending: iteration i succeeds for any starting value strictly
+     * above limits[i]. The counterpart of getSpendingLimits(), solved on the
+     * same return paths; taxed limits are accurate to $1.
+     * @returns {Float64Array} One limit per iteration (−Infinity if the path needs
+     *          no portfolio, Infinity if no starting value up to 2^40 times the
+     *          current one is enough)
+     */
+    getPortfolioLimits() {
+        const spendingFactors = this.getSpendingFactors();
+        const otherCashFlows = this.getOtherCashFlows();
+        const years = this.planningHorizonYears;
+        const growth = new Float64Array(years);
+        const totals = createPathTotals(years);
+        const limits = new Float64Array(this.iterations);
+        const maxValue = Math.max(1, this.currentPortfolioValue) * 2 ** 40;
+
+        for (let i = 0; i < this.iterations; i++) {
+            this.drawGrowthFactors(i, growth);
+            accumulatePath(totals, growth, spendingFactors, otherCashFlows, { years });
+            const untaxed = getPortfolioLimit(totals, this.desiredSpending, years);
+            if (!this.taxModel) {
+                limits[i] = untaxed;
+                continue;
+            }
+
+            // Tax only adds to withdrawals, so the untaxed limit brackets it from below
+            const lowestBalance = (value) => this.getTaxedLowestBalance(growth, this.desiredSpending, spendingFactors, value);
+            let low = Math.max(0, untaxed);
+            let lowBalance = lowestBalance(low);
+            if (lowBalance > 0) {
+                limits[i] = untaxed;
+                continue;
+            }
+
+            let high = Math.max(1, low * 2);
+            let highBalance = lowestBalance(high);
+            while (highBalance <= 0 && high < maxValue) {
+                low = high;
+                lowBalance = highBalance;
+                high *= 2;
+                highBalance = lowestBalance(high);
+            }
+            limits[i] = highBalance > 0 ? solvePathLimit(lowestBalance, high, highBalance, low, lowBalance) : Infinity;
+        }
+
+        return limits;
+    }
+
+    /**
+     * Lowest year-end balance of one taxed path at a spending level; on
+     * depletion, minus the part of that year's withdrawal left uncovered.
+     * The path succeeds while this is positive.
+     * @param {number} [portfolioValue] Starting value (default: the current portfolio)
+     */
+    getTaxedLowestBalance(growth, spendingLevel, spendingFactors, portfolioValue = this.currentPortfolioValue) {
+        const schedule = this.getCashFlowSchedule();
+        const balances = this.taxModel.openBalances(portfolioValue);
+        let lowest = Infinity;
         for (let year = 0; year < this.planningHorizonYears; year++) {
-            const age = this.currentAge + year;
+            const cashFlow = schedule[year];
+            const netWithdrawal = spendingFactors[year] * spendingLevel + cashFlow.extra_expenses - cashFlow.income - cashFlow.contribution;
+            this.taxModel.grow(balances, growth[year]);
+            const withdrawal = this.taxModel.withdraw(balances, netWithdrawal, cashFlow.taxable_income, cashFlow.tax_table);
+            if (withdrawal.deficit > 0) {
+                return -withdrawal.deficit;
+            }
+            lowest = Math.min(lowest, this.taxModel.getTotal(balances));
+        }
+        return lowest;
+    }
 
-            // Generate random return for this year
-            const annualReturn = this.returnGenerator.generateReturn(
-                this.stockAllocation,
-                this.bondAllocation,
-                this.cashAllocation
-            );
+    /**
+     * Growth factor (1 + return) * (1 - fee) for each year of one iteration,
+     * drawn exactly as runSingleIteration() draws them.
+     */
+    drawGrowthFactors(iteration, growth) {
+        return drawGrowthFactors(this.returnGenerator, this.allocations, this.annualFeePercentage, iteration, growth);
+    }
 
-            // Apply investment return to beginning portfolio value
-            portfolioValue *= (1 + annualReturn);
+    /**
+     * Tax, required minimum distribution and Roth conversion each year on a
+     * path that earns the expected return every year: the planning case
+     * shown in the cash-flow timeline.
+     * @returns {{taxes: number, rmd: number, rmd_reinvested: number, roth_conversion: number}[]}
+     *          One entry per year (all 0 without a tax model or after depletion)
+     */
+    getProjectedWithdrawals() {
+        const projected = Array.from(
+            { length: this.planningHorizonYears },
+            () => ({ taxes: 0, rmd: 0, rmd_reinvested: 0, roth_conversion: 0 })
+        );
+        if (!this.taxModel) {
+            return projected;
+        }
 
-            // Subtract fees
-            portfolioValue *= (1 - this.annualFeePercentage);
+        const schedule = this.getCashFlowSchedule();
+        const balances = this.taxModel.openBalances(this.currentPortfolioValue);
+        for (let year = 0; year < this.planningHorizonYears; year++) {
+            const cashFlow = schedule[year];
+            this.taxModel.grow(balances, (1 + this.getExpectedReturn(year)) * (1 - this.annualFeePercentage));
+            const withdrawal = this.taxModel.withdraw(
+                balances, cashFlow.net_withdrawal, cashFlow.taxable_income, cashFlow.tax_table);
+            projected[year] = {
+                taxes: withdrawal.tax,
+                rmd: withdrawal.rmd,
+                rmd_reinvested: withdrawal.rmd_reinvested,
+                roth_conversion: withdrawal.conversion,
+            };
+            if (withdrawal.deficit > 0) break;
+        }
+        return projected;
+    }
+
+    /**
+     * Spending, income, expenses and contributions do not depend on market
+     * returns, so they are computed once per simulation rather than once per
+     * iteration. Before the retirement age spending is 0 and contributions
+     * are added instead. With a tax model each year also carries its taxable
+     * income and tax table.
+     * @returns {{age: number, spending: number, income: number, extra_expenses: number,
+     *            contribution: number, net_withdrawal: number}[]}
+     */
+    getCashFlowSchedule() {
+        if (this.cashFlowSchedule) {
+            return this.cashFlowSchedule;
+        }
+
+        this.cashFlowSchedule = [];
+        for (let year = 0; year < this.planningHorizonYears; year++) {
+            const age = this.currentAge + year;
+            const planYear = this.yearOffset + year;
 
             // Get spending for this year
             const spending = this.cashFlowModel.getSpendingForYear(
                 this.desiredSpending,
                 age,
                 this.retirementAge,
-                year
+                planYear
             );
 
             // Get income for this year
-            const income = this.cashFlowModel.getIncomeForYear(age, year);
+            const income = this.cashFlowModel.getIncomeForYear(age, planYear);
 
             // Get additional expenses for this year
-            const extraExpenses = this.cashFlowModel.getExpensesForYear(age, year);
+            const extraExpenses = this.cashFlowModel.getExpensesForYear(age, planYear);
 
-            // Calculate net withdrawal
-            const netWithdrawal = spending + extraExpenses - income;
+            // Savings added during the accumulation phase
+            const contribution = this.cashFlowModel.getContributionForYear(age, planYear);
+
+            const cashFlow = {
+                age,
+                spending,
+                income,
+                extra_expenses: extraExpenses,
+                contribution,
+                // Net withdrawal (negative = contribution)
+                net_withdrawal: spending + extraExpenses - income - contribution,
+            };
+            if (this.taxModel) {
+                cashFlow.taxable_income = this.cashFlowModel.getTaxableIncomeForYear(age, planYear);
+                cashFlow.tax_table = this.taxModel.getTaxTable(planYear, age, this.cashFlowModel.firstDeath);
+            }
+            this.cashFlowSchedule.push(cashFlow);
+        }
+
+        return this.cashFlowSchedule;
+    }
+
+    /**
+     * @param {number} [iteration] Zero-based iteration index (selects the random stream)
+     * @param {boolean} [recordYears] Keep per-year values; searches that only need
+     *        success/failure skip them
+     * @param {Float64Array} [portfolioValues] Receives each year's ending portfolio
+     *        value (0 after depletion) without recording the per-year objects
+     * @param {object} [taxTotals] With a tax model, receives the path's total `taxes` and
+     *        `roth_conversions` and its final account `balances` (null after depletion)
+     */
+    runSingleIteration(iteration = 0, recordYears = true, portfolioValues = null, taxTotals = null) {
+        // Reset return generator state (selects the iteration's random stream
+        // and clears AR(1) memory for enhanced mode)
+        if (typeof this.returnGenerator.reset === 'function') {
+            this.returnGenerator.reset(iteration);
+        }
+
+        const schedule = this.getCashFlowSchedule();
+        let portfolioValue = this.currentPortfolioValue;
+        const balances = this.taxModel?.openBalances(portfolioValue);
+        const yearlyValues = [];
+        let success = true;
+        let depletionYear = null;
+        let deficit = 0;
+
+        for (let year = 0; year < this.planningHorizonYears; year++) {
+            const cashFlow = schedule[year];
+
+            // Generate random return for this year at this year's allocation.
+            // Generators that model asset classes individually also report
+            // the per-asset returns.
+            const { stock, bond, cash } = this.allocations[year];
+            let assetReturns = null;
+            let annualReturn;
+            if (typeof this.returnGenerator.generateAssetReturns === 'function') {
+                assetReturns = this.returnGenerator.generateAssetReturns();
+                annualReturn = this.returnGenerator.getPortfolioReturn(assetReturns, stock, bond, cash);
+            } else {
+                annualReturn = this.returnGenerator.generateReturn(stock, bond, cash);
+            }
+
+            // Apply investment return to beginning portfolio value
+            portfolioValue *= (1 + annualReturn);
+
+            // Subtract fees
+            portfolioValue *= (1 - this.annualFeePercentage);
 
             // Apply withdrawal (or contribution if negative)
-            portfolioValue -= netWithdrawal;
+            let taxes = 0;
+            if (balances) {
+                this.taxModel.grow(balances, (1 + annualReturn) * (1 - this.annualFeePercentage));
+                const withdrawal = this.taxModel.withdraw(
+                    balances, cashFlow.net_withdrawal, cashFlow.taxable_income, cashFlow.tax_table);
+                taxes = withdrawal.tax;
+                portfolioValue = withdrawal.deficit > 0 ? -withdrawal.deficit : this.taxModel.getTotal(balances);
+                if (taxTotals) {
+                    taxTotals.taxes += withdrawal.tax;
+                    taxTotals.roth_conversions += withdrawal.conversion;
+                }
+            } else {
+                portfolioValue -= cashFlow.net_withdrawal;
+            }
 
             // Check for depletion
             if (portfolioValue <= 0) {
                 success = false;
                 depletionYear = year;
+                deficit = -portfolioValue;
                 portfolioValue = 0;
             }
 
-            yearlyValues.push({
-                year: year,
-                age: age,
-                portfolio_value: portfolioValue,
-                annual_return: annualReturn,
-                spending: spending,
-                extra_expenses: extraExpenses,
-                income: income,
-                net_withdrawal: netWithdrawal,
-            });
+            if (portfolioValues) {
+                portfolioValues[year] = portfolioValue;
+            }
+            if (recordYears) {
+                yearlyValues.push({
+                    year: year,
+                    age: cashFlow.age,
+                    portfolio_value: portfolioValue,
+                    annual_return: annualReturn,
+                    asset_returns: assetReturns,
+                    spending: cashFlow.spending,
+                    extra_expenses: cashFlow.extra_expenses,
+                    income: cashFlow.income,
+                    contribution: cashFlow.contribution,
+                    net_withdrawal: cashFlow.net_withdrawal,
+                    taxes,
+                });
+            }
 
             // If portfolio depleted, stop projecting
             if (!success) {
+                portfolioValues?.fill(0, year + 1);
                 break;
             }
         }
 
+        if (taxTotals && balances) {
+            taxTotals.balances = success ? balances : null;
+        }
+
         return {
             success: success,
             final_portfolio_value: portfolioValue,
             depletion_year: depletionYear,
+            shortfall: success ? { years: 0, amount: 0 } : this.getShortfall(depletionYear, deficit),
             yearly_values: yearlyValues,
         };
     }
 
+    /**
+     * Spending a depleted path leaves unfunded: the deficit of the depletion
+     * year plus every later year's net withdrawal.
+     * @param {number} depletionYear
+     * @param {number} deficit Part of the depletion year's withdrawal the portfolio could not cover
+     * @returns {{years: number, amount: number}} Years with unfunded spending and the total
+     *          unfunded, in today's dollars
+     */
+    getShortfall(depletionYear, deficit) {
+        const schedule = this.getCashFlowSchedule();
+        const inflationRate = this.cashFlowModel.inflationRate ?? 0;
+        let years = 0;
+        let amount = 0;
+        for (let year = depletionYear; year < this.planningHorizonYears; year++) {
+            const unfunded = year === depletionYear ? deficit : Math.max(0, schedule[year].net_withdrawal);
+            if (unfunded > 0) {
+                years++;
+                amount += unfunded / Math.pow(1 + inflationRate, this.yearOffset + year);
+            }
+        }
+        return { years, amount };
+    }
+
     calculatePercentiles() {
-        const finalValues = this.simulationResults.map(result => result.final_portfolio_value);
-        finalValues.sort((a, b) => a - b);
+        // Typed arrays sort numerically
+        const finalValues = this.finalValues.slice().sort();
 
         // finalValues is sorted ascending, so the endpoints are min/max.
         // Avoid Math.min/max(...spread), which can throw RangeError
@@ -202,20 +827,9 @@ export class MonteCarloSimulation {
         const yearlyPercentiles = [];
 
         for (let year = 0; year < this.planningHorizonYears; year++) {
-            const yearValues = [];
-
-            for (const result of this.simulationResults) {
-                // Get portfolio value for this year if it exists
-                if (result.yearly_values[year]) {
-                    yearValues.push(result.yearly_values[year].portfolio_value);
-                } else {
-                    // Portfolio was depleted before this year
-                    yearValues.push(0);
-                }
-            }
+            // Holds 0 for paths depleted before this year
+            const yearValues = this.yearlyValues[year].slice().sort();
 
-            yearValues.sort((a, b) => a - b);
-            
             yearlyPercentiles.push({
                 year: year,
                 age: this.currentAge + year,
@@ -230,38 +844,94 @@ export class MonteCarloSimulation {
         return yearlyPercentiles;
     }
 
-    getPercentile(sortedValues, percentile) {
-        const count = sortedValues.length;
-        if (count === 0) {
-            return 0;
-        }
+    /**
+     * When and how badly the failed paths of the last run fall short.
+     * @returns {{failures: number, depletion_age_p10: (number|null), depletion_age_p50: (number|null),
+     *            depletion_age_histogram: Array<{age: number, count: number}>, shortfall: object}}
+     */
+    calculateFailureAnalysis() {
+        const failures = this.failedIterations;
+        const depletionAges = new Float64Array(failures);
+        let filled = 0;
+        this.depletionCounts.forEach((count, year) => {
+            depletionAges.fill(this.currentAge + year, filled, filled + count);
+            filled += count;
+        });
+
+        const round = (value) => Math.round(value * 100) / 100;
+        return {
+            failures,
+            depletion_age_p10: failures ? this.getPercentile(depletionAges, 10) : null,
+            depletion_age_p50: failures ? this.getPercentile(depletionAges, 50) : null,
+            depletion_age_histogram: Array.from(this.depletionCounts, (count, year) => ({
+                age: this.currentAge + year,
+                count,
+            })),
+            shortfall: {
+                mean_unfunded_years: failures ? round(this.shortfallYears / failures) : 0,
+                mean_unfunded_amount: failures ? Math.round(this.shortfallAmount / failures) : 0,
+                expected_unfunded_years: round(this.shortfallYears / this.iterations),
+                expected_unfunded_amount: Math.round(this.shortfallAmount / this.iterations),
+            },
+        };
+    }
 
-        const index = (percentile / 100) * (count - 1);
-        const lower = Math.floor(index);
-        const upper = Math.ceil(index);
+    getPercentile(sortedValues, percentile) {
+        return getPercentile(sortedValues, percentile);
+    }
 
-        if (lower === upper) {
-            return sortedValues[lower];
-        }
+    /** Expected return at the allocation of `year` (default: the first year). */
+    getExpectedReturn(year = 0) {
+        const { stock, bond, cash } = this.allocations[year];
+        return this.returnGenerator.getExpectedReturn(stock, bond, cash);
+    }
 
-        // Linear interpolation
-        const weight = index - lower;
-        return sortedValues[lower] * (1 - weight) + sortedValues[upper] * weight;
+    /** Volatility at the allocation of `year` (default: the first year). */
+    getPortfolioVolatility(year = 0) {
+        const { stock, bond, cash } = this.allocations[year];
+        return this.returnGenerator.getPortfolioVolatility(stock, bond, cash);
     }
+}
 
-    getExpectedReturn() {
-        return this.returnGenerator.getExpectedReturn(
-            this.stockAllocation,
-            this.bondAllocation,
-            this.cashAllocation
-        );
+/**
+ * Join shards from runIterations() into one shard covering [0, n).
+ * @param {object[]} shards Adjacent shards, in any order
+ * @returns {object} Merged shard
+ */
+export function mergeShards(shards) {
+    const sorted = [...shards].sort((a, b) => a.start - b.start);
+    const years = sorted[0].years;
+    let end = 0;
+    for (const shard of sorted) {
+        if (shard.start !== end || shard.years !== years) {
+            throw new Error(`Shards do not form a contiguous run: expected iteration ${end}, got ${shard.start}`);
+        }
+        end = shard.end;
     }
 
-    getPortfolioVolatility() {
-        return this.returnGenerator.getPortfolioVolatility(
-            this.stockAllocation,
-            this.bondAllocation,
-            this.cashAllocation
-        );
+    const merged = {
+        start: 0,
+        end,
+        years,
+        successful: 0,
+        failed: 0,
+        success: new Uint8Array(end),
+        final_values: new Float64Array(end),
+        yearly_values: new Float64Array(end * years),
+        depletion_years: new Int16Array(end),
+        shortfall_years: new Uint16Array(end),
+        shortfall_amounts: new Float64Array(end),
+    };
+    for (const shard of sorted) {
+        merged.successful += shard.successful;
+        merged.failed += shard.failed;
+        merged.success.set(shard.success, shard.start);
+        merged.final_values.set(shard.final_values, shard.start);
+        merged.yearly_values.set(shard.yearly_values, shard.start * years);
+        merged.depletion_years.set(shard.depletion_years, shard.start);
+        merged.shortfall_years.set(shard.shortfall_years, shard.start);
+        merged.shortfall_amounts.set(shard.shortfall_amounts, shard.start);
     }
+
+    return merged;
 }
@@ -0,0 +1,336 @@
+import { Config } from './Config.js';
+import { getAllocationAtAge } from './glidePath.js';
+import { accumulatePath, createPathTotals, drawGrowthFactors, getSpendingLimit } from './spendingLimits.js';
+
+/**
+ * PosLookupTable precomputes probability of success for one plan so that
+ * year-by-year modes can query it in microseconds instead of re-running a
+ * Monte Carlo simulation for every re-check.
+ *
+ * Within a plan the cash-flow calendar is fixed, so age and remaining horizon
+ * move together (age = current_age + year, remaining = horizon - year) and
+ * share one axis. The grid is:
+ *
+ *   plan year × portfolio value × withdrawal rate (spending / portfolio value)
+ *
+ * Spending is the guardrail spending level in year-0 dollars, as in
+ * MonteCarloSimulation. Each node uses the same return paths (random streams
+ * 0..iterations-1) as a nested MonteCarloSimulation started from that year,
+ * so a node's PoS equals estimateProbabilityOfSuccess() for that state.
+ *
+ * For a fixed return path the portfolio is linear in the starting value and
+ * the spending level, so each path's largest sustainable spending can be
+ * solved directly; a node's PoS curve is the share of paths whose limit lies
+ * above each spending level. Without income or extra expenses PoS depends
+ * only on the withdrawal rate and the portfolio axis collapses to one node.
+ */
+export class PosLookupTable {
+    /**
+     * @param {object} options
+     * @param {import('./CashFlowModel.js').CashFlowModel} options.cashFlowModel
+     * @param {object} options.returnGenerator Generator with reset(stream)
+     * @param {number} options.currentAge
+     * @param {number} options.retirementAge
+     * @param {number} options.planningHorizonYears
+     * @param {number} options.stockAllocation
+     * @param {number} options.bondAllocation
+     * @param {number} options.cashAllocation
+     * @param {number} options.annualFeePercentage
+     * @param {object[]} [options.glidePath] Waypoints from resolveGlidePath(); replaces
+     *        the fixed allocation, as in MonteCarloSimulation
+     * @param {number} options.referencePortfolioValue Centre of the portfolio axis
+     * @param {object} [options.returnModel] Plain description of the return generator's
+     *        configuration (seed, assumptions, ...); only used for the cache key
+     * @param {object} [options.settings] Overrides for Config.pos_lookup
+     */
+    constructor({
+        cashFlowModel,
+        returnGenerator,
+        currentAge,
+        retirementAge,
+        planningHorizonYears,
+        stockAllocation,
+        bondAllocation,
+        cashAllocation,
+        annualFeePercentage,
+        glidePath = null,
+        referencePortfolioValue,
+        returnModel = null,
+        settings = {},
+    }) {
+        this.returnGenerator = returnGenerator;
+        this.currentAge = currentAge;
+        this.retirementAge = retirementAge;
+        this.planningHorizonYears = planningHorizonYears;
+        this.stockAllocation = stockAllocation;
+        this.bondAllocation = bondAllocation;
+        this.cashAllocation = cashAllocation;
+        this.annualFeePercentage = annualFeePercentage;
+        this.allocations = Array.from({ length: planningHorizonYears }, (_, year) => (glidePath
+            ? getAllocationAtAge(glidePath, currentAge + year)
+            : { stock: stockAllocation, bond: bondAllocation, cash: cashAllocation }));
+        this.settings = { ...Config.pos_lookup, ...settings };
+        this.iterations = this.settings.iterations;
+        this.ratePoints = this.settings.rate_points;
+
+        // Per plan year: spending per unit of spending level, and the rest of
+        // the net withdrawal (extra expenses minus income and contributions)
+        this.spendingFactors = new Float64Array(planningHorizonYears);
+        this.otherCashFlows = new Float64Array(planningHorizonYears);
+        for (let year = 0; year < planningHorizonYears; year++) {
+            const age = currentAge + year;
+            this.spendingFactors[year] = cashFlowModel.getSpendingForYear(1, age, retirementAge, year);
+            this.otherCashFlows[year] = cashFlowModel.getExpensesForYear(age, year)
+                - cashFlowModel.getIncomeForYear(age, year)
+                - cashFlowModel.getContributionForYear(age, year);
+        }
+
+        this.scaleInvariant = this.otherCashFlows.every(value => value === 0);
+        this.portfolioNodes = this.buildPortfolioNodes(referencePortfolioValue);
+
+        this.key = JSON.stringify({
+            currentAge,
+            retirementAge,
+            planningHorizonYears,
+            allocation: glidePath ?? [stockAllocation, bondAllocation, cashAllocation],
+            annualFeePercentage,
+            spendingFactors: Array.from(this.spendingFactors),
+            otherCashFlows: Array.from(this.otherCashFlows),
+            portfolioNodes: this.portfolioNodes,
+            settings: this.settings,
+            returnModel,
+        });
+
+        this.built = false;
+    }
+
+    buildPortfolioNodes(referencePortfolioValue) {
+        // Any single value will do; 1 keeps the key independent of the portfolio
+        if (this.scaleInvariant) {
+            return [1];
+        }
+
+        const count = Math.max(2, this.settings.portfolio_nodes);
+        const logMin = Math.log(referencePortfolioValue * this.settings.min_portfolio_ratio);
+        const logMax = Math.log(referencePortfolioValue * this.settings.max_portfolio_ratio);
+        const nodes = [];
+        for (let i = 0; i < count; i++) {
+            nodes.push(Math.exp(logMin + ((logMax - logMin) * i) / (count - 1)));
+        }
+        return nodes;
+    }
+
+    /**
+     * Fill the grid. Called lazily by the query methods.
+     * @returns {PosLookupTable}
+     */
+    build() {
+        const startTime = performance.now();
+        const years = this.planningHorizonYears;
+        const iterations = this.iterations;
+        const nodeCount = this.portfolioNodes.length;
+        const growth = this.drawGrowthFactors();
+
+        this.maxRates = new Float64Array(years * nodeCount);
+        this.pos = new Float64Array(years * nodeCount * this.ratePoints);
+
+        const limits = Array.from({ length: nodeCount }, () => new Float64Array(iterations));
+        const totals = createPathTotals(years);
+
+        for (let year = 0; year < years; year++) {
+            const remaining = years - year;
+
+            for (let i = 0; i < iterations; i++) {
+                accumulatePath(totals, growth, this.spendingFactors, this.otherCashFlows,
+                    { years: remaining, offset: i * years, start: year });
+                for (let node = 0; node < nodeCount; node++) {
+                    limits[node][i] = getSpendingLimit(totals, this.portfolioNodes[node], remaining);
+                }
+            }
+
+            for (let node = 0; node < nodeCount; node++) {
+                this.fillNode(year, node, limits[node].sort());
+            }
+        }
+
+        this.built = true;
+        this.buildDurationMs = Math.round(performance.now() - startTime);
+        return this;
+    }
+
+    /**
+     * Growth factor (1 + return) * (1 - fee) for every path and year, drawn
+     * exactly as MonteCarloSimulation draws them.
+     * @returns {Float64Array} iterations × years, row-major by path
+     */
+    drawGrowthFactors() {
+        const years = this.planningHorizonYears;
+        const growth = new Float64Array(this.iterations * years);
+        for (let i = 0; i < this.iterations; i++) {
+            drawGrowthFactors(this.returnGenerator, this.allocations, this.annualFeePercentage, i, growth, i * years);
+        }
+        return growth;
+    }
+
+    fillNode(year, node, sortedLimits) {
+        const iterations = this.iterations;
+        const portfolioValue = this.portfolioNodes[node];
+        const nodeIndex = year * this.portfolioNodes.length + node;
+
+        // Above the largest finite limit no path survives
+        let maxLimit = 0;
+        for (let i = iterations - 1; i >= 0; i--) {
+            if (Number.isFinite(sortedLimits[i])) {
+                maxLimit = Math.max(0, sortedLimits[i]);
+                break;
+            }
+        }
+        const maxRate = maxLimit / portfolioValue;
+        this.maxRates[nodeIndex] = maxRate;
+
+        const base = nodeIndex * this.ratePoints;
+        let failed = 0;
+        for (let j = 0; j < this.ratePoints; j++) {
+            const spending = (maxRate * j / (this.ratePoints - 1)) * portfolioValue;
+            while (failed < iterations && sortedLimits[failed] <= spending) {
+                failed++;
+            }
+            this.pos[base + j] = ((iterations - failed) / iterations) * 100;
+        }
+    }
+
+    /**
+     * PoS (%) of the remaining plan from a given age.
+     * @param {number} age Age at the start of the year (current_age + plan year)
+     * @param {number} portfolioValue Portfolio value at the start of that year
+     * @param {number} spending Spending level in year-0 dollars
+     * @returns {number}
+     */
+    getProbabilityOfSuccess(age, portfolioValue, spending) {
+        if (!this.built) this.build();
+        const year = this.yearForAge(age);
+        if (portfolioValue <= 0) return 0;
+
+        const { lower, upper, weight } = this.portfolioPosition(portfolioValue);
+        const rate = spending / portfolioValue;
+        return (1 - weight) * this.nodePos(year, lower, rate) + weight * this.nodePos(year, upper, rate);
+    }
+
+    /**
+     * Spending level whose PoS from the given state equals the target,
+     * interpolated on the withdrawal-rate axis.
+     * @param {number} age
+     * @param {number} portfolioValue
+     * @param {number} targetPos Target PoS (%)
+     * @returns {number} Spending level in year-0 dollars
+     */
+    findSpendingForTargetPos(age, portfolioValue, targetPos) {
+        if (!this.built) this.build();
+        const year = this.yearForAge(age);
+        if (portfolioValue <= 0) return 0;
+
+        const { lower, upper, weight } = this.portfolioPosition(portfolioValue);
+        const nodeCount = this.portfolioNodes.length;
+        const posAt = (rate) => (1 - weight) * this.nodePos(year, lower, rate) + weight * this.nodePos(year, upper, rate);
+
+        let low = 0;
+        let high = Math.max(this.maxRates[year * nodeCount + lower], this.maxRates[year * nodeCount + upper]);
+        if (posAt(low) < targetPos) return 0;
+
+        // PoS is non-increasing in the withdrawal rate
+        for (let step = 0; step < 40; step++) {
+            const mid = (low + high) / 2;
+            if (posAt(mid) >= targetPos) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+
+        return low * portfolioValue;
+    }
+
+    yearForAge(age) {
+        const year = Math.round(age - this.currentAge);
+        if (year < 0 || year >= this.planningHorizonYears) {
+            throw new Error(`Age ${age} is outside the lookup table's plan (${this.currentAge}–${this.currentAge + this.planningHorizonYears - 1})`);
+        }
+        return year;
+    }
+
+    /**
+     * Bracketing portfolio nodes and the interpolation weight (log scale).
+     * Values outside the grid are clamped to the end nodes.
+     */
+    portfolioPosition(portfolioValue) {
+        const nodes = this.portfolioNodes;
+        const last = nodes.length - 1;
+        if (portfolioValue <= nodes[0]) return { lower: 0, upper: 0, weight: 0 };
+        if (portfolioValue >= nodes[last]) return { lower: last, upper: last, weight: 0 };
+
+        const logMin = Math.log(nodes[0]);
+        const position = ((Math.log(portfolioValue) - logMin) / (Math.log(nodes[last]) - logMin)) * last;
+        const lower = Math.min(last - 1, Math.floor(position));
+        return { lower, upper: lower + 1, weight: position - lower };
+    }
+
+    nodePos(year, node, rate) {
+        const nodeIndex = year * this.portfolioNodes.length + node;
+        const maxRate = this.maxRates[nodeIndex];
+        const base = nodeIndex * this.ratePoints;
+
+        if (rate >= maxRate) return 0;
+        if (rate <= 0) return this.pos[base];
+
+        const position = (rate / maxRate) * (this.ratePoints - 1);
+        const j = Math.floor(position);
+        const fraction = position - j;
+        return this.pos[base + j] + (this.pos[base + j + 1] - this.pos[base + j]) * fraction;
+    }
+
+    /**
+     * Grid dimensions and build time, for reporting.
+     */
+    describe() {
+        return {
+            iterations: this.iterations,
+            years: this.planningHorizonYears,
+            portfolio_nodes: this.portfolioNodes.length,
+            rate_points: this.ratePoints,
+            build_ms: this.buildDurationMs ?? null,
+        };
+    }
+}
+
+// Most recently used tables, keyed by PosLookupTable#key. Any change to the
+// cash flows, allocation, fee, horizon or return model changes the key, so a
+// stale table is never reused.
+const tableCache = new Map();
+
+/**
+ * Return a cached table for these options, building a new one on a miss.
+ * @param {object} options PosLookupTable constructor options
+ * @returns {{table: PosLookupTable, cached: boolean}}
+ */
+export function getPosLookupTable(options) {
+    const candidate = new PosLookupTable(options);
+    const existing = tableCache.get(candidate.key);
+
+    if (existing) {
+        // Refresh recency
+        tableCache.delete(candidate.key);
+        tableCache.set(candidate.key, existing);
+        return { table: existing, cached: true };
+    }
+
+    candidate.build();
+    tableCache.set(candidate.key, candidate);
+    while (tableCache.size > candidate.settings.cache_size) {
+        tableCache.delete(tableCache.keys().next().value);
+    }
+    return { table: candidate, cached: false };
+}
+
+export function clearPosLookupCache() {
+    tableCache.clear();
+}
@@ -12,20 +12,23 @@ export class ReturnGenerator extends BaseReturnGenerator {
     generateReturn(stockAllocation, bondAllocation, cashAllocation) {
         this.validateAllocations(stockAllocation, bondAllocation, cashAllocation);
 
-        const portfolioExpectedReturn = this.getExpectedReturn(stockAllocation, bondAllocation, cashAllocation);
-        const portfolioVolatility = this.getPortfolioVolatility(stockAllocation, bondAllocation, cashAllocation);
-
-        return this.generateNormalReturn(portfolioExpectedReturn, portfolioVolatility);
+        const assetReturns = this.generateAssetReturns();
+        return this.getPortfolioReturn(assetReturns, stockAllocation, bondAllocation, cashAllocation);
     }
 
     /**
-     * Generate random return from normal distribution using Box-Muller transform
-     * @param {number} mean 
-     * @param {number} stdDev 
-     * @returns {number}
+     * Generate one year of normally distributed, correlated asset-class returns.
+     * Each asset is drawn around its own mean with the Cholesky factor of the
+     * covariance matrix, so the weighted portfolio return has exactly the
+     * mean and volatility reported by getExpectedReturn()/getPortfolioVolatility().
+     * @returns {{stocks: number, bonds: number, cash: number}} Annual returns (as decimals)
      */
-    generateNormalReturn(mean, stdDev) {
-        const z = this.standardNormal();
-        return mean + (stdDev * z);
+    generateAssetReturns() {
+        const shocks = this.generateCorrelatedShocks();
+        return {
+            stocks: this.returnAssumptions.stocks.mean + shocks.stocks,
+            bonds: this.returnAssumptions.bonds.mean + shocks.bonds,
+            cash: this.returnAssumptions.cash.mean + shocks.cash,
+        };
     }
 }
@@ -1,8 +1,11 @@
 export class SpendingProfile {
     /**
      * @param {string} profileType 'flat' or 'smile'
+     * @param {object} [options]
+     * @param {number} [options.survivorMultiplier] Share of household spending a single
+     *        survivor needs after the first death
      */
-    constructor(profileType = 'smile') {
+    constructor(profileType = 'smile', { survivorMultiplier = 1.0 } = {}) {
         const validTypes = ['flat', 'smile'];
         if (!validTypes.includes(profileType)) {
             console.error("Invalid profile type provided: " + profileType + ", defaulting to 'smile'");
@@ -10,22 +13,29 @@ export class SpendingProfile {
         }
 
         this.profileType = profileType;
+        this.survivorMultiplier = survivorMultiplier;
     }
 
     /**
-     * Get spending multiplier for a given age
+     * Get spending multiplier for a given age: 0 before retirement, when
+     * spending is paid from wages rather than the portfolio
      * @param {number} age Current age
      * @param {number} retirementAge Age at retirement
+     * @param {boolean} [survivor] Only one spouse is still alive
      * @returns {number} Multiplier (1.0 = 100% of initial spending)
      */
-    getSpendingMultiplier(age, retirementAge) {
+    getSpendingMultiplier(age, retirementAge, survivor = false) {
+        if (age < retirementAge) {
+            return 0;
+        }
+        const householdMultiplier = survivor ? this.survivorMultiplier : 1.0;
         switch (this.profileType) {
             case 'flat':
-                return this.getFlatMultiplier();
+                return this.getFlatMultiplier() * householdMultiplier;
             case 'smile':
-                return this.getSmileMultiplier(age, retirementAge);
+                return this.getSmileMultiplier(age, retirementAge) * householdMultiplier;
             default:
-                return 1.0;
+                return householdMultiplier;
         }
     }
 
@@ -70,11 +80,12 @@ export class SpendingProfile {
      * @param {number} retirementAge
      * @param {number} inflationRate
      * @param {number} yearNumber
+     * @param {boolean} [survivor]
      * @returns {number}
      */
-    calculateYearSpending(initialSpending, currentAge, retirementAge, inflationRate, yearNumber) {
+    calculateYearSpending(initialSpending, currentAge, retirementAge, inflationRate, yearNumber, survivor = false) {
         // Get spending multiplier for current age
-        const multiplier = this.getSpendingMultiplier(currentAge, retirementAge);
+        const multiplier = this.getSpendingMultiplier(currentAge, retirementAge, survivor);
 
         // Apply inflation to initial spending
         const inflationAdjustedSpending = initialSpending * Math.pow(1 + inflationRate, yearNumber);
@@ -0,0 +1,295 @@
+import { Config } from './Config.js';
+import { UNIFORM_LIFETIME_TABLE } from './data/rmdTable.js';
+import { FEDERAL_TAX } from './data/taxBrackets.js';
+
+export const ACCOUNT_TYPES = ['pre_tax', 'roth', 'taxable'];
+
+/**
+ * taxable_first: taxable, then pre-tax, then Roth (the conventional order).
+ * pre_tax_first: pre-tax, then taxable, then Roth.
+ * proportional: every account in proportion to its balance.
+ */
+export const WITHDRAWAL_ORDERS = ['taxable_first', 'pre_tax_first', 'proportional'];
+
+/**
+ * fill_bracket: each year until `until_age`, convert enough to fill ordinary
+ * income up to the top of the `bracket_rate` bracket.
+ * fixed: convert `amount` (today's dollars) a year for `years` years.
+ */
+export const ROTH_CONVERSION_TYPES = ['fill_bracket', 'fixed'];
+
+/** Rates a fill_bracket conversion can fill up to (every bracket but the top one). */
+export const CONVERSION_BRACKET_RATES = FEDERAL_TAX.single.ordinary.slice(0, -1).map(([, rate]) => rate);
+
+/** Gross-up is solved to within this many dollars. */
+const GROSS_UP_TOLERANCE = 0.01;
+const MAX_GROSS_UP_STEPS = 50;
+
+/**
+ * Federal income tax on a portfolio held in pre-tax (401(k)/IRA), Roth and
+ * taxable brokerage accounts. Every account earns the portfolio return;
+ * withdrawals follow the withdrawal order and are grossed up so the money
+ * left after tax covers the year's net withdrawal.
+ *
+ * Pre-tax withdrawals and the taxable part of income are ordinary income.
+ * Taxable-account withdrawals realize gains in proportion to the account's
+ * unrealized gain and pay long-term capital gains rates. Roth withdrawals
+ * are tax-free. Brackets and the standard deduction are the bundled 2024
+ * figures (see data/taxBrackets.js), indexed with inflation.
+ *
+ * From the RMD start age, spouse 1 must draw at least the required minimum
+ * distribution from the pre-tax account each year; any part of it the year
+ * does not need is taxed and reinvested in the taxable account. A Roth
+ * conversion strategy moves pre-tax savings to the Roth account as ordinary
+ * income; the tax it triggers is part of the year's grossed-up withdrawal.
+ */
+export class TaxModel {
+    /**
+     * @param {object} options
+     * @param {{pre_tax: number, roth: number, taxable: number}} options.shares Fraction of
+     *        the portfolio in each account (sums to 1)
+     * @param {number} [options.basisRatio] Cost basis as a fraction of the taxable account
+     * @param {('taxable_first'|'pre_tax_first'|'proportional')} [options.withdrawalOrder]
+     * @param {number} [options.inflationRate]
+     * @param {?number} [options.spouse2AgeOffset] spouse2_age - spouse1_age; null when single
+     * @param {number} [options.rmdStartAge] Spouse 1's age at the first required minimum distribution
+     * @param {?object} [options.rothConversion] Conversion strategy (see ROTH_CONVERSION_TYPES);
+     *        a fill_bracket `until_age` defaults to rmdStartAge
+     */
+    constructor({
+        shares,
+        basisRatio = 1,
+        withdrawalOrder = Config.taxes.default_withdrawal_order,
+        inflationRate = 0.025,
+        spouse2AgeOffset = null,
+        rmdStartAge = Config.taxes.rmd_start_age,
+        rothConversion = null,
+    }) {
+        if (!WITHDRAWAL_ORDERS.includes(withdrawalOrder)) {
+            console.warn(`Unknown withdrawal order: ${withdrawalOrder}, defaulting to '${Config.taxes.default_withdrawal_order}'`);
+            withdrawalOrder = Config.taxes.default_withdrawal_order;
+        }
+
+        this.shares = shares;
+        this.basisRatio = basisRatio;
+        this.withdrawalOrder = withdrawalOrder;
+        this.inflationRate = inflationRate;
+        this.spouse2AgeOffset = spouse2AgeOffset;
+        this.rmdStartAge = rmdStartAge;
+        this.rothConversion = rothConversion;
+    }
+
+    /**
+     * Account balances for a starting portfolio value. `opening_pre_tax` is
+     * the pre-tax balance at the start of the year, which sets the RMD.
+     * @returns {{pre_tax: number, roth: number, taxable: number, basis: number, opening_pre_tax: number}}
+     */
+    openBalances(portfolioValue) {
+        const taxable = portfolioValue * this.shares.taxable;
+        const preTax = portfolioValue * this.shares.pre_tax;
+        return {
+            pre_tax: preTax,
+            roth: portfolioValue * this.shares.roth,
+            taxable,
+            basis: taxable * this.basisRatio,
+            opening_pre_tax: preTax,
+        };
+    }
+
+    getTotal(balances) {
+        return balances.pre_tax + balances.roth + balances.taxable;
+    }
+
+    grow(balances, factor) {
+        balances.opening_pre_tax = balances.pre_tax;
+        balances.pre_tax *= factor;
+        balances.roth *= factor;
+        balances.taxable *= factor;
+    }
+
+    /**
+     * Filing status, inflation-indexed brackets, RMD divisor and Roth
+     * conversion limits for one plan year. A couple files jointly until the year after the first death (see
+     * CashFlowModel.setFirstDeath()), then as single.
+     * @param {number} planYear Years since the plan started
+     * @param {number} age Spouse 1's age that year
+     * @param {?{age: number, deceased: string}} [firstDeath]
+     */
+    getTaxTable(planYear, age, firstDeath = null) {
+        const lives = [{ spouse: 'spouse1', age }];
+        if (this.spouse2AgeOffset !== null) {
+            lives.push({ spouse: 'spouse2', age: age + this.spouse2AgeOffset });
+        }
+        const filers = firstDeath && age > firstDeath.age
+            ? lives.filter(life => life.spouse !== firstDeath.deceased)
+            : lives;
+
+        const filingStatus = filers.length === 2 ? 'married_filing_jointly' : 'single';
+        const law = FEDERAL_TAX[filingStatus];
+        const index = Math.pow(1 + this.inflationRate, planYear);
+        const over65 = filers.filter(life => life.age >= 65).length;
+        const deduction = (law.standard_deduction + over65 * law.additional_deduction_65) * index;
+        const ordinary = law.ordinary.map(([threshold, rate]) => [threshold * index, rate]);
+
+        return {
+            filing_status: filingStatus,
+            deduction,
+            ordinary,
+            capital_gains: law.capital_gains.map(([threshold, rate]) => [threshold * index, rate]),
+            rmd_divisor: age >= this.rmdStartAge ? getRmdDivisor(age) : null,
+            conversion: this.getConversionLimits(planYear, age, deduction, ordinary, index),
+        };
+    }
+
+    /**
+     * The year's Roth conversion as a nominal `amount` cap and a `ceiling` on
+     * ordinary income (deduction included) to fill; null when not converting.
+     */
+    getConversionLimits(planYear, age, deduction, ordinary, index) {
+        const strategy = this.rothConversion;
+        if (strategy?.type === 'fixed' && planYear < strategy.years) {
+            return { amount: strategy.amount * index, ceiling: Infinity };
+        }
+        if (strategy?.type === 'fill_bracket' && age < (strategy.until_age ?? this.rmdStartAge)) {
+            const top = ordinary.findIndex(([, rate]) => rate > strategy.bracket_rate);
+            return top > 0 ? { amount: Infinity, ceiling: deduction + ordinary[top][0] } : null;
+        }
+        return null;
+    }
+
+    /**
+     * Federal tax on a year's ordinary income and long-term gains. The
+     * deduction offsets ordinary income first; gains sit on top of ordinary
+     * taxable income in the capital gains brackets.
+     */
+    calculateTax(ordinaryIncome, capitalGains, table) {
+        const taxableOrdinary = Math.max(0, ordinaryIncome - table.deduction);
+        const unusedDeduction = Math.max(0, table.deduction - ordinaryIncome);
+        const taxableGains = Math.max(0, capitalGains - unusedDeduction);
+
+        return applyBrackets(table.ordinary, 0, taxableOrdinary) +
+            applyBrackets(table.capital_gains, taxableOrdinary, taxableOrdinary + taxableGains);
+    }
+
+    /**
+     * Split a gross withdrawal across the accounts: the RMD from the pre-tax
+     * account first, the rest by the withdrawal order.
+     * Hot path: fills and returns one reused object.
+     * @param {number} [rmd] Required pre-tax distribution (at most the pre-tax balance)
+     * @returns {{pre_tax: number, roth: number, taxable: number, ordinary: number, gains: number}}
+     */
+    planWithdrawal(balances, amount, rmd = 0) {
+        const plan = this.plan ??= { pre_tax: 0, roth: 0, taxable: 0, ordinary: 0, gains: 0 };
+        const preTax = balances.pre_tax - rmd;
+        const rest = Math.max(0, amount - rmd);
+
+        if (this.withdrawalOrder === 'proportional') {
+            const share = Math.min(1, rest / (preTax + balances.roth + balances.taxable)) || 0;
+            plan.pre_tax = rmd + preTax * share;
+            plan.roth = balances.roth * share;
+            plan.taxable = balances.taxable * share;
+        } else {
+            const first = this.withdrawalOrder === 'pre_tax_first' ? preTax : balances.taxable;
+            const second = this.withdrawalOrder === 'pre_tax_first' ? balances.taxable : preTax;
+            const fromFirst = Math.min(first, rest);
+            const fromSecond = Math.min(second, rest - fromFirst);
+            plan.pre_tax = rmd + (this.withdrawalOrder === 'pre_tax_first' ? fromFirst : fromSecond);
+            plan.taxable = this.withdrawalOrder === 'pre_tax_first' ? fromSecond : fromFirst;
+            plan.roth = Math.min(balances.roth, rest - fromFirst - fromSecond);
+        }
+
+        plan.ordinary = plan.pre_tax;
+        plan.gains = plan.taxable > 0 ? plan.taxable * Math.max(0, 1 - balances.basis / balances.taxable) : 0;
+        return plan;
+    }
+
+    /**
+     * Take one year's net withdrawal from the accounts, grossed up for the
+     * tax it triggers, and at least the year's RMD. A negative net
+     * withdrawal (surplus income) and any RMD beyond what the year needs
+     * are invested in the taxable account after tax.
+     * @param {object} balances From openBalances(); updated in place
+     * @param {number} netWithdrawal Spending + expenses - income
+     * @param {number} taxableIncome Ordinary taxable part of the year's income
+     * @param {object} table From getTaxTable()
+     * @returns {{tax: number, withdrawal: number, deficit: number, rmd: number, rmd_reinvested: number,
+     *           conversion: number}} deficit is the part of the grossed-up withdrawal the accounts
+     *          could not cover; rmd_reinvested the part of the RMD not needed for spending or tax
+     */
+    withdraw(balances, netWithdrawal, taxableIncome, table) {
+        const rmd = table.rmd_divisor ? Math.min(balances.pre_tax, balances.opening_pre_tax / table.rmd_divisor) : 0;
+        let conversion = 0;
+        if (table.conversion) {
+            conversion = Math.max(0, Math.min(
+                table.conversion.amount,
+                table.conversion.ceiling - taxableIncome - rmd,
+                balances.pre_tax - rmd
+            ));
+            balances.pre_tax -= conversion;
+            balances.roth += conversion;
+            taxableIncome += conversion;
+        }
+        const rmdTax = this.calculateTax(taxableIncome + rmd, 0, table);
+        let gross = netWithdrawal + rmdTax;
+
+        if (gross <= rmd) {
+            const surplus = rmd - gross;
+            balances.pre_tax -= rmd;
+            balances.taxable += surplus;
+            balances.basis += surplus;
+            return { tax: rmdTax, withdrawal: rmd, deficit: 0, rmd, rmd_reinvested: Math.min(rmd, surplus), conversion };
+        }
+
+        // Solve gross = net + tax(gross). Tax is piecewise linear in the
+        // withdrawal with marginal rates below 1, so secant steps land on
+        // the root once two guesses share a bracket.
+        const total = this.getTotal(balances);
+        let plan;
+        let tax;
+        const residual = (amount) => {
+            plan = this.planWithdrawal(balances, Math.min(amount, total), rmd);
+            tax = this.calculateTax(taxableIncome + plan.ordinary, plan.gains, table);
+            return netWithdrawal + tax - amount;
+        };
+
+        let previous = gross;
+        let previousResidual = residual(gross);
+        gross += previousResidual;
+        for (let step = 0; step < MAX_GROSS_UP_STEPS && Math.abs(previousResidual) >= GROSS_UP_TOLERANCE; step++) {
+            const current = residual(gross);
+            if (Math.abs(current) < GROSS_UP_TOLERANCE) break;
+            const slope = (current - previousResidual) / (gross - previous);
+            previous = gross;
+            previousResidual = current;
+            gross = slope < 0 ? gross - current / slope : gross + current;
+        }
+        gross = netWithdrawal + tax;
+
+        if (balances.taxable > 0) {
+            balances.basis -= balances.basis * (plan.taxable / balances.taxable);
+        }
+        balances.pre_tax -= plan.pre_tax;
+        balances.roth -= plan.roth;
+        balances.taxable -= plan.taxable;
+
+        return { tax, withdrawal: gross, deficit: Math.max(0, gross - total), rmd, rmd_reinvested: 0, conversion };
+    }
+}
+
+/** Uniform Lifetime Table distribution period, clamped to the table's ages. */
+function getRmdDivisor(age) {
+    return UNIFORM_LIFETIME_TABLE[Math.min(120, Math.max(72, Math.floor(age)))];
+}
+
+/** Tax on the slice (from, to] of taxable income under progressive brackets. */
+function applyBrackets(brackets, from, to) {
+    let tax = 0;
+    for (let i = 0; i < brackets.length && to > brackets[i][0]; i++) {
+        const lower = Math.max(from, brackets[i][0]);
+        const upper = i + 1 < brackets.length ? Math.min(to, brackets[i + 1][0]) : to;
+        if (upper > lower) {
+            tax += (upper - lower) * brackets[i][1];
+        }
+    }
+    return tax;
+}
@@ -0,0 +1,130 @@
+/**
+ * Fixed-size pool of workers that each run one task at a time. Works with
+ * browser Web Workers and Node worker_threads alike: the environment supplies
+ * `createWorker(onMessage, onError)`, which starts a worker, routes its
+ * messages (already unwrapped from any MessageEvent) and errors to the given
+ * callbacks, and returns an object with postMessage() and terminate().
+ *
+ * Workers reply to a task with `{status: 'progress', ...}` any number of
+ * times, then `{status: 'success', ...}` or `{status: 'error', message}`.
+ */
+export class WorkerPool {
+    /**
+     * @param {number} size Number of workers
+     * @param {function(function(object): void, function(Error): void): {postMessage: function, terminate: function}} createWorker
+     */
+    constructor(size, createWorker) {
+        this.size = Math.max(1, Math.floor(size));
+        this.createWorker = createWorker;
+        this.workers = [];
+        this.idle = [];
+        this.queue = [];
+    }
+
+    /**
+     * Queue a task for the next free worker.
+     * @param {object} message Posted to the worker
+     * @param {function(object): void} [onProgress] Receives the worker's progress messages
+     * @param {AbortSignal} [signal] Cancels the task: a queued task is dropped and a running
+     *        one's worker is terminated (and replaced by the next task that needs it)
+     * @returns {Promise<object>} The worker's success message; rejects with the signal's
+     *          reason when cancelled
+     */
+    run(message, onProgress = null, signal = null) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(signal.reason);
+                return;
+            }
+
+            const task = { message, onProgress, resolve, reject };
+            this.queue.push(task);
+            signal?.addEventListener('abort', () => this.cancel(task, signal.reason), { once: true });
+            this.dispatch();
+        });
+    }
+
+    cancel(task, reason) {
+        if (this.queue.includes(task)) {
+            this.queue = this.queue.filter(other => other !== task);
+            task.reject(reason);
+            return;
+        }
+
+        const slot = this.workers.find(other => other.task === task);
+        if (slot) {
+            this.retire(slot);
+            slot.task = null;
+            task.reject(reason);
+            this.dispatch();
+        }
+    }
+
+    retire(slot) {
+        this.workers = this.workers.filter(other => other !== slot);
+        this.idle = this.idle.filter(other => other !== slot);
+        slot.worker.terminate();
+    }
+
+    dispatch() {
+        while (this.queue.length > 0) {
+            if (this.idle.length === 0 && this.workers.length < this.size) {
+                this.idle.push(this.spawn());
+            }
+            if (this.idle.length === 0) return;
+
+            const slot = this.idle.pop();
+            slot.task = this.queue.shift();
+            slot.worker.postMessage(slot.task.message);
+        }
+    }
+
+    spawn() {
+        const slot = { worker: null, task: null };
+        const finish = (settle) => {
+            const task = slot.task;
+            slot.task = null;
+            if (this.workers.includes(slot)) {
+                this.idle.push(slot);
+            }
+            settle(task);
+            this.dispatch();
+        };
+
+        slot.worker = this.createWorker(
+            (response) => {
+                if (!slot.task) return;
+                if (response.status === 'progress') {
+                    slot.task.onProgress?.(response);
+                } else if (response.status === 'success') {
+                    finish(task => task.resolve(response));
+                } else {
+                    finish(task => task.reject(new Error(response.message)));
+                }
+            },
+            (error) => {
+                // A crashed worker is replaced rather than reused
+                this.retire(slot);
+                if (slot.task) {
+                    finish(task => task.reject(error));
+                }
+            }
+        );
+        this.workers.push(slot);
+        return slot;
+    }
+
+    /** Stop every worker; queued tasks are rejected. */
+    terminate() {
+        for (const slot of this.workers) {
+            slot.worker.terminate();
+            slot.task?.reject(new Error('Worker pool terminated'));
+        }
+        for (const task of this.queue) {
+            task.reject(new Error('Worker pool terminated'));
+        }
+        this.workers = [];
+        this.idle = [];
+        this.queue = [];
+    }
+}
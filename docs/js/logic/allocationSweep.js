@@ -0,0 +1,108 @@
+import { Config } from './Config.js';
+import { GuardrailCalculator } from './GuardrailCalculator.js';
+import { runSteps } from './steps.js';
+
+/**
+ * Allocation sweep: evaluates the plan across a grid of stock/bond mixes
+ * with cash held at `cash_allocation`, from 0% stocks up to everything but
+ * the cash, in `allocation_sweep_step` points. Every mix is evaluated with
+ * GuardrailCalculator.evaluatePlan() on the same return paths, so the
+ * differences come from the allocation rather than from sampling noise.
+ * A glide path is ignored: each mix is held fixed over the whole plan.
+ *
+ * @param {object} params Calculator input
+ * @param {function(object): void} [onProgress] Receives the progress events of
+ *        sweepAllocationsSteps()
+ * @returns {{random_seed: number, iterations: number, target_pos: number, step: number,
+ *            cash_allocation: number, best: {probability_of_success: object,
+ *            recommended_spending: object}, mixes: object[]}}
+ *          Each mix has `stock`, `bond` and `cash` (%), its `expected_return` and
+ *          `portfolio_volatility` (%), `probability_of_success` at the desired spending
+ *          and `recommended_spending` as calculate() would give it for that mix, in
+ *          order of stock allocation
+ */
+export function sweepAllocations(params, onProgress = null) {
+    return runSteps(sweepAllocationsSteps(params), onProgress);
+}
+
+/**
+ * sweepAllocations() as a step generator (see steps.js). Yields
+ * `{phase: 'sweeping', completed, total}` after each mix.
+ */
+export function* sweepAllocationsSteps(params) {
+    const calculator = new GuardrailCalculator();
+    const base = {
+        ...params,
+        adaptive_iterations: false,
+        dynamic_guardrails_enabled: false,
+        sample_paths: 0,
+        keep_raw_paths: false,
+    };
+    // Fixes the seed, so every mix below is simulated on the same paths, and
+    // fills the allocation from a glide path's starting mix
+    calculator.validateParams(base);
+    base.glide_path = null;
+
+    const step = base.allocation_sweep_step ?? Config.allocation_sweep.default_step;
+    const cash = base.cash_allocation;
+    const generator = calculator.createSeededGenerator(base, calculator.createGeneratorFactory(base, 'standard'));
+    const stocks = getStockGrid(100 - cash, step);
+
+    const mixes = [];
+    for (const stock of stocks) {
+        const bond = 100 - cash - stock;
+        const evaluation = calculator.evaluatePlan({
+            ...base,
+            stock_allocation: stock,
+            bond_allocation: bond,
+        });
+        mixes.push({
+            stock,
+            bond,
+            cash,
+            expected_return: Number((generator.getExpectedReturn(stock, bond, cash) * 100).toFixed(2)),
+            portfolio_volatility: Number((generator.getPortfolioVolatility(stock, bond, cash) * 100).toFixed(2)),
+            probability_of_success: evaluation.probability_of_success,
+            recommended_spending: calculator.getRecommendedSpending(evaluation, base.desired_spending),
+        });
+        yield { phase: 'sweeping', completed: mixes.length, total: stocks.length };
+    }
+
+    const best = (key, other) => mixes.reduce((top, mix) => (
+        mix[key] > top[key] || (mix[key] === top[key] && mix[other] > top[other]) ? mix : top
+    ));
+
+    return {
+        random_seed: base.random_seed,
+        iterations: base.monte_carlo_iterations,
+        target_pos: calculator.targetPos,
+        step,
+        cash_allocation: cash,
+        best: {
+            probability_of_success: best('probability_of_success', 'recommended_spending'),
+            recommended_spending: best('recommended_spending', 'probability_of_success'),
+        },
+        mixes,
+    };
+}
+
+/**
+ * Comma-separated table of the mixes, one row per mix, for spreadsheets.
+ * @param {{mixes: object[]}} sweep Result of sweepAllocations()
+ * @returns {string}
+ */
+export function formatAllocationSweepCsv(sweep) {
+    const columns = ['stock', 'bond', 'cash', 'expected_return', 'portfolio_volatility', 'probability_of_success', 'recommended_spending'];
+    const rows = sweep.mixes.map(mix => columns.map(column => mix[column]).join(','));
+    return [columns.join(','), ...rows].join('\n') + '\n';
+}
+
+/** 0, step, 2·step, … up to `max`, always ending at `max`. */
+function getStockGrid(max, step) {
+    const stocks = [];
+    for (let stock = 0; stock < max; stock += step) {
+        stocks.push(stock);
+    }
+    stocks.push(max);
+    return stocks;
+}
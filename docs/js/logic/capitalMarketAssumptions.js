@@ -0,0 +1,106 @@
+import { Config } from './Config.js';
+import { choleskyDecomposition } from './matrix.js';
+
+/**
+ * Capital market assumptions (CMAs): annual mean return and standard deviation
+ * per asset class plus pairwise correlations.
+ *
+ *   {
+ *     stocks: { mean, std_dev }, bonds: { mean, std_dev }, cash: { mean, std_dev },
+ *     correlations: { stocks_bonds, stocks_cash, bonds_cash }
+ *   }
+ *
+ * User input may be partial; anything omitted falls back to
+ * Config.return_assumptions / Config.correlations.
+ */
+
+/** Asset classes in the order used by the covariance matrix and Cholesky factor. */
+export const ASSETS = ['stocks', 'bonds', 'cash'];
+
+export const CMA_CORRELATIONS = ['stocks_bonds', 'stocks_cash', 'bonds_cash'];
+
+/**
+ * Merge (possibly partial) user CMAs over the Config defaults.
+ * @param {object|null} [overrides]
+ * @returns {{stocks: {mean: number, std_dev: number}, bonds: {mean: number, std_dev: number},
+ *            cash: {mean: number, std_dev: number}, correlations: object}}
+ */
+export function resolveCapitalMarketAssumptions(overrides = null) {
+    const resolved = {};
+    for (const asset of ASSETS) {
+        resolved[asset] = {
+            mean: overrides?.[asset]?.mean ?? Config.return_assumptions[asset].mean,
+            std_dev: overrides?.[asset]?.std_dev ?? Config.return_assumptions[asset].std_dev,
+        };
+    }
+
+    resolved.correlations = {};
+    for (const pair of CMA_CORRELATIONS) {
+        resolved.correlations[pair] = overrides?.correlations?.[pair] ?? Config.correlations[pair];
+    }
+
+    return resolved;
+}
+
+/**
+ * Validate user CMAs. Checks types, the bounds in Config.capital_market_assumptions,
+ * correlations within [-1, 1] and that the resulting correlation matrix is
+ * positive semi-definite (i.e. the three pairwise correlations can coexist).
+ * @param {*} cma
+ * @returns {{field: string, message: string}[]}
+ */
+export function validateCapitalMarketAssumptions(cma) {
+    const field = 'capital_market_assumptions';
+    if (cma === null || typeof cma !== 'object' || Array.isArray(cma)) {
+        return [{ field, message: `${field} must be an object` }];
+    }
+
+    const errors = [];
+    const bounds = Config.capital_market_assumptions;
+    const checkNumber = (value, name, min, max) => {
+        if (value === undefined || value === null) return;
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+            errors.push({ field: `${field}.${name}`, message: `${field}.${name} must be a number between ${min} and ${max}` });
+        }
+    };
+
+    for (const asset of ASSETS) {
+        const assumption = cma[asset];
+        if (assumption === undefined || assumption === null) continue;
+        if (typeof assumption !== 'object') {
+            errors.push({ field: `${field}.${asset}`, message: `${field}.${asset} must be an object with mean and std_dev` });
+            continue;
+        }
+        checkNumber(assumption.mean, `${asset}.mean`, bounds.min_mean, bounds.max_mean);
+        checkNumber(assumption.std_dev, `${asset}.std_dev`, bounds.min_std_dev, bounds.max_std_dev);
+    }
+
+    const correlations = cma.correlations;
+    if (correlations !== undefined && correlations !== null) {
+        if (typeof correlations !== 'object') {
+            errors.push({ field: `${field}.correlations`, message: `${field}.correlations must be an object` });
+        } else {
+            for (const pair of CMA_CORRELATIONS) {
+                checkNumber(correlations[pair], `correlations.${pair}`, -1, 1);
+            }
+        }
+    }
+
+    if (errors.length > 0) return errors;
+
+    const c = resolveCapitalMarketAssumptions(cma).correlations;
+    try {
+        choleskyDecomposition([
+            [1, c.stocks_bonds, c.stocks_cash],
+            [c.stocks_bonds, 1, c.bonds_cash],
+            [c.stocks_cash, c.bonds_cash, 1],
+        ]);
+    } catch {
+        errors.push({
+            field: `${field}.correlations`,
+            message: `${field}.correlations do not form a valid (positive semi-definite) correlation matrix`,
+        });
+    }
+
+    return errors;
+}
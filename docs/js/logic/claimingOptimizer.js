@@ -0,0 +1,95 @@
+import { Config } from './Config.js';
+import { GuardrailCalculator } from './GuardrailCalculator.js';
+import { CLAIMING_AGES, CLAIMING_RANKINGS, getAnnualBenefit, isPiaSource } from './socialSecurity.js';
+import { runSteps } from './steps.js';
+
+/**
+ * Social Security claiming-age optimizer: sweeps the claiming age of every
+ * PIA-based Social Security source (see socialSecurity.js) over the ages
+ * still open to its recipient, evaluates each combination with
+ * GuardrailCalculator.evaluatePlan() on the same return paths, and ranks the
+ * combinations by sustainable spending at the target PoS or by PoS at the
+ * desired spending.
+ *
+ * @param {object} params Calculator input with at least one PIA-based source
+ * @param {function(object): void} [onProgress] Receives the progress events of
+ *        optimizeClaimingAgesSteps()
+ * @returns {{rank_by: string, random_seed: number, iterations: number, best: object,
+ *            combinations: object[]}} Each combination has `claiming_ages` and
+ *          `annual_benefits` by recipient, `probability_of_success` and `sustainable_spending`
+ */
+export function optimizeClaimingAges(params, onProgress = null) {
+    return runSteps(optimizeClaimingAgesSteps(params), onProgress);
+}
+
+/**
+ * optimizeClaimingAges() as a step generator (see steps.js). Yields
+ * `{phase: 'claiming', completed, total}` after each combination.
+ */
+export function* optimizeClaimingAgesSteps(params) {
+    const rankBy = params.claiming_rank_by ?? Config.social_security.default_rank_by;
+    const calculator = new GuardrailCalculator();
+    const base = {
+        ...params,
+        adaptive_iterations: false,
+        dynamic_guardrails_enabled: false,
+        sample_paths: 0,
+        keep_raw_paths: false,
+    };
+    // Fixes the seed, so every combination below is simulated on the same paths
+    calculator.validateParams(base);
+
+    const records = base.income_sources?.filter(isPiaSource) ?? [];
+    if (records.length === 0) {
+        throw new Error('The claiming optimizer needs a Social Security income source with a pia');
+    }
+
+    const ages = { spouse1: base.spouse1_age ?? base.current_age, spouse2: base.spouse2_age };
+    const choices = records.map(record => {
+        const currentAge = ages[record.recipient ?? 'spouse1'];
+        // Only ages not yet passed can be chosen; someone past 70 keeps the given age
+        const open = CLAIMING_AGES.filter(age => age >= Math.ceil(currentAge));
+        return open.length > 0 ? open : [Number(record.claiming_age)];
+    });
+
+    const combinations = [];
+    const total = choices.reduce((count, options) => count * options.length, 1);
+    for (const claimingAges of cartesian(choices)) {
+        const claimed = new Map(records.map((record, index) => [record, claimingAges[index]]));
+        const incomeSources = base.income_sources.map(source => (claimed.has(source)
+            ? { ...source, claiming_age: claimed.get(source) }
+            : source));
+
+        const evaluation = calculator.evaluatePlan({ ...base, income_sources: incomeSources });
+        combinations.push({
+            claiming_ages: Object.fromEntries(records.map((record, index) => [record.recipient ?? 'spouse1', claimingAges[index]])),
+            annual_benefits: Object.fromEntries(records.map((record, index) => [
+                record.recipient ?? 'spouse1',
+                Math.round(getAnnualBenefit(record, claimingAges[index])),
+            ])),
+            ...evaluation,
+        });
+        yield { phase: 'claiming', completed: combinations.length, total };
+    }
+
+    const other = CLAIMING_RANKINGS.find(ranking => ranking !== rankBy);
+    combinations.sort((a, b) => (b[rankBy] - a[rankBy]) || (b[other] - a[other]));
+
+    return {
+        rank_by: rankBy,
+        random_seed: base.random_seed,
+        iterations: base.monte_carlo_iterations,
+        best: combinations[0],
+        combinations,
+    };
+}
+
+function* cartesian(choices, prefix = []) {
+    if (prefix.length === choices.length) {
+        yield prefix;
+        return;
+    }
+    for (const choice of choices[prefix.length]) {
+        yield* cartesian(choices, [...prefix, choice]);
+    }
+}
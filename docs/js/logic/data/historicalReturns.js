@@ -0,0 +1,108 @@
+/**
+ * Annual nominal U.S. total returns, 1928–2023, used by HistoricalReturnGenerator.
+ *
+ *   stocks: S&P 500 including dividends
+ *   bonds:  10-year U.S. Treasury bond
+ *   cash:   3-month U.S. Treasury bill
+ *
+ * Source: A. Damodaran, "Historical Returns on Stocks, Bonds and Bills: 1928–2023",
+ * NYU Stern School of Business (histretSP). Values are decimals (0.05 = 5%).
+ */
+export const HISTORICAL_RETURNS = [
+    { year: 1928, stocks: 0.4381, bonds: 0.0084, cash: 0.0308 },
+    { year: 1929, stocks: -0.0830, bonds: 0.0420, cash: 0.0316 },
+    { year: 1930, stocks: -0.2512, bonds: 0.0454, cash: 0.0455 },
+    { year: 1931, stocks: -0.4384, bonds: -0.0256, cash: 0.0231 },
+    { year: 1932, stocks: -0.0864, bonds: 0.0879, cash: 0.0107 },
+    { year: 1933, stocks: 0.4998, bonds: 0.0186, cash: 0.0096 },
+    { year: 1934, stocks: -0.0119, bonds: 0.0796, cash: 0.0028 },
+    { year: 1935, stocks: 0.4674, bonds: 0.0447, cash: 0.0017 },
+    { year: 1936, stocks: 0.3194, bonds: 0.0502, cash: 0.0017 },
+    { year: 1937, stocks: -0.3534, bonds: 0.0138, cash: 0.0028 },
+    { year: 1938, stocks: 0.2928, bonds: 0.0421, cash: 0.0007 },
+    { year: 1939, stocks: -0.0110, bonds: 0.0441, cash: 0.0005 },
+    { year: 1940, stocks: -0.1067, bonds: 0.0540, cash: 0.0004 },
+    { year: 1941, stocks: -0.1277, bonds: -0.0202, cash: 0.0013 },
+    { year: 1942, stocks: 0.1917, bonds: 0.0229, cash: 0.0034 },
+    { year: 1943, stocks: 0.2506, bonds: 0.0249, cash: 0.0038 },
+    { year: 1944, stocks: 0.1903, bonds: 0.0258, cash: 0.0038 },
+    { year: 1945, stocks: 0.3582, bonds: 0.0380, cash: 0.0038 },
+    { year: 1946, stocks: -0.0843, bonds: 0.0313, cash: 0.0038 },
+    { year: 1947, stocks: 0.0520, bonds: 0.0092, cash: 0.0057 },
+    { year: 1948, stocks: 0.0570, bonds: 0.0195, cash: 0.0102 },
+    { year: 1949, stocks: 0.1830, bonds: 0.0466, cash: 0.0110 },
+    { year: 1950, stocks: 0.3081, bonds: 0.0043, cash: 0.0117 },
+    { year: 1951, stocks: 0.2368, bonds: -0.0030, cash: 0.0148 },
+    { year: 1952, stocks: 0.1815, bonds: 0.0227, cash: 0.0167 },
+    { year: 1953, stocks: -0.0121, bonds: 0.0414, cash: 0.0189 },
+    { year: 1954, stocks: 0.5256, bonds: 0.0329, cash: 0.0096 },
+    { year: 1955, stocks: 0.3260, bonds: -0.0134, cash: 0.0166 },
+    { year: 1956, stocks: 0.0744, bonds: -0.0226, cash: 0.0256 },
+    { year: 1957, stocks: -0.1046, bonds: 0.0680, cash: 0.0323 },
+    { year: 1958, stocks: 0.4372, bonds: -0.0210, cash: 0.0178 },
+    { year: 1959, stocks: 0.1206, bonds: -0.0265, cash: 0.0326 },
+    { year: 1960, stocks: 0.0034, bonds: 0.1164, cash: 0.0305 },
+    { year: 1961, stocks: 0.2664, bonds: 0.0206, cash: 0.0227 },
+    { year: 1962, stocks: -0.0881, bonds: 0.0569, cash: 0.0278 },
+    { year: 1963, stocks: 0.2261, bonds: 0.0168, cash: 0.0311 },
+    { year: 1964, stocks: 0.1642, bonds: 0.0373, cash: 0.0351 },
+    { year: 1965, stocks: 0.1240, bonds: 0.0072, cash: 0.0390 },
+    { year: 1966, stocks: -0.0997, bonds: 0.0291, cash: 0.0484 },
+    { year: 1967, stocks: 0.2380, bonds: -0.0158, cash: 0.0433 },
+    { year: 1968, stocks: 0.1081, bonds: 0.0327, cash: 0.0526 },
+    { year: 1969, stocks: -0.0824, bonds: -0.0501, cash: 0.0656 },
+    { year: 1970, stocks: 0.0356, bonds: 0.1675, cash: 0.0669 },
+    { year: 1971, stocks: 0.1422, bonds: 0.0979, cash: 0.0454 },
+    { year: 1972, stocks: 0.1876, bonds: 0.0282, cash: 0.0395 },
+    { year: 1973, stocks: -0.1431, bonds: 0.0366, cash: 0.0673 },
+    { year: 1974, stocks: -0.2590, bonds: 0.0199, cash: 0.0778 },
+    { year: 1975, stocks: 0.3700, bonds: 0.0361, cash: 0.0599 },
+    { year: 1976, stocks: 0.2383, bonds: 0.1598, cash: 0.0497 },
+    { year: 1977, stocks: -0.0698, bonds: 0.0129, cash: 0.0513 },
+    { year: 1978, stocks: 0.0651, bonds: -0.0078, cash: 0.0693 },
+    { year: 1979, stocks: 0.1852, bonds: 0.0067, cash: 0.0994 },
+    { year: 1980, stocks: 0.3174, bonds: -0.0299, cash: 0.1122 },
+    { year: 1981, stocks: -0.0470, bonds: 0.0820, cash: 0.1430 },
+    { year: 1982, stocks: 0.2042, bonds: 0.3281, cash: 0.1101 },
+    { year: 1983, stocks: 0.2234, bonds: 0.0320, cash: 0.0845 },
+    { year: 1984, stocks: 0.0615, bonds: 0.1373, cash: 0.0961 },
+    { year: 1985, stocks: 0.3124, bonds: 0.2571, cash: 0.0749 },
+    { year: 1986, stocks: 0.1849, bonds: 0.2428, cash: 0.0604 },
+    { year: 1987, stocks: 0.0581, bonds: -0.0496, cash: 0.0572 },
+    { year: 1988, stocks: 0.1654, bonds: 0.0822, cash: 0.0645 },
+    { year: 1989, stocks: 0.3148, bonds: 0.1769, cash: 0.0811 },
+    { year: 1990, stocks: -0.0306, bonds: 0.0624, cash: 0.0755 },
+    { year: 1991, stocks: 0.3023, bonds: 0.1500, cash: 0.0561 },
+    { year: 1992, stocks: 0.0749, bonds: 0.0936, cash: 0.0341 },
+    { year: 1993, stocks: 0.0997, bonds: 0.1421, cash: 0.0298 },
+    { year: 1994, stocks: 0.0133, bonds: -0.0804, cash: 0.0399 },
+    { year: 1995, stocks: 0.3720, bonds: 0.2348, cash: 0.0552 },
+    { year: 1996, stocks: 0.2268, bonds: 0.0143, cash: 0.0502 },
+    { year: 1997, stocks: 0.3310, bonds: 0.0994, cash: 0.0505 },
+    { year: 1998, stocks: 0.2834, bonds: 0.1492, cash: 0.0473 },
+    { year: 1999, stocks: 0.2089, bonds: -0.0825, cash: 0.0451 },
+    { year: 2000, stocks: -0.0903, bonds: 0.1666, cash: 0.0576 },
+    { year: 2001, stocks: -0.1185, bonds: 0.0557, cash: 0.0367 },
+    { year: 2002, stocks: -0.2197, bonds: 0.1512, cash: 0.0166 },
+    { year: 2003, stocks: 0.2836, bonds: 0.0038, cash: 0.0103 },
+    { year: 2004, stocks: 0.1074, bonds: 0.0449, cash: 0.0123 },
+    { year: 2005, stocks: 0.0483, bonds: 0.0287, cash: 0.0301 },
+    { year: 2006, stocks: 0.1561, bonds: 0.0196, cash: 0.0468 },
+    { year: 2007, stocks: 0.0548, bonds: 0.1021, cash: 0.0464 },
+    { year: 2008, stocks: -0.3655, bonds: 0.2010, cash: 0.0159 },
+    { year: 2009, stocks: 0.2594, bonds: -0.1112, cash: 0.0014 },
+    { year: 2010, stocks: 0.1482, bonds: 0.0846, cash: 0.0013 },
+    { year: 2011, stocks: 0.0210, bonds: 0.1604, cash: 0.0003 },
+    { year: 2012, stocks: 0.1589, bonds: 0.0297, cash: 0.0005 },
+    { year: 2013, stocks: 0.3215, bonds: -0.0910, cash: 0.0007 },
+    { year: 2014, stocks: 0.1352, bonds: 0.1075, cash: 0.0005 },
+    { year: 2015, stocks: 0.0138, bonds: 0.0128, cash: 0.0021 },
+    { year: 2016, stocks: 0.1177, bonds: 0.0069, cash: 0.0051 },
+    { year: 2017, stocks: 0.2161, bonds: 0.0280, cash: 0.0139 },
+    { year: 2018, stocks: -0.0423, bonds: -0.0002, cash: 0.0237 },
+    { year: 2019, stocks: 0.3121, bonds: 0.0964, cash: 0.0155 },
+    { year: 2020, stocks: 0.1802, bonds: 0.1133, cash: 0.0009 },
+    { year: 2021, stocks: 0.2847, bonds: -0.0442, cash: 0.0006 },
+    { year: 2022, stocks: -0.1801, bonds: -0.1783, cash: 0.0202 },
+    { year: 2023, stocks: 0.2606, bonds: 0.0388, cash: 0.0507 },
+];
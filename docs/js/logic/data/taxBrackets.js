@@ -0,0 +1,48 @@
+/**
+ * U.S. federal income tax parameters for tax year 2024 (IRS Rev. Proc.
+ * 2023-34), used as year-0 amounts and indexed with the plan's inflation
+ * rate thereafter.
+ *
+ * Brackets are `[lower bound of taxable income, marginal rate]`. Capital
+ * gains brackets apply to long-term gains stacked on top of ordinary
+ * taxable income.
+ */
+export const FEDERAL_TAX = {
+    year: 2024,
+    single: {
+        standard_deduction: 14600,
+        additional_deduction_65: 1950,   // per filer aged 65 or older
+        ordinary: [
+            [0, 0.10],
+            [11600, 0.12],
+            [47150, 0.22],
+            [100525, 0.24],
+            [191950, 0.32],
+            [243725, 0.35],
+            [609350, 0.37],
+        ],
+        capital_gains: [
+            [0, 0.0],
+            [47025, 0.15],
+            [518900, 0.20],
+        ],
+    },
+    married_filing_jointly: {
+        standard_deduction: 29200,
+        additional_deduction_65: 1550,
+        ordinary: [
+            [0, 0.10],
+            [23200, 0.12],
+            [94300, 0.22],
+            [201050, 0.24],
+            [383900, 0.32],
+            [487450, 0.35],
+            [731200, 0.37],
+        ],
+        capital_gains: [
+            [0, 0.0],
+            [94050, 0.15],
+            [583750, 0.20],
+        ],
+    },
+};
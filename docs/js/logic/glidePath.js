@@ -0,0 +1,64 @@
+/**
+ * Allocation glide paths: a stock/bond/cash mix that changes with age. A
+ * glide path is a list of waypoints `{age, stock, bond, cash}` (percent);
+ * between waypoints the allocation moves linearly, and before the first or
+ * after the last it stays at that waypoint's mix.
+ */
+
+/**
+ * Named glide paths. Waypoint ages are given as offsets from the retirement age.
+ */
+export const GLIDE_PATH_PRESETS = {
+    // Start retirement conservatively, when sequence-of-returns risk is
+    // highest, and raise equities over the first 15 years
+    rising_equity: [
+        { offset: 0, stock: 30, bond: 60, cash: 10 },
+        { offset: 15, stock: 60, bond: 35, cash: 5 },
+    ],
+    // Typical target-date fund: equity-heavy while saving, de-risking into
+    // retirement and for a few years after
+    target_date: [
+        { offset: -25, stock: 90, bond: 10, cash: 0 },
+        { offset: 0, stock: 50, bond: 45, cash: 5 },
+        { offset: 7, stock: 30, bond: 60, cash: 10 },
+    ],
+};
+
+export const GLIDE_PATH_NAMES = Object.keys(GLIDE_PATH_PRESETS);
+
+/**
+ * Waypoints of a glide path, sorted by age.
+ * @param {string|object[]} glidePath Preset name, or waypoints `{age, stock, bond, cash}`
+ * @param {number} retirementAge Age that preset offsets are measured from
+ * @returns {{age: number, stock: number, bond: number, cash: number}[]}
+ */
+export function resolveGlidePath(glidePath, retirementAge) {
+    const waypoints = typeof glidePath === 'string'
+        ? GLIDE_PATH_PRESETS[glidePath].map(({ offset, stock, bond, cash }) => ({
+            age: retirementAge + offset, stock, bond, cash,
+        }))
+        : glidePath.map(({ age, stock, bond, cash }) => ({ age, stock, bond, cash }));
+    return waypoints.sort((a, b) => a.age - b.age);
+}
+
+/**
+ * Allocation at an age, interpolated between the surrounding waypoints.
+ * @param {{age: number, stock: number, bond: number, cash: number}[]} waypoints Sorted by age
+ * @returns {{stock: number, bond: number, cash: number}}
+ */
+export function getAllocationAtAge(waypoints, age) {
+    const next = waypoints.findIndex(waypoint => waypoint.age > age);
+    if (next === 0 || next === -1) {
+        const { stock, bond, cash } = waypoints[next === 0 ? 0 : waypoints.length - 1];
+        return { stock, bond, cash };
+    }
+
+    const from = waypoints[next - 1];
+    const to = waypoints[next];
+    const t = (age - from.age) / (to.age - from.age);
+    return {
+        stock: from.stock + (to.stock - from.stock) * t,
+        bond: from.bond + (to.bond - from.bond) * t,
+        cash: from.cash + (to.cash - from.cash) * t,
+    };
+}
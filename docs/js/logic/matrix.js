@@ -0,0 +1,64 @@
+/**
+ * Small dense-matrix helpers for the return generators. Matrices are plain
+ * arrays of rows (number[][]); sizes here are tiny (one row per asset class),
+ * so clarity wins over speed.
+ */
+
+const PIVOT_TOLERANCE = 1e-12;
+
+/**
+ * Lower-triangular Cholesky factor L with L·Lᵀ = A.
+ *
+ * Positive semi-definite input is accepted: a zero pivot (e.g. an asset with
+ * zero volatility, or perfectly correlated assets) produces a zero column
+ * instead of failing.
+ *
+ * @param {number[][]} matrix Symmetric square matrix
+ * @returns {number[][]} Lower-triangular factor
+ * @throws {Error} If the matrix is not symmetric positive semi-definite
+ */
+export function choleskyDecomposition(matrix) {
+    const n = matrix.length;
+    const lower = Array.from({ length: n }, () => new Array(n).fill(0));
+
+    for (let i = 0; i < n; i++) {
+        if (matrix[i].length !== n) {
+            throw new Error('Cholesky decomposition requires a square matrix');
+        }
+        for (let j = 0; j < i; j++) {
+            if (Math.abs(matrix[i][j] - matrix[j][i]) > PIVOT_TOLERANCE) {
+                throw new Error('Cholesky decomposition requires a symmetric matrix');
+            }
+        }
+    }
+
+    for (let j = 0; j < n; j++) {
+        let pivot = matrix[j][j];
+        for (let k = 0; k < j; k++) {
+            pivot -= lower[j][k] * lower[j][k];
+        }
+
+        const scale = Math.max(1, Math.abs(matrix[j][j]));
+        if (pivot < -PIVOT_TOLERANCE * scale) {
+            throw new Error('Matrix is not positive semi-definite');
+        }
+
+        const diagonal = pivot > PIVOT_TOLERANCE * scale ? Math.sqrt(pivot) : 0;
+        lower[j][j] = diagonal;
+
+        for (let i = j + 1; i < n; i++) {
+            let sum = matrix[i][j];
+            for (let k = 0; k < j; k++) {
+                sum -= lower[i][k] * lower[j][k];
+            }
+            if (diagonal > 0) {
+                lower[i][j] = sum / diagonal;
+            } else if (Math.abs(sum) > PIVOT_TOLERANCE * scale) {
+                // A zero pivot leaves no room for further covariance in this column
+                throw new Error('Matrix is not positive semi-definite');
+            }
+        }
+    }
+
+    return lower;
+}
@@ -0,0 +1,75 @@
+import { LIFE_TABLE } from './data/lifeTable.js';
+
+/**
+ * Survival helpers for longevity mode, built on the bundled period life
+ * table (see data/lifeTable.js).
+ */
+
+export const SEXES = Object.keys(LIFE_TABLE);
+
+/**
+ * Probability of dying within a year at `age`, interpolated linearly between
+ * the table's whole-year rows; 1 past the end of the table.
+ */
+function getDeathProbability(table, age) {
+    const whole = Math.floor(age);
+    const q = table[whole] ?? 1;
+    const next = table[whole + 1] ?? 1;
+    return q + (next - q) * (age - whole);
+}
+
+/**
+ * Probability that a person aged `age` today is alive at the start of each
+ * of the next `years` years (index 0 is today, so always 1).
+ * @param {number} age May be fractional
+ * @param {('male'|'female'|'unisex')} sex
+ * @param {number} years
+ * @returns {number[]} `years + 1` survival probabilities
+ */
+export function getSurvivalCurve(age, sex, years) {
+    const table = LIFE_TABLE[sex];
+    const curve = [1];
+    for (let year = 0; year < years; year++) {
+        const q = getDeathProbability(table, Math.max(0, age + year));
+        curve.push(curve[year] * (1 - q));
+    }
+    return curve;
+}
+
+/**
+ * Probability that at least one of the lives is alive at the start of each year.
+ * @param {Array<{age: number, sex: string}>} lives
+ * @param {number} years
+ * @returns {number[]} `years + 1` probabilities
+ */
+export function getHouseholdSurvival(lives, years) {
+    const curves = lives.map(life => getSurvivalCurve(life.age, life.sex, years));
+    return curves[0].map((_, year) => 1 - curves.reduce((allDead, curve) => allDead * (1 - curve[year]), 1));
+}
+
+/**
+ * Remaining life expectancy, counting half of the year of death.
+ * @param {number} age
+ * @param {string} sex
+ */
+export function getLifeExpectancy(age, sex) {
+    const curve = getSurvivalCurve(age, sex, Math.max(0, LIFE_TABLE[sex].length - age));
+    return curve.slice(1).reduce((sum, alive, year) => sum + (curve[year] + alive) / 2, 0);
+}
+
+/**
+ * PoS that only counts a depletion as a failure when someone is still alive
+ * to need the money: a path that runs out in year d fails with the
+ * probability that the household survives to the start of year d.
+ * @param {ArrayLike<number>} depletionCounts Failed paths by depletion year
+ * @param {number} iterations Total paths
+ * @param {number[]} householdSurvival From getHouseholdSurvival()
+ * @returns {number} Probability of success (%)
+ */
+export function getMortalityAdjustedPos(depletionCounts, iterations, householdSurvival) {
+    let expectedFailures = 0;
+    for (let year = 0; year < depletionCounts.length; year++) {
+        expectedFailures += depletionCounts[year] * householdSurvival[year];
+    }
+    return (1 - expectedFailures / iterations) * 100;
+}
@@ -0,0 +1,83 @@
+/**
+ * Seedable pseudo-random number source for the Monte Carlo engine.
+ *
+ * Return generators only depend on a small interface:
+ *
+ *   - next()             -> uniform float in [0, 1)
+ *   - setStream(index)   -> (optional) jump to an independent sub-stream
+ *
+ * so any PRNG with that shape can be plugged in. SeededRandom is the default:
+ * sfc32 seeded through splitmix32. MonteCarloSimulation selects sub-stream i
+ * for iteration i, which makes every simulated path a pure function of
+ * (seed, iteration) — a path draws the same returns regardless of how many
+ * numbers earlier paths consumed (e.g. after an early depletion).
+ */
+
+const UINT32_RANGE = 4294967296;
+
+export class SeededRandom {
+    /**
+     * @param {number} seed Unsigned 32-bit integer seed
+     */
+    constructor(seed) {
+        this.seed = seed >>> 0;
+        this.setStream(0);
+    }
+
+    /**
+     * Reposition the generator at the start of sub-stream `stream`.
+     * @param {number} stream Non-negative integer stream index
+     */
+    setStream(stream) {
+        const mix = splitmix32(this.seed ^ Math.imul(stream >>> 0, 0x9E3779B1));
+        this.a = mix();
+        this.b = mix();
+        this.c = mix();
+        this.d = mix();
+
+        // Discard the first outputs so nearby seeds decorrelate fully
+        for (let i = 0; i < 12; i++) {
+            this.next();
+        }
+    }
+
+    /**
+     * @returns {number} Uniform float in [0, 1)
+     */
+    next() {
+        const t = (((this.a + this.b) | 0) + this.d) | 0;
+        this.d = (this.d + 1) | 0;
+        this.a = this.b ^ (this.b >>> 9);
+        this.b = (this.c + (this.c << 3)) | 0;
+        this.c = (this.c << 21) | (this.c >>> 11);
+        this.c = (this.c + t) | 0;
+        return (t >>> 0) / UINT32_RANGE;
+    }
+}
+
+/**
+ * Draw a fresh seed for runs where the caller did not supply one.
+ * @returns {number} Unsigned 32-bit integer
+ */
+export function generateSeed() {
+    return Math.floor(Math.random() * UINT32_RANGE) >>> 0;
+}
+
+/**
+ * @param {*} seed
+ * @returns {boolean} True when `seed` is a usable unsigned 32-bit integer
+ */
+export function isValidSeed(seed) {
+    return Number.isInteger(seed) && seed >= 0 && seed < UINT32_RANGE;
+}
+
+function splitmix32(seed) {
+    let state = seed | 0;
+    return () => {
+        state = (state + 0x9E3779B9) | 0;
+        let z = state;
+        z = Math.imul(z ^ (z >>> 16), 0x85EBCA6B);
+        z = Math.imul(z ^ (z >>> 13), 0xC2B2AE35);
+        return (z ^ (z >>> 16)) | 0;
+    };
+}
@@ -0,0 +1,110 @@
+import { Config } from './Config.js';
+import { GuardrailCalculator } from './GuardrailCalculator.js';
+import { runSteps } from './steps.js';
+
+/**
+ * Roth conversion explorer: runs the guardrail calculation once without
+ * conversions and once per conversion strategy, and reports how each
+ * strategy changes the plan. Every run replays the same return paths (one
+ * random_seed, fixed iterations), so the differences come from the strategy
+ * rather than from sampling noise. Taxes and conversions are averaged over
+ * those paths, and terminal wealth is valued after tax, with pre-tax savings
+ * taxed at Config.roth_conversions.terminal_pre_tax_rate.
+ *
+ * Needs a pre-tax balance (`accounts` or `pre_tax_fraction`).
+ *
+ * @param {object} params Calculator input
+ * @param {object[]} [strategies] Conversion strategies (see TaxModel.ROTH_CONVERSION_TYPES),
+ *        each with an optional `name`. Default: `params.roth_conversion_strategies`, else
+ *        Config.roth_conversions.default_strategies
+ * @param {function(object): void} [onProgress] Receives the progress events of
+ *        exploreRothConversionsSteps()
+ * @returns {{random_seed: number, baseline: object, strategies: object[]}} Each strategy
+ *          carries the baseline's summary fields plus `name`, `strategy` and `change`
+ *          (strategy minus baseline)
+ */
+export function exploreRothConversions(params, strategies = undefined, onProgress = null) {
+    return runSteps(exploreRothConversionsSteps(params, strategies), onProgress);
+}
+
+/**
+ * exploreRothConversions() as a step generator (see steps.js). Yields
+ * `{phase: 'converting', completed, total}` after each run.
+ */
+export function* exploreRothConversionsSteps(params, strategies = undefined) {
+    strategies ??= params.roth_conversion_strategies ?? Config.roth_conversions.default_strategies;
+
+    const calculator = new GuardrailCalculator();
+    const base = {
+        ...params,
+        roth_conversion: null,
+        adaptive_iterations: false,
+        dynamic_guardrails_enabled: false,
+        sample_paths: 0,
+        keep_raw_paths: false,
+    };
+    // Fixes the seed, so every run below simulates the same paths
+    calculator.validateParams(base);
+    if (!(calculator.createTaxModel(base)?.shares.pre_tax > 0)) {
+        throw new Error('The Roth conversion explorer needs a pre-tax balance (accounts.pre_tax or pre_tax_fraction)');
+    }
+
+    const total = strategies.length + 1;
+    const run = (rothConversion) => {
+        const plan = { ...base, roth_conversion: rothConversion };
+        const result = calculator.calculate(plan, { includeTriggers: false, includeSpendingCurve: false });
+        const taxes = calculator.createSimulation(
+            plan,
+            calculator.createCashFlowModel(plan),
+            plan.desired_spending,
+            plan.spouse1_age ?? plan.current_age,
+            result.monte_carlo.iterations,
+            calculator.createSeededGenerator(plan, calculator.createGeneratorFactory(plan, 'standard'))
+        ).summarizeTaxes(Config.roth_conversions.terminal_pre_tax_rate);
+        return summarize(result, taxes);
+    };
+
+    const baseline = run(null);
+    yield { phase: 'converting', completed: 1, total };
+
+    const results = [];
+    for (const strategy of strategies) {
+        const { name, ...rothConversion } = strategy;
+        const summary = run(rothConversion);
+        results.push({
+            name: name ?? describeStrategy(rothConversion, base.rmd_start_age ?? Config.taxes.rmd_start_age),
+            strategy: rothConversion,
+            ...summary,
+            change: Object.fromEntries(Object.keys(summary).map(key => [key, roundChange(summary[key] - baseline[key])])),
+        });
+        yield { phase: 'converting', completed: results.length + 1, total };
+    }
+
+    return { random_seed: base.random_seed, baseline, strategies: results };
+}
+
+/**
+ * Taxes, conversions and terminal wealth come from every simulated path
+ * (see MonteCarloSimulation.summarizeTaxes()). Dollar amounts are rounded
+ * to whole dollars.
+ */
+function summarize(result, taxes) {
+    return {
+        probability_of_success: result.probability_of_success,
+        recommended_spending: result.recommended_spending,
+        median_terminal_value_after_tax: Math.round(taxes.median_terminal_value_after_tax),
+        mean_lifetime_taxes: Math.round(taxes.mean_lifetime_taxes),
+        mean_lifetime_roth_conversions: Math.round(taxes.mean_lifetime_roth_conversions),
+    };
+}
+
+function roundChange(value) {
+    return Number(value.toFixed(2));
+}
+
+function describeStrategy(strategy, rmdStartAge) {
+    if (strategy.type === 'fixed') {
+        return `Convert $${Math.round(strategy.amount).toLocaleString('en-US')} a year for ${strategy.years} years`;
+    }
+    return `Fill the ${Math.round(strategy.bracket_rate * 100)}% bracket until ${strategy.until_age ?? rmdStartAge}`;
+}
@@ -0,0 +1,238 @@
+import { GuardrailCalculator } from './GuardrailCalculator.js';
+import { mergeShards } from './MonteCarloSimulation.js';
+import { sweepAllocationsSteps } from './allocationSweep.js';
+import { optimizeClaimingAgesSteps } from './claimingOptimizer.js';
+import { exploreRothConversionsSteps } from './rothConversions.js';
+import { analyzeSensitivitySteps } from './sensitivity.js';
+import { runSteps, runStepsAsync } from './steps.js';
+
+/**
+ * Return models the params ask for, in the order they are calculated.
+ * @param {object} params Calculator input
+ * @returns {('standard'|'enhanced'|'historical')[]}
+ */
+export function getRequestedModels(params) {
+    const models = ['standard'];
+    if (params.enhanced_mc_enabled) models.push('enhanced');
+    if (params.historical_mc_enabled) models.push('historical');
+    return models;
+}
+
+/**
+ * Run every simulation requested by the params: the standard calculation
+ * always, plus the enhanced (mean-reverting) and historical comparisons, the
+ * Roth conversion explorer, the Social Security claiming optimizer, the
+ * allocation sweep and the sensitivity analysis when enabled. Shared by the Web Worker, the portable inline runtime and the CLI
+ * so all three return the same shape; the two web runtimes turn the Roth
+ * conversion explorer and the claiming optimizer off, as only the CLI
+ * reports them.
+ *
+ * @param {object} params Calculator input
+ * @param {object} [options]
+ * @param {Object<string, object>} [options.shards] Merged headline shards by model
+ *        (see runCalculationsInPool())
+ * @param {function(object): void} [options.onProgress] Receives the progress events
+ *        of runCalculationSteps()
+ * @returns {{results: object, enhancedResults: (object|null), historicalResults: (object|null),
+ *            rothConversionResults: (object|null), claimingResults: (object|null),
+ *            allocationSweepResults: (object|null), sensitivityResults: (object|null)}}
+ */
+export function runCalculations(params, { shards = {}, onProgress = null } = {}) {
+    return runSteps(runCalculationSteps(params, { shards }), onProgress);
+}
+
+/**
+ * runCalculations() that yields to the event loop as it goes, so a worker
+ * can act on a cancel message mid-run.
+ * @param {object} params Calculator input
+ * @param {object} [options] As for runCalculations(), plus:
+ * @param {AbortSignal} [options.signal] Stops the run at its next step
+ * @returns {Promise<{results: object, enhancedResults: (object|null), historicalResults: (object|null),
+ *            rothConversionResults: (object|null), claimingResults: (object|null),
+ *            allocationSweepResults: (object|null), sensitivityResults: (object|null)}>}
+ *          Rejects with an AbortError when cancelled
+ */
+export function runCalculationsAsync(params, { shards = {}, onProgress = null, signal = null } = {}) {
+    return runStepsAsync(runCalculationSteps(params, { shards }), { onStep: onProgress, signal });
+}
+
+/**
+ * Step generator behind runCalculations() (see steps.js). Yields
+ * `{phase: 'simulating', model, percent, iterations, probability_of_success}`
+ * during each headline simulation, where the PoS is the running estimate
+ * over the model's first `iterations` paths and `percent` counts iterations
+ * over all models, and `{phase: 'analyzing', model, percent}` while a
+ * model's results are being solved. The Roth conversion explorer, the
+ * claiming optimizer, the allocation sweep and the sensitivity analysis run
+ * last when enabled, yielding `{phase: 'analyzing', model: 'roth_conversions' |
+ * 'claiming' | 'allocation_sweep' | 'sensitivity', percent}` after each run.
+ */
+export function* runCalculationSteps(params, { shards = {} } = {}) {
+    const calculator = new GuardrailCalculator();
+    const models = getRequestedModels(params);
+    const modelIterations = models.map(model => calculator.getModelIterations(params, model));
+    const plannedIterations = modelIterations.reduce((sum, n) => sum + n, 0);
+    const steps = {
+        standard: (options) => calculator.calculateSteps(params, options),
+        enhanced: (options) => calculator.calculateEnhancedSteps(params, options),
+        historical: (options) => calculator.calculateHistoricalSteps(params, options),
+    };
+
+    const output = {};
+    let percent = 0;
+    for (const [index, model] of models.entries()) {
+        const shard = shards[model] ?? null;
+        const modelSteps = steps[model]({ shard });
+        for (;;) {
+            const { value: event, done } = modelSteps.next();
+            if (done) {
+                output[model] = event;
+                break;
+            }
+
+            if (event.phase === 'simulating') {
+                // Adaptive runs can outgrow the planned iterations
+                const before = modelIterations.slice(0, index).reduce((sum, n) => sum + n, 0);
+                const total = plannedIterations + Math.max(0, event.total - modelIterations[index]);
+                percent = Math.min(100, ((before + event.completed) / total) * 100);
+                if (shard && event.completed <= shard.end) {
+                    // Loading iterations the pool has already simulated and reported
+                    continue;
+                }
+                yield {
+                    phase: 'simulating',
+                    model,
+                    percent,
+                    iterations: event.completed,
+                    probability_of_success: (event.successful / event.completed) * 100,
+                };
+            } else {
+                yield { phase: event.phase, model, percent };
+            }
+        }
+    }
+
+    const rothConversionResults = params.roth_conversion_explorer_enabled
+        ? yield* runAnalysis(exploreRothConversionsSteps(params), 'roth_conversions', percent)
+        : null;
+    const claimingResults = params.claiming_optimizer_enabled
+        ? yield* runAnalysis(optimizeClaimingAgesSteps(params), 'claiming', percent)
+        : null;
+    const allocationSweepResults = params.allocation_sweep_enabled
+        ? yield* runAnalysis(sweepAllocationsSteps(params), 'allocation_sweep', percent)
+        : null;
+    const sensitivityResults = params.sensitivity_enabled
+        ? yield* runAnalysis(analyzeSensitivitySteps(params), 'sensitivity', percent)
+        : null;
+
+    return {
+        results: output.standard,
+        enhancedResults: output.enhanced ?? null,
+        historicalResults: output.historical ?? null,
+        rothConversionResults,
+        claimingResults,
+        allocationSweepResults,
+        sensitivityResults,
+    };
+}
+
+/** Run a scenario runner's steps, reporting each as an 'analyzing' step of `model`. */
+function* runAnalysis(steps, model, percent) {
+    for (;;) {
+        const { value: event, done } = steps.next();
+        if (done) {
+            return event;
+        }
+        yield { phase: 'analyzing', model, percent };
+    }
+}
+
+/**
+ * runCalculationsAsync() with the headline simulations split across a worker
+ * pool. Each model's iterations are cut into one contiguous shard per
+ * worker; the merged shards are identical to a single-threaded run, so the
+ * results are too. The remaining steps (spending solve, triggers, dynamic
+ * guardrails) then run here.
+ *
+ * @param {object} params Calculator input
+ * @param {import('./WorkerPool.js').WorkerPool} pool Workers that answer shard tasks
+ *        with runShardTask()
+ * @param {object} [options]
+ * @param {function(object): void} [options.onProgress] As for runCalculations()
+ * @param {AbortSignal} [options.signal] Cancels running shards and stops the run
+ * @returns {Promise<{results: object, enhancedResults: (object|null), historicalResults: (object|null),
+ *            rothConversionResults: (object|null), claimingResults: (object|null),
+ *            allocationSweepResults: (object|null), sensitivityResults: (object|null)}>}
+ */
+export async function runCalculationsInPool(params, pool, { onProgress = null, signal = null } = {}) {
+    // Fixes the seed and defaults so every shard simulates the same paths
+    const calculator = new GuardrailCalculator();
+    calculator.validateParams(params);
+
+    const models = getRequestedModels(params);
+    const iterations = models.reduce((sum, model) => sum + calculator.getModelIterations(params, model), 0);
+    const tasks = models.flatMap(model => splitRange(calculator.getModelIterations(params, model), pool.size)
+        .map(([start, end]) => ({ type: 'shard', params, model, start, end })));
+
+    const completed = new Array(tasks.length).fill(0);
+    const successful = new Array(tasks.length).fill(0);
+    const sumForModel = (values, model) => values.reduce((sum, n, index) => sum + (tasks[index].model === model ? n : 0), 0);
+
+    const responses = await Promise.all(tasks.map((task, index) => pool.run(task, (progress) => {
+        completed[index] = progress.completed;
+        successful[index] = progress.successful;
+
+        const modelCompleted = sumForModel(completed, task.model);
+        onProgress?.({
+            phase: 'simulating',
+            model: task.model,
+            percent: (completed.reduce((sum, n) => sum + n, 0) / iterations) * 100,
+            iterations: modelCompleted,
+            probability_of_success: (sumForModel(successful, task.model) / modelCompleted) * 100,
+        });
+    }, signal)));
+
+    const shards = {};
+    for (const model of models) {
+        shards[model] = mergeShards(responses.filter((_, index) => tasks[index].model === model).map(response => response.shard));
+    }
+
+    return runCalculationsAsync(params, { shards, onProgress, signal });
+}
+
+/**
+ * Worker side of runCalculationsInPool(): simulate one shard.
+ * @param {{params: object, model: string, start: number, end: number}} task
+ * @param {function(number, number): void} [onProgress] Called with the iterations completed
+ *        and how many of them succeeded
+ * @returns {{shard: object, transfer: ArrayBuffer[]}} The shard and its buffers, for postMessage()
+ */
+export function runShardTask({ params, model, start, end }, onProgress = null) {
+    const shard = new GuardrailCalculator().simulateShard(params, model, start, end, { onProgress });
+    return {
+        shard,
+        transfer: [
+            shard.success.buffer,
+            shard.final_values.buffer,
+            shard.yearly_values.buffer,
+            shard.depletion_years.buffer,
+            shard.shortfall_years.buffer,
+            shard.shortfall_amounts.buffer,
+        ],
+    };
+}
+
+/**
+ * Split [0, total) into at most `parts` contiguous, near-equal ranges.
+ * @returns {Array<[number, number]>}
+ */
+export function splitRange(total, parts) {
+    const count = Math.max(1, Math.min(parts, total));
+    const ranges = [];
+    for (let part = 0; part < count; part++) {
+        const start = Math.floor((part * total) / count);
+        const end = Math.floor(((part + 1) * total) / count);
+        ranges.push([start, end]);
+    }
+    return ranges;
+}
@@ -0,0 +1,187 @@
+import { Config } from './Config.js';
+import { GuardrailCalculator } from './GuardrailCalculator.js';
+import { ASSETS, resolveCapitalMarketAssumptions } from './capitalMarketAssumptions.js';
+import { MAX_CLAIMING_AGE, MIN_CLAIMING_AGE, isPiaSource } from './socialSecurity.js';
+import { runSteps } from './steps.js';
+
+export const SENSITIVITY_SHIFTS = Object.keys(Config.sensitivity.default_shifts);
+
+const ASSET_LABELS = { stocks: 'Stock', bonds: 'Bond', cash: 'Cash' };
+const ASSET_ALLOCATIONS = { stocks: 'stock_allocation', bonds: 'bond_allocation', cash: 'cash_allocation' };
+
+/**
+ * Tornado sensitivity analysis: moves each key input down and up by the
+ * shifts in `sensitivity_shifts` (see Config.sensitivity), one at a time,
+ * and ranks the inputs by how far that swings PoS at the desired spending
+ * and recommended_spending. Every variant is evaluated with
+ * GuardrailCalculator.evaluatePlan() on the same return paths, so the swings
+ * come from the input rather than from sampling noise.
+ *
+ * The inputs are the mean return of each asset class held, inflation, the
+ * fee, the planning horizon, desired spending, the amount and start (or
+ * claiming) age of each income source and the amount of each future expense.
+ *
+ * @param {object} params Calculator input
+ * @param {function(object): void} [onProgress] Receives the progress events of
+ *        analyzeSensitivitySteps()
+ * @returns {{random_seed: number, iterations: number, shifts: object, base: object,
+ *            inputs: object[], rankings: {probability_of_success: string[],
+ *            recommended_spending: string[]}}}
+ *          Each input has its `key` (the param it moves), `label`, `base_value`, the
+ *          `low` and `high` variants with their `value`, `probability_of_success`,
+ *          `recommended_spending` and `sustainable_spending`, and the `pos_swing` and
+ *          `spending_swing` between them; inputs are in order of PoS swing
+ */
+export function analyzeSensitivity(params, onProgress = null) {
+    return runSteps(analyzeSensitivitySteps(params), onProgress);
+}
+
+/**
+ * analyzeSensitivity() as a step generator (see steps.js). Yields
+ * `{phase: 'sensitivity', completed, total}` after each evaluation.
+ */
+export function* analyzeSensitivitySteps(params) {
+    const calculator = new GuardrailCalculator();
+    const base = {
+        ...params,
+        adaptive_iterations: false,
+        dynamic_guardrails_enabled: false,
+        sample_paths: 0,
+        keep_raw_paths: false,
+    };
+    // Fixes the seed and defaults, so every variant below is simulated on the same paths
+    calculator.validateParams(base);
+
+    const shifts = { ...Config.sensitivity.default_shifts, ...base.sensitivity_shifts };
+    const inputs = getSensitivityInputs(base, shifts);
+    const total = 1 + inputs.length * 2;
+
+    const evaluate = (plan) => {
+        const evaluation = calculator.evaluatePlan(plan);
+        return {
+            probability_of_success: evaluation.probability_of_success,
+            recommended_spending: calculator.getRecommendedSpending(evaluation, plan.desired_spending),
+            sustainable_spending: evaluation.sustainable_spending,
+        };
+    };
+
+    const baseline = evaluate({ ...base });
+    let completed = 1;
+    yield { phase: 'sensitivity', completed, total };
+
+    const results = [];
+    for (const input of inputs) {
+        const [low, high] = [input.low, input.high].map(value => ({ value, ...evaluate({ ...base, ...input.apply(value) }) }));
+        completed += 2;
+        yield { phase: 'sensitivity', completed, total };
+
+        results.push({
+            key: input.key,
+            label: input.label,
+            base_value: input.value,
+            low,
+            high,
+            pos_swing: Number(Math.abs(high.probability_of_success - low.probability_of_success).toFixed(2)),
+            spending_swing: Math.abs(high.recommended_spending - low.recommended_spending),
+        });
+    }
+
+    const rank = (key, other) => [...results]
+        .sort((a, b) => (b[key] - a[key]) || (b[other] - a[other]))
+        .map(result => result.key);
+    const byPos = rank('pos_swing', 'spending_swing');
+
+    return {
+        random_seed: base.random_seed,
+        iterations: base.monte_carlo_iterations,
+        shifts,
+        base: baseline,
+        inputs: byPos.map(key => results.find(result => result.key === key)),
+        rankings: {
+            probability_of_success: byPos,
+            recommended_spending: rank('spending_swing', 'pos_swing'),
+        },
+    };
+}
+
+/**
+ * The inputs to move and how: each has its `key`, `label`, current `value`,
+ * `low` and `high` values (clamped to what the calculator accepts) and
+ * `apply(value)`, which returns the params to override. Inputs that cannot
+ * move, e.g. a $0 amount, are left out.
+ */
+function getSensitivityInputs(params, shifts) {
+    const inputs = [];
+    const add = (key, label, value, shift, apply, { min = -Infinity, max = Infinity, round = (x) => x } = {}) => {
+        const low = round(Math.max(min, value - shift));
+        const high = round(Math.min(max, value + shift));
+        if (low !== value || high !== value) {
+            inputs.push({ key, label, value, low, high, apply });
+        }
+    };
+    const rate = (x) => Number(x.toFixed(6));
+    const dollars = (x) => Math.round(x);
+    const scale = (key, label, value, apply) => add(key, label, value, value * shifts.amount, apply, { min: 0, round: dollars });
+
+    const overrides = params.capital_market_assumptions ?? {};
+    const assumptions = resolveCapitalMarketAssumptions(overrides);
+    const bounds = Config.capital_market_assumptions;
+    for (const asset of ASSETS) {
+        // Without a glide path an asset that is not held cannot matter
+        if (!params.glide_path && Number(params[ASSET_ALLOCATIONS[asset]]) === 0) continue;
+        add(`capital_market_assumptions.${asset}.mean`, `${ASSET_LABELS[asset]} return`, assumptions[asset].mean, shifts.return,
+            (mean) => ({ capital_market_assumptions: { ...overrides, [asset]: { ...overrides[asset], mean } } }),
+            { min: bounds.min_mean, max: bounds.max_mean, round: rate });
+    }
+
+    add('inflation_rate', 'Inflation', params.inflation_rate, shifts.inflation,
+        (inflation_rate) => ({ inflation_rate }), { round: rate });
+    add('annual_fee_percentage', 'Annual fee', params.annual_fee_percentage, shifts.fee,
+        (annual_fee_percentage) => ({ annual_fee_percentage }), { min: 0, round: rate });
+
+    // The plan has to reach the retirement age
+    const currentAge = params.spouse1_age ?? params.current_age;
+    add('planning_horizon_years', 'Planning horizon', params.planning_horizon_years, shifts.horizon,
+        (planning_horizon_years) => ({ planning_horizon_years }),
+        { min: Math.max(1, Math.floor(params.retirement_age - currentAge) + 1), max: 60 });
+
+    scale('desired_spending', 'Desired spending', params.desired_spending,
+        (desired_spending) => ({ desired_spending }));
+
+    const ages = { spouse1: currentAge, spouse2: params.spouse2_age };
+    (params.income_sources ?? []).forEach((source, index) => {
+        const replace = (changes) => ({
+            income_sources: params.income_sources.map((other, i) => (i === index ? { ...other, ...changes } : other)),
+        });
+        const key = `income_sources[${index}]`;
+        const name = source.name || `Income ${index + 1}`;
+
+        if (isPiaSource(source)) {
+            scale(`${key}.pia`, `${name} PIA`, Number(source.pia), (pia) => replace({ pia }));
+            // Ages already passed cannot be chosen, and a benefit already
+            // claimed keeps its age
+            const claimingAge = Number(source.claiming_age);
+            const earliest = Math.max(MIN_CLAIMING_AGE, Math.ceil(ages[source.recipient ?? 'spouse1'] ?? MIN_CLAIMING_AGE));
+            if (claimingAge >= earliest) {
+                add(`${key}.claiming_age`, `${name} claiming age`, claimingAge, shifts.age,
+                    (claiming_age) => replace({ claiming_age }), { min: earliest, max: MAX_CLAIMING_AGE });
+            }
+        } else {
+            scale(`${key}.annual_amount`, `${name} amount`, Number(source.annual_amount), (annual_amount) => replace({ annual_amount }));
+            const startAge = Number(source.start_age);
+            const endAge = source.end_age != null && source.end_age !== '' ? Number(source.end_age) : Infinity;
+            add(`${key}.start_age`, `${name} start age`, startAge, shifts.age,
+                (start_age) => replace({ start_age }), { max: Math.max(startAge, endAge) });
+        }
+    });
+
+    (params.future_expenses ?? []).forEach((expense, index) => {
+        const name = expense.name || `Expense ${index + 1}`;
+        scale(`future_expenses[${index}].annual_amount`, `${name} amount`, Number(expense.annual_amount),
+            (annual_amount) => ({
+                future_expenses: params.future_expenses.map((other, i) => (i === index ? { ...other, annual_amount } : other)),
+            }));
+    });
+
+    return inputs;
+}
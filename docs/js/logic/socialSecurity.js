@@ -0,0 +1,185 @@
+/**
+ * Social Security benefits from a primary insurance amount (PIA): the
+ * retirement benefit at any claiming age from 62 to 70, spousal top-ups and
+ * survivor benefits, following the SSA's early-reduction and delayed
+ * retirement credit rules for people born in 1943 or later.
+ *
+ * PIAs are monthly amounts in today's dollars; the streams built from them
+ * are annual and inflation-adjusted like any other income source.
+ */
+
+export const MIN_CLAIMING_AGE = 62;
+export const MAX_CLAIMING_AGE = 70;
+export const CLAIMING_AGES = Array.from(
+    { length: MAX_CLAIMING_AGE - MIN_CLAIMING_AGE + 1 },
+    (_, index) => MIN_CLAIMING_AGE + index
+);
+
+/** Ways the claiming optimizer can rank claiming-age combinations, best first. */
+export const CLAIMING_RANKINGS = ['sustainable_spending', 'probability_of_success'];
+
+const DELAYED_CREDIT_PER_MONTH = 0.08 / 12;
+const SURVIVOR_MAX_REDUCTION = 0.285;     // survivor benefit claimed at 60
+const SURVIVOR_MIN_AGE = 60;
+const SURVIVOR_FLOOR = 0.825;             // widow(er)'s limit when the deceased claimed early
+
+/**
+ * Full retirement age for a birth year (1938–1942 and 1955–1959 rise two
+ * months a year).
+ */
+export function getFullRetirementAge(birthYear) {
+    if (birthYear <= 1937) return 65;
+    if (birthYear <= 1942) return 65 + ((birthYear - 1937) * 2) / 12;
+    if (birthYear <= 1954) return 66;
+    if (birthYear <= 1959) return 66 + ((birthYear - 1954) * 2) / 12;
+    return 67;
+}
+
+function monthsBeforeFullRetirementAge(birthYear, age) {
+    return Math.round((getFullRetirementAge(birthYear) - age) * 12);
+}
+
+/**
+ * Retirement benefit as a multiple of the PIA: 5/9% less per month before
+ * full retirement age for the first 36 months and 5/12% per month beyond,
+ * 8% more per year of delay up to age 70.
+ */
+export function getRetirementBenefitFactor(birthYear, claimingAge) {
+    const early = monthsBeforeFullRetirementAge(birthYear, Math.min(claimingAge, MAX_CLAIMING_AGE));
+    if (early <= 0) {
+        return 1 - early * DELAYED_CREDIT_PER_MONTH;
+    }
+    return 1 - Math.min(36, early) * (5 / 900) - Math.max(0, early - 36) * (5 / 1200);
+}
+
+/**
+ * Spousal benefit as a share of its full amount (half the other spouse's
+ * PIA): 25/36% less per month before full retirement age for the first 36
+ * months and 5/12% per month beyond. Delay earns no credits.
+ */
+export function getSpousalBenefitFactor(birthYear, age) {
+    const early = monthsBeforeFullRetirementAge(birthYear, age);
+    if (early <= 0) {
+        return 1;
+    }
+    return 1 - Math.min(36, early) * (25 / 3600) - Math.max(0, early - 36) * (5 / 1200);
+}
+
+/**
+ * Survivor benefit as a share of the deceased's benefit, by the survivor's
+ * age when it starts: 71.5% at 60 rising evenly to 100% at full retirement
+ * age. Uses the retirement full retirement age, which can differ from the
+ * survivor one by a few months for people born 1955–1961.
+ */
+export function getSurvivorBenefitFactor(birthYear, age) {
+    const fullRetirementAge = getFullRetirementAge(birthYear);
+    if (age >= fullRetirementAge) {
+        return 1;
+    }
+    const early = fullRetirementAge - Math.max(SURVIVOR_MIN_AGE, age);
+    return 1 - (SURVIVOR_MAX_REDUCTION * early) / (fullRetirementAge - SURVIVOR_MIN_AGE);
+}
+
+/** Whether an income source is a Social Security record given by its PIA. */
+export function isPiaSource(source) {
+    return source.type === 'social_security' && source.pia !== undefined && source.pia !== null;
+}
+
+/**
+ * Annual retirement benefit of a PIA source at its claiming age.
+ */
+export function getAnnualBenefit(source, claimingAge = source.claiming_age) {
+    return 12 * Number(source.pia) * getRetirementBenefitFactor(source.birth_year, claimingAge);
+}
+
+/**
+ * Replace each PIA source by the streams it pays: the retirement benefit
+ * from the claiming age, plus a spousal top-up (flagged `spousal`) when half
+ * the other spouse's PIA exceeds the recipient's own. With a modeled first
+ * death, the deceased's benefit carries the `survivor_benefit` the survivor
+ * receives instead of it (see CashFlowModel.setFirstDeath()). Other sources
+ * pass through unchanged.
+ *
+ * Ages of the returned sources are in the recipient's own age, as in the
+ * input, except `survivor_benefit.start_age`, which is in spouse 1's age.
+ *
+ * @param {object[]} sources Income sources from the calculator input
+ * @param {object} household
+ * @param {{spouse1: number, spouse2: ?number}} household.ages Current ages
+ * @param {?{deceased: string, first_death_age: number}} [household.firstDeath]
+ * @returns {object[]}
+ */
+export function resolveSocialSecurity(sources, { ages, firstDeath = null }) {
+    const records = {};
+    for (const source of sources) {
+        if (isPiaSource(source)) {
+            records[source.recipient ?? 'spouse1'] = source;
+        }
+    }
+
+    const resolved = [];
+    for (const source of sources) {
+        if (!isPiaSource(source)) {
+            resolved.push(source);
+            continue;
+        }
+
+        const recipient = source.recipient ?? 'spouse1';
+        const otherSpouse = recipient === 'spouse1' ? 'spouse2' : 'spouse1';
+        const other = records[otherSpouse];
+        const claimingAge = Number(source.claiming_age);
+        const ownBenefit = {
+            name: source.name,
+            type: 'social_security',
+            recipient,
+            annual_amount: getAnnualBenefit(source),
+            start_age: claimingAge,
+            inflation_adjusted: true,
+        };
+        if (firstDeath?.deceased === recipient && Number.isFinite(ages[otherSpouse])) {
+            ownBenefit.survivor_benefit = getSurvivorBenefit(source, other, recipient, otherSpouse, ages, firstDeath);
+        }
+        resolved.push(ownBenefit);
+
+        const excess = other ? Number(other.pia) / 2 - Number(source.pia) : 0;
+        if (excess > 0) {
+            // Paid once both spouses have claimed
+            const spouseClaimingAge = Number(other.claiming_age) + (ages[recipient] - ages[otherSpouse]);
+            const startAge = Math.max(claimingAge, Math.ceil(spouseClaimingAge));
+            resolved.push({
+                name: `${source.name} (spousal)`,
+                type: 'social_security',
+                recipient,
+                annual_amount: 12 * excess * getSpousalBenefitFactor(source.birth_year, startAge),
+                start_age: startAge,
+                inflation_adjusted: true,
+                spousal: true,
+            });
+        }
+    }
+    return resolved;
+}
+
+/**
+ * What the survivor receives on the deceased's record: the deceased's
+ * benefit (at least 82.5% of the PIA if they claimed early), or if they had
+ * not claimed yet, the PIA plus any delayed credits earned by their death.
+ * Reduced if the survivor takes it before full retirement age; payable from
+ * age 60.
+ */
+function getSurvivorBenefit(source, survivorRecord, deceased, survivor, ages, firstDeath) {
+    const deathAge = firstDeath.first_death_age;
+    const claimed = Number(source.claiming_age) < deathAge;
+    const base = claimed
+        ? Math.max(getAnnualBenefit(source), 12 * Number(source.pia) * SURVIVOR_FLOOR)
+        : 12 * Number(source.pia) * Math.max(1, getRetirementBenefitFactor(source.birth_year, deathAge));
+
+    const survivorAgeAtDeath = deathAge + (ages[survivor] - ages[deceased]);
+    const survivorBirthYear = survivorRecord?.birth_year ?? source.birth_year + (ages[deceased] - ages[survivor]);
+    const startAge = Math.max(survivorAgeAtDeath, SURVIVOR_MIN_AGE);
+
+    return {
+        annual_amount: base * getSurvivorBenefitFactor(survivorBirthYear, startAge),
+        start_age: startAge + (ages.spouse1 - ages[survivor]),
+    };
+}
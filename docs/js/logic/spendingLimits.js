@@ -0,0 +1,152 @@
+/**
+ * Return-path math shared by MonteCarloSimulation and PosLookupTable.
+ *
+ * For a fixed return path the portfolio after k+1 years is linear in the
+ * starting value V0 and the spending level s:
+ *
+ *   V_k = G_k·V0 − B_k·s − C_k
+ *
+ * (G: cumulative growth, B: compounded spending per unit of s, C: compounded
+ * expenses minus income and contributions), so the largest spending a path
+ * can sustain is min over years of (G_k·V0 − C_k) / B_k, and the smallest
+ * starting value it needs is max over years of (B_k·s + C_k) / G_k. Taxed
+ * paths are not linear and are solved with solvePathLimit() instead.
+ */
+
+/**
+ * Growth factor (1 + return) * (1 - fee) for each year of one path, drawn
+ * exactly as MonteCarloSimulation.runSingleIteration() draws them.
+ * @param {object} generator Return generator; reset(iteration) selects the path
+ * @param {{stock: number, bond: number, cash: number}[]} allocations One per year
+ * @param {number} annualFeePercentage
+ * @param {number} iteration Zero-based path index
+ * @param {Float64Array} growth Receives one factor per year, from `offset`
+ * @param {number} [offset]
+ * @returns {Float64Array} `growth`
+ */
+export function drawGrowthFactors(generator, allocations, annualFeePercentage, iteration, growth, offset = 0) {
+    if (typeof generator.reset === 'function') {
+        generator.reset(iteration);
+    }
+    const perAsset = typeof generator.generateAssetReturns === 'function';
+    for (let year = 0; year < allocations.length; year++) {
+        const { stock, bond, cash } = allocations[year];
+        const annualReturn = perAsset
+            ? generator.getPortfolioReturn(generator.generateAssetReturns(), stock, bond, cash)
+            : generator.generateReturn(stock, bond, cash);
+        growth[offset + year] = (1 + annualReturn) * (1 - annualFeePercentage);
+    }
+    return growth;
+}
+
+/**
+ * Buffers for accumulatePath().
+ * @param {number} years
+ * @returns {{growth: Float64Array, spending: Float64Array, other: Float64Array}}
+ */
+export function createPathTotals(years) {
+    return {
+        growth: new Float64Array(years),
+        spending: new Float64Array(years),
+        other: new Float64Array(years),
+    };
+}
+
+/**
+ * Fill G_k, B_k and C_k of one path for `years` years.
+ * @param {{growth: Float64Array, spending: Float64Array, other: Float64Array}} totals
+ *        Receives the cumulative values (see createPathTotals())
+ * @param {Float64Array} growth Growth factors from drawGrowthFactors()
+ * @param {ArrayLike<number>} spendingFactors Spending per unit of spending level, by plan year
+ * @param {ArrayLike<number>} otherCashFlows Extra expenses minus income and contributions, by plan year
+ * @param {object} options
+ * @param {number} options.years
+ * @param {number} [options.offset] Index of the path's first factor in `growth`
+ * @param {number} [options.start] Plan year the path starts in
+ */
+export function accumulatePath(totals, growth, spendingFactors, otherCashFlows, { years, offset = 0, start = 0 }) {
+    let g = 1;
+    let b = 0;
+    let c = 0;
+    for (let k = 0; k < years; k++) {
+        const factor = growth[offset + k];
+        g *= factor;
+        b = b * factor + spendingFactors[start + k];
+        c = c * factor + otherCashFlows[start + k];
+        totals.growth[k] = g;
+        totals.spending[k] = b;
+        totals.other[k] = c;
+    }
+}
+
+/**
+ * Largest spending level that keeps one path's portfolio above zero in
+ * every year: the path succeeds for any spending strictly below it.
+ * @param {{growth: Float64Array, spending: Float64Array, other: Float64Array}} totals
+ *        From accumulatePath()
+ * @param {number} portfolioValue Starting value V0
+ * @param {number} years
+ * @returns {number} −Infinity if the path fails even with no spending
+ */
+export function getSpendingLimit(totals, portfolioValue, years) {
+    let limit = Infinity;
+    for (let k = 0; k < years; k++) {
+        const headroom = totals.growth[k] * portfolioValue - totals.other[k];
+        if (totals.spending[k] > 0) {
+            limit = Math.min(limit, headroom / totals.spending[k]);
+        } else if (headroom <= 0) {
+            return -Infinity;
+        }
+    }
+    return limit;
+}
+
+/**
+ * Smallest starting value that keeps one path's portfolio above zero in
+ * every year at a spending level: the path succeeds for any starting value
+ * strictly above it.
+ * @param {{growth: Float64Array, spending: Float64Array, other: Float64Array}} totals
+ *        From accumulatePath()
+ * @param {number} spendingLevel
+ * @param {number} years
+ * @returns {number} −Infinity if the path needs no portfolio at all
+ */
+export function getPortfolioLimit(totals, spendingLevel, years) {
+    let limit = -Infinity;
+    for (let k = 0; k < years; k++) {
+        limit = Math.max(limit, (totals.spending[k] * spendingLevel + totals.other[k]) / totals.growth[k]);
+    }
+    return limit;
+}
+
+/**
+ * Boundary between passing and failing values of a path whose lowest
+ * balance moves monotonically with the value, to within 1. Regula falsi,
+ * halving the stale end's balance (Illinois) so both ends close in.
+ * @param {function(number): number} lowestBalance The path passes while this is positive
+ * @param {number} pass Value with a positive balance
+ * @param {number} passBalance
+ * @param {number} fail Value with a balance of zero or less
+ * @param {number} failBalance
+ * @returns {number} The failing end of the final bracket
+ */
+export function solvePathLimit(lowestBalance, pass, passBalance, fail, failBalance) {
+    let stale = 0;
+    while (Math.abs(fail - pass) > 1) {
+        const guess = fail - failBalance * (fail - pass) / (failBalance - passBalance);
+        const mid = guess > Math.min(pass, fail) && guess < Math.max(pass, fail) ? guess : (pass + fail) / 2;
+        const balance = lowestBalance(mid);
+        if (balance > 0) {
+            pass = mid;
+            passBalance = balance;
+            failBalance = stale === 1 ? failBalance / 2 : failBalance;
+            stale = 1;
+        } else {
+            fail = mid;
+            failBalance = balance;
+            passBalance = stale === -1 ? passBalance / 2 : passBalance;
+            stale = -1;
+        }
+    }
+    return fail;
+}
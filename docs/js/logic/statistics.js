@@ -0,0 +1,77 @@
+/**
+ * Shared statistics helpers for the simulation engines.
+ */
+
+/**
+ * Percentile of an ascending-sorted array, linearly interpolated between
+ * the closest ranks. Returns 0 for an empty array.
+ * @param {number[]} sortedValues Values sorted ascending
+ * @param {number} percentile 0-100
+ * @returns {number}
+ */
+export function getPercentile(sortedValues, percentile) {
+    const count = sortedValues.length;
+    if (count === 0) {
+        return 0;
+    }
+
+    const index = (percentile / 100) * (count - 1);
+    const lower = Math.floor(index);
+    const upper = Math.ceil(index);
+
+    if (lower === upper) {
+        return sortedValues[lower];
+    }
+
+    // Linear interpolation
+    const weight = index - lower;
+    return sortedValues[lower] * (1 - weight) + sortedValues[upper] * weight;
+}
+
+/**
+ * Distribution-free confidence interval for a quantile, from the order
+ * statistics of an ascending-sorted sample (normal approximation to the
+ * binomial count of values below the quantile).
+ * @param {ArrayLike<number>} sortedValues Values sorted ascending
+ * @param {number} quantile 0-1
+ * @param {number} [z] Standard normal critical value (default 1.96, i.e. 95%)
+ * @returns {{lower: number, upper: number}}
+ */
+export function getQuantileConfidenceInterval(sortedValues, quantile, z = 1.96) {
+    const count = sortedValues.length;
+    const centre = quantile * count;
+    const halfWidth = z * Math.sqrt(count * quantile * (1 - quantile));
+
+    const lowerIndex = Math.max(0, Math.floor(centre - halfWidth));
+    const upperIndex = Math.min(count - 1, Math.ceil(centre + halfWidth));
+
+    return {
+        lower: sortedValues[lowerIndex],
+        upper: sortedValues[upperIndex],
+    };
+}
+
+/**
+ * Wilson score interval for a binomial proportion. Unlike the normal
+ * approximation it stays within [0, 1] and behaves sensibly near 0% and 100%.
+ * @param {number} successes
+ * @param {number} trials
+ * @param {number} [z] Standard normal critical value (default 1.96, i.e. 95%)
+ * @returns {{lower: number, upper: number}} Bounds as proportions (0-1)
+ */
+export function getWilsonInterval(successes, trials, z = 1.96) {
+    if (trials === 0) {
+        return { lower: 0, upper: 1 };
+    }
+
+    const proportion = successes / trials;
+    const z2 = z * z;
+    const denominator = 1 + z2 / trials;
+    const centre = (proportion + z2 / (2 * trials)) / denominator;
+    const halfWidth = (z / denominator) * Math.sqrt(proportion * (1 - proportion) / trials + z2 / (4 * trials * trials));
+
+    return {
+        lower: Math.max(0, centre - halfWidth),
+        upper: Math.min(1, centre + halfWidth),
+    };
+}
@@ -0,0 +1,56 @@
+/**
+ * Long calculations are written as generators that yield progress events
+ * (`{phase, ...}`) between batches of work. The same generator can be run
+ * straight through, or cooperatively so that a worker stays responsive to
+ * messages such as cancel.
+ */
+
+/** How long a cooperative run may hold the thread before yielding (ms). */
+const YIELD_BUDGET_MS = 50;
+
+/**
+ * Run a step generator to completion on the current thread.
+ * @param {Generator<object, *>} steps
+ * @param {function(object): void} [onStep] Receives each yielded event
+ * @returns {*} The generator's return value
+ */
+export function runSteps(steps, onStep = null) {
+    for (;;) {
+        const { value, done } = steps.next();
+        if (done) return value;
+        onStep?.(value);
+    }
+}
+
+/**
+ * Run a step generator, giving the event loop a turn every few
+ * milliseconds and stopping at the next step once `signal` is aborted.
+ * @param {Generator<object, *>} steps
+ * @param {object} [options]
+ * @param {function(object): void} [options.onStep] Receives each yielded event
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<*>} The generator's return value; rejects with the signal's
+ *          reason (an AbortError by default) when aborted
+ */
+export async function runStepsAsync(steps, { onStep = null, signal = null } = {}) {
+    let lastYield = performance.now();
+    for (;;) {
+        signal?.throwIfAborted();
+        const { value, done } = steps.next();
+        if (done) return value;
+        onStep?.(value);
+
+        if (performance.now() - lastYield >= YIELD_BUDGET_MS) {
+            await new Promise(resolve => setTimeout(resolve, 0));
+            lastYield = performance.now();
+        }
+    }
+}
+
+/**
+ * @param {*} error
+ * @returns {boolean} Whether the error is the result of an aborted signal
+ */
+export function isAbortError(error) {
+    return error?.name === 'AbortError';
+}
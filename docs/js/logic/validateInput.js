@@ -1,3 +1,12 @@
+import { CONTRIBUTION_GROWTH_TYPES } from './CashFlowModel.js';
+import { Config } from './Config.js';
+import { GLIDE_PATH_NAMES } from './glidePath.js';
+import { isValidSeed } from './random.js';
+import { validateCapitalMarketAssumptions } from './capitalMarketAssumptions.js';
+import { SEXES } from './mortality.js';
+import { CLAIMING_RANKINGS, MAX_CLAIMING_AGE, MIN_CLAIMING_AGE, isPiaSource } from './socialSecurity.js';
+import { ACCOUNT_TYPES, CONVERSION_BRACKET_RATES, ROTH_CONVERSION_TYPES, WITHDRAWAL_ORDERS } from './TaxModel.js';
+
 /**
  * Shared input validation for CLI and calculator engine.
  * Returns an array of { field, message } error objects.
@@ -5,14 +14,14 @@
 export function validateInput(data) {
     const errors = [];
 
+    const hasGlidePath = data.glide_path !== undefined && data.glide_path !== null;
     const required = [
         'retirement_age',
         'planning_horizon_years',
         'current_portfolio_value',
         'desired_spending',
-        'stock_allocation',
-        'bond_allocation',
-        'cash_allocation',
+        // A glide path replaces the fixed allocation
+        ...(hasGlidePath ? [] : ['stock_allocation', 'bond_allocation', 'cash_allocation']),
     ];
 
     for (const field of required) {
@@ -27,12 +36,16 @@ export function validateInput(data) {
 
     if (errors.length > 0) return errors;
 
-    const totalAllocation = Number(data.stock_allocation) + Number(data.bond_allocation) + Number(data.cash_allocation);
-    if (Math.abs(totalAllocation - 100) > 0.01) {
-        errors.push({
-            field: 'stock_allocation',
-            message: `Asset allocations must sum to 100%, got ${totalAllocation.toFixed(1)}%`,
-        });
+    if (hasGlidePath) {
+        errors.push(...validateGlidePath(data.glide_path));
+    } else {
+        const totalAllocation = Number(data.stock_allocation) + Number(data.bond_allocation) + Number(data.cash_allocation);
+        if (Math.abs(totalAllocation - 100) > 0.01) {
+            errors.push({
+                field: 'stock_allocation',
+                message: `Asset allocations must sum to 100%, got ${totalAllocation.toFixed(1)}%`,
+            });
+        }
     }
 
     if (Number(data.current_portfolio_value) <= 0) {
@@ -57,18 +70,242 @@ export function validateInput(data) {
         });
     }
 
+    // A current age below retirement_age starts the plan with an accumulation phase
     const currentAge = data.spouse1_age ?? data.current_age;
-    if (currentAge < data.retirement_age) {
+    if (currentAge + data.planning_horizon_years <= data.retirement_age) {
         errors.push({
-            field: 'current_age',
-            message: 'Current age (spouse1_age or current_age) must be >= retirement_age',
+            field: 'retirement_age',
+            message: 'retirement_age must fall within the planning horizon',
         });
     }
 
+    if (data.annual_contribution !== undefined && data.annual_contribution !== null &&
+        (!Number.isFinite(data.annual_contribution) || data.annual_contribution < 0)) {
+        errors.push({ field: 'annual_contribution', message: 'annual_contribution must be a non-negative number' });
+    }
+
+    if (data.contribution_growth !== undefined && data.contribution_growth !== null &&
+        !CONTRIBUTION_GROWTH_TYPES.includes(data.contribution_growth)) {
+        errors.push({
+            field: 'contribution_growth',
+            message: `contribution_growth must be one of ${CONTRIBUTION_GROWTH_TYPES.join(', ')}`,
+        });
+    }
+
+    if (data.wage_growth_rate !== undefined && data.wage_growth_rate !== null) {
+        const { min_wage_growth_rate: min, max_wage_growth_rate: max } = Config.contributions;
+        if (!Number.isFinite(data.wage_growth_rate) || data.wage_growth_rate < min || data.wage_growth_rate > max) {
+            errors.push({ field: 'wage_growth_rate', message: `wage_growth_rate must be between ${min} and ${max}` });
+        }
+    }
+
     if (data.planning_horizon_years < 1 || data.planning_horizon_years > 60) {
         errors.push({ field: 'planning_horizon_years', message: 'Planning horizon must be between 1 and 60 years' });
     }
 
+    if (data.random_seed !== undefined && data.random_seed !== null && !isValidSeed(data.random_seed)) {
+        errors.push({ field: 'random_seed', message: 'random_seed must be an integer between 0 and 4294967295' });
+    }
+
+    if (data.historical_mode !== undefined && data.historical_mode !== null &&
+        !['rolling', 'bootstrap'].includes(data.historical_mode)) {
+        errors.push({ field: 'historical_mode', message: 'historical_mode must be "rolling" or "bootstrap"' });
+    }
+
+    if (data.historical_block_length !== undefined && data.historical_block_length !== null) {
+        const { min_block_length: minBlock, max_block_length: maxBlock } = Config.historical;
+        const blockLength = data.historical_block_length;
+        if (!Number.isInteger(blockLength) || blockLength < minBlock || blockLength > maxBlock) {
+            errors.push({
+                field: 'historical_block_length',
+                message: `historical_block_length must be an integer between ${minBlock} and ${maxBlock}`,
+            });
+        }
+    }
+
+    if (data.dynamic_guardrails_paths !== undefined && data.dynamic_guardrails_paths !== null) {
+        const { min_paths: minPaths, max_paths: maxPaths } = Config.dynamic_guardrails;
+        const paths = data.dynamic_guardrails_paths;
+        if (!Number.isInteger(paths) || paths < minPaths || paths > maxPaths) {
+            errors.push({
+                field: 'dynamic_guardrails_paths',
+                message: `dynamic_guardrails_paths must be an integer between ${minPaths} and ${maxPaths}`,
+            });
+        }
+    }
+
+    if (data.max_iterations !== undefined && data.max_iterations !== null) {
+        const { min_iterations: minIterations, max_iterations: maxIterations } = Config.monte_carlo;
+        const iterations = data.max_iterations;
+        if (!Number.isInteger(iterations) || iterations < minIterations || iterations > maxIterations) {
+            errors.push({
+                field: 'max_iterations',
+                message: `max_iterations must be an integer between ${minIterations} and ${maxIterations}`,
+            });
+        }
+    }
+
+    for (const field of ['spouse1_sex', 'spouse2_sex']) {
+        if (data[field] !== undefined && data[field] !== null && !SEXES.includes(data[field])) {
+            errors.push({ field, message: `${field} must be one of ${SEXES.join(', ')}` });
+        }
+    }
+
+    if (data.sample_paths !== undefined && data.sample_paths !== null) {
+        const maxSamplePaths = Config.monte_carlo.max_sample_paths;
+        const count = data.sample_paths;
+        if (!Number.isInteger(count) || count < 0 || count > maxSamplePaths) {
+            errors.push({
+                field: 'sample_paths',
+                message: `sample_paths must be an integer between 0 and ${maxSamplePaths}`,
+            });
+        }
+    }
+
+    if (data.survivor_modeling && !Number.isFinite(data.spouse2_age)) {
+        errors.push({ field: 'survivor_modeling', message: 'survivor_modeling requires spouse2_age' });
+    }
+
+    if (data.first_death_spouse !== undefined && data.first_death_spouse !== null &&
+        !['spouse1', 'spouse2'].includes(data.first_death_spouse)) {
+        errors.push({ field: 'first_death_spouse', message: 'first_death_spouse must be "spouse1" or "spouse2"' });
+    }
+
+    if (data.first_death_age !== undefined && data.first_death_age !== null) {
+        const deceasedAge = {
+            spouse1: currentAge,
+            spouse2: data.spouse2_age,
+        }[data.first_death_spouse] ?? Math.min(currentAge, data.spouse2_age ?? currentAge);
+        if (!Number.isInteger(data.first_death_age) || data.first_death_age < deceasedAge) {
+            errors.push({
+                field: 'first_death_age',
+                message: 'first_death_age must be an integer no lower than the deceased spouse\'s current age',
+            });
+        }
+    }
+
+    if (data.survivor_spending_multiplier !== undefined && data.survivor_spending_multiplier !== null) {
+        const { min_spending_multiplier: minMultiplier, max_spending_multiplier: maxMultiplier } = Config.survivor;
+        const multiplier = data.survivor_spending_multiplier;
+        if (!Number.isFinite(multiplier) || multiplier < minMultiplier || multiplier > maxMultiplier) {
+            errors.push({
+                field: 'survivor_spending_multiplier',
+                message: `survivor_spending_multiplier must be between ${minMultiplier} and ${maxMultiplier}`,
+            });
+        }
+    }
+
+    if (data.accounts !== undefined && data.accounts !== null) {
+        errors.push(...validateAccounts(data.accounts, Number(data.current_portfolio_value)));
+    }
+
+    if (data.pre_tax_fraction !== undefined && data.pre_tax_fraction !== null) {
+        const fraction = data.pre_tax_fraction;
+        if (!Number.isFinite(fraction) || fraction < 0 || fraction > 1) {
+            errors.push({ field: 'pre_tax_fraction', message: 'pre_tax_fraction must be between 0 and 1' });
+        } else if (data.accounts !== undefined && data.accounts !== null) {
+            errors.push({ field: 'pre_tax_fraction', message: 'Set either accounts or pre_tax_fraction, not both' });
+        }
+    }
+
+    if (data.rmd_start_age !== undefined && data.rmd_start_age !== null) {
+        const { min_rmd_start_age: minAge, max_rmd_start_age: maxAge } = Config.taxes;
+        const age = data.rmd_start_age;
+        if (!Number.isInteger(age) || age < minAge || age > maxAge) {
+            errors.push({ field: 'rmd_start_age', message: `rmd_start_age must be a whole number between ${minAge} and ${maxAge}` });
+        }
+    }
+
+    const hasPreTax = Number(data.accounts?.pre_tax) > 0 || Number(data.pre_tax_fraction) > 0;
+    if (data.roth_conversion !== undefined && data.roth_conversion !== null) {
+        errors.push(...validateRothConversion(data.roth_conversion, 'roth_conversion', hasPreTax));
+    }
+
+    if (data.roth_conversion_strategies !== undefined && data.roth_conversion_strategies !== null) {
+        if (!Array.isArray(data.roth_conversion_strategies) || data.roth_conversion_strategies.length === 0) {
+            errors.push({ field: 'roth_conversion_strategies', message: 'roth_conversion_strategies must be a non-empty array' });
+        } else {
+            data.roth_conversion_strategies.forEach((strategy, index) => {
+                errors.push(...validateRothConversion(strategy, `roth_conversion_strategies[${index}]`, true));
+            });
+        }
+    }
+
+    if (data.roth_conversion_explorer_enabled && !hasPreTax) {
+        errors.push({
+            field: 'roth_conversion_explorer_enabled',
+            message: 'The Roth conversion explorer needs a pre-tax balance (accounts.pre_tax or pre_tax_fraction)',
+        });
+    }
+
+    if (data.withdrawal_order !== undefined && data.withdrawal_order !== null &&
+        !WITHDRAWAL_ORDERS.includes(data.withdrawal_order)) {
+        errors.push({ field: 'withdrawal_order', message: `withdrawal_order must be one of ${WITHDRAWAL_ORDERS.join(', ')}` });
+    }
+
+    if (data.capital_market_assumptions !== undefined && data.capital_market_assumptions !== null) {
+        errors.push(...validateCapitalMarketAssumptions(data.capital_market_assumptions));
+    }
+
+    if (Array.isArray(data.income_sources)) {
+        for (const source of data.income_sources) {
+            const label = source.name || '(unnamed)';
+            if (source.type !== undefined && source.type !== null &&
+                !['social_security', 'pension', 'other'].includes(source.type)) {
+                errors.push({
+                    field: `income_${source.name || 'unnamed'}`,
+                    message: `Income source "${label}" type must be "social_security", "pension" or "other"`,
+                });
+            }
+            if (source.pia !== undefined && source.pia !== null) {
+                errors.push(...validatePiaSource(source, label, data));
+            }
+            if (source.survivor_percentage !== undefined && source.survivor_percentage !== null) {
+                const percentage = Number(source.survivor_percentage);
+                if (Number.isNaN(percentage) || percentage < 0 || percentage > 100) {
+                    errors.push({
+                        field: `income_${source.name || 'unnamed'}`,
+                        message: `Income source "${label}" survivor_percentage must be between 0 and 100`,
+                    });
+                }
+            }
+        }
+    }
+
+    const piaRecipients = (Array.isArray(data.income_sources) ? data.income_sources : [])
+        .filter(isPiaSource)
+        .map(source => source.recipient ?? 'spouse1');
+    if (new Set(piaRecipients).size < piaRecipients.length) {
+        errors.push({ field: 'income_sources', message: 'Each spouse can have only one Social Security source with a pia' });
+    }
+
+    if (data.claiming_optimizer_enabled && piaRecipients.length === 0) {
+        errors.push({
+            field: 'claiming_optimizer_enabled',
+            message: 'The claiming optimizer needs a Social Security income source with a pia',
+        });
+    }
+
+    if (data.claiming_rank_by !== undefined && data.claiming_rank_by !== null &&
+        !CLAIMING_RANKINGS.includes(data.claiming_rank_by)) {
+        errors.push({ field: 'claiming_rank_by', message: `claiming_rank_by must be one of ${CLAIMING_RANKINGS.join(', ')}` });
+    }
+
+    if (data.allocation_sweep_step !== undefined && data.allocation_sweep_step !== null) {
+        const { min_step: minStep, max_step: maxStep } = Config.allocation_sweep;
+        const step = data.allocation_sweep_step;
+        if (!Number.isInteger(step) || step < minStep || step > maxStep) {
+            errors.push({
+                field: 'allocation_sweep_step',
+                message: `allocation_sweep_step must be an integer between ${minStep} and ${maxStep}`,
+            });
+        }
+    }
+
+    if (data.sensitivity_shifts !== undefined && data.sensitivity_shifts !== null) {
+        errors.push(...validateSensitivityShifts(data.sensitivity_shifts));
+    }
+
     if (Array.isArray(data.future_expenses)) {
         for (const item of data.future_expenses) {
             if (item.type === 'duration') {
@@ -83,4 +320,141 @@ export function validateInput(data) {
     }
 
     return errors;
-}
\ No newline at end of file
+}
+
+function validatePiaSource(source, label, data) {
+    const field = `income_${source.name || 'unnamed'}`;
+    const errors = [];
+    if (source.type !== 'social_security') {
+        errors.push({ field, message: `Income source "${label}" needs type "social_security" to use a pia` });
+    }
+    if (!Number.isFinite(Number(source.pia)) || Number(source.pia) <= 0) {
+        errors.push({ field, message: `Income source "${label}" pia must be a positive monthly amount` });
+    }
+    if (!Number.isInteger(source.birth_year) || source.birth_year < 1900 || source.birth_year > 2100) {
+        errors.push({ field, message: `Income source "${label}" needs a birth_year to use a pia` });
+    }
+    if (!Number.isInteger(source.claiming_age) || source.claiming_age < MIN_CLAIMING_AGE || source.claiming_age > MAX_CLAIMING_AGE) {
+        errors.push({
+            field,
+            message: `Income source "${label}" claiming_age must be a whole number between ${MIN_CLAIMING_AGE} and ${MAX_CLAIMING_AGE}`,
+        });
+    }
+    const recipient = source.recipient ?? 'spouse1';
+    if (recipient !== 'spouse1' && recipient !== 'spouse2') {
+        errors.push({ field, message: `Income source "${label}" recipient must be spouse1 or spouse2 to use a pia` });
+    } else if (recipient === 'spouse2' && !Number.isFinite(data.spouse2_age)) {
+        errors.push({ field, message: `Income source "${label}" is for spouse 2, but spouse2_age is not set` });
+    }
+    return errors;
+}
+
+function validateRothConversion(strategy, field, hasPreTax) {
+    if (typeof strategy !== 'object' || !ROTH_CONVERSION_TYPES.includes(strategy.type)) {
+        return [{ field, message: `${field}.type must be one of ${ROTH_CONVERSION_TYPES.join(', ')}` }];
+    }
+
+    const errors = [];
+    if (!hasPreTax) {
+        errors.push({ field, message: `${field} needs a pre-tax balance (accounts.pre_tax or pre_tax_fraction)` });
+    }
+    if (strategy.type === 'fill_bracket') {
+        if (!CONVERSION_BRACKET_RATES.includes(strategy.bracket_rate)) {
+            errors.push({ field, message: `${field}.bracket_rate must be one of ${CONVERSION_BRACKET_RATES.join(', ')}` });
+        }
+        if (strategy.until_age !== undefined && strategy.until_age !== null && !Number.isFinite(strategy.until_age)) {
+            errors.push({ field, message: `${field}.until_age must be a number` });
+        }
+    } else {
+        if (!Number.isFinite(strategy.amount) || strategy.amount <= 0) {
+            errors.push({ field, message: `${field}.amount must be a positive number` });
+        }
+        if (!Number.isInteger(strategy.years) || strategy.years < 1) {
+            errors.push({ field, message: `${field}.years must be a positive whole number` });
+        }
+    }
+    return errors;
+}
+
+function validateAccounts(accounts, portfolioValue) {
+    const errors = [];
+    if (typeof accounts !== 'object') {
+        return [{ field: 'accounts', message: 'accounts must be an object of account balances' }];
+    }
+
+    let total = 0;
+    for (const account of [...ACCOUNT_TYPES, 'taxable_basis']) {
+        const value = accounts[account];
+        if (value === undefined || value === null) continue;
+        if (!Number.isFinite(Number(value)) || Number(value) < 0) {
+            errors.push({ field: `accounts.${account}`, message: `accounts.${account} must be a non-negative number` });
+        } else if (account !== 'taxable_basis') {
+            total += Number(value);
+        }
+    }
+
+    if (total <= 0) {
+        errors.push({ field: 'accounts', message: 'accounts must hold a positive balance' });
+    } else if (Math.abs(total - portfolioValue) > 0.01 * portfolioValue) {
+        errors.push({
+            field: 'accounts',
+            message: `accounts must add up to current_portfolio_value within 1% (total ${Math.round(total)})`,
+        });
+    }
+
+    if (Number(accounts.taxable_basis) > Number(accounts.taxable ?? 0)) {
+        errors.push({ field: 'accounts.taxable_basis', message: 'accounts.taxable_basis cannot exceed accounts.taxable' });
+    }
+
+    return errors;
+}
+
+function validateSensitivityShifts(shifts) {
+    const field = 'sensitivity_shifts';
+    if (typeof shifts !== 'object' || Array.isArray(shifts)) {
+        return [{ field, message: `${field} must be an object` }];
+    }
+
+    const errors = [];
+    for (const [name, shift] of Object.entries(shifts)) {
+        if (!Object.hasOwn(Config.sensitivity.default_shifts, name)) {
+            errors.push({ field: `${field}.${name}`, message: `${field}.${name} is not a known input (${Object.keys(Config.sensitivity.default_shifts).join(', ')})` });
+        } else if (typeof shift !== 'number' || !Number.isFinite(shift) || shift < 0) {
+            errors.push({ field: `${field}.${name}`, message: `${field}.${name} must be a non-negative number` });
+        } else if ((name === 'horizon' || name === 'age') && !Number.isInteger(shift)) {
+            errors.push({ field: `${field}.${name}`, message: `${field}.${name} must be a whole number of years` });
+        }
+    }
+    return errors;
+}
+
+function validateGlidePath(glidePath) {
+    if (typeof glidePath === 'string') {
+        return GLIDE_PATH_NAMES.includes(glidePath)
+            ? []
+            : [{ field: 'glide_path', message: `glide_path must be one of ${GLIDE_PATH_NAMES.join(', ')} or a list of waypoints` }];
+    }
+    if (!Array.isArray(glidePath) || glidePath.length === 0) {
+        return [{ field: 'glide_path', message: 'glide_path must be a preset name or a non-empty list of waypoints' }];
+    }
+
+    const errors = [];
+    const ages = new Set();
+    glidePath.forEach((waypoint, index) => {
+        const field = `glide_path[${index}]`;
+        const { age, stock, bond, cash } = waypoint ?? {};
+        if (!Number.isFinite(age)) {
+            errors.push({ field, message: `${field} needs a numeric age` });
+        } else if (ages.has(age)) {
+            errors.push({ field, message: `${field} repeats age ${age}` });
+        }
+        ages.add(age);
+
+        if (![stock, bond, cash].every(value => Number.isFinite(value) && value >= 0)) {
+            errors.push({ field, message: `${field} needs non-negative stock, bond and cash allocations` });
+        } else if (Math.abs(stock + bond + cash - 100) > 0.01) {
+            errors.push({ field, message: `${field} allocations must sum to 100%, got ${(stock + bond + cash).toFixed(1)}%` });
+        }
+    });
+    return errors;
+}
@@ -1,23 +1,137 @@
-import { GuardrailCalculator } from './logic/GuardrailCalculator.js';
+import { runCalculationsAsync, runCalculationsInPool, runShardTask } from './logic/runCalculations.js';
+import { WorkerPool } from './logic/WorkerPool.js';
+import { isAbortError } from './logic/steps.js';
 
-self.onmessage = function(e) {
-    const params = e.data;
-    
+// Message protocol. The page sends:
+//   {type: 'start', id, params}   start a calculation (cancels any running one)
+//   {type: 'cancel', id}          cancel calculation `id`
+// and receives, tagged with the calculation id:
+//   {status: 'progress', phase, percent}               phase is 'simulating' or 'analyzing'
+//   {status: 'partial', model, probability_of_success, iterations}   running PoS estimate
+//   {status: 'success', results, enhancedResults, historicalResults, allocationSweepResults, sensitivityResults}
+//   {status: 'error', message, stack}
+//   {status: 'cancelled'}
+//
+// The worker started by the page coordinates a calculation; it splits the
+// headline simulations across a pool of copies of itself, which answer
+// {type: 'shard'} tasks.
+let pool = null;
+let poolUnavailable = false;
+let current = null;
+
+function getPool() {
+    const size = self.navigator?.hardwareConcurrency ?? 1;
+    if (pool || poolUnavailable || typeof Worker === 'undefined' || size < 2) {
+        return pool;
+    }
+
+    pool = new WorkerPool(size, (onMessage, onError) => {
+        const worker = new Worker(self.location.href, { type: 'module' });
+        worker.onmessage = (e) => onMessage(e.data);
+        worker.onerror = (e) => {
+            e.preventDefault();
+            onError(new Error(e.message || 'Shard worker failed'));
+        };
+        return worker;
+    });
+    return pool;
+}
+
+function runShard(task) {
     try {
-        const calculator = new GuardrailCalculator();
-        const results = calculator.calculate(params);
+        const { shard, transfer } = runShardTask(task, (completed, successful) => {
+            self.postMessage({ status: 'progress', completed, successful });
+        });
+        self.postMessage({ status: 'success', shard }, transfer);
+    } catch (error) {
+        self.postMessage({ status: 'error', message: error.message, stack: error.stack });
+    }
+}
+
+async function calculate(params, { onProgress, signal }) {
+    const workerPool = getPool();
 
-        let enhancedResults = null;
-        if (params.enhanced_mc_enabled) {
-            enhancedResults = calculator.calculateEnhanced(params);
+    if (workerPool) {
+        try {
+            return await runCalculationsInPool({ ...params }, workerPool, { onProgress, signal });
+        } catch (error) {
+            if (isAbortError(error)) throw error;
+
+            // Rerun on this thread: a genuine calculation error is thrown
+            // again, otherwise the pool itself failed (nested workers are not
+            // available everywhere) and is not used again
+            const output = await runCalculationsAsync(params, { onProgress, signal });
+            console.warn('Worker pool failed, using a single thread:', error);
+            workerPool.terminate();
+            pool = null;
+            poolUnavailable = true;
+            return output;
         }
+    }
+
+    return runCalculationsAsync(params, { onProgress, signal });
+}
 
-        self.postMessage({
+async function start({ id, params }) {
+    current?.controller.abort();
+    const controller = new AbortController();
+    current = { id, controller };
+
+    const post = (message) => self.postMessage({ id, ...message });
+    const onProgress = (event) => {
+        post({ status: 'progress', phase: event.phase, percent: Number(event.percent.toFixed(1)) });
+        if (event.phase === 'simulating') {
+            post({
+                status: 'partial',
+                model: event.model,
+                probability_of_success: Number(event.probability_of_success.toFixed(2)),
+                iterations: event.iterations,
+            });
+        }
+    };
+
+    try {
+        // The Roth conversion explorer and the claiming optimizer are
+        // CLI-only: the page has no view for them
+        const webParams = { ...params, roth_conversion_explorer_enabled: false, claiming_optimizer_enabled: false };
+        const { results, enhancedResults, historicalResults, allocationSweepResults, sensitivityResults } = await calculate(webParams, {
+            onProgress,
+            signal: controller.signal,
+        });
+
+        post({
             status: 'success',
             results: results,
             enhancedResults: enhancedResults,
+            historicalResults: historicalResults,
+            allocationSweepResults: allocationSweepResults,
+            sensitivityResults: sensitivityResults,
         });
     } catch (error) {
-        self.postMessage({ status: 'error', message: error.message, stack: error.stack });
+        if (isAbortError(error)) {
+            post({ status: 'cancelled' });
+        } else {
+            post({ status: 'error', message: error.message, stack: error.stack });
+        }
+    } finally {
+        if (current?.id === id) current = null;
+    }
+}
+
+self.onmessage = function(e) {
+    const message = e.data;
+
+    switch (message.type) {
+        case 'shard':
+            runShard(message);
+            break;
+        case 'start':
+            start(message);
+            break;
+        case 'cancel':
+            if (current?.id === message.id) current.controller.abort();
+            break;
+        default:
+            console.warn('Unknown worker message type:', message.type);
     }
 };
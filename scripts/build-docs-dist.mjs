@@ -49,7 +49,7 @@ function rewriteHtmlForPortableBuild(sourceHtml) {
 }
 
 function rewriteCalculatorFormForPortableBuild(sourceJs) {
-  const replacementBlock = `// Initialize calculation runtime (Worker when possible, main-thread fallback for file://)\nlet calculatorWorker = null;\nlet calculatorEngine = null;\n\nfunction createInlineWorkerShim() {\n    return {\n        onmessage: null,\n        onerror: null,\n        postMessage(params) {\n            setTimeout(() => {\n                try {\n                    const results = calculatorEngine.calculate(params);\n                    let enhancedResults = null;\n                    if (params.enhanced_mc_enabled) {\n                        enhancedResults = calculatorEngine.calculateEnhanced(params);\n                    }\n                    this.onmessage?.({\n                        data: { status: 'success', results, enhancedResults }\n                    });\n                } catch (error) {\n                    this.onmessage?.({\n                        data: { status: 'error', message: error.message, stack: error.stack }\n                    });\n                }\n            }, 0);\n        }\n    };\n}\n\nfunction initializeCalculatorRuntime() {\n    const isFileProtocol = window.location.protocol === 'file:';\n\n    if (!isFileProtocol && window.Worker) {\n        try {\n            calculatorWorker = new Worker('./js/worker.classic.js');\n            return;\n        } catch (e) {\n            console.warn('Falling back to inline calculator runtime:', e);\n        }\n    }\n\n    if (window.GuardrailEngine?.GuardrailCalculator) {\n        calculatorEngine = new window.GuardrailEngine.GuardrailCalculator();\n        calculatorWorker = createInlineWorkerShim();\n    } else {\n        console.error('Guardrail engine is not available.');\n    }\n}\n\ninitializeCalculatorRuntime();`;
+  const replacementBlock = `// Initialize calculation runtime (Worker when possible, main-thread fallback for file://)\nlet calculatorWorker = null;\nlet calculatorEngine = null;\n\nfunction createInlineWorkerShim() {\n    return {\n        onmessage: null,\n        onerror: null,\n        postMessage(message) {\n            // Runs on the page thread, so a started calculation cannot be cancelled\n            if (message.type !== 'start') return;\n            const id = message.id;\n            setTimeout(() => {\n                try {\n                    const { results, enhancedResults, historicalResults, allocationSweepResults, sensitivityResults } = calculatorEngine.runCalculations({\n                        ...message.params,\n                        // The Roth conversion explorer and the claiming optimizer are\n                        // CLI-only: the page has no view for them\n                        roth_conversion_explorer_enabled: false,\n                        claiming_optimizer_enabled: false,\n                    });\n                    this.onmessage?.({\n                        data: { id, status: 'success', results, enhancedResults, historicalResults, allocationSweepResults, sensitivityResults }\n                    });\n                } catch (error) {\n                    this.onmessage?.({\n                        data: { id, status: 'error', message: error.message, stack: error.stack }\n                    });\n                }\n            }, 0);\n        }\n    };\n}\n\nfunction initializeCalculatorRuntime() {\n    const isFileProtocol = window.location.protocol === 'file:';\n\n    if (!isFileProtocol && window.Worker) {\n        try {\n            calculatorWorker = new Worker('./js/worker.classic.js');\n            return;\n        } catch (e) {\n            console.warn('Falling back to inline calculator runtime:', e);\n        }\n    }\n\n    if (window.GuardrailEngine?.runCalculations) {\n        calculatorEngine = window.GuardrailEngine;\n        calculatorWorker = createInlineWorkerShim();\n    } else {\n        console.error('Guardrail engine is not available.');\n    }\n}\n\ninitializeCalculatorRuntime();`;
 
   const startMarker = '// Initialize Web Worker';
   const endMarker = '// Local Storage Key';
@@ -91,7 +91,10 @@ await build({
 
 await build({
   stdin: {
-    contents: "export { GuardrailCalculator } from './docs/js/logic/GuardrailCalculator.js';",
+    contents: [
+      "export { GuardrailCalculator } from './docs/js/logic/GuardrailCalculator.js';",
+      "export { runCalculations } from './docs/js/logic/runCalculations.js';",
+    ].join('\n'),
     resolveDir: rootDir,
     sourcefile: 'guardrail-engine-entry.js',
   },
@@ -0,0 +1,33 @@
+// Regenerate test/fixtures/seeded-results.json from the shipped input files.
+// With a fixed random_seed the Monte Carlo output is bit-for-bit reproducible,
+// so it can be pinned. Run only when a change to simulation results is intentional:
+//   node scripts/regen-seeded-results.mjs
+import { readFileSync, writeFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join, relative, sep } from 'node:path';
+
+import { GuardrailCalculator } from '../docs/js/logic/GuardrailCalculator.js';
+import { ITERATIONS, SEED, summarizeSeededResult } from './seeded-results.mjs';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+const files = [join(root, 'cli', 'example-input.json')];
+const snapshot = {};
+const originalWarn = console.warn;
+const originalError = console.error;
+console.warn = () => {};
+console.error = () => {};
+try {
+    for (const file of files) {
+        const params = JSON.parse(readFileSync(file, 'utf8'));
+        params.random_seed = SEED;
+        params.monte_carlo_iterations = ITERATIONS;
+        const key = relative(root, file).split(sep).join('/');
+        snapshot[key] = summarizeSeededResult(new GuardrailCalculator().calculate(params));
+    }
+} finally {
+    console.warn = originalWarn;
+    console.error = originalError;
+}
+writeFileSync(join(root, 'test', 'fixtures', 'seeded-results.json'), JSON.stringify(snapshot, null, 1) + '\n');
+console.log('wrote seeded fixture with ' + Object.keys(snapshot).length + ' files');
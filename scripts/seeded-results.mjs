@@ -0,0 +1,17 @@
+// Settings and summary shared by scripts/regen-seeded-results.mjs, which
+// writes test/fixtures/seeded-results.json, and test/reproducibility.test.js,
+// which checks against it.
+
+export const SEED = 20240601;
+export const ITERATIONS = 1000;
+
+/** The fields of a calculation result that the fixture pins. */
+export function summarizeSeededResult(result) {
+    return {
+        probability_of_success: result.probability_of_success,
+        recommended_spending: result.recommended_spending,
+        successful: result.monte_carlo.successful,
+        percentiles: result.monte_carlo.percentiles,
+        yearly_p50: result.monte_carlo.yearly_percentiles.map((year) => year.p50),
+    };
+}
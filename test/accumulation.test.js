@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GuardrailCalculator } from '../docs/js/logic/GuardrailCalculator.js';
+import { SpendingProfile } from '../docs/js/logic/SpendingProfile.js';
+import { validateInput } from '../docs/js/logic/validateInput.js';
+
+const BASE = {
+    spouse1_age: 45, retirement_age: 55, planning_horizon_years: 40,
+    current_portfolio_value: 400_000, desired_spending: 50_000,
+    annual_contribution: 20_000, inflation_rate: 0.03,
+    stock_allocation: 70, bond_allocation: 25, cash_allocation: 5,
+    monte_carlo_iterations: 1000, random_seed: 19,
+};
+
+test('nothing is spent before retirement', () => {
+    const profile = new SpendingProfile('smile');
+    assert.equal(profile.getSpendingMultiplier(64, 65), 0);
+    assert.equal(profile.getSpendingMultiplier(65, 65), 1);
+    assert.equal(new SpendingProfile('flat').getSpendingMultiplier(40, 65, true), 0);
+});
+
+test('contributions grow with inflation or wages until retirement', () => {
+    const calculator = new GuardrailCalculator();
+    const timeline = (data) => calculator.calculate({ ...BASE, ...data }).cashflow_timeline;
+
+    const inflation = timeline({});
+    assert.equal(inflation[0].contribution, 20_000);
+    assert.ok(Math.abs(inflation[9].contribution - 20_000 * 1.03 ** 9) < 1e-6);
+    assert.equal(inflation[9].spending, 0);
+    assert.equal(inflation[9].net_withdrawal, -inflation[9].contribution);
+    assert.equal(inflation[10].contribution, 0);
+    assert.ok(Math.abs(inflation[10].spending - 50_000 * 1.03 ** 10) < 1e-6);
+
+    const wages = timeline({ contribution_growth: 'wages', wage_growth_rate: 0.05 });
+    assert.ok(Math.abs(wages[9].contribution - 20_000 * 1.05 ** 9) < 1e-6);
+});
+
+test('PoS covers the whole plan, savings years included', () => {
+    const calculator = new GuardrailCalculator();
+    const saving = calculator.calculate({ ...BASE });
+    const notSaving = calculator.calculate({ ...BASE, annual_contribution: 0 });
+    assert.ok(saving.probability_of_success > notSaving.probability_of_success);
+    assert.ok(saving.recommended_spending > notSaving.recommended_spending);
+
+    assert.equal(saving.accumulation.retirement_age, 55);
+    assert.equal(saving.accumulation.years, 10);
+    assert.equal(saving.accumulation.total_contributions,
+        Math.round(saving.cashflow_timeline.reduce((sum, year) => sum + year.contribution, 0)));
+    const { p50 } = saving.monte_carlo.yearly_percentiles[9];
+    assert.equal(saving.accumulation.portfolio_at_retirement.p50, p50);
+    assert.equal(saving.income_impact.year0_net_withdrawal, -20_000);
+
+    const retired = calculator.calculate({ ...BASE, spouse1_age: 55, planning_horizon_years: 30 });
+    assert.equal(retired.accumulation, undefined);
+});
+
+test('spending limits with contributions match the simulated paths', () => {
+    const calculator = new GuardrailCalculator();
+    const params = { ...BASE };
+    calculator.validateParams(params);
+    const cashFlowModel = calculator.createCashFlowModel(params);
+    const generator = () => calculator.createSeededGenerator(params, calculator.createGeneratorFactory(params, 'standard'));
+    const limits = calculator.createSimulation(params, cashFlowModel, 50_000, 45, 20, generator()).getSpendingLimits();
+
+    for (const i of [0, 4, 13]) {
+        const at = (spending) => calculator.createSimulation(params, cashFlowModel, spending, 45, 20, generator())
+            .runSingleIteration(i, false).success;
+        assert.ok(at(limits[i] - 1), `path ${i} survives below its limit`);
+        assert.ok(!at(limits[i] + 1), `path ${i} fails above its limit`);
+    }
+});
+
+test('accumulation inputs are validated', () => {
+    const fields = (data) => validateInput({ ...BASE, ...data }).map(error => error.field);
+
+    assert.deepEqual(fields({}), []);
+    assert.deepEqual(fields({ contribution_growth: 'wages', wage_growth_rate: 0.04 }), []);
+    assert.ok(fields({ retirement_age: 85 }).includes('retirement_age'));
+    assert.ok(fields({ annual_contribution: -1 }).includes('annual_contribution'));
+    assert.ok(fields({ contribution_growth: 'salary' }).includes('contribution_growth'));
+    assert.ok(fields({ wage_growth_rate: 0.5 }).includes('wage_growth_rate'));
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { formatAllocationSweepCsv, sweepAllocations } from '../docs/js/logic/allocationSweep.js';
+import { GuardrailCalculator } from '../docs/js/logic/GuardrailCalculator.js';
+import { runCalculations } from '../docs/js/logic/runCalculations.js';
+import { validateInput } from '../docs/js/logic/validateInput.js';
+
+const BASE = {
+    spouse1_age: 65, retirement_age: 65, planning_horizon_years: 30,
+    current_portfolio_value: 1_000_000, desired_spending: 50_000,
+    stock_allocation: 60, bond_allocation: 35, cash_allocation: 5,
+    monte_carlo_iterations: 500, random_seed: 23,
+};
+
+test('the sweep covers every stock share with cash held fixed', () => {
+    const sweep = sweepAllocations({ ...BASE });
+
+    assert.equal(sweep.random_seed, 23);
+    assert.equal(sweep.iterations, 500);
+    assert.equal(sweep.target_pos, 90);
+    assert.equal(sweep.cash_allocation, 5);
+    assert.deepEqual(sweep.mixes.map(mix => mix.stock), [0, 10, 20, 30, 40, 50, 60, 70, 80, 90, 95]);
+    for (const mix of sweep.mixes) {
+        assert.equal(mix.stock + mix.bond + mix.cash, 100);
+    }
+
+    const expectedReturns = sweep.mixes.map(mix => mix.expected_return);
+    assert.deepEqual(expectedReturns, [...expectedReturns].sort((a, b) => a - b));
+    const best = Math.max(...sweep.mixes.map(mix => mix.recommended_spending));
+    assert.equal(sweep.best.recommended_spending.recommended_spending, best);
+
+    assert.deepEqual(
+        sweepAllocations({ ...BASE, allocation_sweep_step: 25 }).mixes.map(mix => mix.stock),
+        [0, 25, 50, 75, 95]
+    );
+});
+
+test('each mix matches a calculation of the plan at that mix', () => {
+    const sweep = sweepAllocations({ ...BASE });
+    const calculator = new GuardrailCalculator();
+    for (const stock of [0, 40]) {
+        const mix = sweep.mixes.find(entry => entry.stock === stock);
+        const result = calculator.calculate({ ...BASE, stock_allocation: stock, bond_allocation: 95 - stock });
+
+        assert.equal(mix.probability_of_success, result.probability_of_success);
+        assert.equal(mix.recommended_spending, result.recommended_spending);
+    }
+
+    // A glide path is replaced by fixed mixes around its starting cash share
+    const { stock_allocation, bond_allocation, cash_allocation, ...plan } = BASE;
+    const gliding = sweepAllocations({ ...plan, glide_path: 'rising_equity' });
+    assert.equal(gliding.cash_allocation, 10);
+    assert.equal(gliding.mixes.at(-1).stock, 90);
+});
+
+test('the sweep runs from runCalculations and formats as CSV', () => {
+    const output = runCalculations({ ...BASE, allocation_sweep_enabled: true, allocation_sweep_step: 50 });
+    assert.deepEqual(output.allocationSweepResults.mixes.map(mix => mix.stock), [0, 50, 95]);
+    assert.equal(runCalculations({ ...BASE }).allocationSweepResults, null);
+
+    const lines = formatAllocationSweepCsv(output.allocationSweepResults).trimEnd().split('\n');
+    assert.equal(lines[0], 'stock,bond,cash,expected_return,portfolio_volatility,probability_of_success,recommended_spending');
+    assert.equal(lines.length, 4);
+    const mix = output.allocationSweepResults.mixes[1];
+    assert.equal(lines[2], [50, 45, 5, mix.expected_return, mix.portfolio_volatility,
+        mix.probability_of_success, mix.recommended_spending].join(','));
+});
+
+test('the sweep step is validated', () => {
+    const fields = (data) => validateInput({ ...BASE, ...data }).map(error => error.field);
+
+    assert.deepEqual(fields({ allocation_sweep_enabled: true, allocation_sweep_step: 5 }), []);
+    assert.ok(fields({ allocation_sweep_step: 0 }).includes('allocation_sweep_step'));
+    assert.ok(fields({ allocation_sweep_step: 7.5 }).includes('allocation_sweep_step'));
+    assert.ok(fields({ allocation_sweep_step: 60 }).includes('allocation_sweep_step'));
+});
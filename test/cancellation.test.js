@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { runCalculations, runCalculationsAsync, runCalculationsInPool } from '../docs/js/logic/runCalculations.js';
+import { WorkerPool } from '../docs/js/logic/WorkerPool.js';
+import { runStepsAsync, isAbortError } from '../docs/js/logic/steps.js';
+
+const BASE = {
+    spouse1_age: 65, retirement_age: 65, planning_horizon_years: 30,
+    current_portfolio_value: 1_000_000, desired_spending: 45_000,
+    stock_allocation: 60, bond_allocation: 30, cash_allocation: 10,
+    monte_carlo_iterations: 2000, random_seed: 11,
+};
+
+test('the cooperative run matches the synchronous one and reports phases', async () => {
+    const events = [];
+    const actual = await runCalculationsAsync({ ...BASE }, { onProgress: event => events.push(event) });
+    const expected = runCalculations({ ...BASE });
+
+    assert.equal(actual.results.probability_of_success, expected.results.probability_of_success);
+    assert.equal(actual.results.recommended_spending, expected.results.recommended_spending);
+
+    const simulating = events.filter(event => event.phase === 'simulating');
+    assert.deepEqual(simulating.map(event => event.iterations), [500, 1000, 1500, 2000, 2000]);
+    assert.equal(simulating.at(-1).percent, 100);
+    assert.equal(simulating.at(-1).probability_of_success, expected.results.probability_of_success);
+    assert.ok(events.filter(event => event.phase === 'analyzing').length > 1);
+});
+
+test('aborting stops the run at its next step', async () => {
+    const controller = new AbortController();
+    let simulated = 0;
+    const run = runCalculationsAsync({ ...BASE, monte_carlo_iterations: 100_000 }, {
+        signal: controller.signal,
+        onProgress: (event) => {
+            if (event.phase === 'simulating') simulated = event.iterations;
+            if (simulated >= 1000) controller.abort();
+        },
+    });
+
+    await assert.rejects(run, error => isAbortError(error));
+    assert.equal(simulated, 1000);
+});
+
+test('the event loop gets a turn during long runs', async () => {
+    function* busy() {
+        for (let i = 0; i < 20; i++) {
+            const until = performance.now() + 10;
+            while (performance.now() < until);
+            yield { phase: 'analyzing' };
+        }
+        return 'done';
+    }
+
+    let timerFired = false;
+    setTimeout(() => { timerFired = true; }, 0);
+    const firedDuringRun = [];
+    const result = await runStepsAsync(busy(), { onStep: () => firedDuringRun.push(timerFired) });
+
+    assert.equal(result, 'done');
+    assert.ok(firedDuringRun.slice(0, -1).includes(true));
+});
+
+test('cancelling a pooled run terminates the busy workers', async () => {
+    const terminated = [];
+    const pool = new WorkerPool(2, (onMessage) => {
+        const worker = {
+            // Shards never finish on their own
+            postMessage: () => setTimeout(() => onMessage({ status: 'progress', completed: 500, successful: 450 }), 0),
+            terminate: () => terminated.push(worker),
+        };
+        return worker;
+    });
+
+    const controller = new AbortController();
+    const run = runCalculationsInPool({ ...BASE }, pool, {
+        signal: controller.signal,
+        onProgress: () => controller.abort(),
+    });
+
+    await assert.rejects(run, error => isAbortError(error));
+    assert.equal(terminated.length, 2);
+    assert.equal(pool.workers.length, 0);
+});
@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    resolveCapitalMarketAssumptions,
+    validateCapitalMarketAssumptions,
+} from '../docs/js/logic/capitalMarketAssumptions.js';
+import { Config } from '../docs/js/logic/Config.js';
+import { GuardrailCalculator } from '../docs/js/logic/GuardrailCalculator.js';
+import { HistoricalReturnGenerator } from '../docs/js/logic/HistoricalReturnGenerator.js';
+import { validateInput } from '../docs/js/logic/validateInput.js';
+
+const BASE = {
+    spouse1_age: 65, retirement_age: 65, planning_horizon_years: 30,
+    current_portfolio_value: 1_000_000, desired_spending: 45_000,
+    stock_allocation: 60, bond_allocation: 30, cash_allocation: 10,
+    monte_carlo_iterations: 500, random_seed: 777,
+};
+
+test('partial assumptions are merged over the Config defaults', () => {
+    const cma = resolveCapitalMarketAssumptions({
+        stocks: { mean: 0.07 },
+        correlations: { stocks_bonds: -0.3 },
+    });
+
+    assert.deepEqual(cma.stocks, { mean: 0.07, std_dev: Config.return_assumptions.stocks.std_dev });
+    assert.deepEqual(cma.bonds, Config.return_assumptions.bonds);
+    assert.equal(cma.correlations.stocks_bonds, -0.3);
+    assert.equal(cma.correlations.bonds_cash, Config.correlations.bonds_cash);
+});
+
+test('validation enforces bounds and a positive semi-definite correlation matrix', () => {
+    const fields = (cma) => validateCapitalMarketAssumptions(cma).map(e => e.field);
+
+    assert.deepEqual(fields({ stocks: { mean: 0.06, std_dev: 0.16 } }), []);
+    assert.deepEqual(fields({ stocks: { mean: 0.8 } }), ['capital_market_assumptions.stocks.mean']);
+    assert.deepEqual(fields({ bonds: { std_dev: -0.01 } }), ['capital_market_assumptions.bonds.std_dev']);
+    assert.deepEqual(fields({ correlations: { stocks_cash: 1.5 } }), ['capital_market_assumptions.correlations.stocks_cash']);
+    assert.deepEqual(fields('high'), ['capital_market_assumptions']);
+
+    // Each pair is individually valid, but together they are impossible
+    assert.deepEqual(
+        fields({ correlations: { stocks_bonds: 0.9, stocks_cash: 0.9, bonds_cash: -0.9 } }),
+        ['capital_market_assumptions.correlations']
+    );
+
+    assert.ok(validateInput({ ...BASE, capital_market_assumptions: { cash: { mean: 'x' } } }).length > 0);
+});
+
+test('calculator uses the supplied assumptions and echoes them in portfolio_metrics', () => {
+    const calculator = new GuardrailCalculator();
+    const capital_market_assumptions = {
+        stocks: { mean: 0.06, std_dev: 0.16 },
+        bonds: { mean: 0.04 },
+        correlations: { stocks_bonds: -0.2 },
+    };
+
+    const defaults = calculator.calculate({ ...BASE });
+    const custom = calculator.calculate({ ...BASE, capital_market_assumptions });
+    const echoed = custom.portfolio_metrics.capital_market_assumptions;
+
+    assert.deepEqual(echoed.stocks, { mean: 0.06, std_dev: 0.16 });
+    assert.deepEqual(echoed.bonds, { mean: 0.04, std_dev: Config.return_assumptions.bonds.std_dev });
+    assert.equal(echoed.correlations.stocks_bonds, -0.2);
+    assert.deepEqual(defaults.portfolio_metrics.capital_market_assumptions.stocks, Config.return_assumptions.stocks);
+
+    // 60/30/10 at 6% / 4% / 3%
+    assert.equal(custom.portfolio_metrics.expected_return, 5.1);
+    assert.ok(custom.probability_of_success < defaults.probability_of_success);
+
+    const enhanced = calculator.calculateEnhanced({ ...BASE, capital_market_assumptions });
+    assert.deepEqual(enhanced.portfolio_metrics.capital_market_assumptions, echoed);
+});
+
+test('invalid assumptions stop the calculation', () => {
+    const calculator = new GuardrailCalculator();
+    assert.throws(
+        () => calculator.calculate({
+            ...BASE,
+            capital_market_assumptions: { correlations: { stocks_bonds: 0.9, stocks_cash: 0.9, bonds_cash: -0.9 } },
+        }),
+        /positive semi-definite/
+    );
+});
+
+test('historical generator rescales overridden assets to the requested statistics', () => {
+    const plain = new HistoricalReturnGenerator('rolling');
+    const rescaled = new HistoricalReturnGenerator('rolling', null, {
+        capitalMarketAssumptions: { stocks: { mean: 0.07, std_dev: 0.15 } },
+    });
+
+    const series = rescaled.history.map(row => row.stocks);
+    const mean = series.reduce((a, b) => a + b, 0) / series.length;
+    const sd = Math.sqrt(series.reduce((a, b) => a + (b - mean) ** 2, 0) / (series.length - 1));
+    assert.ok(Math.abs(mean - 0.07) < 1e-12);
+    assert.ok(Math.abs(sd - 0.15) < 1e-12);
+
+    // Untouched assets and the historical correlations are preserved
+    assert.deepEqual(rescaled.history.map(row => row.bonds), plain.history.map(row => row.bonds));
+    assert.ok(Math.abs(rescaled.correlations.stocks_bonds - plain.correlations.stocks_bonds) < 1e-12);
+    assert.deepEqual(rescaled.getCapitalMarketAssumptions().stocks, { mean: 0.07, std_dev: 0.15 });
+});
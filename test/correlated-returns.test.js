@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { choleskyDecomposition } from '../docs/js/logic/matrix.js';
+import { ReturnGenerator } from '../docs/js/logic/ReturnGenerator.js';
+import { EnhancedReturnGenerator } from '../docs/js/logic/EnhancedReturnGenerator.js';
+import { MonteCarloSimulation } from '../docs/js/logic/MonteCarloSimulation.js';
+import { CashFlowModel } from '../docs/js/logic/CashFlowModel.js';
+import { SpendingProfile } from '../docs/js/logic/SpendingProfile.js';
+import { SeededRandom } from '../docs/js/logic/random.js';
+
+const ASSETS = ['stocks', 'bonds', 'cash'];
+
+function reconstruct(lower) {
+    return lower.map(row => lower.map((_, j) =>
+        row.reduce((sum, value, k) => sum + value * lower[j][k], 0)));
+}
+
+test('Cholesky factor reproduces the covariance matrix', () => {
+    const gen = new ReturnGenerator({ random: new SeededRandom(1) });
+    const cov = gen.getCovarianceMatrix();
+    const lower = gen.getCholeskyFactor();
+
+    for (let i = 0; i < 3; i++) {
+        for (let j = i + 1; j < 3; j++) {
+            assert.equal(lower[i][j], 0);
+        }
+    }
+    const rebuilt = reconstruct(lower);
+    for (let i = 0; i < 3; i++) {
+        for (let j = 0; j < 3; j++) {
+            assert.ok(Math.abs(rebuilt[i][j] - cov[i][j]) < 1e-15);
+        }
+    }
+});
+
+test('Cholesky accepts semi-definite input and rejects indefinite input', () => {
+    // Zero-volatility asset: PSD but singular
+    const singular = choleskyDecomposition([[0.04, 0, 0], [0, 0.0036, 0], [0, 0, 0]]);
+    assert.deepEqual(singular[2], [0, 0, 0]);
+    assert.deepEqual(singular.map(row => row.reduce((sum, value) => sum + value, 0)), [0.2, 0.06, 0]);
+
+    // Pairwise correlations of 0.9, 0.9 and -0.9 cannot coexist
+    assert.throws(() => choleskyDecomposition([[1, 0.9, 0.9], [0.9, 1, -0.9], [0.9, -0.9, 1]]),
+        /positive semi-definite/);
+    assert.throws(() => choleskyDecomposition([[1, 0.5], [0.2, 1]]), /symmetric/);
+});
+
+test('simulated asset returns have the configured means, volatilities and correlations', () => {
+    const gen = new ReturnGenerator({ random: new SeededRandom(2024) });
+    const draws = 40000;
+    const samples = ASSETS.map(() => new Float64Array(draws));
+
+    for (let i = 0; i < draws; i++) {
+        const r = gen.generateAssetReturns();
+        ASSETS.forEach((asset, k) => { samples[k][i] = r[asset]; });
+    }
+
+    const mean = samples.map(s => s.reduce((a, b) => a + b, 0) / draws);
+    const cov = (a, b) => {
+        let sum = 0;
+        for (let i = 0; i < draws; i++) sum += (samples[a][i] - mean[a]) * (samples[b][i] - mean[b]);
+        return sum / (draws - 1);
+    };
+    const sd = [0, 1, 2].map(k => Math.sqrt(cov(k, k)));
+
+    ASSETS.forEach((asset, k) => {
+        const expected = gen.returnAssumptions[asset];
+        assert.ok(Math.abs(mean[k] - expected.mean) < 4 * expected.std_dev / Math.sqrt(draws), asset);
+        assert.ok(Math.abs(sd[k] / expected.std_dev - 1) < 0.02, asset);
+    });
+
+    const corr = (a, b) => cov(a, b) / (sd[a] * sd[b]);
+    assert.ok(Math.abs(corr(0, 1) - gen.correlations.stocks_bonds) < 0.03);
+    assert.ok(Math.abs(corr(0, 2) - gen.correlations.stocks_cash) < 0.03);
+    assert.ok(Math.abs(corr(1, 2) - gen.correlations.bonds_cash) < 0.03);
+});
+
+function makeSim(returnGenerator) {
+    const cashFlowModel = new CashFlowModel(new SpendingProfile('flat'), 0.025);
+    return new MonteCarloSimulation(
+        cashFlowModel, 1_000_000, 40_000, 65, 65, 10, 60, 30, 10, 0.0075, 100, returnGenerator,
+    );
+}
+
+test('yearly_values carry per-asset returns that make up the portfolio return', () => {
+    const sim = makeSim(new ReturnGenerator({ random: new SeededRandom(5) }));
+    const result = sim.runSingleIteration(3);
+
+    for (const year of result.yearly_values) {
+        const { stocks, bonds, cash } = year.asset_returns;
+        assert.ok(Math.abs(year.annual_return - (0.6 * stocks + 0.3 * bonds + 0.1 * cash)) < 1e-12);
+    }
+});
+
+test('portfolio-level generators report no asset returns', () => {
+    const sim = makeSim(new EnhancedReturnGenerator(null, { random: new SeededRandom(5) }));
+    const result = sim.runSingleIteration(0);
+    assert.ok(result.yearly_values.every(year => year.asset_returns === null));
+});
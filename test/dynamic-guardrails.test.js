@@ -0,0 +1,120 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DynamicGuardrailSimulation } from '../docs/js/logic/DynamicGuardrailSimulation.js';
+import { GuardrailCalculator } from '../docs/js/logic/GuardrailCalculator.js';
+import { MonteCarloSimulation } from '../docs/js/logic/MonteCarloSimulation.js';
+import { ReturnGenerator } from '../docs/js/logic/ReturnGenerator.js';
+import { CashFlowModel } from '../docs/js/logic/CashFlowModel.js';
+import { SpendingProfile } from '../docs/js/logic/SpendingProfile.js';
+import { SeededRandom } from '../docs/js/logic/random.js';
+import { validateInput } from '../docs/js/logic/validateInput.js';
+
+const BASE = {
+    spouse1_age: 65, retirement_age: 65, planning_horizon_years: 10,
+    current_portfolio_value: 1_000_000, desired_spending: 50_000,
+    stock_allocation: 60, bond_allocation: 30, cash_allocation: 10,
+    monte_carlo_iterations: 200, random_seed: 99,
+};
+
+function makeCashFlowModel() {
+    const cashFlowModel = new CashFlowModel(new SpendingProfile('smile'), 0.025);
+    cashFlowModel.addIncomeSource('Pension', 12_000, 68, null, true);
+    return cashFlowModel;
+}
+
+test('a year offset continues the original cash-flow calendar', () => {
+    const cashFlowModel = makeCashFlowModel();
+    const full = new MonteCarloSimulation(cashFlowModel, 1_000_000, 50_000, 65, 65, 30, 60, 30, 10);
+    const rest = new MonteCarloSimulation(cashFlowModel, 1_000_000, 50_000, 70, 65, 25, 60, 30, 10,
+        0.0075, 10000, null, { yearOffset: 5 });
+
+    assert.deepEqual(rest.getCashFlowSchedule(), full.getCashFlowSchedule().slice(5));
+});
+
+test('PoS-only estimate matches the full simulation', () => {
+    const sim = new MonteCarloSimulation(makeCashFlowModel(), 800_000, 50_000, 65, 65, 30, 60, 30, 10,
+        0.0075, 300, new ReturnGenerator({ random: new SeededRandom(3) }));
+
+    assert.equal(sim.estimateProbabilityOfSuccess(), sim.runSimulation().probability_of_success);
+});
+
+test('paths apply cuts and raises from the callbacks and track the drawdown', () => {
+    // Deterministic 0% returns: the portfolio only shrinks by spending
+    const returnGenerator = { generateReturn: () => 0 };
+    const seen = [];
+    const simulation = new DynamicGuardrailSimulation({
+        cashFlowModel: new CashFlowModel(new SpendingProfile('flat'), 0),
+        returnGenerator,
+        currentPortfolioValue: 100_000,
+        initialSpending: 10_000,
+        currentAge: 65,
+        retirementAge: 65,
+        planningHorizonYears: 6,
+        stockAllocation: 60,
+        bondAllocation: 30,
+        cashAllocation: 10,
+        annualFeePercentage: 0,
+        paths: 3,
+        lowerGuardrail: 70,
+        upperGuardrail: 95,
+        // Year 2 is "bad", year 4 is "good"; everything else is in range
+        evaluate: (state) => {
+            seen.push(state);
+            if (state.year === 2) return 50;
+            if (state.year === 4) return 99;
+            return 80;
+        },
+        solve: (state, direction) => (direction === 'decrease' ? state.spending * 0.8 : state.spending * 1.1),
+    });
+
+    const result = simulation.runSimulation();
+
+    assert.equal(result.paths, 3);
+    assert.equal(result.probability_of_success, 100);
+    assert.equal(result.initial_check.adjustment, 'maintain');
+    assert.deepEqual(result.spending_percentiles.map(entry => Math.round(entry.p50)),
+        [10_000, 10_000, 8_000, 8_000, 8_800, 8_800]);
+
+    assert.equal(result.cuts.total, 3);
+    assert.equal(result.cuts.mean_per_path, 1);
+    assert.equal(result.cuts.paths_with_adjustment_pct, 100);
+    assert.equal(result.cuts.median_size_pct, 20);
+    assert.equal(result.raises.median_size_pct, 10);
+    assert.ok(Math.abs(result.max_spending_drawdown.worst - 20) < 1e-9);
+
+    // Re-checks see the path's own state and the remaining horizon
+    const year2 = seen.find(state => state.year === 2);
+    assert.deepEqual(year2, { year: 2, age: 67, portfolio_value: 80_000, spending: 10_000, remaining_years: 4 });
+});
+
+test('calculator reports a reproducible dynamic_guardrails block when enabled', () => {
+    const calculator = new GuardrailCalculator();
+    const params = { ...BASE, dynamic_guardrails_enabled: true, dynamic_guardrails_paths: 10 };
+
+    const first = calculator.calculate({ ...params });
+    const second = calculator.calculate({ ...params });
+    const dynamic = first.dynamic_guardrails;
+
+    assert.equal(dynamic.paths, 10);
+    assert.equal(dynamic.spending_percentiles.length, BASE.planning_horizon_years);
+    assert.ok(dynamic.probability_of_success >= 0 && dynamic.probability_of_success <= 100);
+    assert.ok(dynamic.max_spending_drawdown.p50 <= dynamic.max_spending_drawdown.worst);
+
+    const { duration_ms: _a, lookup_table: tableA, ...a } = dynamic;
+    const { duration_ms: _b, lookup_table: tableB, ...b } = second.dynamic_guardrails;
+    assert.deepEqual(a, b);
+    assert.equal(tableA.years, BASE.planning_horizon_years);
+    assert.equal(tableB.cached, true);
+
+    assert.equal(calculator.calculate({ ...BASE }).dynamic_guardrails, undefined);
+});
+
+test('dynamic_guardrails_paths must be an integer within bounds', () => {
+    const fields = (paths) => validateInput({ ...BASE, dynamic_guardrails_paths: paths }).map(e => e.field);
+
+    assert.deepEqual(fields(50), []);
+    assert.deepEqual(fields(5), ['dynamic_guardrails_paths']);
+    assert.deepEqual(fields(12.5), ['dynamic_guardrails_paths']);
+    assert.deepEqual(fields(20000), ['dynamic_guardrails_paths']);
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GuardrailCalculator } from '../docs/js/logic/GuardrailCalculator.js';
+import { MonteCarloSimulation } from '../docs/js/logic/MonteCarloSimulation.js';
+import { getPercentile } from '../docs/js/logic/statistics.js';
+
+const BASE = {
+    spouse1_age: 65, retirement_age: 65, planning_horizon_years: 30,
+    current_portfolio_value: 1_000_000, desired_spending: 70_000,
+    stock_allocation: 60, bond_allocation: 30, cash_allocation: 10,
+    monte_carlo_iterations: 1500, random_seed: 21,
+    income_sources: [{ name: 'Social Security', annual_amount: 20_000, start_age: 70 }],
+};
+
+test('shortfall covers the uncovered depletion year and every later withdrawal', () => {
+    // Flat returns, no fees or inflation: 100k funds three 30k years, then
+    // year 3 is 20k short and years 4–5 are fully unfunded
+    const cashFlowModel = {
+        inflationRate: 0,
+        getSpendingForYear: () => 30_000,
+        getIncomeForYear: () => 0,
+        getExpensesForYear: () => 0,
+        getContributionForYear: () => 0,
+    };
+    const generator = { generateReturn: () => 0 };
+    const sim = new MonteCarloSimulation(cashFlowModel, 100_000, 30_000, 65, 65, 6, 60, 30, 10, 0, 100, generator);
+
+    const result = sim.runSingleIteration(0);
+    assert.equal(result.depletion_year, 3);
+    assert.deepEqual(result.shortfall, { years: 3, amount: 80_000 });
+
+    const { failure_analysis: analysis } = sim.runSimulation();
+    assert.equal(analysis.failures, 100);
+    assert.equal(analysis.depletion_age_p50, 68);
+    assert.deepEqual(analysis.depletion_age_histogram.map(entry => entry.count), [0, 0, 0, 100, 0, 0]);
+    assert.deepEqual(analysis.shortfall, {
+        mean_unfunded_years: 3,
+        mean_unfunded_amount: 80_000,
+        expected_unfunded_years: 3,
+        expected_unfunded_amount: 80_000,
+    });
+});
+
+test('failure analysis summarises the depletion ages and shortfalls of the failed paths', () => {
+    const mc = new GuardrailCalculator().calculate({ ...BASE, keep_raw_paths: true }).monte_carlo;
+    const analysis = mc.failure_analysis;
+    const failed = mc.raw_paths.filter(path => !path.success);
+
+    assert.ok(failed.length > 0);
+    assert.equal(analysis.failures, failed.length);
+    assert.equal(analysis.depletion_age_histogram.reduce((sum, entry) => sum + entry.count, 0), failed.length);
+
+    const ages = failed.map(path => path.yearly_values[path.depletion_year].age).sort((a, b) => a - b);
+    assert.equal(analysis.depletion_age_p50, getPercentile(ages, 50));
+    assert.equal(analysis.depletion_age_p10, getPercentile(ages, 10));
+    assert.ok(analysis.depletion_age_p10 <= analysis.depletion_age_p50);
+
+    const totalAmount = failed.reduce((sum, path) => sum + path.shortfall.amount, 0);
+    assert.equal(analysis.shortfall.mean_unfunded_amount, Math.round(totalAmount / failed.length));
+    assert.equal(analysis.shortfall.expected_unfunded_amount, Math.round(totalAmount / mc.iterations));
+    assert.ok(failed.every(path => path.shortfall.years >= 1 && path.shortfall.years <= 30 - path.depletion_year));
+});
+
+test('no failures means empty failure statistics', () => {
+    const mc = new GuardrailCalculator().calculate({ ...BASE, desired_spending: 10_000 }).monte_carlo;
+    assert.equal(mc.failure_analysis.failures, 0);
+    assert.equal(mc.failure_analysis.depletion_age_p50, null);
+    assert.equal(mc.failure_analysis.shortfall.expected_unfunded_amount, 0);
+});
@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CashFlowModel } from '../docs/js/logic/CashFlowModel.js';
+import { GuardrailCalculator } from '../docs/js/logic/GuardrailCalculator.js';
+import { MonteCarloSimulation } from '../docs/js/logic/MonteCarloSimulation.js';
+import { PosLookupTable } from '../docs/js/logic/PosLookupTable.js';
+import { SpendingProfile } from '../docs/js/logic/SpendingProfile.js';
+import { getAllocationAtAge, resolveGlidePath } from '../docs/js/logic/glidePath.js';
+import { validateInput } from '../docs/js/logic/validateInput.js';
+
+const BASE = {
+    spouse1_age: 65, retirement_age: 65, planning_horizon_years: 30,
+    current_portfolio_value: 1_000_000, desired_spending: 45_000,
+    stock_allocation: 60, bond_allocation: 35, cash_allocation: 5,
+    monte_carlo_iterations: 1000, random_seed: 31,
+};
+
+const WAYPOINTS = [
+    { age: 80, stock: 60, bond: 40, cash: 0 },
+    { age: 70, stock: 40, bond: 50, cash: 10 },
+];
+
+test('allocations are interpolated between waypoints and held flat outside them', () => {
+    const waypoints = resolveGlidePath(WAYPOINTS, 65);
+    assert.deepEqual(waypoints.map(waypoint => waypoint.age), [70, 80]);
+
+    assert.deepEqual(getAllocationAtAge(waypoints, 60), { stock: 40, bond: 50, cash: 10 });
+    assert.deepEqual(getAllocationAtAge(waypoints, 75), { stock: 50, bond: 45, cash: 5 });
+    assert.deepEqual(getAllocationAtAge(waypoints, 90), { stock: 60, bond: 40, cash: 0 });
+
+    // Presets are anchored at the retirement age
+    const risingEquity = resolveGlidePath('rising_equity', 62);
+    assert.deepEqual(risingEquity.map(waypoint => waypoint.age), [62, 77]);
+    assert.equal(getAllocationAtAge(risingEquity, 62).stock, 30);
+    assert.equal(getAllocationAtAge(risingEquity, 77).stock, 60);
+});
+
+test('each year draws its return at the allocation for its age', () => {
+    const calls = [];
+    const generator = {
+        generateReturn: (stock, bond, cash) => {
+            calls.push([stock, bond, cash]);
+            return 0;
+        },
+        getExpectedReturn: () => 0,
+    };
+    const simulation = new MonteCarloSimulation(
+        new CashFlowModel(new SpendingProfile('flat')), 1_000_000, 0, 68, 65, 5, 60, 35, 5, 0, 1, generator,
+        { glidePath: resolveGlidePath(WAYPOINTS, 65) }
+    );
+    simulation.runSingleIteration(0);
+
+    assert.deepEqual(calls, [[40, 50, 10], [40, 50, 10], [40, 50, 10], [42, 49, 9], [44, 48, 8]]);
+    assert.deepEqual(simulation.allocations, calls.map(([stock, bond, cash]) => ({ stock, bond, cash })));
+});
+
+test('a flat glide path reproduces the fixed allocation', () => {
+    const calculator = new GuardrailCalculator();
+    const fixed = calculator.calculate({ ...BASE });
+    const flat = calculator.calculate({ ...BASE, glide_path: [{ age: 70, stock: 60, bond: 35, cash: 5 }] });
+
+    assert.equal(flat.probability_of_success, fixed.probability_of_success);
+    assert.equal(flat.recommended_spending, fixed.recommended_spending);
+    assert.deepEqual(flat.monte_carlo.percentiles, fixed.monte_carlo.percentiles);
+    assert.deepEqual(flat.portfolio_metrics.allocation_path, fixed.portfolio_metrics.allocation_path);
+});
+
+test('portfolio_metrics reports the allocation path', () => {
+    const calculator = new GuardrailCalculator();
+    const params = { ...BASE, glide_path: 'rising_equity' };
+    delete params.stock_allocation;
+    delete params.bond_allocation;
+    delete params.cash_allocation;
+    const result = calculator.calculate(params);
+
+    // The fixed allocation defaults to the glide path's starting mix
+    assert.equal(params.stock_allocation, 30);
+    const path = result.portfolio_metrics.allocation_path;
+    assert.equal(path.length, 30);
+    assert.deepEqual(path[0], { year: 0, age: 65, stock: 30, bond: 60, cash: 10 });
+    assert.deepEqual(path[5], { year: 5, age: 70, stock: 40, bond: 51.7, cash: 8.3 });
+    assert.deepEqual(path[20], { year: 20, age: 85, stock: 60, bond: 35, cash: 5 });
+    assert.equal(result.portfolio_metrics.expected_return, 6.3);
+});
+
+test('PoS lookup tables follow the glide path', () => {
+    const options = {
+        cashFlowModel: new CashFlowModel(new SpendingProfile('flat')),
+        returnGenerator: { generateReturn: () => 0 },
+        currentAge: 65,
+        retirementAge: 65,
+        planningHorizonYears: 20,
+        stockAllocation: 60,
+        bondAllocation: 35,
+        cashAllocation: 5,
+        annualFeePercentage: 0,
+        referencePortfolioValue: 1_000_000,
+    };
+    const fixed = new PosLookupTable(options);
+    const gliding = new PosLookupTable({ ...options, glidePath: resolveGlidePath(WAYPOINTS, 65) });
+
+    assert.deepEqual(gliding.allocations[10], { stock: 50, bond: 45, cash: 5 });
+    assert.notEqual(gliding.key, fixed.key);
+});
+
+test('glide paths are validated', () => {
+    const fields = (data) => validateInput({ ...BASE, ...data }).map(error => error.field);
+    const withoutAllocation = { stock_allocation: undefined, bond_allocation: undefined, cash_allocation: undefined };
+
+    assert.deepEqual(fields({ glide_path: 'target_date' }), []);
+    assert.deepEqual(fields({ ...withoutAllocation, glide_path: WAYPOINTS }), []);
+    assert.ok(fields({ ...withoutAllocation }).includes('stock_allocation'));
+    assert.ok(fields({ glide_path: 'aggressive' }).includes('glide_path'));
+    assert.ok(fields({ glide_path: [] }).includes('glide_path'));
+    assert.ok(fields({ glide_path: [{ age: 70, stock: 60, bond: 30, cash: 0 }] }).includes('glide_path[0]'));
+    assert.ok(fields({ glide_path: [WAYPOINTS[0], { ...WAYPOINTS[0] }] }).includes('glide_path[1]'));
+    assert.ok(fields({ glide_path: [{ stock: 60, bond: 40, cash: 0 }] }).includes('glide_path[0]'));
+
+    assert.throws(() => new GuardrailCalculator().calculate({ ...BASE, glide_path: 'aggressive' }), /glide_path/);
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GuardrailCalculator } from '../docs/js/logic/GuardrailCalculator.js';
+
+const BASE = {
+    spouse1_age: 65, retirement_age: 65, planning_horizon_years: 25,
+    current_portfolio_value: 1_000_000, desired_spending: 45_000,
+    stock_allocation: 60, bond_allocation: 30, cash_allocation: 10,
+    monte_carlo_iterations: 500, random_seed: 2024,
+};
+
+test('triggers bracket the current portfolio and hit the guardrail PoS', () => {
+    const calculator = new GuardrailCalculator();
+    const result = calculator.calculate({ ...BASE });
+    const { lower, upper, spending } = result.guardrail_triggers;
+
+    assert.equal(spending, BASE.desired_spending);
+    assert.equal(lower.probability_of_success, 80);
+    assert.equal(upper.probability_of_success, 95);
+
+    // Currently within the guardrails, so a cut needs a lower and a raise a higher balance
+    assert.equal(result.guardrail_status, 'within_range');
+    assert.ok(lower.portfolio_value < BASE.current_portfolio_value);
+    assert.ok(upper.portfolio_value > BASE.current_portfolio_value);
+    assert.equal(lower.portfolio_value % 100, 0);
+    assert.equal(lower.portfolio_change_percentage,
+        calculator.calculatePercentageChange(BASE.current_portfolio_value, lower.portfolio_value));
+
+    assert.ok(lower.adjusted_spending < spending);
+    assert.ok(upper.adjusted_spending > spending);
+    assert.equal(upper.spending_change_amount, upper.adjusted_spending - spending);
+});
+
+test('the triggers are the lowest $100 values that reach each guardrail on the headline paths', () => {
+    const calculator = new GuardrailCalculator();
+    const posAt = (params, portfolioValue) => calculator.calculate({ ...params, current_portfolio_value: portfolioValue })
+        .probability_of_success;
+
+    for (const params of [{ ...BASE }, { ...BASE, accounts: { pre_tax: 600_000, roth: 100_000, taxable: 300_000 } }]) {
+        const { lower, upper } = calculator.calculate({ ...params }).guardrail_triggers;
+        assert.ok(posAt(params, lower.portfolio_value) >= 80);
+        assert.ok(posAt(params, lower.portfolio_value - 100) < 80);
+        assert.ok(posAt(params, upper.portfolio_value) >= 95);
+        assert.ok(posAt(params, upper.portfolio_value - 100) < 95);
+    }
+});
+
+test('a guardrail that no portfolio value reaches is reported as null', () => {
+    const calculator = new GuardrailCalculator();
+    const result = calculator.calculate({
+        ...BASE,
+        income_sources: [{ name: 'Pension', annual_amount: 60_000, start_age: 65 }],
+    });
+
+    assert.equal(result.guardrail_triggers.lower, null);
+    assert.equal(result.guardrail_triggers.upper, null);
+    assert.equal(calculator.calculateEnhanced({ ...BASE }).guardrail_triggers, undefined);
+});
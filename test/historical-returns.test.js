@@ -0,0 +1,151 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Config } from '../docs/js/logic/Config.js';
+import { HistoricalReturnGenerator } from '../docs/js/logic/HistoricalReturnGenerator.js';
+import { HISTORICAL_RETURNS } from '../docs/js/logic/data/historicalReturns.js';
+import { GuardrailCalculator } from '../docs/js/logic/GuardrailCalculator.js';
+import { SeededRandom } from '../docs/js/logic/random.js';
+import { runCalculations } from '../docs/js/logic/runCalculations.js';
+import { validateInput } from '../docs/js/logic/validateInput.js';
+
+const firstYear = HISTORICAL_RETURNS[0].year;
+const count = HISTORICAL_RETURNS.length;
+
+// Draw one path as the sequence of calendar years it replays.
+function drawYears(gen, iteration, years) {
+    gen.reset(iteration);
+    const out = [];
+    for (let i = 0; i < years; i++) {
+        out.push(gen.nextHistoricalYear().year);
+    }
+    return out;
+}
+
+test('dataset is contiguous annual data', () => {
+    HISTORICAL_RETURNS.forEach((row, i) => {
+        assert.equal(row.year, firstYear + i);
+        for (const asset of ['stocks', 'bonds', 'cash']) {
+            assert.ok(Number.isFinite(row[asset]) && Math.abs(row[asset]) < 1, `${row.year} ${asset}`);
+        }
+    });
+});
+
+test('rolling mode starts iteration i at start year i mod N and wraps', () => {
+    const gen = new HistoricalReturnGenerator('rolling', null, { random: new SeededRandom(1) });
+    assert.deepEqual(drawYears(gen, 0, 3), [firstYear, firstYear + 1, firstYear + 2]);
+    assert.deepEqual(drawYears(gen, 5, 1), [firstYear + 5]);
+    assert.deepEqual(drawYears(gen, count + 5, 1), [firstYear + 5]);
+
+    const tail = drawYears(gen, count - 2, 4);
+    assert.deepEqual(tail, [firstYear + count - 2, firstYear + count - 1, firstYear, firstYear + 1]);
+});
+
+test('bootstrap mode draws contiguous blocks of the configured length', () => {
+    const blockLength = 4;
+    const gen = new HistoricalReturnGenerator('bootstrap', blockLength, { random: new SeededRandom(7) });
+    const years = drawYears(gen, 3, blockLength * 10);
+
+    for (let b = 0; b < 10; b++) {
+        const block = years.slice(b * blockLength, (b + 1) * blockLength);
+        for (let i = 1; i < block.length; i++) {
+            const expected = block[i - 1] === firstYear + count - 1 ? firstYear : block[i - 1] + 1;
+            assert.equal(block[i], expected);
+        }
+    }
+
+    // Block starts are random, so the path should not be one long rolling run
+    const starts = [];
+    for (let b = 0; b < 10; b++) starts.push(years[b * blockLength]);
+    assert.ok(new Set(starts).size > 1);
+});
+
+test('bootstrap paths depend only on seed and iteration', () => {
+    const a = new HistoricalReturnGenerator('bootstrap', 3, { random: new SeededRandom(99) });
+    const b = new HistoricalReturnGenerator('bootstrap', 3, { random: new SeededRandom(99) });
+
+    const pathA = drawYears(a, 42, 30);
+    drawYears(b, 0, 30);
+    drawYears(b, 1, 7);
+    assert.deepEqual(drawYears(b, 42, 30), pathA);
+});
+
+test('portfolio return is the allocation-weighted historical row', () => {
+    const gen = new HistoricalReturnGenerator('rolling', null, { random: new SeededRandom(1) });
+    gen.reset(0);
+    const row = HISTORICAL_RETURNS[0];
+    const r = gen.generateReturn(60, 30, 10);
+    assert.ok(Math.abs(r - (0.6 * row.stocks + 0.3 * row.bonds + 0.1 * row.cash)) < 1e-12);
+});
+
+test('calculateHistorical is reproducible and reports its method', () => {
+    const params = {
+        spouse1_age: 65, retirement_age: 65, planning_horizon_years: 30,
+        current_portfolio_value: 1_000_000, desired_spending: 45_000,
+        stock_allocation: 60, bond_allocation: 30, cash_allocation: 10,
+        monte_carlo_iterations: 500, random_seed: 12345,
+        historical_mode: 'bootstrap', historical_block_length: 8,
+    };
+    const calculator = new GuardrailCalculator();
+    const first = calculator.calculateHistorical({ ...params });
+    const second = calculator.calculateHistorical({ ...params });
+
+    assert.equal(first.probability_of_success, second.probability_of_success);
+    assert.equal(first.recommended_spending, second.recommended_spending);
+    assert.equal(first.historical_mode, 'bootstrap');
+    assert.equal(first.historical_block_length, 8);
+    assert.deepEqual(first.historical_period, { start_year: firstYear, end_year: firstYear + count - 1 });
+
+    const rolling = calculator.calculateHistorical({ ...params, historical_mode: 'rolling' });
+    assert.equal(rolling.historical_block_length, null);
+});
+
+test('validateInput rejects unknown historical settings', () => {
+    const base = {
+        spouse1_age: 65, retirement_age: 65, planning_horizon_years: 30,
+        current_portfolio_value: 1_000_000, desired_spending: 45_000,
+        stock_allocation: 60, bond_allocation: 30, cash_allocation: 10,
+    };
+    const fields = (params) => validateInput(params).map(e => e.field);
+
+    assert.ok(fields({ ...base, historical_mode: 'monthly' }).includes('historical_mode'));
+    assert.ok(fields({ ...base, historical_block_length: 0 }).includes('historical_block_length'));
+    assert.ok(fields({ ...base, historical_block_length: 2.5 }).includes('historical_block_length'));
+    assert.deepEqual(fields({ ...base, historical_mode: 'rolling', historical_block_length: 10 }), []);
+});
+
+test('rolling mode runs each start year once', () => {
+    const params = {
+        spouse1_age: 65, retirement_age: 65, planning_horizon_years: 30,
+        current_portfolio_value: 1_000_000, desired_spending: 45_000,
+        stock_allocation: 60, bond_allocation: 35, cash_allocation: 5,
+        monte_carlo_iterations: 2000, random_seed: 5, historical_mode: 'rolling',
+    };
+    const calculator = new GuardrailCalculator();
+    const rolling = calculator.calculateHistorical({ ...params, adaptive_iterations: true });
+    assert.equal(rolling.monte_carlo.iterations, HistoricalReturnGenerator.START_YEARS);
+
+    const output = runCalculations({ ...params, historical_mc_enabled: true });
+    assert.equal(output.historicalResults.monte_carlo.iterations, HistoricalReturnGenerator.START_YEARS);
+    assert.equal(output.results.monte_carlo.iterations, 2000);
+    assert.equal(calculator.calculateHistorical({ ...params, historical_mode: 'bootstrap' }).monte_carlo.iterations, 2000);
+});
+
+test('a rolling run below the usual minimum iterations does not warn', () => {
+    const params = {
+        spouse1_age: 65, retirement_age: 65, planning_horizon_years: 30,
+        current_portfolio_value: 1_000_000, desired_spending: 45_000,
+        stock_allocation: 60, bond_allocation: 35, cash_allocation: 5,
+        monte_carlo_iterations: 1000, random_seed: 5, historical_mode: 'rolling',
+    };
+    const warnings = [];
+    const origWarn = console.warn;
+    console.warn = (message) => warnings.push(message);
+    try {
+        runCalculations({ ...params, historical_mc_enabled: true });
+    } finally {
+        console.warn = origWarn;
+    }
+    assert.deepEqual(warnings, []);
+    assert.ok(HistoricalReturnGenerator.START_YEARS < Config.monte_carlo.min_iterations);
+});
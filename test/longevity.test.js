@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GuardrailCalculator } from '../docs/js/logic/GuardrailCalculator.js';
+import { LIFE_TABLE } from '../docs/js/logic/data/lifeTable.js';
+import {
+    getHouseholdSurvival,
+    getLifeExpectancy,
+    getMortalityAdjustedPos,
+    getSurvivalCurve,
+} from '../docs/js/logic/mortality.js';
+import { validateInput } from '../docs/js/logic/validateInput.js';
+
+const BASE = {
+    spouse1_age: 65, retirement_age: 65, planning_horizon_years: 35,
+    current_portfolio_value: 1_000_000, desired_spending: 65_000,
+    stock_allocation: 60, bond_allocation: 30, cash_allocation: 10,
+    monte_carlo_iterations: 2000, random_seed: 11,
+};
+
+test('life table is at SSA-like levels and rises with age', () => {
+    assert.ok(Math.abs(getLifeExpectancy(65, 'male') - 18.0) < 0.2);
+    assert.ok(Math.abs(getLifeExpectancy(65, 'female') - 20.6) < 0.2);
+    assert.ok(getLifeExpectancy(65, 'unisex') > 18 && getLifeExpectancy(65, 'unisex') < 20.6);
+
+    for (const sex of ['male', 'female']) {
+        const table = LIFE_TABLE[sex];
+        assert.equal(table.length, 120);
+        assert.equal(table[119], 1);
+        for (let age = 41; age < 120; age++) assert.ok(table[age] > table[age - 1], `${sex} ${age}`);
+    }
+});
+
+test('a second life raises household survival', () => {
+    const single = getSurvivalCurve(70, 'male', 30);
+    const couple = getHouseholdSurvival([{ age: 70, sex: 'male' }, { age: 68, sex: 'female' }], 30);
+
+    assert.equal(single[0], 1);
+    assert.equal(couple[0], 1);
+    for (let year = 1; year <= 30; year++) {
+        assert.ok(couple[year] > single[year]);
+        assert.ok(single[year] <= single[year - 1]);
+    }
+    getHouseholdSurvival([{ age: 70, sex: 'male' }], 30).forEach((alive, year) => {
+        assert.ok(Math.abs(alive - single[year]) < 1e-12);
+    });
+});
+
+test('fractional ages fall between the whole-year rows', () => {
+    const expectancy = getLifeExpectancy(65.5, 'male');
+    assert.ok(expectancy < getLifeExpectancy(65, 'male') && expectancy > getLifeExpectancy(66, 'male'));
+
+    const curve = getSurvivalCurve(65.5, 'male', 2);
+    const q = (LIFE_TABLE.male[65] + LIFE_TABLE.male[66]) / 2;
+    assert.ok(Math.abs(curve[1] - (1 - q)) < 1e-12);
+
+    const result = new GuardrailCalculator().calculate({ ...BASE, current_age: 65.5, spouse1_age: undefined, longevity_mode: true, spouse1_sex: 'male' });
+    assert.ok(result.longevity.lives[0].life_expectancy > 17);
+    assert.ok(result.longevity.mortality_adjusted_pos < 100);
+});
+
+test('mortality-adjusted PoS weights each failure by survival to its depletion year', () => {
+    // 10 of 100 paths fail in year 2, 10 in year 4
+    const counts = [0, 0, 10, 0, 10];
+    const survival = [1, 0.9, 0.8, 0.6, 0.5];
+    assert.ok(Math.abs(getMortalityAdjustedPos(counts, 100, survival) - (100 - 8 - 5)) < 1e-9);
+});
+
+test('longevity mode reports both PoS figures', () => {
+    const calculator = new GuardrailCalculator();
+    const single = calculator.calculate({ ...BASE, longevity_mode: true, spouse1_sex: 'male' });
+    const couple = calculator.calculate({ ...BASE, longevity_mode: true, spouse1_sex: 'male', spouse2_age: 62, spouse2_sex: 'female' });
+
+    assert.equal(single.longevity.fixed_horizon_pos, single.probability_of_success);
+    assert.ok(single.probability_of_success < 95);
+    assert.ok(single.longevity.mortality_adjusted_pos > single.probability_of_success);
+    // Longer joint lives leave more time to run out
+    assert.ok(couple.longevity.mortality_adjusted_pos < single.longevity.mortality_adjusted_pos);
+    assert.ok(couple.longevity.probability_alive_at_horizon > single.longevity.probability_alive_at_horizon);
+    assert.equal(couple.longevity.lives.length, 2);
+    assert.match(single.interpretation, /Allowing for mortality/);
+
+    assert.equal(calculator.calculate({ ...BASE }).longevity, undefined);
+    assert.ok(validateInput({ ...BASE, spouse1_sex: 'other' }).some(error => error.field === 'spouse1_sex'));
+});
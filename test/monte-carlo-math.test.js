@@ -3,6 +3,7 @@ import assert from 'node:assert/strict';
 
 import { MonteCarloSimulation } from '../docs/js/logic/MonteCarloSimulation.js';
 import { BaseReturnGenerator } from '../docs/js/logic/BaseReturnGenerator.js';
+import { accumulatePath, createPathTotals, getSpendingLimit } from '../docs/js/logic/spendingLimits.js';
 
 // These tests pin the deterministic MC math so the expense/min-max fixes
 // can be shown NOT to touch return generation, volatility, or percentiles.
@@ -49,7 +50,7 @@ test('getPercentile interpolates linearly on a known sorted set', () => {
 
 test('min/max are the sorted endpoints (deterministic)', () => {
     const sim = makeSim();
-    sim.simulationResults = [500, 100, 900, 300, 700].map((v) => ({ final_portfolio_value: v }));
+    sim.finalValues = Float64Array.from([500, 100, 900, 300, 700]);
     const p = sim.calculatePercentiles();
     assert.equal(p.min, 100);
     assert.equal(p.max, 900);
@@ -59,8 +60,8 @@ test('min/max are the sorted endpoints (deterministic)', () => {
 test('calculatePercentiles does not RangeError on large result sets (spread-overflow regression)', () => {
     const sim = makeSim();
     const N = 200_000; // large enough that Math.min(...arr) would throw
-    sim.simulationResults = new Array(N);
-    for (let i = 0; i < N; i++) sim.simulationResults[i] = { final_portfolio_value: i };
+    sim.finalValues = new Float64Array(N);
+    for (let i = 0; i < N; i++) sim.finalValues[i] = N - 1 - i;
     const p = sim.calculatePercentiles();
     assert.equal(p.min, 0);
     assert.equal(p.max, N - 1);
@@ -68,8 +69,19 @@ test('calculatePercentiles does not RangeError on large result sets (spread-over
 
 test('empty result set yields zeroed min/max instead of Infinity', () => {
     const sim = makeSim();
-    sim.simulationResults = [];
+    sim.finalValues = new Float64Array(0);
     const p = sim.calculatePercentiles();
     assert.equal(p.min, 0);
     assert.equal(p.max, 0);
 });
+
+test('a path\'s spending limit is the tightest year of the linear portfolio', () => {
+    // 10% growth, then −50%; spending 1 per unit each year, 5 of income in year 2
+    const totals = createPathTotals(2);
+    accumulatePath(totals, new Float64Array([1.1, 0.5]), [1, 1], [0, -5], { years: 2 });
+    // Year 1: 110 − s > 0; year 2: (110 − s)·0.5 − s + 5 > 0 → s < 60/1.5
+    assert.ok(Math.abs(getSpendingLimit(totals, 100, 2) - 40) < 1e-9);
+    // A path that fails before any spending starts has no limit
+    accumulatePath(totals, new Float64Array([1, 1]), [0, 1], [200, 0], { years: 2 });
+    assert.equal(getSpendingLimit(totals, 100, 2), -Infinity);
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GuardrailCalculator } from '../docs/js/logic/GuardrailCalculator.js';
+import { getPercentile } from '../docs/js/logic/statistics.js';
+
+const BASE = {
+    spouse1_age: 65, retirement_age: 65, planning_horizon_years: 30,
+    current_portfolio_value: 1_000_000, desired_spending: 70_000,
+    stock_allocation: 60, bond_allocation: 30, cash_allocation: 10,
+    monte_carlo_iterations: 1500, random_seed: 21,
+};
+
+test('raw paths are opt-in and reproduce the buffered percentiles', () => {
+    const calculator = new GuardrailCalculator();
+    const lean = calculator.calculate({ ...BASE }).monte_carlo;
+    const raw = calculator.calculate({ ...BASE, keep_raw_paths: true }).monte_carlo;
+
+    assert.equal(lean.raw_paths, undefined);
+    assert.equal(raw.raw_paths.length, BASE.monte_carlo_iterations);
+    assert.deepEqual(raw.yearly_percentiles, lean.yearly_percentiles);
+    assert.deepEqual(raw.percentiles, lean.percentiles);
+
+    // Some paths deplete, so the zero-fill after depletion is exercised
+    assert.ok(raw.failed > 0);
+
+    for (const year of [0, 12, 29]) {
+        const values = raw.raw_paths
+            .map(path => path.yearly_values[year]?.portfolio_value ?? 0)
+            .sort((a, b) => a - b);
+        const expected = lean.yearly_percentiles[year];
+        for (const p of [10, 25, 50, 75, 90]) {
+            assert.equal(expected[`p${p}`], getPercentile(values, p), `year ${year} p${p}`);
+        }
+    }
+
+    const finals = raw.raw_paths.map(path => path.final_portfolio_value).sort((a, b) => a - b);
+    assert.equal(lean.percentiles.p50, getPercentile(finals, 50));
+    assert.equal(lean.percentiles.max, finals.at(-1));
+});
+
+test('adaptive runs grow the buffers without disturbing earlier paths', () => {
+    const calculator = new GuardrailCalculator();
+    const params = { ...BASE, desired_spending: 49_000, random_seed: 5, monte_carlo_iterations: 1000 };
+    const adaptive = calculator.calculate({ ...params, adaptive_iterations: true }).monte_carlo;
+    const fixed = calculator.calculate({ ...params, monte_carlo_iterations: adaptive.iterations }).monte_carlo;
+
+    assert.ok(adaptive.iterations > params.monte_carlo_iterations);
+    assert.deepEqual(adaptive.percentiles, fixed.percentiles);
+    assert.deepEqual(adaptive.yearly_percentiles, fixed.yearly_percentiles);
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GuardrailCalculator } from '../docs/js/logic/GuardrailCalculator.js';
+import { getWilsonInterval } from '../docs/js/logic/statistics.js';
+import { validateInput } from '../docs/js/logic/validateInput.js';
+
+const BASE = {
+    spouse1_age: 65, retirement_age: 65, planning_horizon_years: 30,
+    current_portfolio_value: 1_000_000, desired_spending: 49_000,
+    stock_allocation: 60, bond_allocation: 30, cash_allocation: 10,
+    monte_carlo_iterations: 1000, random_seed: 5,
+};
+
+test('Wilson interval matches reference values and stays within [0, 1]', () => {
+    const { lower, upper } = getWilsonInterval(850, 1000);
+    assert.ok(Math.abs(lower - 0.8265) < 1e-4, `${lower}`);
+    assert.ok(Math.abs(upper - 0.8708) < 1e-4, `${upper}`);
+
+    const all = getWilsonInterval(100, 100);
+    assert.ok(all.upper <= 1 && all.upper > 1 - 1e-12);
+    assert.ok(all.lower > 0.96 && all.lower < 1);
+    assert.deepEqual(getWilsonInterval(0, 0), { lower: 0, upper: 1 });
+});
+
+test('a guardrail inside the PoS interval is flagged', () => {
+    const result = new GuardrailCalculator().calculate({ ...BASE });
+    const { lower, upper } = result.probability_of_success_interval;
+
+    assert.ok(lower < 80 && 80 < upper, `${lower} – ${upper}`);
+    assert.ok(lower <= result.probability_of_success && result.probability_of_success <= upper);
+    assert.deepEqual(result.guardrail_status_confidence, { confident: false, straddled_guardrail: 'lower' });
+    assert.match(result.interpretation, /lower guardrail \(80%\) lies within/);
+    assert.equal(result.monte_carlo.adaptive, undefined);
+});
+
+test('adaptive mode extends the same paths until the nearest guardrail is cleared', () => {
+    const calculator = new GuardrailCalculator();
+    const fixed = calculator.calculate({ ...BASE, monte_carlo_iterations: 4000 });
+    const adaptive = calculator.calculate({ ...BASE, adaptive_iterations: true });
+
+    assert.deepEqual(adaptive.monte_carlo.adaptive, { initial_iterations: 1000, max_iterations: 100000, settled: true });
+    assert.equal(adaptive.monte_carlo.iterations, 4000);
+    assert.equal(adaptive.probability_of_success, fixed.probability_of_success);
+    assert.equal(adaptive.guardrail_status_confidence.confident, true);
+    assert.equal(adaptive.spending_solver.iterations, 4000);
+
+    // An unreachable settlement stops at max_iterations
+    const capped = calculator.calculate({ ...BASE, adaptive_iterations: true, max_iterations: 2000 });
+    assert.equal(capped.monte_carlo.iterations, 2000);
+    assert.equal(capped.monte_carlo.adaptive.settled, false);
+    assert.equal(capped.guardrail_status_confidence.straddled_guardrail, 'lower');
+});
+
+test('max_iterations must be an integer within the Monte Carlo bounds', () => {
+    const fields = (value) => validateInput({ ...BASE, max_iterations: value }).map(e => e.field);
+
+    assert.deepEqual(fields(5000), []);
+    assert.deepEqual(fields(50), ['max_iterations']);
+    assert.deepEqual(fields(2500.5), ['max_iterations']);
+    assert.deepEqual(fields(200_000), ['max_iterations']);
+});
@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PosLookupTable, getPosLookupTable, clearPosLookupCache } from '../docs/js/logic/PosLookupTable.js';
+import { MonteCarloSimulation } from '../docs/js/logic/MonteCarloSimulation.js';
+import { ReturnGenerator } from '../docs/js/logic/ReturnGenerator.js';
+import { CashFlowModel } from '../docs/js/logic/CashFlowModel.js';
+import { SpendingProfile } from '../docs/js/logic/SpendingProfile.js';
+import { SeededRandom } from '../docs/js/logic/random.js';
+
+const ITERATIONS = 400;
+const HORIZON = 20;
+
+function makeGenerator() {
+    return new ReturnGenerator({ random: new SeededRandom(42) });
+}
+
+function tableOptions(cashFlowModel, overrides = {}) {
+    return {
+        cashFlowModel,
+        returnGenerator: makeGenerator(),
+        currentAge: 65,
+        retirementAge: 65,
+        planningHorizonYears: HORIZON,
+        stockAllocation: 60,
+        bondAllocation: 30,
+        cashAllocation: 10,
+        annualFeePercentage: 0.0075,
+        referencePortfolioValue: 1_000_000,
+        returnModel: { random_seed: 42 },
+        settings: { iterations: ITERATIONS, portfolio_nodes: 9 },
+        ...overrides,
+    };
+}
+
+function nestedPos(cashFlowModel, year, portfolioValue, spending) {
+    return new MonteCarloSimulation(
+        cashFlowModel, portfolioValue, spending, 65 + year, 65, HORIZON - year, 60, 30, 10,
+        0.0075, ITERATIONS, makeGenerator(), { yearOffset: year }
+    ).estimateProbabilityOfSuccess();
+}
+
+test('without income the table reproduces the nested simulation at any portfolio size', () => {
+    const cashFlowModel = new CashFlowModel(new SpendingProfile('smile'), 0.025);
+    const table = new PosLookupTable(tableOptions(cashFlowModel));
+
+    assert.deepEqual(table.portfolioNodes, [1]);
+    for (const [year, portfolioValue, spending] of [[0, 1_000_000, 55_000], [7, 400_000, 30_000], [15, 2_500_000, 90_000]]) {
+        const expected = nestedPos(cashFlowModel, year, portfolioValue, spending);
+        const actual = table.getProbabilityOfSuccess(65 + year, portfolioValue, spending);
+        // Linear interpolation between withdrawal-rate nodes, each one path wide at most
+        assert.ok(Math.abs(actual - expected) <= 1, `year ${year}: ${actual} vs ${expected}`);
+    }
+});
+
+test('with income the portfolio axis is interpolated and solving hits the target', () => {
+    const cashFlowModel = new CashFlowModel(new SpendingProfile('flat'), 0.025);
+    cashFlowModel.addIncomeSource('Social Security', 24_000, 70);
+    const table = new PosLookupTable(tableOptions(cashFlowModel));
+
+    assert.equal(table.portfolioNodes.length, 9);
+
+    const expected = nestedPos(cashFlowModel, 3, 750_000, 55_000);
+    assert.ok(Math.abs(table.getProbabilityOfSuccess(68, 750_000, 55_000) - expected) <= 2);
+
+    const spending = table.findSpendingForTargetPos(68, 750_000, 90);
+    assert.ok(Math.abs(nestedPos(cashFlowModel, 3, 750_000, spending) - 90) <= 2);
+    assert.equal(table.findSpendingForTargetPos(68, 750_000, 101), 0);
+
+    assert.throws(() => table.getProbabilityOfSuccess(65 + HORIZON, 750_000, 55_000), /outside/);
+});
+
+test('cached tables are reused until the plan changes', () => {
+    clearPosLookupCache();
+    const cashFlowModel = new CashFlowModel(new SpendingProfile('flat'), 0.025);
+
+    const first = getPosLookupTable(tableOptions(cashFlowModel));
+    const again = getPosLookupTable(tableOptions(cashFlowModel, { referencePortfolioValue: 600_000 }));
+    assert.equal(first.cached, false);
+    assert.equal(again.cached, true);
+    assert.equal(again.table, first.table);
+
+    const reallocated = getPosLookupTable(tableOptions(cashFlowModel, { stockAllocation: 50, bondAllocation: 40 }));
+    assert.equal(reallocated.cached, false);
+
+    const reseeded = getPosLookupTable(tableOptions(cashFlowModel, { returnModel: { random_seed: 7 } }));
+    assert.equal(reseeded.cached, false);
+
+    cashFlowModel.addExpenseItem('Roof', 40_000, 70, null, true, true);
+    const withExpense = getPosLookupTable(tableOptions(cashFlowModel));
+    assert.equal(withExpense.cached, false);
+    assert.notEqual(withExpense.table, first.table);
+});
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+import { GuardrailCalculator } from '../docs/js/logic/GuardrailCalculator.js';
+import { SeededRandom } from '../docs/js/logic/random.js';
+import { ITERATIONS, SEED, summarizeSeededResult } from '../scripts/seeded-results.mjs';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const root = join(__dirname, '..');
+
+const exampleInput = JSON.parse(readFileSync(join(root, 'cli', 'example-input.json'), 'utf8'));
+const fixture = JSON.parse(readFileSync(join(__dirname, 'fixtures', 'seeded-results.json'), 'utf8'));
+
+function run(overrides, method = 'calculate') {
+    const origWarn = console.warn;
+    console.warn = () => {};
+    try {
+        return new GuardrailCalculator()[method]({
+            ...exampleInput,
+            monte_carlo_iterations: ITERATIONS,
+            ...overrides,
+        });
+    } finally {
+        console.warn = origWarn;
+    }
+}
+
+// Wall-clock timings are the only fields allowed to differ between runs.
+function stripTimings(result) {
+    const { calculation_duration_ms, monte_carlo, ...rest } = result;
+    const { duration_ms, ...mc } = monte_carlo;
+    return { ...rest, monte_carlo: mc };
+}
+
+test('SeededRandom is deterministic per seed and stream', () => {
+    const a = new SeededRandom(7);
+    const b = new SeededRandom(7);
+    const seqA = Array.from({ length: 5 }, () => a.next());
+    const seqB = Array.from({ length: 5 }, () => b.next());
+    assert.deepEqual(seqA, seqB);
+    for (const v of seqA) assert.ok(v >= 0 && v < 1);
+
+    a.setStream(3);
+    b.setStream(4);
+    assert.notEqual(a.next(), b.next());
+
+    a.setStream(3);
+    const again = new SeededRandom(7);
+    again.setStream(3);
+    assert.equal(a.next(), again.next());
+});
+
+test('same seed reproduces standard results bit-for-bit', () => {
+    const first = run({ random_seed: 12345, desired_spending: 90000 });
+    const second = run({ random_seed: 12345, desired_spending: 90000 });
+    assert.deepEqual(stripTimings(first), stripTimings(second));
+    assert.equal(first.random_seed, 12345);
+});
+
+test('same seed reproduces enhanced results bit-for-bit', () => {
+    const first = run({ random_seed: 99, desired_spending: 90000 }, 'calculateEnhanced');
+    const second = run({ random_seed: 99, desired_spending: 90000 }, 'calculateEnhanced');
+    assert.deepEqual(stripTimings(first), stripTimings(second));
+});
+
+test('different seeds draw different paths', () => {
+    const first = run({ random_seed: 1 });
+    const second = run({ random_seed: 2 });
+    assert.notEqual(first.monte_carlo.percentiles.p50, second.monte_carlo.percentiles.p50);
+});
+
+test('a seed is generated and echoed when none is supplied', () => {
+    const result = run({ random_seed: null });
+    assert.ok(Number.isInteger(result.random_seed));
+    const replay = run({ random_seed: result.random_seed });
+    assert.equal(replay.monte_carlo.percentiles.p50, result.monte_carlo.percentiles.p50);
+});
+
+test('seeded example input matches the pinned results', () => {
+    const result = run({ random_seed: SEED });
+    assert.deepEqual(summarizeSeededResult(result), fixture['cli/example-input.json']);
+});
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GuardrailCalculator } from '../docs/js/logic/GuardrailCalculator.js';
+import { TaxModel } from '../docs/js/logic/TaxModel.js';
+import { validateInput } from '../docs/js/logic/validateInput.js';
+
+const BASE = {
+    spouse1_age: 70, retirement_age: 65, planning_horizon_years: 25,
+    current_portfolio_value: 2_000_000, desired_spending: 40_000,
+    stock_allocation: 60, bond_allocation: 30, cash_allocation: 10,
+    monte_carlo_iterations: 1000, random_seed: 23,
+    income_sources: [{ name: 'Social Security', type: 'social_security', annual_amount: 30_000, start_age: 70 }],
+    pre_tax_fraction: 0.8,
+};
+
+test('the RMD is the opening pre-tax balance over the Uniform Lifetime Table period', () => {
+    const taxModel = new TaxModel({ shares: { pre_tax: 0.5, roth: 0, taxable: 0.5 }, inflationRate: 0 });
+    assert.equal(taxModel.getTaxTable(0, 72).rmd_divisor, null);
+    assert.equal(taxModel.getTaxTable(0, 75).rmd_divisor, 24.6);
+    assert.equal(taxModel.getTaxTable(0, 125).rmd_divisor, 2.0);
+
+    // The year needs 10,000; the RMD on 492,000 at 75 is 20,000
+    const balances = taxModel.openBalances(984_000);
+    taxModel.grow(balances, 1.1);
+    const table = taxModel.getTaxTable(0, 75);
+    const withdrawal = taxModel.withdraw(balances, 10_000, 0, table);
+
+    assert.equal(withdrawal.rmd, 20_000);
+    assert.equal(withdrawal.withdrawal, 20_000);
+    assert.equal(withdrawal.tax, taxModel.calculateTax(20_000, 0, table));
+    assert.equal(withdrawal.rmd_reinvested, 20_000 - 10_000 - withdrawal.tax);
+    assert.ok(Math.abs(balances.pre_tax - (492_000 * 1.1 - 20_000)) < 1e-6);
+    assert.ok(Math.abs(balances.taxable - (492_000 * 1.1 + withdrawal.rmd_reinvested)) < 1e-6);
+
+    // A larger need is met from the RMD first, then by the withdrawal order
+    const needy = taxModel.openBalances(984_000);
+    taxModel.grow(needy, 1);
+    const large = taxModel.withdraw(needy, 60_000, 0, table);
+    assert.equal(large.rmd_reinvested, 0);
+    assert.ok(Math.abs(large.withdrawal - large.tax - 60_000) < 0.01);
+    assert.ok(Math.abs(needy.pre_tax - (492_000 - 20_000)) < 1e-6);
+});
+
+test('the cash-flow timeline shows RMDs from the start age', () => {
+    const calculator = new GuardrailCalculator();
+    const result = calculator.calculate({ ...BASE });
+    const at = (age) => result.cashflow_timeline.find(year => year.age === age);
+
+    assert.equal(at(72).rmd, 0);
+    assert.ok(at(73).rmd > 0);
+    // With 40,000 of spending and 30,000 of income the RMD is mostly surplus
+    assert.ok(at(73).rmd_reinvested > 0 && at(73).rmd_reinvested < at(73).rmd);
+
+    const later = calculator.calculate({ ...BASE, rmd_start_age: 75 });
+    assert.equal(later.cashflow_timeline.find(year => year.age === 74).rmd, 0);
+    assert.ok(later.cashflow_timeline.find(year => year.age === 74).taxes < at(74).taxes);
+
+    const untaxed = calculator.calculate({ ...BASE, pre_tax_fraction: undefined });
+    assert.ok(untaxed.cashflow_timeline.every(year => year.rmd === 0 && year.rmd_reinvested === 0));
+});
+
+test('spending limits with RMDs match the simulated paths', () => {
+    const calculator = new GuardrailCalculator();
+    const params = { ...BASE, current_portfolio_value: 800_000 };
+    calculator.validateParams(params);
+    const cashFlowModel = calculator.createCashFlowModel(params);
+    const generator = () => calculator.createSeededGenerator(params, calculator.createGeneratorFactory(params, 'standard'));
+    const limits = calculator.createSimulation(params, cashFlowModel, 40_000, 70, 20, generator()).getSpendingLimits();
+
+    for (const i of [0, 5, 11]) {
+        const at = (spending) => calculator.createSimulation(params, cashFlowModel, spending, 70, 20, generator())
+            .runSingleIteration(i, false).success;
+        assert.ok(at(limits[i] - 2), `path ${i} survives below its limit`);
+        assert.ok(!at(limits[i] + 1), `path ${i} fails above its limit`);
+    }
+});
+
+test('RMD inputs are validated', () => {
+    const fields = (data) => validateInput({ ...BASE, ...data }).map(error => error.field);
+
+    assert.deepEqual(fields({}), []);
+    assert.ok(fields({ pre_tax_fraction: 1.5 }).includes('pre_tax_fraction'));
+    assert.ok(fields({ accounts: { pre_tax: 2_000_000 } }).includes('pre_tax_fraction'));
+    assert.ok(fields({ rmd_start_age: 70 }).includes('rmd_start_age'));
+    assert.ok(fields({ rmd_start_age: 73.5 }).includes('rmd_start_age'));
+});
@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GuardrailCalculator } from '../docs/js/logic/GuardrailCalculator.js';
+import { runCalculations } from '../docs/js/logic/runCalculations.js';
+import { exploreRothConversions } from '../docs/js/logic/rothConversions.js';
+import { TaxModel } from '../docs/js/logic/TaxModel.js';
+import { validateInput } from '../docs/js/logic/validateInput.js';
+
+const BASE = {
+    spouse1_age: 63, retirement_age: 63, planning_horizon_years: 30,
+    current_portfolio_value: 1_500_000, desired_spending: 60_000,
+    stock_allocation: 60, bond_allocation: 30, cash_allocation: 10,
+    monte_carlo_iterations: 500, random_seed: 31,
+    income_sources: [{ name: 'Social Security', type: 'social_security', annual_amount: 30_000, start_age: 70 }],
+    accounts: { pre_tax: 1_000_000, roth: 0, taxable: 500_000 },
+};
+
+const model = (rothConversion) => new TaxModel({
+    shares: { pre_tax: 0.5, roth: 0, taxable: 0.5 },
+    inflationRate: 0.03,
+    rothConversion,
+});
+
+test('a bracket-filling conversion tops ordinary income up to the bracket', () => {
+    const taxModel = model({ type: 'fill_bracket', bracket_rate: 0.12, until_age: 70 });
+    const table = taxModel.getTaxTable(0, 66);
+    const ceiling = 14_600 + 1_950 + 47_150;
+    assert.equal(table.conversion.ceiling, ceiling);
+    assert.equal(taxModel.getTaxTable(0, 70).conversion, null);
+
+    const balances = taxModel.openBalances(1_000_000);
+    taxModel.grow(balances, 1);
+    const withdrawal = taxModel.withdraw(balances, 0, 20_000, table);
+    assert.equal(withdrawal.conversion, ceiling - 20_000);
+    assert.ok(Math.abs(withdrawal.tax - (1_160 + 0.12 * (47_150 - 11_600))) < 1e-9);
+    assert.equal(balances.roth, ceiling - 20_000);
+    // The conversion's tax is withdrawn from the taxable account
+    assert.ok(Math.abs(taxModel.getTotal(balances) - (1_000_000 - withdrawal.tax)) < 0.01);
+});
+
+test('a fixed conversion is indexed with inflation and limited to the pre-tax balance', () => {
+    const taxModel = model({ type: 'fixed', amount: 50_000, years: 3 });
+    assert.ok(Math.abs(taxModel.getTaxTable(2, 65).conversion.amount - 50_000 * 1.03 ** 2) < 1e-9);
+    assert.equal(taxModel.getTaxTable(3, 66).conversion, null);
+
+    const balances = taxModel.openBalances(60_000);
+    taxModel.grow(balances, 1);
+    assert.equal(taxModel.withdraw(balances, 0, 0, taxModel.getTaxTable(0, 65)).conversion, 30_000);
+    assert.equal(balances.pre_tax, 0);
+});
+
+test('the explorer compares strategies on the same return paths', () => {
+    const strategies = [
+        { type: 'fill_bracket', bracket_rate: 0.22 },
+        { name: 'Five years', type: 'fixed', amount: 40_000, years: 5 },
+    ];
+    const explored = exploreRothConversions({ ...BASE }, strategies);
+    const baseline = new GuardrailCalculator().calculate({ ...BASE });
+
+    assert.equal(explored.random_seed, 31);
+    assert.equal(explored.baseline.probability_of_success, baseline.probability_of_success);
+    assert.equal(explored.baseline.mean_lifetime_roth_conversions, 0);
+
+    const [bracket, fixed] = explored.strategies;
+    assert.equal(bracket.name, 'Fill the 22% bracket until 73');
+    assert.equal(fixed.name, 'Five years');
+    assert.deepEqual(fixed.strategy, { type: 'fixed', amount: 40_000, years: 5 });
+    assert.ok(bracket.mean_lifetime_roth_conversions > fixed.mean_lifetime_roth_conversions);
+    assert.equal(bracket.change.mean_lifetime_taxes, bracket.mean_lifetime_taxes - explored.baseline.mean_lifetime_taxes);
+
+    // Converting ahead of RMDs lowers lifetime taxes on this plan
+    assert.ok(bracket.change.mean_lifetime_taxes < 0);
+
+    const converted = new GuardrailCalculator().calculate({ ...BASE, roth_conversion: strategies[0] });
+    assert.equal(bracket.probability_of_success, converted.probability_of_success);
+    assert.ok(converted.cashflow_timeline.find(year => year.age === 72).roth_conversion > 0);
+    assert.equal(converted.cashflow_timeline.find(year => year.age === 73).roth_conversion, 0);
+});
+
+test('taxes are averaged over the simulated paths and terminal wealth is after tax', () => {
+    const explored = exploreRothConversions({ ...BASE }, [{ type: 'fill_bracket', bracket_rate: 0.12 }]);
+    const baseline = new GuardrailCalculator().calculate({ ...BASE, keep_raw_paths: true });
+
+    const paths = baseline.monte_carlo.raw_paths;
+    const meanTaxes = paths.reduce((total, path) =>
+        total + path.yearly_values.reduce((sum, year) => sum + year.taxes, 0), 0) / paths.length;
+    assert.equal(explored.baseline.mean_lifetime_taxes, Math.round(meanTaxes));
+
+    // Pre-tax savings left at the end are discounted, so after-tax wealth is lower
+    assert.ok(explored.baseline.median_terminal_value_after_tax < baseline.monte_carlo.percentiles.p50);
+});
+
+test('the explorer runs from runCalculations and needs a pre-tax balance', () => {
+    const output = runCalculations({
+        ...BASE,
+        roth_conversion_explorer_enabled: true,
+        roth_conversion_strategies: [{ type: 'fixed', amount: 20_000, years: 2 }],
+    });
+    assert.equal(output.rothConversionResults.strategies.length, 1);
+    assert.equal(runCalculations({ ...BASE }).rothConversionResults, null);
+
+    assert.throws(
+        () => exploreRothConversions({ ...BASE, accounts: { roth: 1_500_000 } }),
+        /pre-tax balance/
+    );
+});
+
+test('Roth conversion inputs are validated', () => {
+    const fields = (data) => validateInput({ ...BASE, ...data }).map(error => error.field);
+
+    assert.deepEqual(fields({ roth_conversion: { type: 'fill_bracket', bracket_rate: 0.24, until_age: 75 } }), []);
+    assert.ok(fields({ roth_conversion: { type: 'fill_bracket', bracket_rate: 0.37 } }).includes('roth_conversion'));
+    assert.ok(fields({ roth_conversion: { type: 'fixed', amount: 10_000, years: 0 } }).includes('roth_conversion'));
+    assert.ok(fields({ roth_conversion: { type: 'ladder' } }).includes('roth_conversion'));
+    assert.ok(fields({ roth_conversion_strategies: [] }).includes('roth_conversion_strategies'));
+    assert.ok(fields({ roth_conversion_strategies: [{ type: 'fixed', amount: -1, years: 2 }] })
+        .includes('roth_conversion_strategies[0]'));
+    assert.ok(fields({ accounts: { roth: 1_500_000 }, roth_conversion_explorer_enabled: true })
+        .includes('roth_conversion_explorer_enabled'));
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GuardrailCalculator } from '../docs/js/logic/GuardrailCalculator.js';
+import { validateInput } from '../docs/js/logic/validateInput.js';
+
+const BASE = {
+    spouse1_age: 65, retirement_age: 65, planning_horizon_years: 30,
+    current_portfolio_value: 1_000_000, desired_spending: 70_000,
+    stock_allocation: 60, bond_allocation: 30, cash_allocation: 10,
+    monte_carlo_iterations: 1501, random_seed: 21,
+};
+
+test('sample paths are stratified by outcome around the median path', () => {
+    const mc = new GuardrailCalculator().calculate({ ...BASE, sample_paths: 4 }).monte_carlo;
+    const paths = mc.sample_paths;
+
+    assert.deepEqual(paths.map(path => path.outcome),
+        ['median', 'success', 'success', 'success', 'success', 'failure', 'failure', 'failure', 'failure']);
+    assert.equal(new Set(paths.map(path => path.iteration)).size, paths.length);
+
+    // An odd iteration count makes the median path's final value the p50
+    assert.equal(paths[0].final_portfolio_value, mc.percentiles.p50);
+
+    const successes = paths.filter(path => path.outcome === 'success');
+    assert.ok(successes.every(path => path.success && path.yearly_values.length === BASE.planning_horizon_years));
+    const finals = successes.map(path => path.final_portfolio_value);
+    assert.deepEqual(finals, [...finals].sort((a, b) => a - b));
+
+    const failures = paths.filter(path => path.outcome === 'failure');
+    assert.ok(failures.every(path => !path.success && path.yearly_values.length === path.depletion_year + 1));
+    const depletions = failures.map(path => path.depletion_year);
+    assert.deepEqual(depletions, [...depletions].sort((a, b) => a - b));
+
+    const year = paths[0].yearly_values[0];
+    for (const field of ['age', 'portfolio_value', 'annual_return', 'spending', 'income', 'net_withdrawal']) {
+        assert.equal(typeof year[field], 'number', field);
+    }
+});
+
+test('sampling is off by default and leaves the other results unchanged', () => {
+    const calculator = new GuardrailCalculator();
+    const plain = calculator.calculate({ ...BASE }).monte_carlo;
+    const sampled = calculator.calculate({ ...BASE, sample_paths: 2 }).monte_carlo;
+
+    assert.equal(plain.sample_paths, undefined);
+    assert.deepEqual(sampled.yearly_percentiles, plain.yearly_percentiles);
+    assert.equal(sampled.successful, plain.successful);
+    assert.equal(sampled.sample_paths.length, 5);
+
+    const errors = validateInput({ ...BASE, sample_paths: 26 });
+    assert.ok(errors.some(error => error.field === 'sample_paths'));
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GuardrailCalculator } from '../docs/js/logic/GuardrailCalculator.js';
+import { runCalculations } from '../docs/js/logic/runCalculations.js';
+import { analyzeSensitivity } from '../docs/js/logic/sensitivity.js';
+import { validateInput } from '../docs/js/logic/validateInput.js';
+
+const BASE = {
+    spouse1_age: 62, retirement_age: 62, planning_horizon_years: 30,
+    current_portfolio_value: 1_000_000, desired_spending: 60_000,
+    stock_allocation: 60, bond_allocation: 40, cash_allocation: 0,
+    monte_carlo_iterations: 500, random_seed: 37,
+    income_sources: [
+        { name: 'Social Security', type: 'social_security', recipient: 'spouse1', pia: 2_000, birth_year: 1964, claiming_age: 69 },
+        { name: 'Pension', annual_amount: 10_000, start_age: 65 },
+    ],
+    future_expenses: [{ name: 'Roof', annual_amount: 25_000, start_age: 70, type: 'one_time' }],
+};
+
+test('every key input is moved down and up by its shift', () => {
+    const sensitivity = analyzeSensitivity({ ...BASE });
+    const byKey = Object.fromEntries(sensitivity.inputs.map(input => [input.key, input]));
+    const values = (key) => [byKey[key].low.value, byKey[key].base_value, byKey[key].high.value];
+
+    assert.equal(sensitivity.random_seed, 37);
+    assert.equal(sensitivity.iterations, 500);
+    assert.deepEqual(values('capital_market_assumptions.stocks.mean'), [0.09, 0.1, 0.11]);
+    assert.deepEqual(values('inflation_rate'), [0.015, 0.025, 0.035]);
+    assert.deepEqual(values('annual_fee_percentage'), [0.005, 0.0075, 0.01]);
+    assert.deepEqual(values('planning_horizon_years'), [25, 30, 35]);
+    assert.deepEqual(values('desired_spending'), [54_000, 60_000, 66_000]);
+    assert.deepEqual(values('income_sources[0].pia'), [1_800, 2_000, 2_200]);
+    assert.deepEqual(values('income_sources[1].annual_amount'), [9_000, 10_000, 11_000]);
+    assert.deepEqual(values('income_sources[1].start_age'), [63, 65, 67]);
+    assert.deepEqual(values('future_expenses[0].annual_amount'), [22_500, 25_000, 27_500]);
+
+    // Claiming ages stop at 70, and a cash share of 0 is left out
+    assert.deepEqual(values('income_sources[0].claiming_age'), [67, 69, 70]);
+    assert.equal(byKey['capital_market_assumptions.cash.mean'], undefined);
+    assert.equal(sensitivity.inputs.length, 11);
+});
+
+test('inputs are ranked by their swing, and each variant matches an evaluation', () => {
+    const sensitivity = analyzeSensitivity({ ...BASE, sensitivity_shifts: { return: 0.02 } });
+    const { inputs, rankings } = sensitivity;
+
+    assert.equal(sensitivity.shifts.return, 0.02);
+    assert.equal(sensitivity.shifts.inflation, 0.01);
+    assert.deepEqual(rankings.probability_of_success, inputs.map(input => input.key));
+    inputs.forEach((input, i) => {
+        assert.equal(input.pos_swing,
+            Number(Math.abs(input.high.probability_of_success - input.low.probability_of_success).toFixed(2)));
+        if (i > 0) assert.ok(input.pos_swing <= inputs[i - 1].pos_swing);
+    });
+    const spendingSwings = rankings.recommended_spending.map(key => inputs.find(input => input.key === key).spending_swing);
+    assert.deepEqual(spendingSwings, [...spendingSwings].sort((a, b) => b - a));
+
+    const stocks = inputs.find(input => input.key === 'capital_market_assumptions.stocks.mean');
+    assert.equal(stocks.low.value, 0.08);
+    const evaluation = new GuardrailCalculator().evaluatePlan({ ...BASE, capital_market_assumptions: { stocks: { mean: 0.08 } } });
+    assert.equal(stocks.low.probability_of_success, evaluation.probability_of_success);
+    assert.equal(stocks.low.sustainable_spending, evaluation.sustainable_spending);
+    assert.ok(stocks.low.probability_of_success < stocks.high.probability_of_success);
+});
+
+test('the baseline matches the headline results and runs from runCalculations', () => {
+    const output = runCalculations({ ...BASE, sensitivity_enabled: true });
+    const { base } = output.sensitivityResults;
+
+    assert.equal(base.probability_of_success, output.results.probability_of_success);
+    assert.equal(base.recommended_spending, output.results.recommended_spending);
+    assert.equal(runCalculations({ ...BASE }).sensitivityResults, null);
+});
+
+test('sensitivity shifts are validated', () => {
+    const fields = (data) => validateInput({ ...BASE, ...data }).map(error => error.field);
+
+    assert.deepEqual(fields({ sensitivity_enabled: true, sensitivity_shifts: { amount: 0.2, age: 1 } }), []);
+    assert.ok(fields({ sensitivity_shifts: [] }).includes('sensitivity_shifts'));
+    assert.ok(fields({ sensitivity_shifts: { returns: 0.01 } }).includes('sensitivity_shifts.returns'));
+    assert.ok(fields({ sensitivity_shifts: { fee: -0.01 } }).includes('sensitivity_shifts.fee'));
+    assert.ok(fields({ sensitivity_shifts: { horizon: 2.5 } }).includes('sensitivity_shifts.horizon'));
+});
@@ -0,0 +1,151 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { optimizeClaimingAges } from '../docs/js/logic/claimingOptimizer.js';
+import { GuardrailCalculator } from '../docs/js/logic/GuardrailCalculator.js';
+import { runCalculations } from '../docs/js/logic/runCalculations.js';
+import {
+    getFullRetirementAge,
+    getRetirementBenefitFactor,
+    getSpousalBenefitFactor,
+    getSurvivorBenefitFactor,
+    resolveSocialSecurity,
+} from '../docs/js/logic/socialSecurity.js';
+import { validateInput } from '../docs/js/logic/validateInput.js';
+
+const near = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-9, message ?? `${actual} != ${expected}`);
+
+const BASE = {
+    spouse1_age: 64, spouse2_age: 62, retirement_age: 62, planning_horizon_years: 30,
+    current_portfolio_value: 900_000, desired_spending: 70_000,
+    stock_allocation: 60, bond_allocation: 30, cash_allocation: 10,
+    monte_carlo_iterations: 200, random_seed: 47,
+    income_sources: [
+        { name: 'Alex SS', type: 'social_security', recipient: 'spouse1', pia: 3_000, birth_year: 1961, claiming_age: 67 },
+        { name: 'Sam SS', type: 'social_security', recipient: 'spouse2', pia: 1_000, birth_year: 1963, claiming_age: 67 },
+    ],
+};
+
+test('benefits follow the early-reduction and delayed-credit rules', () => {
+    assert.equal(getFullRetirementAge(1950), 66);
+    near(getFullRetirementAge(1957), 66.5);
+    assert.equal(getFullRetirementAge(1965), 67);
+
+    near(getRetirementBenefitFactor(1961, 62), 0.70);
+    near(getRetirementBenefitFactor(1961, 67), 1);
+    near(getRetirementBenefitFactor(1961, 70), 1.24);
+    near(getRetirementBenefitFactor(1950, 62), 0.75);
+    near(getRetirementBenefitFactor(1950, 70), 1.32);
+
+    near(getSpousalBenefitFactor(1961, 62), 0.65);
+    near(getSpousalBenefitFactor(1961, 70), 1);
+    near(getSurvivorBenefitFactor(1961, 60), 0.715);
+    near(getSurvivorBenefitFactor(1961, 67), 1);
+});
+
+test('the lower earner gets a spousal top-up once both have claimed', () => {
+    const ages = { spouse1: 64, spouse2: 62 };
+    const [own1, own2, spousal] = resolveSocialSecurity(BASE.income_sources, { ages });
+
+    near(own1.annual_amount, 36_000);
+    assert.equal(own1.start_age, 67);
+    near(own2.annual_amount, 12_000);
+    assert.equal(spousal.name, 'Sam SS (spousal)');
+    assert.equal(spousal.spousal, true);
+    assert.equal(spousal.start_age, 67);
+    near(spousal.annual_amount, 12 * 500);
+
+    // Spouse 2 claims at 62, but the top-up waits until spouse 1 claims at 67,
+    // when spouse 2 is 65: two years before FRA
+    const early = resolveSocialSecurity(
+        [BASE.income_sources[0], { ...BASE.income_sources[1], claiming_age: 62 }],
+        { ages }
+    ).find(source => source.spousal);
+    assert.equal(early.start_age, 65);
+    near(early.annual_amount, 12 * 500 * (1 - 24 * 25 / 3600));
+});
+
+test('the survivor steps up to the deceased\'s benefit', () => {
+    const params = {
+        ...BASE,
+        survivor_modeling: true, first_death_spouse: 'spouse1', first_death_age: 75,
+        income_sources: [
+            { ...BASE.income_sources[0], claiming_age: 70 },
+            BASE.income_sources[1],
+        ],
+    };
+    const calculator = new GuardrailCalculator();
+    calculator.validateParams(params);
+    const cashFlowModel = calculator.createCashFlowModel(params);
+    const income = (age) => cashFlowModel.getIncomeForYear(age, 0);
+
+    // Before the death: both own benefits and the spousal top-up
+    const spousal = 12 * (1_500 - 1_000);
+    near(income(74), 36_000 * 1.24 + 12_000 + spousal);
+    // Spouse 2 is 73, past FRA: the full benefit spouse 1 was receiving
+    near(income(75), 36_000 * 1.24);
+});
+
+test('evaluatePlan agrees with the full calculation on the same paths', () => {
+    const calculator = new GuardrailCalculator();
+    const evaluation = calculator.evaluatePlan({ ...BASE });
+    const result = calculator.calculate({ ...BASE });
+
+    assert.equal(evaluation.probability_of_success, result.probability_of_success);
+    const atSustainable = calculator.calculate({ ...BASE, desired_spending: evaluation.sustainable_spending });
+    assert.ok(atSustainable.probability_of_success >= calculator.targetPos);
+});
+
+test('the optimizer ranks every open combination of claiming ages', () => {
+    const params = { ...BASE, spouse1_age: 67, spouse2_age: 66, retirement_age: 66 };
+    const optimized = optimizeClaimingAges(params);
+
+    // Spouse 1 can still claim at 67–70 and spouse 2 at 66–70
+    assert.equal(optimized.combinations.length, 4 * 5);
+    assert.equal(optimized.rank_by, 'sustainable_spending');
+    assert.equal(optimized.random_seed, 47);
+    assert.deepEqual(optimized.best, optimized.combinations[0]);
+    for (let i = 1; i < optimized.combinations.length; i++) {
+        assert.ok(optimized.combinations[i - 1].sustainable_spending >= optimized.combinations[i].sustainable_spending);
+    }
+
+    const delayed = optimized.combinations.find(c => c.claiming_ages.spouse1 === 70 && c.claiming_ages.spouse2 === 70);
+    assert.deepEqual(delayed.annual_benefits, { spouse1: 44_640, spouse2: 14_880 });
+    const evaluation = new GuardrailCalculator().evaluatePlan({
+        ...params,
+        income_sources: params.income_sources.map(source => ({ ...source, claiming_age: 70 })),
+    });
+    assert.equal(delayed.probability_of_success, evaluation.probability_of_success);
+    assert.equal(delayed.sustainable_spending, evaluation.sustainable_spending);
+
+    const byPos = optimizeClaimingAges({ ...params, claiming_rank_by: 'probability_of_success' });
+    assert.equal(byPos.best.probability_of_success, Math.max(...optimized.combinations.map(c => c.probability_of_success)));
+});
+
+test('the optimizer runs from runCalculations and needs a pia source', () => {
+    const output = runCalculations({ ...BASE, spouse1_age: 69, spouse2_age: 69, retirement_age: 65, claiming_optimizer_enabled: true });
+    assert.equal(output.claimingResults.combinations.length, 4);
+    assert.equal(runCalculations({ ...BASE }).claimingResults, null);
+
+    assert.throws(
+        () => optimizeClaimingAges({ ...BASE, income_sources: [] }),
+        /with a pia/
+    );
+});
+
+test('PIA-based sources are validated', () => {
+    const fields = (data) => validateInput({ ...BASE, ...data }).map(error => error.field);
+    const withSources = (...changes) => fields({
+        income_sources: BASE.income_sources.map((source, index) => ({ ...source, ...changes[index] })),
+    });
+
+    assert.deepEqual(fields({}), []);
+    assert.deepEqual(fields({ claiming_optimizer_enabled: true, claiming_rank_by: 'probability_of_success' }), []);
+    assert.ok(withSources({ claiming_age: 61 }).includes('income_Alex SS'));
+    assert.ok(withSources({ claiming_age: 67.5 }).includes('income_Alex SS'));
+    assert.ok(withSources({ birth_year: undefined }).includes('income_Alex SS'));
+    assert.ok(withSources({ type: 'pension' }).includes('income_Alex SS'));
+    assert.ok(withSources({}, { recipient: 'spouse1' }).includes('income_sources'));
+    assert.ok(fields({ claiming_rank_by: 'income' }).includes('claiming_rank_by'));
+    assert.ok(fields({ income_sources: [], claiming_optimizer_enabled: true }).includes('claiming_optimizer_enabled'));
+});
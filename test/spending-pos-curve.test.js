@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GuardrailCalculator } from '../docs/js/logic/GuardrailCalculator.js';
+
+const BASE = {
+    spouse1_age: 65, retirement_age: 65, planning_horizon_years: 30,
+    current_portfolio_value: 1_000_000, desired_spending: 50_000,
+    stock_allocation: 60, bond_allocation: 35, cash_allocation: 5,
+    monte_carlo_iterations: 1000, random_seed: 29,
+};
+
+test('the curve runs from $0 down to zero PoS without rising', () => {
+    const curve = new GuardrailCalculator().calculate({ ...BASE }).spending_pos_curve;
+    const { points } = curve;
+
+    assert.equal(curve.iterations, 1000);
+    assert.ok(points.length > 2 && points.length <= 101);
+    assert.deepEqual(points[0], { spending: 0, probability_of_success: 100 });
+    assert.equal(points.at(-1).probability_of_success, 0);
+    assert.ok(points.slice(0, -1).every(point => point.probability_of_success > 0));
+
+    const step = points[1].spending;
+    assert.equal(step % 10, 0);
+    points.forEach((point, i) => {
+        assert.equal(point.spending, i * step);
+        if (i > 0) assert.ok(point.probability_of_success <= points[i - 1].probability_of_success);
+    });
+});
+
+test('the curve passes through the headline PoS and the guardrail spending levels', () => {
+    const calculator = new GuardrailCalculator();
+    const result = calculator.calculate({ ...BASE });
+    const curve = result.spending_pos_curve;
+
+    assert.deepEqual(curve.desired, { spending: 50_000, probability_of_success: result.probability_of_success });
+
+    const { target, lower, upper } = curve.guardrails;
+    assert.equal(target.probability_of_success, 90);
+    assert.equal(target.spending, calculator.evaluatePlan({ ...BASE }).sustainable_spending);
+    assert.equal(target.spending, result.recommended_spending);
+    assert.ok(upper.spending < target.spending && target.spending < lower.spending);
+
+    // The spending at each guardrail is the highest level that still meets it
+    const pos = (spending) => calculator.evaluatePlan({ ...BASE, desired_spending: spending }).probability_of_success;
+    assert.ok(pos(lower.spending) >= 80);
+    assert.ok(pos(lower.spending + 10) < 80);
+});
+
+test('only the standard result carries the curve, and only when asked for', () => {
+    const calculator = new GuardrailCalculator();
+
+    assert.equal(calculator.calculateEnhanced({ ...BASE }).spending_pos_curve, undefined);
+    assert.equal(calculator.calculateHistorical({ ...BASE }).spending_pos_curve, undefined);
+
+    const withoutCurve = calculator.calculate({ ...BASE }, { includeSpendingCurve: false });
+    assert.equal(withoutCurve.spending_pos_curve, undefined);
+    assert.equal(withoutCurve.recommended_spending, calculator.calculate({ ...BASE }).recommended_spending);
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GuardrailCalculator } from '../docs/js/logic/GuardrailCalculator.js';
+import { MonteCarloSimulation } from '../docs/js/logic/MonteCarloSimulation.js';
+import { ReturnGenerator } from '../docs/js/logic/ReturnGenerator.js';
+import { CashFlowModel } from '../docs/js/logic/CashFlowModel.js';
+import { SpendingProfile } from '../docs/js/logic/SpendingProfile.js';
+import { SeededRandom } from '../docs/js/logic/random.js';
+import { getQuantileConfidenceInterval } from '../docs/js/logic/statistics.js';
+
+const BASE = {
+    spouse1_age: 65, retirement_age: 65, planning_horizon_years: 30,
+    current_portfolio_value: 1_000_000, desired_spending: 68_000,
+    stock_allocation: 60, bond_allocation: 30, cash_allocation: 10,
+    monte_carlo_iterations: 2000, random_seed: 31337,
+    income_sources: [{ name: 'Social Security', annual_amount: 18_000, start_age: 70 }],
+};
+
+test('per-path spending limits agree with simulating each path', () => {
+    const cashFlowModel = new CashFlowModel(new SpendingProfile('smile'), 0.025);
+    cashFlowModel.addIncomeSource('Pension', 15_000, 68);
+    cashFlowModel.addExpenseItem('Car', 35_000, 72, null, true, true);
+    const simulate = (spending) => new MonteCarloSimulation(
+        cashFlowModel, 900_000, spending, 65, 65, 25, 60, 30, 10, 0.0075, 300,
+        new ReturnGenerator({ random: new SeededRandom(8) })
+    );
+
+    const limits = simulate(50_000).getSpendingLimits();
+    for (const spending of [20_000, 45_000, 70_000]) {
+        const sim = simulate(spending);
+        for (let i = 0; i < 300; i++) {
+            assert.equal(sim.runSingleIteration(i, false).success, limits[i] > spending, `path ${i} at ${spending}`);
+        }
+    }
+});
+
+test('recommended spending is exact on the headline return paths', () => {
+    const calculator = new GuardrailCalculator();
+    const result = calculator.calculate({ ...BASE });
+    const solver = result.spending_solver;
+
+    assert.equal(result.spending_adjustment_needed, 'decrease');
+    assert.equal(solver.spending, result.recommended_spending);
+    assert.equal(solver.iterations, BASE.monte_carlo_iterations);
+    assert.equal(solver.target_pos, 90);
+    assert.ok(solver.achieved_pos >= 90);
+    assert.equal(result.recommended_spending % 10, 0);
+
+    const at = (spending) => calculator.calculate({ ...BASE, desired_spending: spending }).probability_of_success;
+    assert.equal(at(result.recommended_spending), solver.achieved_pos);
+    assert.ok(at(result.recommended_spending + 10) < 90);
+
+    const { lower, upper, level } = solver.confidence_interval;
+    assert.equal(level, 95);
+    assert.ok(lower <= solver.spending && solver.spending <= upper);
+});
+
+test('no solve is reported when spending is within the guardrails', () => {
+    const calculator = new GuardrailCalculator();
+    const result = calculator.calculate({ ...BASE, desired_spending: 60_000 });
+
+    assert.equal(result.spending_adjustment_needed, 'maintain');
+    assert.equal(result.spending_solver, null);
+});
+
+test('quantile confidence interval uses the surrounding order statistics', () => {
+    const values = Array.from({ length: 1000 }, (_, i) => i);
+    const { lower, upper } = getQuantileConfidenceInterval(values, 0.1);
+
+    // 100 ± 1.96·√90 ≈ 100 ± 18.6
+    assert.equal(lower, 81);
+    assert.equal(upper, 119);
+    assert.deepEqual(getQuantileConfidenceInterval([5], 0.5), { lower: 5, upper: 5 });
+});
@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CashFlowModel } from '../docs/js/logic/CashFlowModel.js';
+import { GuardrailCalculator } from '../docs/js/logic/GuardrailCalculator.js';
+import { SpendingProfile } from '../docs/js/logic/SpendingProfile.js';
+import { getLifeExpectancy } from '../docs/js/logic/mortality.js';
+import { validateInput } from '../docs/js/logic/validateInput.js';
+
+const BASE = {
+    spouse1_age: 67, spouse2_age: 64, retirement_age: 65, planning_horizon_years: 30,
+    current_portfolio_value: 1_000_000, desired_spending: 60_000,
+    stock_allocation: 60, bond_allocation: 30, cash_allocation: 10,
+    monte_carlo_iterations: 1000, random_seed: 9,
+    income_sources: [
+        { name: 'SS 1', recipient: 'spouse1', type: 'social_security', annual_amount: 30_000, start_age: 67 },
+        { name: 'SS 2', recipient: 'spouse2', type: 'social_security', annual_amount: 15_000, start_age: 67 },
+    ],
+};
+
+test('after the first death only the larger Social Security benefit continues', () => {
+    const model = new CashFlowModel(new SpendingProfile('flat', { survivorMultiplier: 0.7 }), 0);
+    model.addIncomeSource('SS 1', 30_000, 67, null, true, { recipient: 'spouse1', type: 'social_security' });
+    model.addIncomeSource('SS 2', 15_000, 70, null, true, { recipient: 'spouse2', type: 'social_security' });
+    model.addIncomeSource('Pension', 20_000, 65, null, true, { recipient: 'spouse1', type: 'pension', survivorPercentage: 50 });
+    model.addIncomeSource('Consulting', 10_000, 65, null, true, { recipient: 'spouse1' });
+    model.addIncomeSource('Rent', 5_000, 65, null, true);
+
+    assert.equal(model.getIncomeForYear(72, 5), 80_000);
+    assert.equal(model.getSpendingForYear(50_000, 72, 65, 5), 50_000);
+
+    // Spouse 1 dies: survivor keeps the larger benefit, half the pension and the rent
+    model.setFirstDeath(75, 'spouse1');
+    assert.equal(model.getIncomeForYear(74, 7), 80_000);
+    assert.equal(model.getIncomeForYear(75, 8), 30_000 + 10_000 + 5_000);
+    assert.equal(model.getSpendingForYear(50_000, 75, 65, 8), 35_000);
+
+    // Spouse 2 dies: spouse 1 keeps their own income, including the larger benefit
+    model.setFirstDeath(75, 'spouse2');
+    assert.equal(model.getIncomeForYear(75, 8), 30_000 + 20_000 + 10_000 + 5_000);
+});
+
+test('household Social Security takes part in the larger-benefit rule', () => {
+    const model = new CashFlowModel(new SpendingProfile('flat'), 0);
+    model.addIncomeSource('SS 1', 30_000, 67, null, true, { recipient: 'spouse1', type: 'social_security' });
+    model.addIncomeSource('SS household', 18_000, 67, null, true, { type: 'social_security' });
+    model.addIncomeSource('Rent', 5_000, 65, null, true);
+    assert.equal(model.getIncomeForYear(72, 5), 53_000);
+
+    // Either way only the larger benefit continues; rent is unaffected
+    model.setFirstDeath(75, 'spouse2');
+    assert.equal(model.getIncomeForYear(75, 8), 30_000 + 5_000);
+    model.setFirstDeath(75, 'spouse1');
+    assert.equal(model.getIncomeForYear(75, 8), 30_000 + 5_000);
+
+    // A larger household benefit is the one that continues
+    const household = new CashFlowModel(new SpendingProfile('flat'), 0);
+    household.addIncomeSource('SS 1', 12_000, 67, null, true, { recipient: 'spouse1', type: 'social_security' });
+    household.addIncomeSource('SS household', 20_000, 67, null, true, { type: 'social_security' });
+    household.setFirstDeath(75, 'spouse1');
+    assert.equal(household.getIncomeForYear(75, 8), 20_000);
+});
+
+test('the deceased\'s benefit only replaces the survivor\'s once it was due to start', () => {
+    const model = new CashFlowModel(new SpendingProfile('flat'), 0);
+    model.addIncomeSource('SS 1', 10_000, 66, null, true, { recipient: 'spouse1', type: 'social_security' });
+    model.addIncomeSource('SS 2', 25_000, 72, null, true, { recipient: 'spouse2', type: 'social_security' });
+    model.setFirstDeath(68, 'spouse2');
+
+    assert.equal(model.getIncomeForYear(70, 0), 10_000);
+    assert.equal(model.getIncomeForYear(72, 0), 25_000);
+});
+
+test('survivor modeling defaults to the shorter life expectancy and lowers PoS', () => {
+    const calculator = new GuardrailCalculator();
+    const params = { ...BASE, spouse1_sex: 'male', spouse2_sex: 'female' };
+    const couple = calculator.calculate({ ...params });
+    const survivor = calculator.calculate({ ...params, survivor_modeling: true });
+
+    assert.equal(couple.survivor, undefined);
+    assert.equal(survivor.survivor.deceased, 'spouse1');
+    assert.equal(survivor.survivor.first_death_age, 67 + Math.round(getLifeExpectancy(67, 'male')));
+    assert.equal(survivor.survivor.spending_multiplier, 0.75);
+    assert.ok(survivor.survivor.household_income_after < survivor.survivor.household_income_before);
+
+    const year = survivor.cashflow_timeline[survivor.survivor.plan_year];
+    assert.equal(year.income, survivor.survivor.household_income_after);
+    assert.ok(year.spending < couple.cashflow_timeline[survivor.survivor.plan_year].spending);
+
+    // With a full survivor spending need, losing the smaller benefit only hurts
+    const fullSpending = calculator.calculate({ ...params, survivor_modeling: true, survivor_spending_multiplier: 1 });
+    assert.ok(fullSpending.probability_of_success < couple.probability_of_success);
+
+    // Spouse 2 dies at 70, in plan year 70 - 64 = 6
+    const explicit = calculator.calculate({ ...params, survivor_modeling: true, first_death_spouse: 'spouse2', first_death_age: 70 });
+    assert.equal(explicit.survivor.plan_year, 6);
+    const lost = explicit.survivor.household_income_before - explicit.survivor.household_income_after;
+    assert.ok(Math.abs(lost - 15_000 * 1.025 ** 6) < 1e-6);
+});
+
+test('survivor inputs are validated', () => {
+    const fields = (data) => validateInput({ ...BASE, ...data }).map(error => error.field);
+
+    assert.ok(fields({ survivor_modeling: true, spouse2_age: null }).includes('survivor_modeling'));
+    assert.ok(fields({ survivor_spending_multiplier: 0.2 }).includes('survivor_spending_multiplier'));
+    assert.ok(fields({ first_death_spouse: 'spouse3' }).includes('first_death_spouse'));
+    assert.ok(fields({ first_death_spouse: 'spouse2', first_death_age: 60 }).includes('first_death_age'));
+    assert.ok(fields({ income_sources: [{ name: 'DB', type: 'pension', survivor_percentage: 120 }] }).includes('income_DB'));
+    assert.deepEqual(fields({ survivor_modeling: true, first_death_age: 65 }), []);
+});
@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GuardrailCalculator } from '../docs/js/logic/GuardrailCalculator.js';
+import { TaxModel } from '../docs/js/logic/TaxModel.js';
+import { validateInput } from '../docs/js/logic/validateInput.js';
+
+const BASE = {
+    spouse1_age: 67, spouse2_age: 65, retirement_age: 65, planning_horizon_years: 30,
+    current_portfolio_value: 1_000_000, desired_spending: 70_000,
+    stock_allocation: 60, bond_allocation: 30, cash_allocation: 10,
+    monte_carlo_iterations: 1000, random_seed: 17,
+    income_sources: [{ name: 'Social Security', type: 'social_security', annual_amount: 40_000, start_age: 67 }],
+};
+const ACCOUNTS = { pre_tax: 600_000, roth: 100_000, taxable: 300_000, taxable_basis: 200_000 };
+
+const model = (options = {}) => new TaxModel({
+    shares: { pre_tax: 0.6, roth: 0.1, taxable: 0.3 },
+    basisRatio: 0.5,
+    inflationRate: 0,
+    ...options,
+});
+
+test('ordinary income uses the brackets after the deduction; gains stack on top', () => {
+    const table = model().getTaxTable(0, 60);
+    assert.equal(table.filing_status, 'single');
+    assert.equal(table.deduction, 14_600);
+
+    // 60,000 of wages: 45,400 taxable = 1,160 + 12% of 33,800
+    assert.equal(model().calculateTax(60_000, 0, table), 1_160 + 0.12 * 33_800);
+    // Gains inside the 0% band are free; the part above 47,025 pays 15%
+    assert.equal(model().calculateTax(14_600, 40_000, table), 0);
+    assert.ok(Math.abs(model().calculateTax(54_600, 20_000, table) - (model().calculateTax(54_600, 0, table) + 0.15 * 12_975)) < 1e-9);
+
+    // A couple over 65 gets both extra deductions; brackets index with inflation
+    const couple = model({ spouse2AgeOffset: -1, inflationRate: 0.03 }).getTaxTable(2, 67);
+    assert.equal(couple.filing_status, 'married_filing_jointly');
+    assert.ok(Math.abs(couple.deduction - (29_200 + 2 * 1_550) * 1.03 ** 2) < 1e-9);
+    // After the year of the first death the survivor files as single
+    const widowed = model({ spouse2AgeOffset: -1 });
+    assert.equal(widowed.getTaxTable(10, 80, { age: 80, deceased: 'spouse2' }).filing_status, 'married_filing_jointly');
+    assert.equal(widowed.getTaxTable(11, 81, { age: 80, deceased: 'spouse2' }).filing_status, 'single');
+});
+
+test('withdrawals are grossed up so the net amount is left after tax', () => {
+    const table = model().getTaxTable(0, 70);
+    for (const withdrawalOrder of ['taxable_first', 'pre_tax_first', 'proportional']) {
+        const taxModel = model({ withdrawalOrder });
+        const balances = taxModel.openBalances(1_000_000);
+        const { tax, withdrawal, deficit } = taxModel.withdraw(balances, 80_000, 20_000, table);
+
+        assert.ok(tax > 0, withdrawalOrder);
+        assert.ok(Math.abs(withdrawal - tax - 80_000) < 0.01, withdrawalOrder);
+        assert.equal(deficit, 0);
+        assert.ok(Math.abs(taxModel.getTotal(balances) - (1_000_000 - withdrawal)) < 1e-6, withdrawalOrder);
+    }
+
+    // Taxable first: the brokerage account is drawn alone and its basis falls in proportion
+    const taxModel = model();
+    const balances = taxModel.openBalances(1_000_000);
+    const { withdrawal } = taxModel.withdraw(balances, 50_000, 0, table);
+    assert.equal(balances.pre_tax, 600_000);
+    assert.equal(balances.roth, 100_000);
+    assert.ok(Math.abs(balances.basis - balances.taxable * 0.5) < 1e-6);
+    assert.ok(Math.abs(balances.taxable - (300_000 - withdrawal)) < 1e-6);
+
+    // Surplus income is invested in the taxable account after tax
+    const surplus = taxModel.openBalances(100_000);
+    const result = taxModel.withdraw(surplus, -30_000, 50_000, table);
+    assert.ok(Math.abs(surplus.taxable - (30_000 + 30_000 - result.tax)) < 1e-6);
+});
+
+test('taxes lower the sustainable spending; an untaxed Roth changes nothing', () => {
+    const calculator = new GuardrailCalculator();
+    const untaxed = calculator.calculate({ ...BASE });
+    const taxed = calculator.calculate({ ...BASE, accounts: ACCOUNTS });
+    const preTaxFirst = calculator.calculate({ ...BASE, accounts: ACCOUNTS, withdrawal_order: 'pre_tax_first' });
+
+    assert.ok(taxed.recommended_spending < untaxed.recommended_spending);
+    assert.ok(preTaxFirst.cashflow_timeline[0].taxes > taxed.cashflow_timeline[0].taxes);
+    assert.equal(taxed.income_impact.year0_taxes, taxed.cashflow_timeline[0].taxes);
+    assert.ok(untaxed.cashflow_timeline.every(year => year.taxes === 0));
+    assert.ok(taxed.monte_carlo.failure_analysis.failures >= untaxed.monte_carlo.failure_analysis.failures);
+
+    // All Roth and no taxable income: the taxed engine reproduces the untaxed one
+    const noIncome = { ...BASE, income_sources: [] };
+    const plain = calculator.calculate({ ...noIncome });
+    const roth = calculator.calculate({ ...noIncome, accounts: { roth: 1_000_000 } });
+    assert.equal(roth.probability_of_success, plain.probability_of_success);
+    assert.ok(Math.abs(roth.recommended_spending - plain.recommended_spending) <= 10);
+});
+
+test('taxed spending limits match the simulated paths', () => {
+    const calculator = new GuardrailCalculator();
+    const params = { ...BASE, accounts: ACCOUNTS };
+    calculator.validateParams(params);
+    const cashFlowModel = calculator.createCashFlowModel(params);
+    const generator = () => calculator.createSeededGenerator(params, calculator.createGeneratorFactory(params, 'standard'));
+    const limits = calculator.createSimulation(params, cashFlowModel, 70_000, 67, 20, generator()).getSpendingLimits();
+
+    for (const i of [0, 7, 13]) {
+        const at = (spending) => calculator.createSimulation(params, cashFlowModel, spending, 67, 20, generator())
+            .runSingleIteration(i, false).success;
+        assert.ok(at(limits[i] - 2), `path ${i} survives below its limit`);
+        assert.ok(!at(limits[i] + 1), `path ${i} fails above its limit`);
+    }
+});
+
+test('account inputs are validated', () => {
+    const fields = (data) => validateInput({ ...BASE, ...data }).map(error => error.field);
+
+    assert.deepEqual(fields({ accounts: ACCOUNTS }), []);
+    assert.ok(fields({ accounts: { pre_tax: 500_000 } }).includes('accounts'));
+    assert.ok(fields({ accounts: { ...ACCOUNTS, roth: -1 } }).includes('accounts.roth'));
+    assert.ok(fields({ accounts: { ...ACCOUNTS, taxable_basis: 400_000 } }).includes('accounts.taxable_basis'));
+    assert.ok(fields({ withdrawal_order: 'roth_first' }).includes('withdrawal_order'));
+});
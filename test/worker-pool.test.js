@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { runCalculations, runCalculationsInPool, runShardTask, splitRange } from '../docs/js/logic/runCalculations.js';
+import { WorkerPool } from '../docs/js/logic/WorkerPool.js';
+import { mergeShards } from '../docs/js/logic/MonteCarloSimulation.js';
+import { createShardWorkerPool } from '../cli/shard-worker.js';
+
+const BASE = {
+    spouse1_age: 65, retirement_age: 65, planning_horizon_years: 30,
+    current_portfolio_value: 1_000_000, desired_spending: 60_000,
+    stock_allocation: 60, bond_allocation: 30, cash_allocation: 10,
+    monte_carlo_iterations: 1200, random_seed: 77,
+    enhanced_mc_enabled: true, historical_mc_enabled: true,
+    income_sources: [{ name: 'Social Security', annual_amount: 20_000, start_age: 70 }],
+};
+
+// Timings differ between runs; everything else must match exactly
+function withoutTimings(output) {
+    return JSON.parse(JSON.stringify(output, (key, value) => (/(duration|build)_ms$/.test(key) ? undefined : value)));
+}
+
+// Runs shard tasks on this thread, through the same message protocol
+function createInProcessPool(size) {
+    return new WorkerPool(size, (onMessage) => ({
+        postMessage(task) {
+            setTimeout(() => {
+                try {
+                    const { shard } = runShardTask(task, (completed, successful) => onMessage({ status: 'progress', completed, successful }));
+                    onMessage({ status: 'success', shard });
+                } catch (error) {
+                    onMessage({ status: 'error', message: error.message });
+                }
+            }, 0);
+        },
+        terminate() {},
+    }));
+}
+
+test('ranges split evenly and merged shards must be contiguous', () => {
+    assert.deepEqual(splitRange(10, 3), [[0, 3], [3, 6], [6, 10]]);
+    assert.deepEqual(splitRange(2, 4), [[0, 1], [1, 2]]);
+
+    const shard = (start, end) => ({
+        start, end, years: 1, successful: end - start, failed: 0,
+        success: new Uint8Array(end - start).fill(1),
+        final_values: new Float64Array(end - start),
+        yearly_values: new Float64Array(end - start),
+        depletion_years: new Int16Array(end - start).fill(-1),
+        shortfall_years: new Uint16Array(end - start),
+        shortfall_amounts: new Float64Array(end - start),
+    });
+    assert.equal(mergeShards([shard(2, 5), shard(0, 2)]).successful, 5);
+    assert.throws(() => mergeShards([shard(0, 2), shard(3, 5)]), /contiguous/);
+});
+
+test('sharded runs reproduce the single-threaded results and report progress', async () => {
+    const expected = runCalculations({ ...BASE });
+    const progress = [];
+    const pool = createInProcessPool(3);
+
+    const actual = await runCalculationsInPool({ ...BASE }, pool, { onProgress: event => progress.push(event) });
+
+    assert.deepEqual(withoutTimings(actual), withoutTimings(expected));
+
+    // Shards finish before any model is analyzed
+    const simulating = progress.filter(event => event.phase === 'simulating');
+    const firstAnalysis = progress.findIndex(event => event.phase === 'analyzing');
+    assert.equal(firstAnalysis, simulating.length);
+    assert.equal(Math.max(...simulating.map(event => event.percent)), 100);
+
+    // The running estimate of each model ends at its final PoS
+    const lastEstimate = (model) => simulating.filter(event => event.model === model).at(-1);
+    assert.equal(lastEstimate('standard').iterations, BASE.monte_carlo_iterations);
+    assert.equal(lastEstimate('standard').probability_of_success.toFixed(2),
+        expected.results.probability_of_success.toFixed(2));
+    assert.equal(lastEstimate('enhanced').probability_of_success.toFixed(2),
+        expected.enhancedResults.probability_of_success.toFixed(2));
+});
+
+test('rolling historical periods are sharded over their start years only', async () => {
+    const params = { ...BASE, enhanced_mc_enabled: false, historical_mode: 'rolling' };
+    const expected = runCalculations({ ...params });
+    const actual = await runCalculationsInPool({ ...params }, createInProcessPool(3));
+
+    assert.ok(expected.historicalResults.monte_carlo.iterations < BASE.monte_carlo_iterations);
+    assert.deepEqual(withoutTimings(actual), withoutTimings(expected));
+});
+
+test('worker_threads pool matches the single-threaded run', async () => {
+    const params = { ...BASE, enhanced_mc_enabled: false, historical_mc_enabled: false, adaptive_iterations: true };
+    const pool = createShardWorkerPool(2);
+    try {
+        const actual = await runCalculationsInPool({ ...params }, pool);
+        assert.deepEqual(withoutTimings(actual), withoutTimings(runCalculations({ ...params })));
+    } finally {
+        pool.terminate();
+    }
+});
+
+test('a failing shard rejects the run', async () => {
+    const pool = new WorkerPool(2, (onMessage) => ({
+        postMessage: () => setTimeout(() => onMessage({ status: 'error', message: 'out of memory' }), 0),
+        terminate() {},
+    }));
+    await assert.rejects(runCalculationsInPool({ ...BASE }, pool), /out of memory/);
+});